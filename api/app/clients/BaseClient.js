@@ -31,6 +31,9 @@ class BaseClient {
     this.skipSaveConvo = false;
     /** @type {boolean} */
     this.skipSaveUserMessage = false;
+    /** Set when the caller persists the response itself, e.g. for multi-LLM fan-out
+     * @type {boolean} */
+    this.skipSaveResponse = false;
     /** @type {string} */
     this.user;
     /** @type {string} */
@@ -644,9 +647,9 @@ class BaseClient {
       }
     }
 
-    const balance = this.options.req?.app?.locals?.balance;
+    const { balance, budgets } = this.options.req?.app?.locals ?? {};
     if (
-      balance?.enabled &&
+      (balance?.enabled || budgets?.enabled) &&
       supportsBalanceCheck[this.options.endpointType ?? this.options.endpoint]
     ) {
       await checkBalance({
@@ -762,12 +765,14 @@ class BaseClient {
       }
     }
 
-    responseMessage.databasePromise = this.saveMessageToDatabase(
-      responseMessage,
-      saveOptions,
-      user,
-    );
-    this.savedMessageIds.add(responseMessage.messageId);
+    if (!this.skipSaveResponse) {
+      responseMessage.databasePromise = this.saveMessageToDatabase(
+        responseMessage,
+        saveOptions,
+        user,
+      );
+      this.savedMessageIds.add(responseMessage.messageId);
+    }
     delete responseMessage.tokenCount;
     return responseMessage;
   }
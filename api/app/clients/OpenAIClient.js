@@ -1035,6 +1035,7 @@ ${convo}
         model: this.modelOptions.model,
         conversationId: this.conversationId,
         user: this.user ?? this.options.req.user?.id,
+        endpoint: this.options.endpoint,
         endpointTokenConfig: this.options.endpointTokenConfig,
       },
       { promptTokens, completionTokens },
@@ -1052,6 +1053,7 @@ ${convo}
           model: this.modelOptions.model,
           conversationId: this.conversationId,
           user: this.user ?? this.options.req.user?.id,
+          endpoint: this.options.endpoint,
           endpointTokenConfig: this.options.endpointTokenConfig,
         },
         { completionTokens: usage.reasoning_tokens },
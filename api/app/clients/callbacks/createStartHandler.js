@@ -1,7 +1,7 @@
 const { promptTokensEstimate } = require('openai-chat-tokens');
 const { EModelEndpoint, supportsBalanceCheck } = require('librechat-data-provider');
 const { formatFromLangChain } = require('~/app/clients/prompts');
-const { getBalanceConfig } = require('~/server/services/Config');
+const { getBalanceConfig, getBudgetsConfig } = require('~/server/services/Config');
 const { checkBalance } = require('~/models/balanceMethods');
 const { logger } = require('~/config');
 
@@ -50,7 +50,8 @@ const createStartHandler = ({
 
     try {
       const balance = await getBalanceConfig();
-      if (balance?.enabled && supportsBalanceCheck[EModelEndpoint.openAI]) {
+      const budgets = await getBudgetsConfig();
+      if ((balance?.enabled || budgets?.enabled) && supportsBalanceCheck[EModelEndpoint.openAI]) {
         const generations =
           initialMessageCount && messages.length > initialMessageCount
             ? messages.slice(initialMessageCount)
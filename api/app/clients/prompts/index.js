@@ -4,6 +4,7 @@ const summaryPrompts = require('./summaryPrompts');
 const handleInputs = require('./handleInputs');
 const instructions = require('./instructions');
 const titlePrompts = require('./titlePrompts');
+const synthesisPrompt = require('./synthesisPrompt');
 const truncate = require('./truncate');
 const createVisionPrompt = require('./createVisionPrompt');
 const createContextHandlers = require('./createContextHandlers');
@@ -15,6 +16,7 @@ module.exports = {
   ...handleInputs,
   ...instructions,
   ...titlePrompts,
+  ...synthesisPrompt,
   ...truncate,
   createVisionPrompt,
   createContextHandlers,
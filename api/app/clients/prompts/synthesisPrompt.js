@@ -0,0 +1,34 @@
+const synthesisInstructions = `You are given a user request and several candidate responses to it, each written by a different AI model.
+Write the single best response to the request by synthesizing the candidates:
+- Keep what is correct, useful and well-supported; drop what is wrong, redundant or unsupported.
+- Where the candidates disagree, resolve the disagreement instead of listing every view.
+- Respond directly to the user, in the language and format the request calls for.
+- Do not mention the candidates, the models or this synthesis process.`;
+
+/**
+ * Creates the prompt that asks a judge model to merge several responses to the same request.
+ * @param {Object} params
+ * @param {string} params.prompt - The original user request.
+ * @param {Array<{ label: string, text: string }>} params.responses - The responses to merge.
+ * @returns {string}
+ */
+const createSynthesisPrompt = ({ prompt, responses }) => {
+  const candidates = responses
+    .map(
+      ({ label, text }, index) =>
+        `<response index="${index + 1}" model="${label}">\n${text.trim()}\n</response>`,
+    )
+    .join('\n\n');
+
+  return `${synthesisInstructions}
+
+<request>
+${prompt.trim()}
+</request>
+
+<responses>
+${candidates}
+</responses>`;
+};
+
+module.exports = { createSynthesisPrompt };
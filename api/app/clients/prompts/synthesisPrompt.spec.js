@@ -0,0 +1,23 @@
+const { createSynthesisPrompt } = require('./synthesisPrompt');
+
+describe('createSynthesisPrompt', () => {
+  test('includes the request and every response in order', () => {
+    const result = createSynthesisPrompt({
+      prompt: '  What is 2 + 2?  ',
+      responses: [
+        { label: 'gpt-4o', text: 'It is 4.' },
+        { label: 'claude-sonnet-4', text: '\n4\n' },
+      ],
+    });
+
+    expect(result).toContain('<request>\nWhat is 2 + 2?\n</request>');
+    expect(result).toContain('<response index="1" model="gpt-4o">\nIt is 4.\n</response>');
+    expect(result).toContain('<response index="2" model="claude-sonnet-4">\n4\n</response>');
+    expect(result.indexOf('gpt-4o')).toBeLessThan(result.indexOf('claude-sonnet-4'));
+  });
+
+  test('starts with the synthesis instructions', () => {
+    const result = createSynthesisPrompt({ prompt: 'Hi', responses: [] });
+    expect(result.startsWith('You are given a user request')).toBe(true);
+  });
+});
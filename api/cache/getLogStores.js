@@ -85,6 +85,7 @@ const namespaces = {
   non_browser: createViolationInstance('non_browser'),
   message_limit: createViolationInstance('message_limit'),
   token_balance: createViolationInstance(ViolationTypes.TOKEN_BALANCE),
+  [ViolationTypes.BUDGET_LIMIT]: createViolationInstance(ViolationTypes.BUDGET_LIMIT),
   registrations: createViolationInstance('registrations'),
   [ViolationTypes.TTS_LIMIT]: createViolationInstance(ViolationTypes.TTS_LIMIT),
   [ViolationTypes.STT_LIMIT]: createViolationInstance(ViolationTypes.STT_LIMIT),
@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 const { MeiliSearch } = require('meilisearch');
-const { logger } = require('@librechat/data-schemas');
+const { logger, getSearchBackend } = require('@librechat/data-schemas');
 const { FlowStateManager } = require('@librechat/api');
 const { CacheKeys } = require('librechat-data-provider');
 
@@ -47,6 +47,10 @@ async function performSync() {
     return { messagesSync: false, convosSync: false };
   }
 
+  /** Searches are scoped by user, which older documents are synced again with */
+  await Message.ensureMeiliUserFilter();
+  await Conversation.ensureMeiliUserFilter();
+
   let messagesSync = false;
   let convosSync = false;
 
@@ -114,6 +118,11 @@ async function indexSync() {
     return;
   }
 
+  if (getSearchBackend() === 'mongodb') {
+    logger.info('[indexSync] Using the MongoDB text index for search, no sync needed.');
+    return;
+  }
+
   logger.info('[indexSync] Starting index synchronization check...');
 
   try {
@@ -1,8 +1,78 @@
 const { logger } = require('@librechat/data-schemas');
-const { createTempChatExpirationDate } = require('@librechat/api');
+const { SearchMode } = require('librechat-data-provider');
+const {
+  createSearchSnippet,
+  getSearchHitText,
+  createTempChatExpirationDate,
+} = require('@librechat/api');
 const getCustomConfig = require('~/server/services/Config/getCustomConfig');
+const { semanticSearchMessages } = require('~/server/services/Files/VectorDB/messages');
 const { getMessages, deleteMessages } = require('./Message');
-const { Conversation } = require('~/db/models');
+const { Conversation, Message } = require('~/db/models');
+const { escapeRegExp } = require('~/server/utils');
+
+/** Maximum number of matching messages looked up for the text search of conversations */
+const MESSAGE_SEARCH_LIMIT = 100;
+
+/** Messages with files attached by the user */
+const filesMessageFilter = { 'files.0': { $exists: true } };
+
+/** Messages with artifacts, which are written as `:::artifact` directives */
+const artifactsMessageFilter = {
+  $or: [{ text: /:::artifact\{/ }, { 'content.text': /:::artifact\{/ }],
+};
+
+/**
+ * Returns a filter on the conversations of a user depending on whether they have a message
+ * matching the given filter.
+ * @param {string} user - The user's ID.
+ * @param {Object} messageFilter - The filter of the messages.
+ * @param {boolean} matching - Whether to keep the conversations with, or without, such a message.
+ * @returns {Promise<Object>} The filter of the conversations.
+ */
+const filterByMessages = async (user, messageFilter, matching) => {
+  const conversationIds = await Message.distinct('conversationId', { user, ...messageFilter });
+  return { conversationId: matching ? { $in: conversationIds } : { $nin: conversationIds } };
+};
+
+/**
+ * Searches the titles and the messages of the conversations of a user, or only their messages
+ * by meaning in the semantic mode.
+ * @param {string} user - The user's ID.
+ * @param {string} search - The text query.
+ * @param {SearchMode} [searchMode] - Whether to search by keywords or by meaning.
+ * @returns {Promise<{ conversationIds: string[], snippets: Map<string, TSearchSnippet> }>}
+ * The IDs of the matching conversations, and a snippet of the best matching message of each.
+ */
+const searchConversations = async (user, search, searchMode) => {
+  const isSemantic = searchMode === SearchMode.semantic;
+  const [convoResults, messageResults] = await Promise.all([
+    isSemantic ? { hits: [] } : Conversation.meiliSearch(search, { user }),
+    isSemantic
+      ? semanticSearchMessages(search, { user, limit: MESSAGE_SEARCH_LIMIT })
+      : Message.meiliSearch(search, { user, limit: MESSAGE_SEARCH_LIMIT }),
+  ]);
+
+  /** @type {Map<string, TSearchSnippet>} */
+  const snippets = new Map();
+  const conversationIds = new Set((convoResults.hits ?? []).map((result) => result.conversationId));
+  for (const hit of messageResults.hits ?? []) {
+    conversationIds.add(hit.conversationId);
+    if (snippets.has(hit.conversationId)) {
+      continue;
+    }
+    const snippet = createSearchSnippet({
+      messageId: hit.messageId,
+      text: getSearchHitText(hit),
+      query: search,
+    });
+    if (snippet) {
+      snippets.set(hit.conversationId, snippet);
+    }
+  }
+
+  return { conversationIds: [...conversationIds], snippets };
+};
 
 /**
  * Searches for a conversation by conversationId and returns a lean document with only conversationId and user.
@@ -156,9 +226,46 @@ module.exports = {
       throw new Error('Failed to save conversations in bulk.');
     }
   },
+  /**
+   * Gets a page of the conversations of a user, filtered and optionally searched.
+   * @param {string} user - The user's ID.
+   * @param {Object} [params]
+   * @param {string} [params.cursor] - The `updatedAt` date of the last conversation of the previous page.
+   * @param {number} [params.limit=25] - The size of the page.
+   * @param {boolean} [params.isArchived=false] - Whether to list the archived conversations.
+   * @param {string[]} [params.tags] - Only conversations with one of these tags.
+   * @param {string} [params.search] - The text query, matched against titles and messages.
+   * @param {SearchMode} [params.searchMode] - Whether to search by keywords or by meaning.
+   * @param {string} [params.order='desc'] - The order of the conversations by `updatedAt`.
+   * @param {string} [params.endpoint] - Only conversations of this endpoint.
+   * @param {string} [params.model] - Only conversations whose model contains this text.
+   * @param {string} [params.agent_id] - Only conversations with this agent.
+   * @param {Date} [params.startDate] - Only conversations created on or after this date.
+   * @param {Date} [params.endDate] - Only conversations created on or before this date.
+   * @param {boolean} [params.hasFiles] - Only conversations with (or without) attached files.
+   * @param {boolean} [params.hasArtifacts] - Only conversations with (or without) artifacts.
+   * @param {boolean} [params.isTemporary] - Lists the temporary conversations instead of the others.
+   * @returns {Promise<{ conversations: Array<TConversation & { snippet?: TSearchSnippet }>, nextCursor: string | null } | { message: string }>}
+   */
   getConvosByCursor: async (
     user,
-    { cursor, limit = 25, isArchived = false, tags, search, order = 'desc' } = {},
+    {
+      cursor,
+      limit = 25,
+      isArchived = false,
+      tags,
+      search,
+      searchMode,
+      order = 'desc',
+      endpoint,
+      model,
+      agent_id,
+      startDate,
+      endDate,
+      hasFiles,
+      hasArtifacts,
+      isTemporary,
+    } = {},
   ) => {
     const filters = [{ user }];
     if (isArchived) {
@@ -171,18 +278,52 @@ module.exports = {
       filters.push({ tags: { $in: tags } });
     }
 
-    filters.push({ $or: [{ expiredAt: null }, { expiredAt: { $exists: false } }] });
+    if (isTemporary === true) {
+      filters.push({ expiredAt: { $ne: null } });
+    } else {
+      filters.push({ $or: [{ expiredAt: null }, { expiredAt: { $exists: false } }] });
+    }
+
+    if (endpoint) {
+      filters.push({ endpoint });
+    }
+    if (model) {
+      filters.push({ model: new RegExp(escapeRegExp(model), 'i') });
+    }
+    if (agent_id) {
+      filters.push({ agent_id });
+    }
+    if (startDate || endDate) {
+      filters.push({
+        createdAt: {
+          ...(startDate ? { $gte: startDate } : {}),
+          ...(endDate ? { $lte: endDate } : {}),
+        },
+      });
+    }
 
+    try {
+      if (typeof hasFiles === 'boolean') {
+        filters.push(await filterByMessages(user, filesMessageFilter, hasFiles));
+      }
+      if (typeof hasArtifacts === 'boolean') {
+        filters.push(await filterByMessages(user, artifactsMessageFilter, hasArtifacts));
+      }
+    } catch (error) {
+      logger.error('[getConvosByCursor] Error filtering conversations by messages', error);
+      return { message: 'Error filtering conversations' };
+    }
+
+    /** @type {Map<string, TSearchSnippet>} */
+    let snippets = new Map();
     if (search) {
       try {
-        const meiliResults = await Conversation.meiliSearch(search);
-        const matchingIds = Array.isArray(meiliResults.hits)
-          ? meiliResults.hits.map((result) => result.conversationId)
-          : [];
-        if (!matchingIds.length) {
+        const results = await searchConversations(user, search, searchMode);
+        if (!results.conversationIds.length) {
           return { conversations: [], nextCursor: null };
         }
-        filters.push({ conversationId: { $in: matchingIds } });
+        filters.push({ conversationId: { $in: results.conversationIds } });
+        snippets = results.snippets;
       } catch (error) {
         logger.error('[getConvosByCursor] Error during meiliSearch', error);
         return { message: 'Error during meiliSearch' };
@@ -210,6 +351,13 @@ module.exports = {
         nextCursor = lastConvo.updatedAt.toISOString();
       }
 
+      for (const convo of convos) {
+        const snippet = snippets.get(convo.conversationId);
+        if (snippet) {
+          convo.snippet = snippet;
+        }
+      }
+
       return { conversations: convos, nextCursor };
     } catch (error) {
       logger.error('[getConvosByCursor] Error getting conversations', error);
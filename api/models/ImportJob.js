@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { logger } = require('@librechat/data-schemas');
+const { ImportJobStatus } = require('librechat-data-provider');
+const { ImportJob } = require('~/db/models');
+
+/** Running jobs without a heartbeat for this long, in milliseconds, are considered abandoned */
+const IMPORT_JOB_STALE_MS = 5 * 60 * 1000;
+
+/** Interval, in milliseconds, at which running jobs send heartbeats */
+const IMPORT_JOB_HEARTBEAT_MS = 30 * 1000;
+
+/**
+ * Filter matching the jobs that can be (re)started: pending jobs, and running jobs whose
+ * process stopped sending heartbeats, e.g. because the server crashed.
+ * @returns {Object}
+ */
+const claimableFilter = () => ({
+  $or: [
+    { status: ImportJobStatus.pending },
+    {
+      status: ImportJobStatus.running,
+      heartbeatAt: { $lt: new Date(Date.now() - IMPORT_JOB_STALE_MS) },
+    },
+  ],
+});
+
+/**
+ * Formats an import job for API responses.
+ * @param {IImportJob} job
+ * @returns {TImportJob}
+ */
+const toImportJobResponse = (job) => ({
+  jobId: job._id.toString(),
+  status: job.status,
+  filename: job.filename,
+  processed: job.processed,
+  imported: job.imported,
+  failed: job.failed,
+  progress: job.progress,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+});
+
+/**
+ * Creates a pending import job for an uploaded file.
+ * @param {Object} params
+ * @param {string} params.user - The ID of the user importing the file.
+ * @param {string} params.filepath - The path of the uploaded file.
+ * @param {string} [params.filename] - The original name of the file.
+ * @param {string} [params.fileStrategy] - The file strategy used to save attached images.
+ * @returns {Promise<IImportJob>} The created job.
+ */
+async function createImportJob({ user, filepath, filename, fileStrategy }) {
+  try {
+    const job = await ImportJob.create({ user, filepath, filename, fileStrategy });
+    return job.toObject();
+  } catch (error) {
+    logger.error('[createImportJob] Error creating import job', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets an import job of a user.
+ * @param {Object} params
+ * @param {string} params.user - The ID of the user.
+ * @param {string} params.jobId - The ID of the job.
+ * @returns {Promise<IImportJob | null>} The job, or null if not found.
+ */
+async function getImportJob({ user, jobId }) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return null;
+  }
+  return await ImportJob.findOne({ _id: jobId, user }).lean();
+}
+
+/**
+ * Marks an import job as running, if it is pending or was abandoned by its process.
+ * Only one caller can claim a job at a time; the claim gets a new `runId`, which takes the job
+ * over from the run that abandoned it.
+ * @param {string} jobId - The ID of the job.
+ * @returns {Promise<IImportJob | null>} The claimed job, or null if it cannot be claimed.
+ */
+async function claimImportJob(jobId) {
+  return await ImportJob.findOneAndUpdate(
+    { _id: jobId, ...claimableFilter() },
+    {
+      $set: {
+        status: ImportJobStatus.running,
+        heartbeatAt: new Date(),
+        runId: crypto.randomUUID(),
+      },
+    },
+    { new: true },
+  ).lean();
+}
+
+/**
+ * Updates the progress or status of an import job, which also counts as its heartbeat, as long as
+ * the run still owns the job.
+ * @param {string} jobId - The ID of the job.
+ * @param {string} runId - The ID of the run, from the claim of the job.
+ * @param {Partial<IImportJob>} [update] - The fields to update.
+ * @returns {Promise<IImportJob | null>} The updated job, or null if another run claimed it.
+ */
+async function updateImportJob(jobId, runId, update = {}) {
+  return await ImportJob.findOneAndUpdate(
+    { _id: jobId, runId },
+    { $set: { ...update, heartbeatAt: new Date() } },
+    { new: true },
+  ).lean();
+}
+
+/**
+ * Gets the IDs of the jobs that can be (re)started.
+ * @returns {Promise<string[]>} The IDs of the jobs.
+ */
+async function getClaimableImportJobIds() {
+  const jobs = await ImportJob.find(claimableFilter(), '_id').lean();
+  return jobs.map((job) => job._id.toString());
+}
+
+module.exports = {
+  IMPORT_JOB_STALE_MS,
+  IMPORT_JOB_HEARTBEAT_MS,
+  toImportJobResponse,
+  createImportJob,
+  getImportJob,
+  claimImportJob,
+  updateImportJob,
+  getClaimableImportJobIds,
+};
@@ -1,11 +1,111 @@
+const crypto = require('crypto');
 const { z } = require('zod');
+const { v5: uuidv5 } = require('uuid');
 const { logger } = require('@librechat/data-schemas');
 const { createTempChatExpirationDate } = require('@librechat/api');
+const {
+  queueMessageIndexing,
+  deleteMessageVectors,
+  isSemanticSearchEnabled,
+} = require('~/server/services/Files/VectorDB/messages');
 const getCustomConfig = require('~/server/services/Config/getCustomConfig');
 const { Message } = require('~/db/models');
 
 const idSchema = z.string().uuid();
 
+/** Fields of a message that are stored per response in `llmResponses` */
+const llmResponseFields = [
+  'endpoint',
+  'model',
+  'sender',
+  'iconURL',
+  'text',
+  'content',
+  'tokenCount',
+  'finish_reason',
+  'unfinished',
+  'error',
+  'feedback',
+];
+
+/** Fields a sibling response shares with the message holding it */
+const sharedResponseFields = [
+  'conversationId',
+  'parentMessageId',
+  'user',
+  'isCreatedByUser',
+  'createdAt',
+  'updatedAt',
+  'expiredAt',
+];
+
+/**
+ * Materializes a response stored in the `llmResponses` of a message as a message of its own.
+ * @param {TMessage} message - The message holding the response.
+ * @param {TLLMResponse} response
+ * @returns {TMessage}
+ */
+function toSiblingMessage(message, response) {
+  const sibling = {};
+  for (const field of sharedResponseFields) {
+    if (message[field] !== undefined) {
+      sibling[field] = message[field];
+    }
+  }
+  for (const field of llmResponseFields) {
+    if (response[field] !== undefined) {
+      sibling[field] = response[field];
+    }
+  }
+  sibling.messageId = response.messageId;
+  return sibling;
+}
+
+/**
+ * Applies a mongoose-style field selection (e.g. `'-_id -user'` or `'content tokenCount'`)
+ * to a materialized sibling message.
+ * @param {TMessage} message
+ * @param {string | undefined} select
+ * @returns {Partial<TMessage>}
+ */
+function applySelect(message, select) {
+  const fields = typeof select === 'string' ? select.split(/\s+/).filter(Boolean) : [];
+  if (fields.length === 0) {
+    return message;
+  }
+  const excluded = fields.filter((field) => field.startsWith('-')).map((f) => f.slice(1));
+  if (excluded.length === fields.length) {
+    const result = { ...message };
+    excluded.forEach((field) => delete result[field]);
+    return result;
+  }
+  const result = {};
+  for (const field of fields) {
+    if (message[field] !== undefined) {
+      result[field] = message[field];
+    }
+  }
+  return result;
+}
+
+/**
+ * Finds a sibling response by its ID in the `llmResponses` of a message.
+ * The first response is not considered a sibling, as it is addressed through its message.
+ * @param {Record<string, unknown>} filter - The filter criteria, including the `messageId`.
+ * @returns {Promise<{ message: TMessage, index: number, sibling: TMessage } | null>}
+ */
+async function findSiblingResponse({ messageId, ...filter }) {
+  if (typeof messageId !== 'string') {
+    return null;
+  }
+  const message = await Message.findOne({ ...filter, 'llmResponses.messageId': messageId }).lean();
+  const index = message?.llmResponses?.findIndex((response) => response.messageId === messageId);
+  if (!message || index == null || index < 1) {
+    return null;
+  }
+  return { message, index, sibling: toSiblingMessage(message, message.llmResponses[index]) };
+}
+
 /**
  * Saves a message in the database.
  *
@@ -81,6 +181,7 @@ async function saveMessage(req, params, metadata) {
       { upsert: true, new: true },
     );
 
+    queueMessageIndexing(message);
     return message.toObject();
   } catch (err) {
     logger.error('Error saving message:', err);
@@ -220,7 +321,22 @@ async function updateMessageText(req, { messageId, text }) {
 }
 
 /**
- * Updates a message.
+ * Prefixes the fields of an update with the path of an `llmResponses` entry.
+ * @param {Partial<TLLMResponse>} update
+ * @param {string} position - The index of the entry, or `$` for the matched entry.
+ * @returns {Record<string, unknown>}
+ */
+function toPositionalUpdate(update, position) {
+  const positional = {};
+  for (const [field, value] of Object.entries(update)) {
+    positional[`llmResponses.${position}.${field}`] = value;
+  }
+  return positional;
+}
+
+/**
+ * Updates a message, or a sibling response stored in the `llmResponses` of a message.
+ * Updating a message that holds `llmResponses` also updates its first response.
  *
  * @async
  * @function updateMessage
@@ -240,18 +356,41 @@ async function updateMessageText(req, { messageId, text }) {
 async function updateMessage(req, message, metadata) {
   try {
     const { messageId, ...update } = message;
-    const updatedMessage = await Message.findOneAndUpdate(
-      { messageId, user: req.user.id },
-      update,
-      {
-        new: true,
-      },
-    );
+    const responseUpdate = {};
+    for (const field of llmResponseFields) {
+      if (field in update) {
+        responseUpdate[field] = update[field];
+      }
+    }
+
+    let updatedMessage = await Message.findOneAndUpdate({ messageId, user: req.user.id }, update, {
+      new: true,
+    });
+
+    const hasResponseUpdate = Object.keys(responseUpdate).length > 0;
+    if (hasResponseUpdate && updatedMessage?.llmResponses?.[0]?.messageId === messageId) {
+      await Message.updateOne(
+        { _id: updatedMessage._id },
+        { $set: toPositionalUpdate(responseUpdate, '0') },
+      );
+    } else if (!updatedMessage && hasResponseUpdate) {
+      const holder = await Message.findOneAndUpdate(
+        { user: req.user.id, 'llmResponses.messageId': messageId },
+        { $set: toPositionalUpdate(responseUpdate, '$') },
+        { new: true },
+      ).lean();
+      const response = holder?.llmResponses?.find((entry) => entry.messageId === messageId);
+      updatedMessage = response ? toSiblingMessage(holder, response) : null;
+    }
 
     if (!updatedMessage) {
       throw new Error('Message not found or user not authorized.');
     }
 
+    if (updatedMessage.messageId === messageId && ('text' in update || 'content' in update)) {
+      queueMessageIndexing(updatedMessage);
+    }
+
     return {
       messageId: updatedMessage.messageId,
       conversationId: updatedMessage.conversationId,
@@ -261,6 +400,7 @@ async function updateMessage(req, message, metadata) {
       isCreatedByUser: updatedMessage.isCreatedByUser,
       tokenCount: updatedMessage.tokenCount,
       feedback: updatedMessage.feedback,
+      content: updatedMessage.content,
     };
   } catch (err) {
     logger.error('Error updating message:', err);
@@ -302,6 +442,8 @@ async function deleteMessagesSince(req, { messageId, conversationId }) {
 
 /**
  * Retrieves messages from the database.
+ * When filtering by a single `messageId` that belongs to a sibling response,
+ * the sibling is returned as a message of its own.
  * @async
  * @function getMessages
  * @param {Record<string, unknown>} filter - The filter criteria.
@@ -311,11 +453,16 @@ async function deleteMessagesSince(req, { messageId, conversationId }) {
  */
 async function getMessages(filter, select) {
   try {
-    if (select) {
-      return await Message.find(filter).select(select).sort({ createdAt: 1 }).lean();
+    const messages = select
+      ? await Message.find(filter).select(select).sort({ createdAt: 1 }).lean()
+      : await Message.find(filter).sort({ createdAt: 1 }).lean();
+
+    if (messages.length === 0 && typeof filter?.messageId === 'string') {
+      const result = await findSiblingResponse(filter);
+      return result ? [applySelect(result.sibling, select)] : messages;
     }
 
-    return await Message.find(filter).sort({ createdAt: 1 }).lean();
+    return messages;
   } catch (err) {
     logger.error('Error getting messages:', err);
     throw err;
@@ -323,7 +470,7 @@ async function getMessages(filter, select) {
 }
 
 /**
- * Retrieves a single message from the database.
+ * Retrieves a single message, or a sibling response stored in `llmResponses`, from the database.
  * @async
  * @function getMessage
  * @param {{ user: string, messageId: string }} params - The search parameters
@@ -332,18 +479,44 @@ async function getMessages(filter, select) {
  */
 async function getMessage({ user, messageId }) {
   try {
-    return await Message.findOne({
+    const message = await Message.findOne({
       user,
       messageId,
     }).lean();
+    if (message) {
+      return message;
+    }
+
+    const result = await findSiblingResponse({ user, messageId });
+    return result?.sibling ?? null;
   } catch (err) {
     logger.error('Error getting message:', err);
     throw err;
   }
 }
 
+/**
+ * Removes the embeddings of deleted messages from the RAG API, in the background.
+ * @param {Array<{ user: string, messageId: string }>} messages
+ */
+function removeMessageVectors(messages) {
+  /** @type {Map<string, string[]>} */
+  const messageIdsByUser = new Map();
+  for (const { user, messageId } of messages) {
+    const userId = user.toString();
+    messageIdsByUser.set(userId, [...(messageIdsByUser.get(userId) ?? []), messageId]);
+  }
+  for (const [userId, messageIds] of messageIdsByUser) {
+    deleteMessageVectors(userId, messageIds).catch((error) => {
+      logger.error('[removeMessageVectors] Error deleting message vectors', error);
+    });
+  }
+}
+
 /**
  * Deletes messages from the database.
+ * When filtering by a single `messageId` that belongs to a sibling response,
+ * the sibling is removed from the `llmResponses` of its message.
  *
  * @async
  * @function deleteMessages
@@ -353,7 +526,25 @@ async function getMessage({ user, messageId }) {
  */
 async function deleteMessages(filter) {
   try {
-    return await Message.deleteMany(filter);
+    const embedded = isSemanticSearchEnabled()
+      ? await Message.find({ ...filter, _semanticIndex: true }, 'user messageId').lean()
+      : [];
+    const result = await Message.deleteMany(filter);
+    removeMessageVectors(embedded);
+    if (result.deletedCount > 0 || typeof filter?.messageId !== 'string') {
+      return result;
+    }
+
+    const { messageId, ...rest } = filter;
+    const { modifiedCount } = await Message.updateOne(
+      {
+        ...rest,
+        'llmResponses.0.messageId': { $ne: messageId },
+        'llmResponses.messageId': messageId,
+      },
+      { $pull: { llmResponses: { messageId } } },
+    );
+    return { ...result, deletedCount: modifiedCount };
   } catch (err) {
     logger.error('Error deleting messages:', err);
     throw err;
@@ -361,7 +552,226 @@ async function deleteMessages(filter) {
 }
 
 /**
- * Retrieves messages and their multi-LLM siblings grouped by shared user message ID.
+ * Promotes a sibling response to be the canonical reply of its message: the message takes
+ * the ID and fields of the sibling, and the former primary response becomes a sibling.
+ * Messages branching off of the message are re-attached to it under its new ID.
+ *
+ * @async
+ * @function promoteLLMResponse
+ * @param {Object} req - The request object.
+ * @param {Object} params
+ * @param {string} params.conversationId - The identifier of the conversation.
+ * @param {string} params.messageId - The identifier of the sibling response to promote.
+ * @returns {Promise<TMessage | null>} The updated message, or null if the sibling was not found.
+ * @throws {Error} If there is an error in updating the message.
+ */
+async function promoteLLMResponse(req, { conversationId, messageId }) {
+  try {
+    const user = req.user.id;
+    const result = await findSiblingResponse({ user, conversationId, messageId });
+    if (!result) {
+      return null;
+    }
+
+    const { message, index } = result;
+    const llmResponses = [...message.llmResponses];
+    const [promoted] = llmResponses.splice(index, 1);
+    llmResponses.unshift(promoted);
+
+    const $set = { messageId: promoted.messageId, llmResponses };
+    const $unset = {};
+    for (const field of llmResponseFields) {
+      if (promoted[field] != null) {
+        $set[field] = promoted[field];
+      } else {
+        $unset[field] = '';
+      }
+    }
+
+    const updatedMessage = await Message.findOneAndUpdate(
+      { _id: message._id },
+      { $set, $unset },
+      { new: true },
+    ).lean();
+    await Message.updateMany(
+      { user, conversationId, parentMessageId: message.messageId },
+      { parentMessageId: promoted.messageId },
+    );
+
+    return updatedMessage;
+  } catch (err) {
+    logger.error('Error promoting multi-LLM response:', err);
+    throw err;
+  }
+}
+
+/**
+ * Replaces an entry of the `llmResponses` of a message with a regenerated response, keeping
+ * the previous attempt in the `versions` of the entry, oldest first.
+ * Replacing the first response also updates the message itself.
+ *
+ * @async
+ * @function saveLLMResponseVersion
+ * @param {Object} req - The request object.
+ * @param {Object} params
+ * @param {string} params.conversationId - The identifier of the conversation.
+ * @param {string} params.messageId - The identifier of the message holding the responses.
+ * @param {string} params.responseId - The `messageId` of the regenerated response.
+ * @param {TLLMResponse} params.response - The regenerated response.
+ * @returns {Promise<TMessage | null>} The updated message, or null if the response was not found.
+ * @throws {Error} If there is an error in updating the message.
+ */
+async function saveLLMResponseVersion(req, { conversationId, messageId, responseId, response }) {
+  try {
+    const filter = { user: req.user.id, conversationId, messageId };
+    const message = await Message.findOne(filter, 'llmResponses').lean();
+    const index = message?.llmResponses?.findIndex((entry) => entry.messageId === responseId) ?? -1;
+    if (index < 0) {
+      return null;
+    }
+
+    const { messageId: _id, versions = [], ...previous } = message.llmResponses[index];
+    const { versions: _v, ...current } = response;
+    const entry = { ...current, messageId: responseId, versions: [...versions, previous] };
+
+    const $set = { [`llmResponses.${index}`]: entry };
+    const $unset = {};
+    if (index === 0) {
+      for (const field of llmResponseFields) {
+        if (entry[field] != null) {
+          $set[field] = entry[field];
+        } else {
+          $unset[field] = '';
+        }
+      }
+    }
+
+    return await Message.findOneAndUpdate(filter, { $set, $unset }, { new: true }).lean();
+  } catch (err) {
+    logger.error('Error saving multi-LLM response version:', err);
+    throw err;
+  }
+}
+
+/**
+ * Saves a blind A/B vote between two `llmResponses` of a message, replacing any earlier
+ * vote of the user between the same two responses.
+ *
+ * @async
+ * @function savePreferenceVote
+ * @param {Object} req - The request object.
+ * @param {Object} params
+ * @param {string} params.conversationId - The identifier of the conversation.
+ * @param {string} params.messageId - The identifier of the message holding the responses.
+ * @param {string} params.left - The `messageId` of the response shown on the left.
+ * @param {string} params.right - The `messageId` of the response shown on the right.
+ * @param {TPreferenceVote} params.vote - The vote.
+ * @returns {Promise<TPreference[] | null>} The votes of the message, or null if the message
+ * or either response was not found.
+ * @throws {Error} If there is an error in saving the vote.
+ */
+async function savePreferenceVote(req, { conversationId, messageId, left, right, vote }) {
+  try {
+    const filter = { user: req.user.id, conversationId, messageId };
+    const message = await Message.findOne(filter, 'llmResponses.messageId preferences').lean();
+    const responseIds = new Set(message?.llmResponses?.map((response) => response.messageId));
+    if (left === right || !responseIds.has(left) || !responseIds.has(right)) {
+      return null;
+    }
+
+    const isSamePair = (preference) =>
+      (preference.left === left && preference.right === right) ||
+      (preference.left === right && preference.right === left);
+    const preferences = (message.preferences ?? []).filter((preference) => !isSamePair(preference));
+    preferences.push({ left, right, vote, createdAt: new Date() });
+
+    const updatedMessage = await Message.findOneAndUpdate(
+      filter,
+      { preferences },
+      { new: true, projection: 'preferences' },
+    ).lean();
+    return updatedMessage?.preferences ?? null;
+  } catch (err) {
+    logger.error('Error saving preference vote:', err);
+    throw err;
+  }
+}
+
+/**
+ * Retrieves all blind A/B votes, along with the endpoint/model of both compared responses.
+ *
+ * @async
+ * @function getPreferenceVotes
+ * @returns {Promise<import('@librechat/api').PreferenceVoteRecord[]>}
+ * @throws {Error} If there is an error in retrieving the votes.
+ */
+async function getPreferenceVotes() {
+  try {
+    const votes = [];
+    const cursor = Message.find(
+      /* Served by the sparse index of the votes */
+      { 'preferences.vote': { $exists: true } },
+      'preferences llmResponses.messageId llmResponses.endpoint llmResponses.model',
+    )
+      .lean()
+      .cursor();
+
+    for await (const message of cursor) {
+      const models = new Map(
+        (message.llmResponses ?? []).map(({ messageId, endpoint, model }) => [
+          messageId,
+          { endpoint, model },
+        ]),
+      );
+      for (const { left, right, vote, createdAt } of message.preferences) {
+        if (models.has(left) && models.has(right)) {
+          votes.push({ left: models.get(left), right: models.get(right), vote, createdAt });
+        }
+      }
+    }
+
+    return votes;
+  } catch (err) {
+    logger.error('Error retrieving preference votes:', err);
+    throw err;
+  }
+}
+
+/**
+ * Assigns IDs to the `llmResponses` saved without one, and persists them: the first response
+ * shares the ID of the message, the others get IDs derived from it, so that concurrent reads
+ * assign the same IDs.
+ * @param {TMessage[]} messages - The messages, updated in place.
+ * @returns {Promise<void>}
+ */
+async function assignLLMResponseIds(messages) {
+  const bulkOps = [];
+  for (const msg of messages) {
+    if (!msg.messageId || !Array.isArray(msg.llmResponses)) {
+      continue;
+    }
+    const $set = {};
+    msg.llmResponses.forEach((response, index) => {
+      if (response.messageId) {
+        return;
+      }
+      response.messageId =
+        index === 0 ? msg.messageId : uuidv5(`${msg.messageId}:${index}`, uuidv5.URL);
+      $set[`llmResponses.${index}.messageId`] = response.messageId;
+    });
+    if (Object.keys($set).length > 0) {
+      bulkOps.push({ updateOne: { filter: { messageId: msg.messageId }, update: { $set } } });
+    }
+  }
+  if (bulkOps.length > 0) {
+    await Message.bulkWrite(bulkOps, { ordered: false });
+  }
+}
+
+/**
+ * Retrieves messages with the `llmResponses` of their multi-LLM turns as siblings.
+ * Legacy siblings linked through `sharedUserMessageId` are not looked up: they are folded into
+ * `llmResponses` by `npm run migrate-multi-llm` (see `migrateLegacyMultiLLMSiblings`).
  * @async
  * @function getMessagesWithMultiLLMSiblings
  * @param {Object} filter - The filter criteria (e.g., conversationId, user)
@@ -371,100 +781,207 @@ async function deleteMessages(filter) {
  */
 async function getMessagesWithMultiLLMSiblings(filter, select) {
   try {
-    // First get the main conversation messages
-    const mainMessages = await getMessages(filter, select);
-
-    // Create a modified message tree that includes siblings for multi-LLM responses
-    const messagesWithSiblings = [];
-
-    mainMessages.forEach((msg) => {
-      // Check if this message has llmResponses (new multi-LLM format)
-      if (msg.llmResponses && Array.isArray(msg.llmResponses) && msg.llmResponses.length > 1) {
-        // Transform llmResponses into multiLLMSiblings format for frontend compatibility
-        const [primaryResponse, ...additionalResponses] = msg.llmResponses;
-
-        // Use the first response as the primary message content
-        const primaryMessage = {
-          ...msg,
-          text: primaryResponse.text,
-          model: primaryResponse.model,
-          endpoint: primaryResponse.endpoint,
-          // Keep llmResponses for SSE compatibility
-          llmResponses: msg.llmResponses,
-        };
+    const messages = await getMessages(filter, select);
+    await assignLLMResponseIds(messages);
 
-        // Transform additional responses into sibling format
-        if (additionalResponses.length > 0) {
-          primaryMessage.multiLLMSiblings = additionalResponses.map((response, index) => ({
-            messageId: `${msg.messageId}_sibling_${index}`,
-            conversationId: msg.conversationId,
-            parentMessageId: msg.parentMessageId,
-            text: response.text,
-            model: response.model,
-            endpoint: response.endpoint,
-            isCreatedByUser: false,
-            createdAt: msg.createdAt,
-            updatedAt: msg.updatedAt,
-            user: msg.user,
-          }));
-        }
-
-        messagesWithSiblings.push(primaryMessage);
-      } else {
-        // Handle legacy approach: Find messages with sharedUserMessageId to identify multi-LLM groups
-        messagesWithSiblings.push(msg);
+    return messages.map((msg) => {
+      if (!Array.isArray(msg.llmResponses) || msg.llmResponses.length <= 1) {
+        return msg;
       }
+      // Transform llmResponses into multiLLMSiblings format for frontend compatibility;
+      // the message itself is the primary response
+      return {
+        ...msg,
+        multiLLMSiblings: msg.llmResponses
+          .slice(1)
+          .map((response) => toSiblingMessage(msg, response)),
+      };
     });
+  } catch (err) {
+    logger.error('Error getting messages with multi-LLM siblings:', err);
+    throw err;
+  }
+}
 
-    // Handle legacy sharedUserMessageId approach for backward compatibility
-    const sharedUserMessageIds = mainMessages
-      .filter(
-        (msg) => msg.sharedUserMessageId && (!msg.llmResponses || msg.llmResponses.length <= 1),
-      )
-      .map((msg) => msg.sharedUserMessageId);
-
-    if (sharedUserMessageIds.length > 0) {
-      // Get all messages (from different conversations) that share these user message IDs
-      const siblingMessages = await Message.find({
-        user: filter.user,
-        sharedUserMessageId: { $in: sharedUserMessageIds },
-        conversationId: { $ne: filter.conversationId }, // Exclude messages from the main conversation
-      })
-        .sort({ createdAt: 1 })
-        .lean();
-
-      // Group sibling messages by their shared user message ID
-      const siblingGroups = {};
-      siblingMessages.forEach((msg) => {
-        if (!siblingGroups[msg.sharedUserMessageId]) {
-          siblingGroups[msg.sharedUserMessageId] = [];
-        }
-        siblingGroups[msg.sharedUserMessageId].push(msg);
+/**
+ * Maps a legacy multi-LLM response message to an `llmResponses` entry.
+ * @param {TMessage} message
+ * @param {string} [messageId] - The ID of the entry, defaults to the ID of the message.
+ * @returns {TLLMResponse}
+ */
+function toLLMResponse(message, messageId = message.messageId) {
+  const response = { messageId, text: message.text ?? '', error: message.error ?? false };
+  for (const field of llmResponseFields) {
+    if (response[field] === undefined && message[field] != null) {
+      response[field] = message[field];
+    }
+  }
+  return response;
+}
+
+/**
+ * Picks the primary response of a legacy multi-LLM group: the earliest response of the
+ * conversation holding the shared user message, falling back to the earliest response.
+ * @param {TMessage[]} responses - The responses of the group, sorted by creation date.
+ * @param {TMessage | undefined} userMessage - The shared user message, if it still exists.
+ * @returns {TMessage}
+ */
+function getPrimaryResponse(responses, userMessage) {
+  if (!userMessage) {
+    return responses[0];
+  }
+  return (
+    responses.find(
+      (response) =>
+        response.conversationId === userMessage.conversationId &&
+        response.parentMessageId === userMessage.messageId,
+    ) ?? responses[0]
+  );
+}
+
+/**
+ * Folds legacy multi-LLM responses, linked through `sharedUserMessageId`, into the
+ * `llmResponses` of their primary response, as messages are loaded with their `llmResponses`
+ * only: legacy responses of other conversations are no longer shown until migrated.
+ *
+ * The primary response keeps its place in its conversation and receives the `llmResponses`.
+ * Other responses of the same conversation are deleted unless messages branch off of them,
+ * their IDs living on as the IDs of their `llmResponses` entries; responses of other
+ * conversations are kept, and their entries get new IDs. `sharedUserMessageId` is unset
+ * on every response of a group.
+ *
+ * @async
+ * @function migrateLegacyMultiLLMSiblings
+ * @param {Object} [params]
+ * @param {string} [params.user] - Only migrate the messages of this user.
+ * @param {boolean} [params.dryRun=false] - Compute the changes without writing them.
+ * @param {number} [params.batchSize=100] - The number of groups processed per batch.
+ * @param {(stats: TMultiLLMMigrationStats) => void} [params.onBatch] - Called after each batch.
+ * @returns {Promise<TMultiLLMMigrationStats>} The totals of the migration.
+ * @throws {Error} If there is an error in reading or writing messages.
+ */
+async function migrateLegacyMultiLLMSiblings({
+  user,
+  dryRun = false,
+  batchSize = 100,
+  onBatch,
+} = {}) {
+  /** @type {TMultiLLMMigrationStats} */
+  const stats = { groups: 0, migrated: 0, cleared: 0, updated: 0, deleted: 0 };
+  const userFilter = user ? { user } : {};
+  const baseFilter = { ...userFilter, isCreatedByUser: false };
+
+  try {
+    let lastSharedId = null;
+    while (true) {
+      const sharedIdFilter = { $type: 'string' };
+      if (lastSharedId) {
+        sharedIdFilter.$gt = lastSharedId;
+      }
+
+      const batch = await Message.aggregate([
+        { $match: { ...baseFilter, sharedUserMessageId: sharedIdFilter } },
+        { $group: { _id: '$sharedUserMessageId' } },
+        { $sort: { _id: 1 } },
+        { $limit: batchSize },
+      ]);
+      if (batch.length === 0) {
+        break;
+      }
+
+      const sharedIds = batch.map((group) => group._id);
+      lastSharedId = sharedIds[sharedIds.length - 1];
+
+      const [responses, userMessages] = await Promise.all([
+        Message.find({ ...baseFilter, sharedUserMessageId: { $in: sharedIds } })
+          .sort({ createdAt: 1 })
+          .lean(),
+        Message.find({
+          ...userFilter,
+          messageId: { $in: sharedIds },
+          isCreatedByUser: true,
+        }).lean(),
+      ]);
+      const responseIds = responses.map((response) => response.messageId);
+      const parentIds = new Set(
+        await Message.distinct('parentMessageId', {
+          ...userFilter,
+          parentMessageId: { $in: responseIds },
+        }),
+      );
+
+      /** @type {Map<string, TMessage>} */
+      const userMessageById = new Map(userMessages.map((message) => [message.messageId, message]));
+      /** @type {Map<string, TMessage[]>} */
+      const groups = new Map();
+      for (const response of responses) {
+        const group = groups.get(response.sharedUserMessageId) ?? [];
+        group.push(response);
+        groups.set(response.sharedUserMessageId, group);
+      }
+
+      const bulkOps = [];
+      const unsetShared = (message) => ({
+        updateOne: {
+          filter: { _id: message._id },
+          update: { $unset: { sharedUserMessageId: '' } },
+        },
       });
 
-      // Add legacy siblings to messages that don't already have llmResponses
-      messagesWithSiblings.forEach((msg) => {
-        if (
-          msg.sharedUserMessageId &&
-          siblingGroups[msg.sharedUserMessageId] &&
-          (!msg.llmResponses || msg.llmResponses.length <= 1)
-        ) {
-          // Find assistant responses that share the same parent (user message)
-          const assistantSiblings = siblingGroups[msg.sharedUserMessageId].filter(
-            (sibling) => !sibling.isCreatedByUser && sibling.parentMessageId,
-          );
-
-          if (assistantSiblings.length > 0) {
-            // Add siblings as a special property on the main message
-            msg.multiLLMSiblings = assistantSiblings;
+      for (const [sharedId, group] of groups) {
+        stats.groups++;
+        const primary = getPrimaryResponse(group, userMessageById.get(sharedId));
+        if (group.length < 2 || (primary.llmResponses?.length ?? 0) > 1) {
+          stats.cleared++;
+          bulkOps.push(...group.map(unsetShared));
+          stats.updated += group.length;
+          continue;
+        }
+
+        const siblings = group.filter((response) => response !== primary);
+        const llmResponses = [toLLMResponse(primary)];
+        const siblingOps = [];
+        for (const sibling of siblings) {
+          const isFolded =
+            sibling.conversationId === primary.conversationId && !parentIds.has(sibling.messageId);
+          if (isFolded) {
+            llmResponses.push(toLLMResponse(sibling));
+            siblingOps.push({ deleteOne: { filter: { _id: sibling._id } } });
+            stats.deleted++;
+          } else {
+            /* The sibling stays in its conversation, so its copy needs an ID of its own */
+            llmResponses.push(toLLMResponse(sibling, crypto.randomUUID()));
+            siblingOps.push(unsetShared(sibling));
+            stats.updated++;
           }
         }
-      });
+
+        bulkOps.push(
+          {
+            updateOne: {
+              filter: { _id: primary._id },
+              update: { $set: { llmResponses }, $unset: { sharedUserMessageId: '' } },
+            },
+          },
+          ...siblingOps,
+        );
+        stats.migrated++;
+        stats.updated++;
+      }
+
+      if (!dryRun && bulkOps.length > 0) {
+        await Message.bulkWrite(bulkOps, { ordered: false });
+      }
+      onBatch?.({ ...stats });
+
+      if (batch.length < batchSize) {
+        break;
+      }
     }
 
-    return messagesWithSiblings;
+    return stats;
   } catch (err) {
-    logger.error('Error getting messages with multi-LLM siblings:', err);
+    logger.error('Error migrating legacy multi-LLM siblings:', err);
     throw err;
   }
 }
@@ -480,4 +997,10 @@ module.exports = {
   getMessage,
   deleteMessages,
   getMessagesWithMultiLLMSiblings,
+  migrateLegacyMultiLLMSiblings,
+  promoteLLMResponse,
+  saveLLMResponseVersion,
+  savePreferenceVote,
+  getPreferenceVotes,
+  toSiblingMessage,
 };
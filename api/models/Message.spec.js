@@ -5,11 +5,18 @@ const { messageSchema } = require('@librechat/data-schemas');
 
 const {
   saveMessage,
+  getMessage,
   getMessages,
   updateMessage,
   deleteMessages,
   updateMessageText,
   deleteMessagesSince,
+  promoteLLMResponse,
+  saveLLMResponseVersion,
+  savePreferenceVote,
+  getPreferenceVotes,
+  migrateLegacyMultiLLMSiblings,
+  getMessagesWithMultiLLMSiblings,
 } = require('./Message');
 
 /**
@@ -314,4 +321,415 @@ describe('Message Operations', () => {
       expect(messages[0].text).toBe('Victim message');
     });
   });
+
+  describe('migrateLegacyMultiLLMSiblings', () => {
+    const createLegacyGroup = async ({ user = 'user123', siblingConversationId } = {}) => {
+      const conversationId = uuidv4();
+      const userMessageId = uuidv4();
+      await Message.create([
+        {
+          user,
+          conversationId,
+          messageId: userMessageId,
+          parentMessageId: '00000000-0000-0000-0000-000000000000',
+          isCreatedByUser: true,
+          text: 'Question',
+        },
+        {
+          user,
+          conversationId,
+          messageId: `${userMessageId}-a`,
+          parentMessageId: userMessageId,
+          sharedUserMessageId: userMessageId,
+          isCreatedByUser: false,
+          endpoint: 'openAI',
+          model: 'gpt-4o',
+          text: 'Answer A',
+          createdAt: new Date(Date.now() - 1000),
+        },
+        {
+          user,
+          conversationId: siblingConversationId ?? conversationId,
+          messageId: `${userMessageId}-b`,
+          parentMessageId: userMessageId,
+          sharedUserMessageId: userMessageId,
+          isCreatedByUser: false,
+          endpoint: 'anthropic',
+          model: 'claude-sonnet-4',
+          text: 'Answer B',
+        },
+      ]);
+      return { conversationId, userMessageId };
+    };
+
+    it('should fold siblings into the llmResponses of the primary response', async () => {
+      const { userMessageId } = await createLegacyGroup();
+
+      const stats = await migrateLegacyMultiLLMSiblings();
+
+      expect(stats).toEqual({ groups: 1, migrated: 1, cleared: 0, updated: 1, deleted: 1 });
+      const primary = await Message.findOne({ messageId: `${userMessageId}-a` }).lean();
+      expect(primary.sharedUserMessageId).toBeUndefined();
+      expect(primary.llmResponses.map((r) => r.text)).toEqual(['Answer A', 'Answer B']);
+      expect(primary.llmResponses[1].model).toBe('claude-sonnet-4');
+      expect(primary.llmResponses.map((r) => r.messageId)).toEqual([
+        `${userMessageId}-a`,
+        `${userMessageId}-b`,
+      ]);
+      expect(await Message.findOne({ messageId: `${userMessageId}-b` })).toBeNull();
+    });
+
+    it('should keep siblings of other conversations and only unlink them', async () => {
+      const { userMessageId } = await createLegacyGroup({ siblingConversationId: uuidv4() });
+
+      const stats = await migrateLegacyMultiLLMSiblings();
+
+      expect(stats.deleted).toBe(0);
+      expect(stats.updated).toBe(2);
+      const sibling = await Message.findOne({ messageId: `${userMessageId}-b` }).lean();
+      expect(sibling.text).toBe('Answer B');
+      expect(sibling.sharedUserMessageId).toBeUndefined();
+      const primary = await Message.findOne({ messageId: `${userMessageId}-a` }).lean();
+      expect(primary.llmResponses[1].messageId).not.toBe(`${userMessageId}-b`);
+    });
+
+    it('should not write anything on a dry run', async () => {
+      const { userMessageId } = await createLegacyGroup();
+
+      const stats = await migrateLegacyMultiLLMSiblings({ dryRun: true });
+
+      expect(stats.migrated).toBe(1);
+      const primary = await Message.findOne({ messageId: `${userMessageId}-a` }).lean();
+      expect(primary.llmResponses).toBeUndefined();
+      expect(primary.sharedUserMessageId).toBe(userMessageId);
+      expect(await Message.findOne({ messageId: `${userMessageId}-b` })).toBeTruthy();
+    });
+
+    it('should only migrate the messages of the given user, in batches', async () => {
+      await createLegacyGroup({ user: 'user123' });
+      await createLegacyGroup({ user: 'user123' });
+      const other = await createLegacyGroup({ user: 'other456' });
+      const onBatch = jest.fn();
+
+      const stats = await migrateLegacyMultiLLMSiblings({ user: 'user123', batchSize: 1, onBatch });
+
+      expect(stats.migrated).toBe(2);
+      expect(onBatch).toHaveBeenCalledTimes(2);
+      const untouched = await Message.findOne({ messageId: `${other.userMessageId}-a` }).lean();
+      expect(untouched.sharedUserMessageId).toBe(other.userMessageId);
+    });
+  });
+
+  describe('getMessagesWithMultiLLMSiblings', () => {
+    it('should return the llmResponses as siblings, without looking up legacy siblings', async () => {
+      const { conversationId, messageId: userMessageId } = await Message.create({
+        user: 'user123',
+        conversationId: uuidv4(),
+        messageId: uuidv4(),
+        isCreatedByUser: true,
+        text: 'Question',
+      });
+      await Message.create([
+        {
+          user: 'user123',
+          conversationId,
+          messageId: 'primary-msg',
+          parentMessageId: userMessageId,
+          isCreatedByUser: false,
+          text: 'Answer A',
+          llmResponses: [
+            { messageId: 'primary-msg', model: 'gpt-4o', text: 'Answer A' },
+            { messageId: 'sibling-msg', model: 'claude-sonnet-4', text: 'Answer B' },
+          ],
+        },
+        {
+          user: 'user123',
+          conversationId,
+          messageId: 'legacy-msg',
+          parentMessageId: userMessageId,
+          sharedUserMessageId: 'shared-id',
+          isCreatedByUser: false,
+          text: 'Legacy answer',
+        },
+        {
+          user: 'user123',
+          conversationId: uuidv4(),
+          messageId: 'legacy-sibling-msg',
+          sharedUserMessageId: 'shared-id',
+          isCreatedByUser: false,
+          text: 'Legacy sibling',
+        },
+      ]);
+      const findSpy = jest.spyOn(Message, 'find');
+
+      const messages = await getMessagesWithMultiLLMSiblings({ conversationId, user: 'user123' });
+
+      expect(findSpy).toHaveBeenCalledTimes(1);
+      findSpy.mockRestore();
+      const primary = messages.find((message) => message.messageId === 'primary-msg');
+      expect(primary.multiLLMSiblings).toHaveLength(1);
+      expect(primary.multiLLMSiblings[0]).toMatchObject({
+        messageId: 'sibling-msg',
+        text: 'Answer B',
+      });
+      const legacy = messages.find((message) => message.messageId === 'legacy-msg');
+      expect(legacy.multiLLMSiblings).toBeUndefined();
+    });
+
+    it('should assign and persist the IDs of llmResponses saved without one', async () => {
+      const conversationId = uuidv4();
+      await Message.create({
+        user: 'user123',
+        conversationId,
+        messageId: 'primary-msg',
+        isCreatedByUser: false,
+        text: 'Answer A',
+        llmResponses: [
+          { model: 'gpt-4o', text: 'Answer A' },
+          { model: 'claude-sonnet-4', text: 'Answer B' },
+          { model: 'gemini-2.5-pro', text: 'Answer C' },
+        ],
+      });
+
+      const [first] = await getMessagesWithMultiLLMSiblings({ conversationId }, '-_id -__v');
+      const [second] = await getMessagesWithMultiLLMSiblings({ conversationId });
+
+      const siblingIds = first.multiLLMSiblings.map((sibling) => sibling.messageId);
+      expect(siblingIds).toHaveLength(2);
+      siblingIds.forEach((id) => expect(id).toMatch(/^[0-9a-f-]{36}$/));
+      expect(new Set(siblingIds).size).toBe(2);
+      expect(second.multiLLMSiblings.map((sibling) => sibling.messageId)).toEqual(siblingIds);
+
+      const saved = await Message.findOne({ messageId: 'primary-msg' }).lean();
+      expect(saved.llmResponses.map((response) => response.messageId)).toEqual([
+        'primary-msg',
+        ...siblingIds,
+      ]);
+      const [sibling] = await getMessages({ messageId: siblingIds[0] });
+      expect(sibling).toMatchObject({ text: 'Answer B', model: 'claude-sonnet-4' });
+    });
+  });
+
+  describe('llmResponses siblings', () => {
+    let conversationId;
+
+    beforeEach(async () => {
+      conversationId = uuidv4();
+      await Message.create({
+        user: 'user123',
+        conversationId,
+        messageId: 'primary-msg',
+        parentMessageId: 'user-msg',
+        isCreatedByUser: false,
+        text: 'Answer A',
+        llmResponses: [
+          { messageId: 'primary-msg', endpoint: 'openAI', model: 'gpt-4o', text: 'Answer A' },
+          {
+            messageId: 'sibling-msg',
+            endpoint: 'anthropic',
+            model: 'claude-sonnet-4',
+            text: 'Answer B',
+            tokenCount: 12,
+          },
+        ],
+      });
+    });
+
+    it('should get a sibling response as a message of its own', async () => {
+      const sibling = await getMessage({ user: 'user123', messageId: 'sibling-msg' });
+      expect(sibling).toMatchObject({
+        messageId: 'sibling-msg',
+        conversationId,
+        parentMessageId: 'user-msg',
+        model: 'claude-sonnet-4',
+        text: 'Answer B',
+        tokenCount: 12,
+      });
+      expect(sibling.llmResponses).toBeUndefined();
+
+      const [selected] = await getMessages({ conversationId, messageId: 'sibling-msg' }, '-user');
+      expect(selected.text).toBe('Answer B');
+      expect(selected.user).toBeUndefined();
+    });
+
+    it('should not get sibling responses of other users', async () => {
+      expect(await getMessage({ user: 'other456', messageId: 'sibling-msg' })).toBeNull();
+    });
+
+    it('should update a sibling response in place', async () => {
+      const result = await updateMessage(mockReq, {
+        messageId: 'sibling-msg',
+        text: 'Edited B',
+        feedback: { rating: 'thumbsUp' },
+      });
+      expect(result).toMatchObject({ messageId: 'sibling-msg', text: 'Edited B' });
+
+      const message = await Message.findOne({ messageId: 'primary-msg' }).lean();
+      expect(message.text).toBe('Answer A');
+      expect(message.llmResponses[1].text).toBe('Edited B');
+      expect(message.llmResponses[1].feedback.rating).toBe('thumbsUp');
+      expect(await Message.countDocuments({ messageId: 'sibling-msg' })).toBe(0);
+    });
+
+    it('should keep the first response in sync with its message', async () => {
+      await updateMessage(mockReq, { messageId: 'primary-msg', text: 'Edited A' });
+
+      const message = await Message.findOne({ messageId: 'primary-msg' }).lean();
+      expect(message.text).toBe('Edited A');
+      expect(message.llmResponses[0].text).toBe('Edited A');
+    });
+
+    it('should delete a sibling response from its message', async () => {
+      const result = await deleteMessages({ messageId: 'sibling-msg' });
+      expect(result.deletedCount).toBe(1);
+
+      const message = await Message.findOne({ messageId: 'primary-msg' }).lean();
+      expect(message.llmResponses.map((r) => r.messageId)).toEqual(['primary-msg']);
+    });
+
+    it('should promote a sibling response to be the canonical reply', async () => {
+      await Message.create({
+        user: 'user123',
+        conversationId,
+        messageId: 'follow-up',
+        parentMessageId: 'primary-msg',
+        isCreatedByUser: true,
+        text: 'Follow-up',
+      });
+
+      const result = await promoteLLMResponse(mockReq, {
+        conversationId,
+        messageId: 'sibling-msg',
+      });
+      expect(result).toMatchObject({
+        messageId: 'sibling-msg',
+        endpoint: 'anthropic',
+        model: 'claude-sonnet-4',
+        text: 'Answer B',
+        tokenCount: 12,
+      });
+      expect(result.llmResponses.map((r) => r.messageId)).toEqual(['sibling-msg', 'primary-msg']);
+
+      const followUp = await Message.findOne({ messageId: 'follow-up' }).lean();
+      expect(followUp.parentMessageId).toBe('sibling-msg');
+      expect(await Message.countDocuments({ messageId: 'primary-msg' })).toBe(0);
+    });
+
+    it('should not promote the primary response or responses of other conversations', async () => {
+      expect(
+        await promoteLLMResponse(mockReq, { conversationId, messageId: 'primary-msg' }),
+      ).toBeNull();
+      expect(
+        await promoteLLMResponse(mockReq, { conversationId: uuidv4(), messageId: 'sibling-msg' }),
+      ).toBeNull();
+    });
+
+    it('should keep the previous attempt of a regenerated response as a version', async () => {
+      const result = await saveLLMResponseVersion(mockReq, {
+        conversationId,
+        messageId: 'primary-msg',
+        responseId: 'sibling-msg',
+        response: { endpoint: 'anthropic', model: 'claude-opus-4', text: 'Answer B2' },
+      });
+      expect(result.text).toBe('Answer A');
+      expect(result.llmResponses[1]).toMatchObject({
+        messageId: 'sibling-msg',
+        model: 'claude-opus-4',
+        text: 'Answer B2',
+      });
+      expect(result.llmResponses[1].versions).toHaveLength(1);
+      expect(result.llmResponses[1].versions[0]).toMatchObject({
+        model: 'claude-sonnet-4',
+        text: 'Answer B',
+        tokenCount: 12,
+      });
+      expect(result.llmResponses[1].versions[0].messageId).toBeUndefined();
+
+      const again = await saveLLMResponseVersion(mockReq, {
+        conversationId,
+        messageId: 'primary-msg',
+        responseId: 'sibling-msg',
+        response: { endpoint: 'anthropic', model: 'claude-opus-4', text: 'Answer B3' },
+      });
+      expect(again.llmResponses[1].versions.map((v) => v.text)).toEqual(['Answer B', 'Answer B2']);
+    });
+
+    it('should keep the message in sync when regenerating the first response', async () => {
+      const result = await saveLLMResponseVersion(mockReq, {
+        conversationId,
+        messageId: 'primary-msg',
+        responseId: 'primary-msg',
+        response: { endpoint: 'openAI', model: 'gpt-4.1', text: 'Answer A2' },
+      });
+      expect(result).toMatchObject({ model: 'gpt-4.1', text: 'Answer A2' });
+      expect(result.llmResponses[0].versions[0].text).toBe('Answer A');
+
+      expect(
+        await saveLLMResponseVersion(mockReq, {
+          conversationId,
+          messageId: 'primary-msg',
+          responseId: 'unknown-msg',
+          response: { text: 'Nope' },
+        }),
+      ).toBeNull();
+    });
+
+    it('should save a preference vote, replacing an earlier vote on the same pair', async () => {
+      const vote = { conversationId, messageId: 'primary-msg' };
+      await savePreferenceVote(mockReq, {
+        ...vote,
+        left: 'primary-msg',
+        right: 'sibling-msg',
+        vote: 'left',
+      });
+      const preferences = await savePreferenceVote(mockReq, {
+        ...vote,
+        left: 'sibling-msg',
+        right: 'primary-msg',
+        vote: 'tie',
+      });
+
+      expect(preferences).toHaveLength(1);
+      expect(preferences[0]).toMatchObject({
+        left: 'sibling-msg',
+        right: 'primary-msg',
+        vote: 'tie',
+      });
+    });
+
+    it("should not save votes on unknown responses or other users' messages", async () => {
+      const vote = { conversationId, messageId: 'primary-msg', vote: 'left' };
+      expect(
+        await savePreferenceVote(mockReq, { ...vote, left: 'primary-msg', right: 'unknown' }),
+      ).toBeNull();
+      expect(
+        await savePreferenceVote(mockReq, { ...vote, left: 'primary-msg', right: 'primary-msg' }),
+      ).toBeNull();
+      expect(
+        await savePreferenceVote(
+          { user: { id: 'other456' } },
+          { ...vote, left: 'primary-msg', right: 'sibling-msg' },
+        ),
+      ).toBeNull();
+    });
+
+    it('should get preference votes with the models of both responses', async () => {
+      await savePreferenceVote(mockReq, {
+        conversationId,
+        messageId: 'primary-msg',
+        left: 'sibling-msg',
+        right: 'primary-msg',
+        vote: 'right',
+      });
+
+      const votes = await getPreferenceVotes();
+      expect(votes).toEqual([
+        expect.objectContaining({
+          left: { endpoint: 'anthropic', model: 'claude-sonnet-4' },
+          right: { endpoint: 'openAI', model: 'gpt-4o' },
+          vote: 'right',
+        }),
+      ]);
+    });
+  });
 });
@@ -1,7 +1,8 @@
 const { logger } = require('@librechat/data-schemas');
-const { getBalanceConfig } = require('~/server/services/Config');
+const { getBalanceConfig, getEndpointPricingConfig } = require('~/server/services/Config');
 const { getMultiplier, getCacheMultiplier } = require('./tx');
-const { Transaction, Balance } = require('~/db/models');
+const { recordSpending } = require('./budgetMethods');
+const { Transaction, Balance, Conversation } = require('~/db/models');
 
 const cancelRate = 1.15;
 
@@ -142,8 +143,10 @@ function calculateTokenValue(txn) {
   if (!txn.valueKey || !txn.tokenType) {
     txn.tokenValue = txn.rawAmount;
   }
-  const { valueKey, tokenType, model, endpointTokenConfig } = txn;
-  const multiplier = Math.abs(getMultiplier({ valueKey, tokenType, model, endpointTokenConfig }));
+  const { valueKey, tokenType, model, endpoint, endpointTokenConfig, endpointPricing } = txn;
+  const multiplier = Math.abs(
+    getMultiplier({ valueKey, tokenType, model, endpoint, endpointTokenConfig, endpointPricing }),
+  );
   txn.rate = multiplier;
   txn.tokenValue = txn.rawAmount * multiplier;
   if (txn.context && txn.tokenType === 'completion' && txn.context === 'incomplete') {
@@ -166,7 +169,9 @@ async function createAutoRefillTransaction(txData) {
     return;
   }
   const transaction = new Transaction(txData);
+  transaction.endpoint = txData.endpoint;
   transaction.endpointTokenConfig = txData.endpointTokenConfig;
+  transaction.endpointPricing = await getEndpointPricingConfig(txData.endpoint);
   calculateTokenValue(transaction);
   await transaction.save();
 
@@ -195,10 +200,13 @@ async function createTransaction(txData) {
   }
 
   const transaction = new Transaction(txData);
+  transaction.endpoint = txData.endpoint;
   transaction.endpointTokenConfig = txData.endpointTokenConfig;
+  transaction.endpointPricing = await getEndpointPricingConfig(txData.endpoint);
   calculateTokenValue(transaction);
 
   await transaction.save();
+  await recordSpending(transaction);
 
   const balance = await getBalanceConfig();
   if (!balance?.enabled) {
@@ -224,14 +232,15 @@ async function createTransaction(txData) {
  * @param {txData} txData - Transaction data.
  */
 async function createStructuredTransaction(txData) {
-  const transaction = new Transaction({
-    ...txData,
-    endpointTokenConfig: txData.endpointTokenConfig,
-  });
+  const transaction = new Transaction(txData);
+  transaction.endpoint = txData.endpoint;
+  transaction.endpointTokenConfig = txData.endpointTokenConfig;
+  transaction.endpointPricing = await getEndpointPricingConfig(txData.endpoint);
 
   calculateStructuredTokenValue(transaction);
 
   await transaction.save();
+  await recordSpending(transaction);
 
   const balance = await getBalanceConfig();
   if (!balance?.enabled) {
@@ -260,14 +269,15 @@ function calculateStructuredTokenValue(txn) {
     return;
   }
 
-  const { model, endpointTokenConfig } = txn;
+  const { model, endpoint, endpointTokenConfig, endpointPricing } = txn;
+  const rateParams = { model, endpoint, endpointTokenConfig, endpointPricing };
 
   if (txn.tokenType === 'prompt') {
-    const inputMultiplier = getMultiplier({ tokenType: 'prompt', model, endpointTokenConfig });
+    const inputMultiplier = getMultiplier({ tokenType: 'prompt', ...rateParams });
     const writeMultiplier =
-      getCacheMultiplier({ cacheType: 'write', model, endpointTokenConfig }) ?? inputMultiplier;
+      getCacheMultiplier({ cacheType: 'write', ...rateParams }) ?? inputMultiplier;
     const readMultiplier =
-      getCacheMultiplier({ cacheType: 'read', model, endpointTokenConfig }) ?? inputMultiplier;
+      getCacheMultiplier({ cacheType: 'read', ...rateParams }) ?? inputMultiplier;
 
     txn.rateDetail = {
       input: inputMultiplier,
@@ -298,7 +308,7 @@ function calculateStructuredTokenValue(txn) {
 
     txn.rawAmount = -totalPromptTokens;
   } else if (txn.tokenType === 'completion') {
-    const multiplier = getMultiplier({ tokenType: txn.tokenType, model, endpointTokenConfig });
+    const multiplier = getMultiplier({ tokenType: txn.tokenType, ...rateParams });
     txn.rate = Math.abs(multiplier);
     txn.tokenValue = -Math.abs(txn.rawAmount) * multiplier;
     txn.rawAmount = -Math.abs(txn.rawAmount);
@@ -332,8 +342,71 @@ async function getTransactions(filter) {
   }
 }
 
+/**
+ * Returns a page of the transactions of a user, most recent first, with the titles of their
+ * conversations.
+ *
+ * @async
+ * @function getUserTransactions
+ * @param {Object} params
+ * @param {string} params.user - The ID of the user.
+ * @param {string} [params.cursor] - The ID of the last transaction of the previous page.
+ * @param {number} [params.pageSize=25] - The number of transactions per page.
+ * @returns {Promise<TTransactionsListResponse>}
+ */
+async function getUserTransactions({ user, cursor, pageSize = 25 }) {
+  const filter = { user };
+  if (cursor) {
+    filter._id = { $lt: cursor };
+  }
+  const transactions = await Transaction.find(filter)
+    .sort({ _id: -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  let nextCursor = null;
+  if (transactions.length > pageSize) {
+    transactions.pop();
+    nextCursor = transactions[transactions.length - 1]._id.toString();
+  }
+
+  const conversationIds = [
+    ...new Set(transactions.map((transaction) => transaction.conversationId).filter(Boolean)),
+  ];
+  const conversations = conversationIds.length
+    ? await Conversation.find(
+        { user, conversationId: { $in: conversationIds } },
+        'conversationId title',
+      ).lean()
+    : [];
+  const titles = new Map(conversations.map((convo) => [convo.conversationId, convo.title]));
+
+  return {
+    transactions: transactions.map((transaction) => ({
+      transactionId: transaction._id.toString(),
+      tokenType: transaction.tokenType,
+      context: transaction.context,
+      reason: transaction.reason,
+      counterparty: transaction.counterparty?.toString(),
+      counterpartyBudget: transaction.counterpartyBudget?.toString(),
+      model: transaction.model,
+      conversationId: transaction.conversationId,
+      conversationTitle: titles.get(transaction.conversationId),
+      rawAmount: transaction.rawAmount,
+      tokenValue: transaction.tokenValue,
+      rate: transaction.rate,
+      inputTokens: transaction.inputTokens,
+      writeTokens: transaction.writeTokens,
+      readTokens: transaction.readTokens,
+      createdAt: transaction.createdAt,
+    })),
+    nextCursor,
+  };
+}
+
 module.exports = {
   getTransactions,
+  getUserTransactions,
   createTransaction,
   createAutoRefillTransaction,
   createStructuredTransaction,
@@ -3,8 +3,8 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const { spendTokens, spendStructuredTokens } = require('./spendTokens');
 const { getBalanceConfig } = require('~/server/services/Config');
 const { getMultiplier, getCacheMultiplier } = require('./tx');
-const { createTransaction } = require('./Transaction');
-const { Balance } = require('~/db/models');
+const { createTransaction, getUserTransactions } = require('./Transaction');
+const { Balance, Conversation, Transaction } = require('~/db/models');
 
 // Mock the custom config module so we can control the balance flag.
 jest.mock('~/server/services/Config');
@@ -375,3 +375,34 @@ describe('NaN Handling Tests', () => {
     expect(balance.tokenCredits).toBe(initialBalance);
   });
 });
+
+describe('User Transaction History Tests', () => {
+  test('should page the transactions of a user, most recent first', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const otherUserId = new mongoose.Types.ObjectId();
+    for (let i = 0; i < 3; i++) {
+      await Transaction.create({
+        user: userId,
+        conversationId: 'convo-1',
+        tokenType: 'prompt',
+        model: 'gpt-4o',
+        rawAmount: -(i + 1) * 100,
+      });
+    }
+    await Transaction.create({ user: otherUserId, tokenType: 'prompt', rawAmount: -100 });
+    await Conversation.create({ user: userId, conversationId: 'convo-1', title: 'My chat' });
+
+    const firstPage = await getUserTransactions({ user: userId, pageSize: 2 });
+    expect(firstPage.transactions.map((tx) => tx.rawAmount)).toEqual([-300, -200]);
+    expect(firstPage.transactions[0].conversationTitle).toBe('My chat');
+    expect(firstPage.nextCursor).toBe(firstPage.transactions[1].transactionId);
+
+    const secondPage = await getUserTransactions({
+      user: userId,
+      cursor: firstPage.nextCursor,
+      pageSize: 2,
+    });
+    expect(secondPage.transactions.map((tx) => tx.rawAmount)).toEqual([-100]);
+    expect(secondPage.nextCursor).toBeNull();
+  });
+});
@@ -1,6 +1,8 @@
 const { logger } = require('@librechat/data-schemas');
 const { ViolationTypes } = require('librechat-data-provider');
+const { getBalanceConfig, getEndpointPricingConfig } = require('~/server/services/Config');
 const { createAutoRefillTransaction } = require('./Transaction');
+const { checkBudgets } = require('./budgetMethods');
 const { logViolation } = require('~/cache');
 const { getMultiplier } = require('./tx');
 const { Balance } = require('~/db/models');
@@ -22,7 +24,15 @@ const checkBalanceRecord = async function ({
   amount,
   endpointTokenConfig,
 }) {
-  const multiplier = getMultiplier({ valueKey, tokenType, model, endpoint, endpointTokenConfig });
+  const endpointPricing = await getEndpointPricingConfig(endpoint);
+  const multiplier = getMultiplier({
+    valueKey,
+    tokenType,
+    model,
+    endpoint,
+    endpointTokenConfig,
+    endpointPricing,
+  });
   const tokenCost = amount * multiplier;
 
   // Retrieve the balance record
@@ -112,7 +122,8 @@ const addIntervalToDate = (date, value, unit) => {
 };
 
 /**
- * Checks the balance for a user and determines if they can spend a certain amount.
+ * Checks the spending budgets and the balance for a user and determines if they can spend a
+ * certain amount, each when enabled.
  * If the user cannot spend the amount, it logs a violation and denies the request.
  *
  * @async
@@ -130,6 +141,12 @@ const addIntervalToDate = (date, value, unit) => {
  * @throws {Error} Throws an error if there's an issue with the balance check.
  */
 const checkBalance = async ({ req, res, txData }) => {
+  await checkBudgets({ req, res, txData });
+  const balanceConfig = await getBalanceConfig();
+  if (!balanceConfig?.enabled) {
+    return true;
+  }
+
   const { canSpend, balance, tokenCost } = await checkBalanceRecord(txData);
   if (canSpend) {
     return true;
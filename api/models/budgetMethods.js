@@ -0,0 +1,532 @@
+const mongoose = require('mongoose');
+const { logger } = require('@librechat/data-schemas');
+const { BudgetScope, ViolationTypes } = require('librechat-data-provider');
+const { getBudgetsConfig, getEndpointPricingConfig } = require('~/server/services/Config');
+const { checkEmailConfig, sendEmail } = require('~/server/utils');
+const { Budget, BudgetSpending, Transaction, User } = require('~/db/models');
+const { logViolation } = require('~/cache');
+const { getMultiplier } = require('./tx');
+
+/** Token credits per USD, the unit of transaction token values */
+const CREDITS_PER_USD = 1000000;
+
+/** Warning thresholds, in percent, when neither the budget nor the configuration sets them */
+const DEFAULT_WARNING_THRESHOLDS = [80];
+
+const currencyFormat = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+
+/**
+ * Returns the budget period containing the date: the calendar month, in UTC.
+ * @param {Date} [date]
+ * @returns {{ period: string, start: Date, end: Date }} The month as `YYYY-MM`, its first
+ * instant, and the first instant of the next month.
+ */
+const getBudgetPeriod = (date = new Date()) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  return { period: start.toISOString().slice(0, 7), start, end };
+};
+
+/** Token types of the transactions counted as spending */
+const SPENDING_TOKEN_TYPES = ['prompt', 'completion'];
+
+/**
+ * Returns the spending of a user during a budget period, in USD, from their prompt and
+ * completion transactions.
+ * @param {string | mongoose.Types.ObjectId} userId
+ * @param {{ start: Date, end: Date }} period
+ * @returns {Promise<number>}
+ */
+async function aggregateSpending(userId, { start, end }) {
+  const [result] = await Transaction.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        tokenType: { $in: SPENDING_TOKEN_TYPES },
+        createdAt: { $gte: start, $lt: end },
+      },
+    },
+    { $group: { _id: null, tokenValue: { $sum: '$tokenValue' } } },
+  ]);
+  /* Spending is recorded as negative token values */
+  return Math.max(0, -(result?.tokenValue ?? 0)) / CREDITS_PER_USD;
+}
+
+/**
+ * Returns the spending counter of a user for a period, creating it if needed.
+ * @param {string | mongoose.Types.ObjectId} userId
+ * @param {string} period
+ * @returns {Promise<IBudgetSpending>}
+ */
+async function findOrCreateCounter(userId, period) {
+  try {
+    return await BudgetSpending.findOneAndUpdate(
+      { user: userId, period },
+      { $setOnInsert: { since: new Date() } },
+      { upsert: true, new: true },
+    ).lean();
+  } catch (error) {
+    /* The counter was created concurrently */
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return await BudgetSpending.findOne({ user: userId, period }).lean();
+  }
+}
+
+/**
+ * Returns the spending of users during the current budget period, in USD, from their spending
+ * counters. A counter counts the transactions created since it was created, as recorded by
+ * `recordSpending`; the first time it is read, the transactions of the period created before it
+ * are added to it, once.
+ * @param {Array<string | mongoose.Types.ObjectId>} userIds
+ * @returns {Promise<number>}
+ */
+async function getSpending(userIds) {
+  if (!userIds.length) {
+    return 0;
+  }
+  const budgetPeriod = getBudgetPeriod();
+  const { period } = budgetPeriod;
+  const counters = await BudgetSpending.find(
+    { user: { $in: userIds }, period, seeded: true },
+    'user spent',
+  ).lean();
+  const seeded = new Set(counters.map((counter) => counter.user.toString()));
+  let spending = counters.reduce((total, counter) => total + counter.spent, 0);
+
+  for (const userId of userIds) {
+    if (seeded.has(userId.toString())) {
+      continue;
+    }
+    const { since } = await findOrCreateCounter(userId, period);
+    const spentBefore = await aggregateSpending(userId, { start: budgetPeriod.start, end: since });
+    const counter =
+      (await BudgetSpending.findOneAndUpdate(
+        { user: userId, period, seeded: { $ne: true } },
+        { $inc: { spent: spentBefore }, $set: { seeded: true } },
+        { new: true },
+      ).lean()) ??
+      /* Seeded by a concurrent request */
+      (await BudgetSpending.findOne({ user: userId, period }).lean());
+    spending += counter.spent;
+  }
+  return spending;
+}
+
+/**
+ * Adds a prompt or completion transaction to the spending counter of its user for the period
+ * it was created in, creating the counter from the transaction if there is none. Transactions
+ * created before their counter are left to the counter's seeding instead.
+ * @param {{ user: mongoose.Types.ObjectId, tokenType: string, tokenValue: number, createdAt: Date }} transaction
+ * @returns {Promise<void>}
+ */
+async function recordSpending({ user, tokenType, tokenValue, createdAt = new Date() }) {
+  if (!SPENDING_TOKEN_TYPES.includes(tokenType) || !(tokenValue < 0)) {
+    return;
+  }
+  const { period } = getBudgetPeriod(createdAt);
+  try {
+    await BudgetSpending.updateOne(
+      { user, period, since: { $lte: createdAt } },
+      { $inc: { spent: -tokenValue / CREDITS_PER_USD }, $setOnInsert: { since: createdAt } },
+      { upsert: true },
+    );
+  } catch (error) {
+    /* The counter was created after the transaction, so its seeding counts it */
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Returns the enabled budgets applying to a user: their user budget, or else the budget of
+ * their role, and the budgets of the groups they belong to.
+ * @param {Object} params
+ * @param {string} params.user - The ID of the user.
+ * @param {string} [params.role] - The role of the user.
+ * @returns {Promise<IBudget[]>}
+ */
+async function getApplicableBudgets({ user, role }) {
+  const scopes = [
+    { scope: BudgetScope.user, user },
+    { scope: BudgetScope.group, members: user },
+  ];
+  if (role) {
+    scopes.push({ scope: BudgetScope.role, role });
+  }
+  const budgets = await Budget.find({ enabled: true, $or: scopes }).lean();
+  if (!budgets.some((budget) => budget.scope === BudgetScope.user)) {
+    return budgets;
+  }
+  return budgets.filter((budget) => budget.scope !== BudgetScope.role);
+}
+
+/**
+ * Returns the spending of the current month against each budget applying to a user.
+ * Group budgets count the spending of all members, the other budgets that of the user.
+ *
+ * @param {Object} params
+ * @param {string} params.user - The ID of the user.
+ * @param {string} [params.role] - The role of the user.
+ * @param {TCustomConfig['budgets']} [params.config] - The budgets configuration.
+ * @returns {Promise<TBudgetStatus[]>}
+ */
+async function getBudgetStatuses({ user, role, config }) {
+  const budgets = await getApplicableBudgets({ user, role });
+  if (!budgets.length) {
+    return [];
+  }
+
+  const { end } = getBudgetPeriod();
+  /** @type {number | undefined} */
+  let userSpending;
+  const statuses = [];
+  for (const budget of budgets) {
+    let spent;
+    if (budget.scope === BudgetScope.group) {
+      spent = await getSpending(budget.members);
+    } else {
+      userSpending = userSpending ?? (await getSpending([user]));
+      spent = userSpending;
+    }
+
+    const percentage = budget.limit > 0 ? (spent / budget.limit) * 100 : 100;
+    const thresholds = budget.warningThresholds?.length
+      ? budget.warningThresholds
+      : (config?.warningThresholds ?? DEFAULT_WARNING_THRESHOLDS);
+    const reached = thresholds.filter((threshold) => percentage >= threshold);
+
+    statuses.push({
+      budgetId: budget._id.toString(),
+      name: budget.name,
+      scope: budget.scope,
+      limit: budget.limit,
+      spent,
+      percentage,
+      warningThreshold: reached.length ? Math.max(...reached) : undefined,
+      hardLimit: budget.hardLimit,
+      exceeded: spent >= budget.limit,
+      resetsAt: end.toISOString(),
+    });
+  }
+  return statuses;
+}
+
+/**
+ * Sends the email warning a user that they reached a threshold of a budget.
+ * @param {string} userId
+ * @param {TBudgetStatus} status
+ * @returns {Promise<void>}
+ */
+async function sendBudgetWarningEmail(userId, status) {
+  const user = await User.findById(userId, 'email name username').lean();
+  if (!user?.email) {
+    return;
+  }
+  const limitMessage = status.hardLimit
+    ? 'Requests will be denied once the budget is used up.'
+    : 'Requests are not denied once the budget is used up, but the spending is reported.';
+  await sendEmail({
+    email: user.email,
+    subject: `You have used ${Math.floor(status.percentage)}% of your budget`,
+    payload: {
+      appName: process.env.APP_TITLE || 'LibreChat',
+      name: user.name || user.username || user.email,
+      budgetName: status.name,
+      percentage: Math.floor(status.percentage),
+      spent: currencyFormat.format(status.spent),
+      limit: currencyFormat.format(status.limit),
+      limitMessage,
+      resetsAt: new Date(status.resetsAt).toUTCString().slice(0, 16),
+      year: new Date().getFullYear(),
+    },
+    template: 'budgetWarning.handlebars',
+  });
+}
+
+/**
+ * Notifies a user of the warning thresholds of their budgets they reached, once per threshold
+ * and month: the threshold is recorded on the budget first, so concurrent requests do not send
+ * the same warning twice. Warnings are sent by email when enabled; the client shows them as a
+ * banner from the budget statuses.
+ *
+ * @param {Object} params
+ * @param {string} params.user - The ID of the user.
+ * @param {TBudgetStatus[]} params.statuses - The statuses of the budgets applying to the user.
+ * @param {TCustomConfig['budgets']} [params.config] - The budgets configuration.
+ * @returns {Promise<void>}
+ */
+async function notifyBudgetWarnings({ user, statuses, config }) {
+  const userId = user.toString();
+  const { period } = getBudgetPeriod();
+  for (const status of statuses) {
+    const threshold = status.warningThreshold;
+    if (threshold == null) {
+      continue;
+    }
+
+    const key = `warningsSent.${userId}`;
+    await Budget.updateOne(
+      { _id: status.budgetId, warningsPeriod: { $ne: period } },
+      { $set: { warningsPeriod: period, warningsSent: {} } },
+    );
+    const { modifiedCount } = await Budget.updateOne(
+      { _id: status.budgetId, warningsPeriod: period, [key]: { $not: { $gte: threshold } } },
+      { $set: { [key]: threshold } },
+    );
+    if (!modifiedCount) {
+      continue;
+    }
+
+    logger.info(
+      `[notifyBudgetWarnings] User ${userId} reached ${threshold}% of budget "${status.name}"`,
+    );
+    if (config?.emailWarnings !== false && checkEmailConfig()) {
+      await sendBudgetWarningEmail(userId, status);
+    }
+  }
+}
+
+/**
+ * Checks the spending budgets applying to a user, when budgets are enabled: notifies the user
+ * of the warning thresholds they reached and denies the request when the estimated cost would
+ * exceed a budget with a hard limit, logging a violation.
+ *
+ * @param {Object} params - The function parameters.
+ * @param {Express.Request} params.req - The Express request object.
+ * @param {Express.Response} params.res - The Express response object.
+ * @param {Object} params.txData - The transaction data, as for `checkBalance`.
+ * @returns {Promise<boolean>} Throws an error if a budget does not allow the spending.
+ */
+const checkBudgets = async ({ req, res, txData }) => {
+  const config = await getBudgetsConfig();
+  if (!config?.enabled) {
+    return true;
+  }
+
+  const { user, model, endpoint, valueKey, tokenType, amount, endpointTokenConfig } = txData;
+  const statuses = await getBudgetStatuses({ user, role: req?.user?.role, config });
+  if (!statuses.length) {
+    return true;
+  }
+
+  notifyBudgetWarnings({ user, statuses, config }).catch((error) => {
+    logger.error('[checkBudgets] Error notifying budget warnings', error);
+  });
+
+  const endpointPricing = await getEndpointPricingConfig(endpoint);
+  const multiplier = getMultiplier({
+    valueKey,
+    tokenType,
+    model,
+    endpoint,
+    endpointTokenConfig,
+    endpointPricing,
+  });
+  const cost = (amount * multiplier) / CREDITS_PER_USD;
+  const exceeded = statuses.find(
+    (status) => status.hardLimit && status.spent + cost > status.limit,
+  );
+  if (!exceeded) {
+    return true;
+  }
+
+  const type = ViolationTypes.BUDGET_LIMIT;
+  const errorMessage = {
+    type,
+    budget: exceeded.name,
+    scope: exceeded.scope,
+    limit: exceeded.limit,
+    spent: exceeded.spent,
+    cost,
+    resetsAt: exceeded.resetsAt,
+  };
+
+  await logViolation(req, res, type, errorMessage, 0);
+  throw new Error(JSON.stringify(errorMessage));
+};
+
+/**
+ * Formats a budget for API responses.
+ * @param {IBudget} budget
+ * @returns {TBudget}
+ */
+const toBudgetResponse = (budget) => ({
+  budgetId: budget._id.toString(),
+  name: budget.name,
+  scope: budget.scope,
+  user: budget.user?.toString(),
+  role: budget.role,
+  members: budget.scope === BudgetScope.group ? budget.members.map(String) : undefined,
+  limit: budget.limit,
+  warningThresholds: budget.warningThresholds,
+  hardLimit: budget.hardLimit,
+  enabled: budget.enabled,
+  createdAt: budget.createdAt,
+  updatedAt: budget.updatedAt,
+});
+
+/**
+ * Returns the error of a budget definition, if invalid.
+ * @param {Partial<TBudgetPayload>} budget
+ * @returns {string | undefined}
+ */
+function getBudgetValidationError(budget) {
+  const { scope, name, limit, user, role, members, warningThresholds } = budget;
+  if (!name || typeof name !== 'string') {
+    return 'A budget requires a name';
+  }
+  if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+    return 'The limit must be a positive amount in USD';
+  }
+  if (
+    warningThresholds != null &&
+    (!Array.isArray(warningThresholds) ||
+      warningThresholds.some((value) => typeof value !== 'number' || value < 1 || value > 100))
+  ) {
+    return 'Warning thresholds must be percentages between 1 and 100';
+  }
+  if (scope === BudgetScope.user) {
+    return mongoose.isValidObjectId(user) ? undefined : 'A user budget requires a valid user ID';
+  }
+  if (scope === BudgetScope.role) {
+    return role && typeof role === 'string' ? undefined : 'A role budget requires a role';
+  }
+  if (scope === BudgetScope.group) {
+    return Array.isArray(members) && members.every((id) => mongoose.isValidObjectId(id))
+      ? undefined
+      : 'A group budget requires the user IDs of its members';
+  }
+  return `The scope must be one of: ${Object.values(BudgetScope).join(', ')}`;
+}
+
+/** Fields of a budget set through the API */
+const BUDGET_FIELDS = [
+  'name',
+  'scope',
+  'user',
+  'role',
+  'members',
+  'limit',
+  'warningThresholds',
+  'hardLimit',
+  'enabled',
+];
+
+/**
+ * Keeps the fields of a budget set through the API, and only those relevant to its scope.
+ * @param {Partial<TBudgetPayload>} data
+ * @returns {Partial<TBudgetPayload>}
+ */
+const pickBudgetFields = (data) => {
+  const budget = {};
+  for (const field of BUDGET_FIELDS) {
+    if (data[field] !== undefined) {
+      budget[field] = data[field];
+    }
+  }
+  return budget;
+};
+
+/**
+ * Returns the target fields of the scopes other than the one of the budget, as a budget
+ * applies to a single target.
+ * @param {BudgetScope} scope
+ * @returns {Array<'user' | 'role' | 'members'>}
+ */
+const getOtherTargetFields = (scope) =>
+  ['user', 'role', 'members'].filter(
+    (field) =>
+      !(
+        (field === 'user' && scope === BudgetScope.user) ||
+        (field === 'role' && scope === BudgetScope.role) ||
+        (field === 'members' && scope === BudgetScope.group)
+      ),
+  );
+
+/**
+ * Lists all budgets.
+ * @returns {Promise<TBudget[]>}
+ */
+async function getBudgets() {
+  const budgets = await Budget.find({}).sort({ scope: 1, name: 1 }).lean();
+  return budgets.map(toBudgetResponse);
+}
+
+/**
+ * Creates a budget.
+ * @param {TBudgetPayload} data
+ * @returns {Promise<{ budget?: TBudget, error?: string }>}
+ */
+async function createBudget(data) {
+  const fields = pickBudgetFields(data);
+  const error = getBudgetValidationError(fields);
+  if (error) {
+    return { error };
+  }
+  for (const field of getOtherTargetFields(fields.scope)) {
+    delete fields[field];
+  }
+  const budget = await Budget.create(fields);
+  return { budget: toBudgetResponse(budget.toObject()) };
+}
+
+/**
+ * Updates a budget; the changes are validated against the current definition.
+ * @param {string} budgetId
+ * @param {Partial<TBudgetPayload>} data
+ * @returns {Promise<{ budget?: TBudget, error?: string } | null>} `null` if not found.
+ */
+async function updateBudget(budgetId, data) {
+  if (!mongoose.isValidObjectId(budgetId)) {
+    return null;
+  }
+  const current = await Budget.findById(budgetId).lean();
+  if (!current) {
+    return null;
+  }
+  const fields = pickBudgetFields(data);
+  const error = getBudgetValidationError({ ...toBudgetResponse(current), ...fields });
+  if (error) {
+    return { error };
+  }
+
+  const $unset = {};
+  for (const field of getOtherTargetFields(fields.scope ?? current.scope)) {
+    delete fields[field];
+    $unset[field] = 1;
+  }
+  const budget = await Budget.findByIdAndUpdate(
+    budgetId,
+    { $set: fields, $unset },
+    { new: true },
+  ).lean();
+  return budget ? { budget: toBudgetResponse(budget) } : null;
+}
+
+/**
+ * Deletes a budget.
+ * @param {string} budgetId
+ * @returns {Promise<boolean>} Whether the budget existed.
+ */
+async function deleteBudget(budgetId) {
+  if (!mongoose.isValidObjectId(budgetId)) {
+    return false;
+  }
+  const { deletedCount } = await Budget.deleteOne({ _id: budgetId });
+  return deletedCount > 0;
+}
+
+module.exports = {
+  checkBudgets,
+  getBudgetStatuses,
+  getBudgetPeriod,
+  getSpending,
+  recordSpending,
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+};
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { BudgetScope, ViolationTypes } = require('librechat-data-provider');
+const { getBudgetsConfig, getBalanceConfig } = require('~/server/services/Config');
+const { Budget, BudgetSpending, Transaction, User } = require('~/db/models');
+const { checkEmailConfig, sendEmail } = require('~/server/utils');
+const { createTransaction } = require('./Transaction');
+const { logViolation } = require('~/cache');
+const {
+  checkBudgets,
+  getBudgetStatuses,
+  getBudgetPeriod,
+  getSpending,
+  createBudget,
+} = require('./budgetMethods');
+
+jest.mock('~/server/services/Config', () => ({
+  getBudgetsConfig: jest.fn(),
+  getBalanceConfig: jest.fn(),
+  getEndpointPricingConfig: jest.fn(),
+}));
+jest.mock('~/server/utils', () => ({ checkEmailConfig: jest.fn(), sendEmail: jest.fn() }));
+jest.mock('~/cache', () => ({ logViolation: jest.fn() }));
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+/** Prompt rate of `gpt-4o`, in USD per 1M tokens */
+const PROMPT_RATE = 2.5;
+
+let mongoServer;
+let user;
+let member;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await mongoose.connection.dropDatabase();
+  getBudgetsConfig.mockResolvedValue({ enabled: true, warningThresholds: [80] });
+  getBalanceConfig.mockResolvedValue({ enabled: false });
+  user = (await User.create({ email: 'user@example.com', name: 'User', provider: 'local' }))._id;
+  member = (await User.create({ email: 'member@example.com', provider: 'local' }))._id;
+});
+
+/** Spends USD as a prompt transaction of `gpt-4o`, recording it like the clients do */
+const spend = (userId, usd) =>
+  createTransaction({
+    user: userId,
+    tokenType: 'prompt',
+    model: 'gpt-4o',
+    context: 'message',
+    rawAmount: -(usd * 1000000) / PROMPT_RATE,
+  });
+
+/** Inserts a prompt transaction without recording it, as before the counters existed */
+const insertUnrecordedSpending = (userId, usd, createdAt = new Date()) =>
+  Transaction.collection.insertOne({
+    user: userId,
+    tokenType: 'prompt',
+    model: 'gpt-4o',
+    rawAmount: -(usd * 1000000) / PROMPT_RATE,
+    tokenValue: -usd * 1000000,
+    createdAt,
+    updatedAt: createdAt,
+  });
+
+const txData = () => ({
+  user: user.toString(),
+  tokenType: 'prompt',
+  amount: 1000,
+  model: 'gpt-4o',
+});
+const req = () => ({ user: { id: user.toString(), role: 'USER' } });
+
+describe('getBudgetPeriod', () => {
+  it('returns the calendar month in UTC', () => {
+    const { period, start, end } = getBudgetPeriod(new Date('2025-12-31T23:30:00.000Z'));
+    expect(period).toBe('2025-12');
+    expect(start.toISOString()).toBe('2025-12-01T00:00:00.000Z');
+    expect(end.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+  });
+});
+
+describe('getSpending', () => {
+  it('counts the transactions recorded before and after the counter is first read', async () => {
+    await spend(user, 2);
+    expect(await getSpending([user])).toBeCloseTo(2);
+
+    await spend(user, 3);
+    expect(await getSpending([user])).toBeCloseTo(5);
+
+    const counter = await BudgetSpending.findOne({ user }).lean();
+    expect(counter).toMatchObject({ period: getBudgetPeriod().period, seeded: true });
+    expect(counter.spent).toBeCloseTo(5);
+  });
+
+  it('adds the spending of the month from before the counter, once', async () => {
+    const { start } = getBudgetPeriod();
+    await insertUnrecordedSpending(user, 4, start);
+    await insertUnrecordedSpending(user, 100, new Date(start.getTime() - 1));
+    await spend(user, 1);
+
+    expect(await getSpending([user])).toBeCloseTo(5);
+    expect(await getSpending([user])).toBeCloseTo(5);
+  });
+
+  it('does not count a transaction twice when it created the counter', async () => {
+    await spend(user, 1);
+
+    await Promise.all([getSpending([user]), getSpending([user])]);
+
+    expect(await getSpending([user])).toBeCloseTo(1);
+    expect(await BudgetSpending.countDocuments({ user })).toBe(1);
+  });
+
+  it('sums the spending of several users', async () => {
+    await spend(user, 1.5);
+    await spend(member, 2.5);
+
+    expect(await getSpending([user, member])).toBeCloseTo(4);
+  });
+});
+
+describe('getBudgetStatuses', () => {
+  it('applies the user budget instead of the role budget', async () => {
+    await Budget.create([
+      { name: 'Role', scope: BudgetScope.role, role: 'USER', limit: 5 },
+      { name: 'User', scope: BudgetScope.user, user, limit: 50 },
+    ]);
+    await spend(user, 10);
+
+    const statuses = await getBudgetStatuses({ user: user.toString(), role: 'USER' });
+
+    expect(statuses).toHaveLength(1);
+    expect(statuses[0]).toMatchObject({ scope: BudgetScope.user, percentage: 20 });
+    expect(statuses[0].spent).toBeCloseTo(10);
+  });
+
+  it('counts the spending of all members for group budgets', async () => {
+    await Budget.create({
+      name: 'Team',
+      scope: BudgetScope.group,
+      members: [user, member],
+      limit: 100,
+    });
+    await spend(user, 60);
+    await spend(member, 25);
+
+    const [status] = await getBudgetStatuses({
+      user: user.toString(),
+      config: { warningThresholds: [50, 80] },
+    });
+
+    expect(status.spent).toBeCloseTo(85);
+    expect(status).toMatchObject({ warningThreshold: 80, exceeded: false });
+  });
+});
+
+describe('checkBudgets', () => {
+  it('does nothing when budgets are disabled', async () => {
+    getBudgetsConfig.mockResolvedValue({ enabled: false });
+    await Budget.create({ name: 'User', scope: BudgetScope.user, user, limit: 0 });
+
+    await expect(checkBudgets({ req: req(), res: {}, txData: txData() })).resolves.toBe(true);
+  });
+
+  it('denies the request when it would exceed a hard limit', async () => {
+    await Budget.create({ name: 'User', scope: BudgetScope.user, user, limit: 10 });
+    await spend(user, 9.999);
+
+    await expect(checkBudgets({ req: req(), res: {}, txData: txData() })).rejects.toThrow(
+      ViolationTypes.BUDGET_LIMIT,
+    );
+    expect(logViolation).toHaveBeenCalledWith(
+      req(),
+      {},
+      ViolationTypes.BUDGET_LIMIT,
+      expect.objectContaining({ budget: 'User', limit: 10 }),
+      0,
+    );
+  });
+
+  it('allows the request past a soft limit', async () => {
+    await Budget.create({
+      name: 'Role',
+      scope: BudgetScope.role,
+      role: 'USER',
+      limit: 10,
+      hardLimit: false,
+    });
+    await spend(user, 12);
+
+    await expect(checkBudgets({ req: req(), res: {}, txData: txData() })).resolves.toBe(true);
+    expect(logViolation).not.toHaveBeenCalled();
+  });
+
+  it('emails a warning once the threshold is first reached', async () => {
+    const { _id } = await Budget.create({
+      name: 'User',
+      scope: BudgetScope.user,
+      user,
+      limit: 10,
+    });
+    checkEmailConfig.mockReturnValue(true);
+    await spend(user, 8.5);
+
+    await checkBudgets({ req: req(), res: {}, txData: txData() });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await checkBudgets({ req: req(), res: {}, txData: txData() });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const budget = await Budget.findById(_id).lean();
+    expect(budget.warningsPeriod).toBe(getBudgetPeriod().period);
+    expect(budget.warningsSent[user.toString()]).toBe(80);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        email: 'user@example.com',
+        template: 'budgetWarning.handlebars',
+      }),
+    );
+  });
+});
+
+describe('createBudget', () => {
+  it('rejects budgets without a target for their scope', async () => {
+    const result = await createBudget({ name: 'Finance', scope: BudgetScope.group, limit: 100 });
+
+    expect(result.error).toMatch(/group budget/);
+    expect(await Budget.countDocuments()).toBe(0);
+  });
+
+  it('keeps only the target of the scope', async () => {
+    const { budget } = await createBudget({
+      name: 'Finance',
+      scope: BudgetScope.group,
+      members: [user.toString(), member.toString()],
+      role: 'USER',
+      limit: 100,
+    });
+
+    const saved = await Budget.findById(budget.budgetId).lean();
+    expect(saved.role).toBeUndefined();
+    expect(saved.members.map(String)).toEqual([user.toString(), member.toString()]);
+    expect(budget).toMatchObject({ members: [user.toString(), member.toString()], limit: 100 });
+  });
+});
@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const { logger } = require('@librechat/data-schemas');
+const { BudgetScope, CreditAdjustmentType } = require('librechat-data-provider');
+const { Balance, Budget, Transaction, User } = require('~/db/models');
+
+/** Number of attempts to change credits that are concurrently spent */
+const MAX_RETRIES = 10;
+
+/** Maximum length of the reason of an adjustment */
+const MAX_REASON_LENGTH = 500;
+
+/** Adjustments of the credits of a single user */
+const adjustmentTypes = [
+  CreditAdjustmentType.grant,
+  CreditAdjustmentType.set,
+  CreditAdjustmentType.revoke,
+];
+
+/**
+ * Changes the credits of a user with optimistic concurrency control, like `updateBalance`, but
+ * from a function of the current credits so that the change is known exactly.
+ *
+ * @param {string} user - The user ID.
+ * @param {(credits: number) => number | null} getCredits - Returns the new credits from the
+ * current ones, or `null` to leave them unchanged.
+ * @returns {Promise<{ previous: number, tokenCredits: number } | null>} `null` when unchanged.
+ */
+async function changeCredits(user, getCredits) {
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    const current = await Balance.findOne({ user }).lean();
+    const previous = current?.tokenCredits ?? 0;
+    const tokenCredits = getCredits(previous);
+    if (tokenCredits == null) {
+      return null;
+    }
+
+    try {
+      const balance = await Balance.findOneAndUpdate(
+        current ? { user, tokenCredits: previous } : { user },
+        { $set: { tokenCredits: Math.max(0, tokenCredits) } },
+        { upsert: !current, new: true },
+      ).lean();
+      if (balance) {
+        return { previous, tokenCredits: balance.tokenCredits };
+      }
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50 * attempt));
+  }
+  throw new Error(`Failed to change the credits of user ${user} after ${MAX_RETRIES} attempts`);
+}
+
+/**
+ * Records a change of credits as an adjustment transaction.
+ * @param {Object} params
+ * @param {string} params.user - The user whose credits changed.
+ * @param {CreditAdjustmentType} params.type - The type of adjustment.
+ * @param {number} params.amount - The change of credits, negative when removed.
+ * @param {string} params.reason - Why the credits were adjusted.
+ * @param {string} [params.actor] - The admin who adjusted the credits.
+ * @param {string} [params.counterparty] - The other user of a transfer.
+ * @param {string} [params.counterpartyBudget] - The group budget a transfer was split among.
+ * @returns {Promise<void>}
+ */
+async function recordAdjustment({
+  user,
+  type,
+  amount,
+  reason,
+  actor,
+  counterparty,
+  counterpartyBudget,
+}) {
+  await Transaction.create({
+    user,
+    tokenType: 'adjustment',
+    context: type,
+    rawAmount: amount,
+    tokenValue: amount,
+    rate: 1,
+    reason,
+    actor,
+    counterparty,
+    counterpartyBudget,
+  });
+}
+
+/**
+ * Returns the error of the amount and reason of an adjustment, if invalid.
+ * @param {unknown} amount
+ * @param {unknown} reason
+ * @param {boolean} [allowZero=false]
+ * @returns {string | undefined}
+ */
+function getAdjustmentError(amount, reason, allowZero = false) {
+  if (
+    typeof amount !== 'number' ||
+    !Number.isFinite(amount) ||
+    amount < 0 ||
+    (!allowZero && amount === 0)
+  ) {
+    return 'The amount must be a positive number of credits';
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return 'A reason is required';
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return `The reason must be at most ${MAX_REASON_LENGTH} characters`;
+  }
+}
+
+/**
+ * Returns the credits of a user.
+ * @param {string} user - The user ID.
+ * @returns {Promise<TCreditBalance | null>} `null` if the user does not exist.
+ */
+async function getUserCredits(user) {
+  if (!mongoose.isValidObjectId(user) || !(await User.exists({ _id: user }))) {
+    return null;
+  }
+  const balance = await Balance.findOne({ user }, 'tokenCredits').lean();
+  return { user, tokenCredits: balance?.tokenCredits ?? 0 };
+}
+
+/**
+ * Grants, sets or revokes the credits of a user, and records the change with its reason.
+ *
+ * @param {Object} params
+ * @param {string} params.user - The user ID.
+ * @param {CreditAdjustmentType} params.type - `grant`, `set` or `revoke`.
+ * @param {number} params.amount - The credits to grant, set or revoke.
+ * @param {string} params.reason - Why the credits are adjusted.
+ * @param {string} [params.actor] - The admin who adjusts the credits.
+ * @returns {Promise<TCreditAdjustmentResponse | { error: string } | null>} `null` if the user
+ * does not exist.
+ */
+async function adjustCredits({ user, type, amount, reason, actor }) {
+  if (!adjustmentTypes.includes(type)) {
+    return { error: `The type must be one of: ${adjustmentTypes.join(', ')}` };
+  }
+  const error = getAdjustmentError(amount, reason, type === CreditAdjustmentType.set);
+  if (error) {
+    return { error };
+  }
+  if (!mongoose.isValidObjectId(user) || !(await User.exists({ _id: user }))) {
+    return null;
+  }
+
+  const { previous, tokenCredits } = await changeCredits(user, (credits) => {
+    if (type === CreditAdjustmentType.grant) {
+      return credits + amount;
+    }
+    if (type === CreditAdjustmentType.revoke) {
+      return credits - amount;
+    }
+    return amount;
+  });
+
+  await recordAdjustment({
+    user,
+    type,
+    amount: tokenCredits - previous,
+    reason: reason.trim(),
+    actor,
+  });
+  logger.info(
+    `[adjustCredits] ${type} of ${amount} credits for user ${user} by ${actor}: ${previous} -> ${tokenCredits}`,
+  );
+
+  return { balances: [{ user, tokenCredits }] };
+}
+
+/**
+ * Returns the recipients of a transfer: a user, or the members of a group budget other than the
+ * sender.
+ * @param {Pick<TCreditTransferPayload, 'from' | 'to' | 'budgetId'>} params
+ * @returns {Promise<{ recipients?: string[], error?: string }>}
+ */
+async function getTransferRecipients({ from, to, budgetId }) {
+  if (to && budgetId) {
+    return { error: 'A transfer is either to a user or to a group budget' };
+  }
+  if (to) {
+    if (!mongoose.isValidObjectId(to) || to === from) {
+      return { error: 'A transfer requires a valid recipient other than the sender' };
+    }
+    return { recipients: [to] };
+  }
+  if (!mongoose.isValidObjectId(budgetId)) {
+    return { error: 'A transfer requires a recipient user or group budget' };
+  }
+  const budget = await Budget.findById(budgetId, 'scope members').lean();
+  if (!budget || budget.scope !== BudgetScope.group) {
+    return { error: 'Group budget not found' };
+  }
+  const recipients = budget.members.map(String).filter((member) => member !== from);
+  if (!recipients.length) {
+    return { error: 'The group budget has no members to transfer to' };
+  }
+  return { recipients };
+}
+
+/**
+ * Moves credits from a user to another user, or splits them evenly among the members of a group
+ * budget, and records the changes with their reason. The credits are taken only if the sender
+ * has enough of them.
+ *
+ * @param {TCreditTransferPayload & { actor?: string }} params
+ * @returns {Promise<TCreditAdjustmentResponse | { error: string }>}
+ */
+async function transferCredits({ from, to, budgetId, amount, reason, actor }) {
+  const error = getAdjustmentError(amount, reason);
+  if (error) {
+    return { error };
+  }
+  if (!mongoose.isValidObjectId(from)) {
+    return { error: 'A transfer requires a valid sender' };
+  }
+  const { recipients, error: recipientsError } = await getTransferRecipients({
+    from,
+    to,
+    budgetId,
+  });
+  if (recipientsError) {
+    return { error: recipientsError };
+  }
+  const users = [from, ...recipients];
+  if ((await User.countDocuments({ _id: { $in: users } })) !== users.length) {
+    return { error: 'User not found' };
+  }
+
+  const share = amount / recipients.length;
+  const debit = await changeCredits(from, (credits) =>
+    credits >= amount ? credits - amount : null,
+  );
+  if (!debit) {
+    return { error: 'The sender does not have enough credits' };
+  }
+
+  const type = CreditAdjustmentType.transfer;
+  const trimmedReason = reason.trim();
+  await recordAdjustment({
+    user: from,
+    type,
+    amount: -amount,
+    reason: trimmedReason,
+    actor,
+    counterparty: to,
+    counterpartyBudget: budgetId,
+  });
+
+  const balances = [{ user: from, tokenCredits: debit.tokenCredits }];
+  let credited = 0;
+  try {
+    for (const recipient of recipients) {
+      const { tokenCredits } = await changeCredits(recipient, (credits) => credits + share);
+      credited += share;
+      balances.push({ user: recipient, tokenCredits });
+      await recordAdjustment({
+        user: recipient,
+        type,
+        amount: share,
+        reason: trimmedReason,
+        actor,
+        counterparty: from,
+        counterpartyBudget: budgetId,
+      });
+    }
+  } catch (error) {
+    /* Returns the credits that could not be given to the sender */
+    const refund = amount - credited;
+    logger.error(`[transferCredits] Refunding ${refund} credits to user ${from}`, error);
+    await changeCredits(from, (credits) => credits + refund);
+    await recordAdjustment({
+      user: from,
+      type,
+      amount: refund,
+      reason: trimmedReason,
+      actor,
+      counterparty: to,
+      counterpartyBudget: budgetId,
+    });
+    throw error;
+  }
+
+  logger.info(
+    `[transferCredits] ${amount} credits from user ${from} to ${recipients.length} recipient(s) by ${actor}`,
+  );
+  return { balances };
+}
+
+module.exports = {
+  getUserCredits,
+  adjustCredits,
+  transferCredits,
+};
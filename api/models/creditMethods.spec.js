@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { BudgetScope, CreditAdjustmentType } = require('librechat-data-provider');
+const { Balance, Budget, Transaction, User } = require('~/db/models');
+const { getUserCredits, adjustCredits, transferCredits } = require('./creditMethods');
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { info: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+let mongoServer;
+let admin;
+let user;
+let member;
+let otherMember;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await mongoose.connection.dropDatabase();
+  const users = await User.create(
+    ['admin', 'user', 'member', 'other'].map((name) => ({
+      email: `${name}@example.com`,
+      provider: 'local',
+    })),
+  );
+  [admin, user, member, otherMember] = users.map((doc) => doc._id.toString());
+});
+
+/** Returns the stored credits of a user, `undefined` without a balance */
+const creditsOf = async (userId) => (await Balance.findOne({ user: userId }).lean())?.tokenCredits;
+
+/** Returns the adjustment transactions, in the order they were recorded */
+const adjustments = () =>
+  Transaction.find({ tokenType: 'adjustment' }).sort({ createdAt: 1, _id: 1 }).lean();
+
+describe('getUserCredits', () => {
+  it('returns zero credits for a user without a balance', async () => {
+    expect(await getUserCredits(user)).toEqual({ user, tokenCredits: 0 });
+  });
+
+  it('returns null for an unknown user', async () => {
+    expect(await getUserCredits(new mongoose.Types.ObjectId().toString())).toBeNull();
+  });
+});
+
+describe('adjustCredits', () => {
+  it('records the actual change of a revoke, which stops at zero', async () => {
+    await Balance.create({ user, tokenCredits: 300 });
+
+    const result = await adjustCredits({
+      user,
+      type: CreditAdjustmentType.revoke,
+      amount: 500,
+      reason: 'Abuse',
+      actor: admin,
+    });
+
+    expect(result).toEqual({ balances: [{ user, tokenCredits: 0 }] });
+    expect(await creditsOf(user)).toBe(0);
+    const [transaction] = await adjustments();
+    expect(transaction).toMatchObject({
+      context: CreditAdjustmentType.revoke,
+      rawAmount: -300,
+      tokenValue: -300,
+      reason: 'Abuse',
+    });
+    expect(transaction.user.toString()).toBe(user);
+    expect(transaction.actor.toString()).toBe(admin);
+  });
+
+  it('sets the credits of a user without a balance', async () => {
+    await adjustCredits({
+      user,
+      type: CreditAdjustmentType.set,
+      amount: 1000,
+      reason: 'Onboarding',
+    });
+
+    expect(await creditsOf(user)).toBe(1000);
+    expect(await adjustments()).toEqual([expect.objectContaining({ rawAmount: 1000 })]);
+  });
+
+  it('grants credits concurrently without losing any', async () => {
+    await Balance.create({ user, tokenCredits: 100 });
+
+    await Promise.all(
+      [1, 2, 3].map(() =>
+        adjustCredits({ user, type: CreditAdjustmentType.grant, amount: 50, reason: 'Bonus' }),
+      ),
+    );
+
+    expect(await creditsOf(user)).toBe(250);
+    expect(await Transaction.countDocuments({ tokenType: 'adjustment' })).toBe(3);
+  });
+
+  it('requires a reason and a known user', async () => {
+    const missingReason = await adjustCredits({
+      user,
+      type: CreditAdjustmentType.grant,
+      amount: 10,
+      reason: ' ',
+    });
+    expect(missingReason.error).toMatch(/reason/);
+
+    const unknownUser = await adjustCredits({
+      user: new mongoose.Types.ObjectId().toString(),
+      type: CreditAdjustmentType.grant,
+      amount: 10,
+      reason: 'Refund',
+    });
+    expect(unknownUser).toBeNull();
+    expect(await Transaction.countDocuments()).toBe(0);
+    expect(await Balance.countDocuments()).toBe(0);
+  });
+});
+
+describe('transferCredits', () => {
+  it('moves credits to another user, recording both sides', async () => {
+    await Balance.create({ user, tokenCredits: 500 });
+
+    const result = await transferCredits({
+      from: user,
+      to: member,
+      amount: 200,
+      reason: 'Share',
+      actor: admin,
+    });
+
+    expect(result.balances).toEqual([
+      { user, tokenCredits: 300 },
+      { user: member, tokenCredits: 200 },
+    ]);
+    expect(await creditsOf(user)).toBe(300);
+    expect(await creditsOf(member)).toBe(200);
+    const transactions = await adjustments();
+    expect(
+      transactions.map((tx) => [tx.user.toString(), tx.rawAmount, tx.counterparty.toString()]),
+    ).toEqual([
+      [user, -200, member],
+      [member, 200, user],
+    ]);
+    expect(transactions.every((tx) => tx.context === CreditAdjustmentType.transfer)).toBe(true);
+  });
+
+  it('does not take more credits than the sender has', async () => {
+    await Balance.create({ user, tokenCredits: 100 });
+
+    const result = await transferCredits({
+      from: user,
+      to: member,
+      amount: 200,
+      reason: 'Share',
+    });
+
+    expect(result.error).toMatch(/enough credits/);
+    expect(await creditsOf(user)).toBe(100);
+    expect(await creditsOf(member)).toBeUndefined();
+    expect(await Transaction.countDocuments()).toBe(0);
+  });
+
+  it('rejects transfers to an unknown user', async () => {
+    await Balance.create({ user, tokenCredits: 100 });
+
+    const result = await transferCredits({
+      from: user,
+      to: new mongoose.Types.ObjectId().toString(),
+      amount: 50,
+      reason: 'Share',
+    });
+
+    expect(result.error).toMatch(/User not found/);
+    expect(await creditsOf(user)).toBe(100);
+  });
+
+  it('splits the credits among the other members of a group budget', async () => {
+    await Balance.create([
+      { user, tokenCredits: 1000 },
+      { user: member, tokenCredits: 50 },
+    ]);
+    const budget = await Budget.create({
+      name: 'Team',
+      scope: BudgetScope.group,
+      members: [user, member, otherMember],
+      limit: 100,
+    });
+    const budgetId = budget._id.toString();
+
+    const result = await transferCredits({
+      from: user,
+      budgetId,
+      amount: 600,
+      reason: 'Team pool',
+      actor: admin,
+    });
+
+    expect(result.balances).toHaveLength(3);
+    expect(await creditsOf(user)).toBe(400);
+    expect(await creditsOf(member)).toBe(350);
+    expect(await creditsOf(otherMember)).toBe(300);
+    const transactions = await adjustments();
+    expect(
+      transactions.map((tx) => [tx.user.toString(), tx.rawAmount, tx.counterparty?.toString()]),
+    ).toEqual([
+      [user, -600, undefined],
+      [member, 300, user],
+      [otherMember, 300, user],
+    ]);
+    expect(transactions.map((tx) => tx.counterpartyBudget.toString())).toEqual([
+      budgetId,
+      budgetId,
+      budgetId,
+    ]);
+  });
+
+  it('rejects group budgets without other members', async () => {
+    const budget = await Budget.create({
+      name: 'Solo',
+      scope: BudgetScope.group,
+      members: [user],
+      limit: 100,
+    });
+
+    const result = await transferCredits({
+      from: user,
+      budgetId: budget._id.toString(),
+      amount: 10,
+      reason: 'Team pool',
+    });
+
+    expect(result.error).toMatch(/no members/);
+  });
+});
@@ -15,6 +15,11 @@ const {
   getMessage,
   getMessages,
   getMessagesWithMultiLLMSiblings,
+  migrateLegacyMultiLLMSiblings,
+  promoteLLMResponse,
+  saveLLMResponseVersion,
+  savePreferenceVote,
+  getPreferenceVotes,
   saveMessage,
   recordMessage,
   updateMessage,
@@ -38,6 +43,11 @@ module.exports = {
   getMessage,
   getMessages,
   getMessagesWithMultiLLMSiblings,
+  migrateLegacyMultiLLMSiblings,
+  promoteLLMResponse,
+  saveLLMResponseVersion,
+  savePreferenceVote,
+  getPreferenceVotes,
   saveMessage,
   recordMessage,
   updateMessage,
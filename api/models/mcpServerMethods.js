@@ -0,0 +1,164 @@
+const { isEnabled } = require('@librechat/api');
+const {
+  Constants,
+  errorsToString,
+  MCPOptionsSchema,
+  SSEOptionsSchema,
+  StdioOptionsSchema,
+  WebSocketOptionsSchema,
+  StreamableHTTPOptionsSchema,
+} = require('librechat-data-provider');
+const { MCPServer } = require('~/db/models');
+
+/** Schemas of the transports, to report the errors of a configuration of a known type */
+const transportSchemas = {
+  stdio: StdioOptionsSchema,
+  websocket: WebSocketOptionsSchema,
+  sse: SSEOptionsSchema,
+  'streamable-http': StreamableHTTPOptionsSchema,
+};
+
+/** Placeholders of environment variables, only expanded for servers of the config file */
+const envPlaceholderRegex = /\$\{[^}]+\}/;
+
+/**
+ * @param {IMCPServer} server
+ * @returns {{ name: string, config: MCPOptions, enabled: boolean, updatedAt?: Date }}
+ */
+const toMCPServerResponse = (server) => ({
+  name: server.name,
+  config: server.config,
+  enabled: server.enabled,
+  updatedAt: server.updatedAt,
+});
+
+/**
+ * Returns the error of a server name, if invalid.
+ * @param {unknown} name
+ * @returns {string | undefined}
+ */
+function getNameValidationError(name) {
+  if (!name || typeof name !== 'string' || name.trim() !== name) {
+    return 'A server requires a name';
+  }
+  if (name.includes(Constants.mcp_delimiter)) {
+    return `The name of a server cannot contain "${Constants.mcp_delimiter}"`;
+  }
+}
+
+/**
+ * Validates the configuration of a server. Servers started as processes (`stdio`) can only be
+ * managed at runtime when `ALLOW_ADMIN_MCP_STDIO` is enabled, as they run commands on the host.
+ * Environment variables (`${VAR}`) are rejected, as they would send the secrets of the host to
+ * the server; `{{LIBRECHAT_USER_*}}` and custom user variables remain available.
+ * @param {unknown} config
+ * @param {boolean} [fromConfigFile] - Whether the configuration is copied from the config file,
+ *   which may start processes and read the environment.
+ * @returns {{ config?: MCPOptions, error?: string }}
+ */
+function parseMCPServerConfig(config, fromConfigFile = false) {
+  /* Checked before parsing, as the schemas expand the variables of some fields */
+  if (!fromConfigFile && envPlaceholderRegex.test(JSON.stringify(config ?? null))) {
+    return { error: 'Environment variables (${VAR}) can only be used by servers of the config' };
+  }
+  const result = MCPOptionsSchema.safeParse(config);
+  if (!result.success) {
+    const schema = transportSchemas[config?.type];
+    const errors = schema?.safeParse(config).error?.errors;
+    return {
+      error: errors?.length
+        ? errorsToString(errors)
+        : 'Invalid MCP server configuration: expected a `command` or a `url` with its `type`',
+    };
+  }
+  if (fromConfigFile) {
+    return { config: result.data };
+  }
+  const isStdio = 'command' in result.data;
+  if (isStdio && !isEnabled(process.env.ALLOW_ADMIN_MCP_STDIO)) {
+    return { error: 'Servers started as processes (stdio) can only be defined in the config' };
+  }
+  return { config: result.data };
+}
+
+/**
+ * Lists the MCP servers managed by admins.
+ * @returns {Promise<Array<{ name: string, config: MCPOptions, enabled: boolean }>>}
+ */
+async function getMCPServers() {
+  const servers = await MCPServer.find({}).sort({ name: 1 }).lean();
+  return servers.map(toMCPServerResponse);
+}
+
+/**
+ * Creates an MCP server; a server named as one of the config replaces it.
+ * @param {TMCPServerPayload} data
+ * @param {string} [actor] - The ID of the admin creating the server.
+ * @param {boolean} [fromConfigFile] - Whether the configuration is copied from the config file.
+ * @returns {Promise<{ server?: object, error?: string }>}
+ */
+async function createMCPServer({ name, config: _config, enabled = true }, actor, fromConfigFile) {
+  const nameError = getNameValidationError(name);
+  if (nameError) {
+    return { error: nameError };
+  }
+  const { config, error } = parseMCPServerConfig(_config, fromConfigFile);
+  if (error) {
+    return { error };
+  }
+  if (await MCPServer.exists({ name })) {
+    return { error: `The "${name}" server already exists` };
+  }
+  const server = await MCPServer.create({
+    name,
+    config,
+    enabled: enabled !== false,
+    updatedBy: actor,
+  });
+  return { server: toMCPServerResponse(server.toObject()) };
+}
+
+/**
+ * Updates the configuration of an MCP server, or enables or disables it.
+ * @param {string} name
+ * @param {Partial<Omit<TMCPServerPayload, 'name'>>} data
+ * @param {string} [actor] - The ID of the admin updating the server.
+ * @returns {Promise<{ server?: object, error?: string } | null>} `null` if not found.
+ */
+async function updateMCPServer(name, { config: _config, enabled }, actor) {
+  /** @type {Record<string, unknown>} */
+  const fields = { updatedBy: actor };
+  if (_config !== undefined) {
+    const { config, error } = parseMCPServerConfig(_config);
+    if (error) {
+      return { error };
+    }
+    fields.config = config;
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      return { error: '`enabled` must be a boolean' };
+    }
+    fields.enabled = enabled;
+  }
+  const server = await MCPServer.findOneAndUpdate({ name }, { $set: fields }, { new: true }).lean();
+  return server ? { server: toMCPServerResponse(server) } : null;
+}
+
+/**
+ * Deletes an MCP server; a server of the config it replaced is restored.
+ * @param {string} name
+ * @returns {Promise<boolean>} Whether the server existed.
+ */
+async function deleteMCPServer(name) {
+  const { deletedCount } = await MCPServer.deleteOne({ name });
+  return deletedCount > 0;
+}
+
+module.exports = {
+  getMCPServers,
+  createMCPServer,
+  updateMCPServer,
+  deleteMCPServer,
+  parseMCPServerConfig,
+};
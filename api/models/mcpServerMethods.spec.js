@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MCPServer } = require('~/db/models');
+const {
+  getMCPServers,
+  createMCPServer,
+  updateMCPServer,
+  deleteMCPServer,
+  parseMCPServerConfig,
+} = require('./mcpServerMethods');
+
+const sseConfig = { type: 'sse', url: 'https://mcp.example.com/sse' };
+const stdioConfig = { command: 'npx', args: ['-y', '@modelcontextprotocol/server-everything'] };
+const admin = new mongoose.Types.ObjectId().toString();
+
+describe('mcpServerMethods', () => {
+  const originalEnv = process.env.ALLOW_ADMIN_MCP_STDIO;
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    process.env.ALLOW_ADMIN_MCP_STDIO = originalEnv;
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    delete process.env.ALLOW_ADMIN_MCP_STDIO;
+    await mongoose.connection.dropDatabase();
+  });
+
+  describe('parseMCPServerConfig', () => {
+    it('should accept remote servers', () => {
+      expect(parseMCPServerConfig(sseConfig)).toEqual({ config: sseConfig });
+    });
+
+    it('should report the errors of a configuration of a known type', () => {
+      const { error } = parseMCPServerConfig({ type: 'streamable-http', url: 'ws://localhost' });
+      expect(error).toContain('Streamable HTTP URL must not start with ws:// or wss://');
+    });
+
+    it('should reject configurations without a transport', () => {
+      expect(parseMCPServerConfig({ timeout: 1000 }).error).toMatch(/Invalid MCP server/);
+    });
+
+    it('should only accept processes when allowed', () => {
+      expect(parseMCPServerConfig(stdioConfig).error).toMatch(/stdio/);
+      expect(parseMCPServerConfig(stdioConfig, true).config).toEqual(stdioConfig);
+
+      process.env.ALLOW_ADMIN_MCP_STDIO = 'true';
+      expect(parseMCPServerConfig(stdioConfig).config).toEqual(stdioConfig);
+    });
+
+    it('should only accept environment variables from the config file', () => {
+      const urlConfig = { ...sseConfig, url: 'https://mcp.example.com/sse?key=${CREDS_KEY}' };
+      const headersConfig = { ...sseConfig, headers: { Authorization: 'Bearer ${JWT_SECRET}' } };
+      expect(parseMCPServerConfig(urlConfig).error).toMatch(/Environment variables/);
+      expect(parseMCPServerConfig(headersConfig).error).toMatch(/Environment variables/);
+      expect(parseMCPServerConfig(headersConfig, true).config).toEqual(headersConfig);
+
+      const userConfig = { ...sseConfig, headers: { 'X-User': '{{LIBRECHAT_USER_ID}}' } };
+      expect(parseMCPServerConfig(userConfig).config).toEqual(userConfig);
+    });
+  });
+
+  describe('createMCPServer', () => {
+    it('should create a server', async () => {
+      const { server } = await createMCPServer({ name: 'docs', config: sseConfig }, admin);
+
+      expect(server).toMatchObject({ name: 'docs', config: sseConfig, enabled: true });
+      const saved = await MCPServer.findOne({ name: 'docs' }).lean();
+      expect(saved).toMatchObject({ config: sseConfig, enabled: true });
+      expect(saved.updatedBy.toString()).toBe(admin);
+    });
+
+    it('should reject names with the tool delimiter and existing names', async () => {
+      expect((await createMCPServer({ name: 'a_mcp_b', config: sseConfig })).error).toMatch(
+        /cannot contain/,
+      );
+
+      await createMCPServer({ name: 'docs', config: sseConfig });
+      const duplicate = await createMCPServer({
+        name: 'docs',
+        config: { ...sseConfig, url: 'https://other.example.com/sse' },
+      });
+      expect(duplicate.error).toBe('The "docs" server already exists');
+      expect(await MCPServer.find({}).lean()).toEqual([
+        expect.objectContaining({ name: 'docs', config: sseConfig }),
+      ]);
+    });
+  });
+
+  describe('getMCPServers', () => {
+    it('should list the servers by name', async () => {
+      await createMCPServer({ name: 'search', config: sseConfig });
+      await createMCPServer({ name: 'docs', config: sseConfig, enabled: false });
+
+      const servers = await getMCPServers();
+
+      expect(servers.map(({ name, enabled }) => ({ name, enabled }))).toEqual([
+        { name: 'docs', enabled: false },
+        { name: 'search', enabled: true },
+      ]);
+    });
+  });
+
+  describe('updateMCPServer', () => {
+    it('should update the given fields', async () => {
+      await createMCPServer({ name: 'docs', config: sseConfig });
+
+      const result = await updateMCPServer('docs', { enabled: false }, admin);
+
+      expect(result.server).toMatchObject({ name: 'docs', config: sseConfig, enabled: false });
+      const saved = await MCPServer.findOne({ name: 'docs' }).lean();
+      expect(saved).toMatchObject({ config: sseConfig, enabled: false });
+      expect(saved.updatedBy.toString()).toBe(admin);
+    });
+
+    it('should replace the configuration', async () => {
+      await createMCPServer({ name: 'docs', config: sseConfig });
+      const httpConfig = { type: 'streamable-http', url: 'https://mcp.example.com/mcp' };
+
+      await updateMCPServer('docs', { config: httpConfig });
+
+      expect((await MCPServer.findOne({ name: 'docs' }).lean()).config).toEqual(httpConfig);
+    });
+
+    it('should return null for unknown servers, and errors for invalid changes', async () => {
+      await createMCPServer({ name: 'docs', config: sseConfig });
+
+      expect(await updateMCPServer('unknown', { enabled: true })).toBeNull();
+      expect((await updateMCPServer('docs', { enabled: 'yes' })).error).toMatch(/boolean/);
+      expect((await updateMCPServer('docs', { config: stdioConfig })).error).toMatch(/stdio/);
+      expect(await MCPServer.findOne({ name: 'docs' }).lean()).toMatchObject({
+        config: sseConfig,
+        enabled: true,
+      });
+    });
+  });
+
+  describe('deleteMCPServer', () => {
+    it('should report whether the server existed', async () => {
+      await createMCPServer({ name: 'docs', config: sseConfig });
+
+      expect(await deleteMCPServer('docs')).toBe(true);
+      expect(await MCPServer.exists({ name: 'docs' })).toBeNull();
+      expect(await deleteMCPServer('docs')).toBe(false);
+    });
+  });
+});
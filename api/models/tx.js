@@ -169,6 +169,35 @@ const cacheTokenValues = {
   'claude-opus-4': { write: 18.75, read: 1.5 },
 };
 
+/**
+ * Retrieves the configured pricing of a model of a custom endpoint: the pricing of the model name,
+ * else of the longest configured name the model name includes, else the default of the endpoint.
+ * The rates are 1 USD per 1M tokens.
+ *
+ * @param {string} [model] - The model name.
+ * @param {TEndpointPricing} [pricing] - The `pricing` config of the endpoint.
+ * @returns {TTokenPricing | undefined} The pricing, or undefined if none is configured.
+ */
+const getModelPricing = (model, pricing) => {
+  if (!pricing) {
+    return undefined;
+  }
+
+  const models = pricing.models ?? {};
+  if (model && models[model]) {
+    return models[model];
+  }
+
+  let matchedName;
+  for (const name of Object.keys(models)) {
+    if (model?.includes(name) && (!matchedName || name.length > matchedName.length)) {
+      matchedName = name;
+    }
+  }
+
+  return matchedName ? models[matchedName] : pricing.default;
+};
+
 /**
  * Retrieves the key associated with a given model name.
  *
@@ -240,6 +269,8 @@ const getValueKey = (model, endpoint) => {
 /**
  * Retrieves the multiplier for a given value key and token type. If no value key is provided,
  * it attempts to derive it from the model name.
+ * The configured pricing of custom endpoints takes precedence over the endpoint token config and
+ * the built-in values.
  *
  * @param {Object} params - The parameters for the function.
  * @param {string} [params.valueKey] - The key corresponding to the model name.
@@ -247,9 +278,22 @@ const getValueKey = (model, endpoint) => {
  * @param {string} [params.model] - The model name to derive the value key from if not provided.
  * @param {string} [params.endpoint] - The endpoint name to derive the value key from if not provided.
  * @param {EndpointTokenConfig} [params.endpointTokenConfig] - The token configuration for the endpoint.
+ * @param {TEndpointPricing} [params.endpointPricing] - The `pricing` config of the custom endpoint.
  * @returns {number} The multiplier for the given parameters, or a default value if not found.
  */
-const getMultiplier = ({ valueKey, tokenType, model, endpoint, endpointTokenConfig }) => {
+const getMultiplier = ({
+  valueKey,
+  tokenType,
+  model,
+  endpoint,
+  endpointTokenConfig,
+  endpointPricing,
+}) => {
+  const pricing = tokenType ? getModelPricing(model, endpointPricing) : undefined;
+  if (pricing?.[tokenType] != null) {
+    return pricing[tokenType];
+  }
+
   if (endpointTokenConfig) {
     return endpointTokenConfig?.[model]?.[tokenType] ?? defaultRate;
   }
@@ -274,6 +318,8 @@ const getMultiplier = ({ valueKey, tokenType, model, endpoint, endpointTokenConf
 /**
  * Retrieves the cache multiplier for a given value key and token type. If no value key is provided,
  * it attempts to derive it from the model name.
+ * The configured pricing of custom endpoints takes precedence over the endpoint token config and
+ * the built-in values.
  *
  * @param {Object} params - The parameters for the function.
  * @param {string} [params.valueKey] - The key corresponding to the model name.
@@ -281,9 +327,23 @@ const getMultiplier = ({ valueKey, tokenType, model, endpoint, endpointTokenConf
  * @param {string} [params.model] - The model name to derive the value key from if not provided.
  * @param {string} [params.endpoint] - The endpoint name to derive the value key from if not provided.
  * @param {EndpointTokenConfig} [params.endpointTokenConfig] - The token configuration for the endpoint.
+ * @param {TEndpointPricing} [params.endpointPricing] - The `pricing` config of the custom endpoint.
  * @returns {number | null} The multiplier for the given parameters, or `null` if not found.
  */
-const getCacheMultiplier = ({ valueKey, cacheType, model, endpoint, endpointTokenConfig }) => {
+const getCacheMultiplier = ({
+  valueKey,
+  cacheType,
+  model,
+  endpoint,
+  endpointTokenConfig,
+  endpointPricing,
+}) => {
+  const pricing = getModelPricing(model, endpointPricing);
+  if (pricing) {
+    /* Configured models without cache pricing are billed at their prompt rate */
+    return (cacheType === 'write' ? pricing.cacheWrite : pricing.cacheRead) ?? null;
+  }
+
   if (endpointTokenConfig) {
     return endpointTokenConfig?.[model]?.[cacheType] ?? null;
   }
@@ -305,11 +365,52 @@ const getCacheMultiplier = ({ valueKey, cacheType, model, endpoint, endpointToke
   return cacheTokenValues[valueKey]?.[cacheType] ?? null;
 };
 
+/**
+ * Computes the token value of a model usage with the same multipliers as transactions,
+ * 1,000,000 token credits being worth 1 USD. Cache writes and reads default to the prompt rate.
+ *
+ * @param {Object} params - The parameters for the function.
+ * @param {string} params.model - The model name.
+ * @param {string} [params.endpoint] - The endpoint name.
+ * @param {EndpointTokenConfig} [params.endpointTokenConfig] - The token configuration for the endpoint.
+ * @param {TEndpointPricing} [params.endpointPricing] - The `pricing` config of the custom endpoint.
+ * @param {number} [params.promptTokens=0] - The prompt tokens that were not cached.
+ * @param {number} [params.writeTokens=0] - The prompt tokens written to the cache.
+ * @param {number} [params.readTokens=0] - The prompt tokens read from the cache.
+ * @param {number} [params.completionTokens=0] - The completion tokens.
+ * @returns {number} The token value of the usage.
+ */
+const getTokenValue = ({
+  model,
+  endpoint,
+  endpointTokenConfig,
+  endpointPricing,
+  promptTokens = 0,
+  writeTokens = 0,
+  readTokens = 0,
+  completionTokens = 0,
+}) => {
+  const rateParams = { model, endpoint, endpointTokenConfig, endpointPricing };
+  const promptRate = getMultiplier({ tokenType: 'prompt', ...rateParams });
+  const completionRate = getMultiplier({ tokenType: 'completion', ...rateParams });
+  const writeRate = getCacheMultiplier({ cacheType: 'write', ...rateParams }) ?? promptRate;
+  const readRate = getCacheMultiplier({ cacheType: 'read', ...rateParams }) ?? promptRate;
+
+  return (
+    Math.abs(promptTokens) * promptRate +
+    Math.abs(writeTokens) * writeRate +
+    Math.abs(readTokens) * readRate +
+    Math.abs(completionTokens) * completionRate
+  );
+};
+
 module.exports = {
   tokenValues,
   getValueKey,
   getMultiplier,
+  getTokenValue,
   getCacheMultiplier,
+  getModelPricing,
   defaultRate,
   cacheTokenValues,
 };
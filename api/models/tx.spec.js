@@ -4,6 +4,7 @@ const {
   tokenValues,
   getValueKey,
   getMultiplier,
+  getTokenValue,
   cacheTokenValues,
   getCacheMultiplier,
 } = require('./tx');
@@ -486,6 +487,91 @@ describe('getCacheMultiplier', () => {
   });
 });
 
+describe('Custom endpoint pricing', () => {
+  /** @type {TEndpointPricing} */
+  const endpointPricing = {
+    default: { prompt: 0.5, completion: 1 },
+    models: {
+      'llama-3.1': { prompt: 0.2, completion: 0.4 },
+      'llama-3.1-70b': { prompt: 0.9, completion: 1.8, cacheRead: 0.09 },
+      'gpt-4o': { prompt: 1, completion: 2 },
+    },
+  };
+
+  it('should use the pricing of the model before the built-in values', () => {
+    expect(getMultiplier({ model: 'gpt-4o', endpointPricing, tokenType: 'prompt' })).toBe(1);
+    expect(getMultiplier({ model: 'gpt-4o', endpointPricing, tokenType: 'completion' })).toBe(2);
+    expect(getMultiplier({ model: 'gpt-4o', tokenType: 'prompt' })).toBe(
+      tokenValues['gpt-4o'].prompt,
+    );
+  });
+
+  it('should use the longest model name the model includes, else the default', () => {
+    const params = { endpointPricing, tokenType: 'prompt' };
+    expect(getMultiplier({ ...params, model: 'meta-llama/llama-3.1-70b-instruct' })).toBe(0.9);
+    expect(getMultiplier({ ...params, model: 'meta-llama/llama-3.1-8b-instruct' })).toBe(0.2);
+    expect(getMultiplier({ ...params, model: 'qwen2.5-coder' })).toBe(0.5);
+  });
+
+  it('should take precedence over the endpoint token config', () => {
+    const endpointTokenConfig = { 'gpt-4o': { prompt: 5, completion: 15, context: 128000 } };
+    expect(
+      getMultiplier({
+        model: 'gpt-4o',
+        tokenType: 'prompt',
+        endpointTokenConfig,
+        endpointPricing,
+      }),
+    ).toBe(1);
+  });
+
+  it('should return the configured cache pricing, or null for the prompt rate', () => {
+    const model = 'meta-llama/llama-3.1-70b-instruct';
+    expect(getCacheMultiplier({ model, endpointPricing, cacheType: 'read' })).toBe(0.09);
+    expect(getCacheMultiplier({ model, endpointPricing, cacheType: 'write' })).toBeNull();
+    expect(
+      getTokenValue({ model, endpointPricing, writeTokens: 1000, readTokens: 1000 }),
+    ).toBeCloseTo(1000 * 0.9 + 1000 * 0.09);
+  });
+});
+
+describe('getTokenValue', () => {
+  it('should price prompt and completion tokens with their multipliers', () => {
+    const { prompt, completion } = tokenValues['gpt-4o'];
+    expect(getTokenValue({ model: 'gpt-4o', promptTokens: 1000, completionTokens: 500 })).toBe(
+      1000 * prompt + 500 * completion,
+    );
+  });
+
+  it('should price cache writes and reads with the cache multipliers', () => {
+    const model = 'claude-3-5-sonnet-20240620';
+    const { prompt, completion } = tokenValues['claude-3-5-sonnet'];
+    const { write, read } = cacheTokenValues['claude-3-5-sonnet'];
+    expect(
+      getTokenValue({
+        model,
+        promptTokens: 100,
+        writeTokens: 200,
+        readTokens: 300,
+        completionTokens: 50,
+      }),
+    ).toBe(100 * prompt + 200 * write + 300 * read + 50 * completion);
+  });
+
+  it('should use the endpoint token config when provided', () => {
+    const endpointTokenConfig = { 'custom-model': { prompt: 2, completion: 4 } };
+    expect(
+      getTokenValue({
+        model: 'custom-model',
+        endpointTokenConfig,
+        promptTokens: 10,
+        readTokens: 10,
+        completionTokens: 10,
+      }),
+    ).toBe(10 * 2 + 10 * 2 + 10 * 4);
+  });
+});
+
 describe('Google Model Tests', () => {
   const googleModels = [
     'gemini-2.5-pro-preview-05-06',
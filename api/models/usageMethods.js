@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const { UsageGroupBy } = require('librechat-data-provider');
+const { Agent, Conversation, Transaction, User } = require('~/db/models');
+const { getBudgetPeriod } = require('./budgetMethods');
+
+/** Token credits per USD, the unit of transaction token values */
+const CREDITS_PER_USD = 1000000;
+
+/** Formats of the periods, for `$dateToString`, in UTC */
+const periodFormats = {
+  [UsageGroupBy.day]: '%Y-%m-%d',
+  [UsageGroupBy.week]: '%G-W%V',
+  [UsageGroupBy.month]: '%Y-%m',
+};
+
+/** Dimensions read from the conversation of the transactions */
+const conversationFields = {
+  [UsageGroupBy.endpoint]: '$conversation.endpoint',
+  [UsageGroupBy.agent]: '$conversation.agent_id',
+};
+
+/**
+ * Returns the group key expression of the aggregation.
+ * @param {UsageGroupBy} groupBy
+ * @returns {unknown}
+ */
+const getGroupKey = (groupBy) => {
+  if (groupBy === UsageGroupBy.user) {
+    return '$user';
+  }
+  if (groupBy === UsageGroupBy.model) {
+    return { $ifNull: ['$model', ''] };
+  }
+  if (periodFormats[groupBy]) {
+    return { $dateToString: { format: periodFormats[groupBy], date: '$createdAt' } };
+  }
+  return { $ifNull: [conversationFields[groupBy], ''] };
+};
+
+/**
+ * Sums a field over the transactions of a token type, as positive amounts.
+ * @param {'prompt' | 'completion'} tokenType
+ * @param {string} field
+ */
+const sumOf = (tokenType, field) => ({
+  $sum: { $cond: [{ $eq: ['$tokenType', tokenType] }, { $abs: { $ifNull: [field, 0] } }, 0] },
+});
+
+/** Rounds a cost in USD to the smallest fraction the token credits represent */
+const roundCost = (value) => Math.round(value * CREDITS_PER_USD) / CREDITS_PER_USD;
+
+/**
+ * Adds the names of the users or agents the rows are grouped by.
+ * @param {TUsageRow[]} rows
+ * @param {UsageGroupBy} groupBy
+ * @returns {Promise<void>}
+ */
+async function addLabels(rows, groupBy) {
+  const keys = rows.map((row) => row.key).filter(Boolean);
+  if (!keys.length) {
+    return;
+  }
+  if (groupBy === UsageGroupBy.user) {
+    const users = await User.find({ _id: { $in: keys } }, 'name username email').lean();
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+    for (const row of rows) {
+      const user = usersById.get(row.key);
+      row.label = user?.name || user?.username;
+      row.email = user?.email;
+    }
+  } else if (groupBy === UsageGroupBy.agent) {
+    const agents = await Agent.find({ id: { $in: keys } }, 'id name').lean();
+    const namesById = new Map(agents.map((agent) => [agent.id, agent.name]));
+    for (const row of rows) {
+      row.label = namesById.get(row.key);
+    }
+  }
+}
+
+/**
+ * Aggregates the prompt and completion transactions of a date range by a dimension, with the
+ * tokens and costs in USD of each group. Endpoints and agents are read from the conversations
+ * of the transactions, so transactions of deleted conversations are grouped under an empty key.
+ *
+ * @param {Object} params
+ * @param {UsageGroupBy} params.groupBy - The dimension to group by.
+ * @param {Date} [params.startDate] - Start of the range, inclusive; the current month by default.
+ * @param {Date} [params.endDate] - End of the range, exclusive.
+ * @param {string} [params.user] - Restricts the report to a user.
+ * @returns {Promise<TUsageReport | { error: string }>} An error when the range is reversed.
+ */
+async function getUsageReport({ groupBy, startDate, endDate, user }) {
+  const period = getBudgetPeriod();
+  const start = startDate ?? period.start;
+  const end = endDate ?? period.end;
+  if (start > end) {
+    return { error: 'The start of the date range must be before its end' };
+  }
+
+  const match = {
+    tokenType: { $in: ['prompt', 'completion'] },
+    createdAt: { $gte: start, $lt: end },
+  };
+  if (user) {
+    match.user = new mongoose.Types.ObjectId(user);
+  }
+
+  const pipeline = [{ $match: match }];
+  if (conversationFields[groupBy]) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: Conversation.collection.name,
+          localField: 'conversationId',
+          foreignField: 'conversationId',
+          as: 'conversation',
+        },
+      },
+      { $set: { conversation: { $arrayElemAt: ['$conversation', 0] } } },
+    );
+  }
+  pipeline.push({
+    $group: {
+      _id: getGroupKey(groupBy),
+      promptTokens: sumOf('prompt', '$rawAmount'),
+      completionTokens: sumOf('completion', '$rawAmount'),
+      cacheWriteTokens: sumOf('prompt', '$writeTokens'),
+      cacheReadTokens: sumOf('prompt', '$readTokens'),
+      promptValue: { $sum: { $cond: [{ $eq: ['$tokenType', 'prompt'] }, '$tokenValue', 0] } },
+      completionValue: {
+        $sum: { $cond: [{ $eq: ['$tokenType', 'completion'] }, '$tokenValue', 0] },
+      },
+      transactions: { $sum: 1 },
+    },
+  });
+
+  const groups = await Transaction.aggregate(pipeline);
+  const totals = {
+    promptTokens: 0,
+    completionTokens: 0,
+    cacheWriteTokens: 0,
+    cacheReadTokens: 0,
+    promptCost: 0,
+    completionCost: 0,
+    cost: 0,
+    transactions: 0,
+  };
+
+  /** @type {TUsageRow[]} */
+  const rows = groups.map((group) => {
+    /* Spending is recorded as negative token values */
+    const promptCost = -group.promptValue / CREDITS_PER_USD;
+    const completionCost = -group.completionValue / CREDITS_PER_USD;
+    const row = {
+      key: group._id == null ? '' : group._id.toString(),
+      promptTokens: group.promptTokens,
+      completionTokens: group.completionTokens,
+      cacheWriteTokens: group.cacheWriteTokens,
+      cacheReadTokens: group.cacheReadTokens,
+      promptCost: roundCost(promptCost),
+      completionCost: roundCost(completionCost),
+      cost: roundCost(promptCost + completionCost),
+      transactions: group.transactions,
+    };
+    for (const field of Object.keys(totals)) {
+      totals[field] += row[field];
+    }
+    return row;
+  });
+
+  if (periodFormats[groupBy]) {
+    rows.sort((a, b) => a.key.localeCompare(b.key));
+  } else {
+    rows.sort((a, b) => b.cost - a.cost);
+  }
+  await addLabels(rows, groupBy);
+
+  for (const field of ['promptCost', 'completionCost', 'cost']) {
+    totals[field] = roundCost(totals[field]);
+  }
+
+  return {
+    groupBy,
+    startDate: start.toISOString(),
+    endDate: end.toISOString(),
+    rows,
+    totals,
+  };
+}
+
+module.exports = {
+  getUsageReport,
+};
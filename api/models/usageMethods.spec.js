@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { UsageGroupBy } = require('librechat-data-provider');
+const { Agent, Conversation, Transaction, User } = require('~/db/models');
+const { getUsageReport } = require('./usageMethods');
+
+let mongoServer;
+let user;
+let otherUser;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await mongoose.connection.dropDatabase();
+  user = (
+    await User.create({ email: 'jane@example.com', name: 'Jane', provider: 'local' })
+  )._id.toString();
+  otherUser = (await User.create({ email: 'john@example.com', provider: 'local' }))._id.toString();
+});
+
+/** Range of March 2025, in UTC */
+const march = {
+  startDate: new Date('2025-03-01T00:00:00.000Z'),
+  endDate: new Date('2025-04-01T00:00:00.000Z'),
+};
+
+/** Inserts the prompt and completion transactions of a message, with their costs in USD */
+const insertUsage = ({
+  userId = user,
+  conversationId = 'convo-1',
+  model = 'gpt-4o',
+  createdAt = new Date('2025-03-10T12:00:00.000Z'),
+  promptCost = 2.5,
+  completionCost = 5,
+  readTokens,
+}) =>
+  Transaction.collection.insertMany([
+    {
+      user: new mongoose.Types.ObjectId(userId),
+      conversationId,
+      model,
+      tokenType: 'prompt',
+      rawAmount: -1000,
+      tokenValue: -promptCost * 1000000,
+      readTokens,
+      createdAt,
+    },
+    {
+      user: new mongoose.Types.ObjectId(userId),
+      conversationId,
+      model,
+      tokenType: 'completion',
+      rawAmount: -500,
+      tokenValue: -completionCost * 1000000,
+      createdAt,
+    },
+  ]);
+
+describe('getUsageReport', () => {
+  it('aggregates the spending of the current month by default, most expensive first', async () => {
+    await insertUsage({
+      model: 'gpt-4o-mini',
+      createdAt: new Date(),
+      promptCost: 0.1,
+      completionCost: 0.2,
+    });
+    await insertUsage({ createdAt: new Date(), readTokens: -200 });
+    await insertUsage({ model: 'gpt-4', createdAt: new Date('2020-01-15T00:00:00.000Z') });
+
+    const report = await getUsageReport({ groupBy: UsageGroupBy.model });
+
+    expect(report.rows.map((row) => row.key)).toEqual(['gpt-4o', 'gpt-4o-mini']);
+    expect(report.rows[0]).toMatchObject({
+      promptTokens: 1000,
+      completionTokens: 500,
+      cacheReadTokens: 200,
+      promptCost: 2.5,
+      completionCost: 5,
+      cost: 7.5,
+      transactions: 2,
+    });
+    expect(report.totals).toMatchObject({ cost: 7.8, promptTokens: 2000, transactions: 4 });
+  });
+
+  it('ignores the transactions outside of the range and that are not spending', async () => {
+    await insertUsage({});
+    await insertUsage({ createdAt: march.endDate });
+    await Transaction.collection.insertOne({
+      user: new mongoose.Types.ObjectId(user),
+      tokenType: 'adjustment',
+      rawAmount: 1000,
+      tokenValue: 1000,
+      createdAt: new Date('2025-03-10T12:00:00.000Z'),
+    });
+
+    const report = await getUsageReport({ groupBy: UsageGroupBy.model, ...march });
+
+    expect(report).toMatchObject({
+      startDate: '2025-03-01T00:00:00.000Z',
+      endDate: '2025-04-01T00:00:00.000Z',
+    });
+    expect(report.totals).toMatchObject({ cost: 7.5, transactions: 2 });
+  });
+
+  it('rejects a reversed date range', async () => {
+    const report = await getUsageReport({
+      groupBy: UsageGroupBy.model,
+      startDate: new Date('2025-03-10T00:00:00.000Z'),
+      endDate: new Date('2025-03-01T00:00:00.000Z'),
+    });
+
+    expect(report.error).toMatch(/date range/);
+  });
+
+  it('reads endpoints from the conversations of the transactions', async () => {
+    await Conversation.create({ conversationId: 'convo-1', user, endpoint: 'openAI' });
+    await insertUsage({});
+    await insertUsage({ conversationId: 'deleted-convo', promptCost: 1, completionCost: 1 });
+
+    const report = await getUsageReport({ groupBy: UsageGroupBy.endpoint, ...march });
+
+    expect(report.rows.map((row) => [row.key, row.cost])).toEqual([
+      ['openAI', 7.5],
+      ['', 2],
+    ]);
+  });
+
+  it('sorts periods chronologically', async () => {
+    await insertUsage({ createdAt: new Date('2025-03-12T00:00:00.000Z'), promptCost: 0.1 });
+    await insertUsage({ createdAt: new Date('2025-03-05T00:00:00.000Z') });
+
+    const report = await getUsageReport({ groupBy: UsageGroupBy.week, ...march });
+
+    expect(report.rows.map((row) => row.key)).toEqual(['2025-W10', '2025-W11']);
+  });
+
+  it('labels users with their names and restricts the report to a user', async () => {
+    await insertUsage({});
+    await insertUsage({ userId: otherUser });
+
+    const everyone = await getUsageReport({ groupBy: UsageGroupBy.user, ...march });
+    expect(everyone.rows).toHaveLength(2);
+
+    const report = await getUsageReport({ groupBy: UsageGroupBy.user, user, ...march });
+    expect(report.rows).toEqual([
+      expect.objectContaining({ key: user, label: 'Jane', email: 'jane@example.com' }),
+    ]);
+  });
+
+  it('labels agents with their names', async () => {
+    await Agent.create({
+      id: 'agent_abc',
+      name: 'Researcher',
+      provider: 'openAI',
+      model: 'gpt-4o',
+      author: user,
+    });
+    await Conversation.create({
+      conversationId: 'convo-1',
+      user,
+      endpoint: 'agents',
+      agent_id: 'agent_abc',
+    });
+    await insertUsage({});
+
+    const report = await getUsageReport({ groupBy: UsageGroupBy.agent, ...march });
+
+    expect(report.rows[0]).toMatchObject({ key: 'agent_abc', label: 'Researcher', cost: 7.5 });
+  });
+});
@@ -0,0 +1,24 @@
+const { logger } = require('@librechat/data-schemas');
+const { getBudgetsConfig } = require('~/server/services/Config');
+const { getBudgetStatuses } = require('~/models/budgetMethods');
+
+/**
+ * Returns the spending of the current month against the budgets applying to the user.
+ * @param {ServerRequest} req
+ * @param {ServerResponse} res
+ */
+async function budgetStatusController(req, res) {
+  try {
+    const config = await getBudgetsConfig();
+    if (!config?.enabled) {
+      return res.status(200).json({ budgets: [] });
+    }
+    const budgets = await getBudgetStatuses({ user: req.user.id, role: req.user.role, config });
+    res.status(200).json({ budgets });
+  } catch (error) {
+    logger.error('[budgetStatusController] Error getting budget statuses', error);
+    res.status(500).json({ error: 'Failed to get budget statuses' });
+  }
+}
+
+module.exports = budgetStatusController;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { logger } = require('@librechat/data-schemas');
+const { getUserTransactions } = require('~/models/Transaction');
+
+/** Maximum number of transactions per page */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Returns a page of the transactions of the user, most recent first.
+ * @param {ServerRequest} req
+ * @param {ServerResponse} res
+ */
+async function transactionsController(req, res) {
+  const { cursor } = req.query;
+  if (cursor && !mongoose.isValidObjectId(cursor)) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 25, 1), MAX_PAGE_SIZE);
+
+  try {
+    const result = await getUserTransactions({ user: req.user.id, cursor, pageSize });
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error('[transactionsController] Error listing transactions', error);
+    res.status(500).json({ error: 'Failed to list transactions' });
+  }
+}
+
+module.exports = transactionsController;
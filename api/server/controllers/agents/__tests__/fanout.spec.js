@@ -0,0 +1,178 @@
+const { Constants } = require('librechat-data-provider');
+const FanOutController = require('../fanout');
+const { createEndpointOption } = require('~/server/middleware');
+const { saveMessage, saveConvo, getConvo } = require('~/models');
+
+jest.mock('~/server/middleware', () => ({
+  createEndpointOption: jest.fn(),
+}));
+jest.mock('~/models', () => ({
+  saveMessage: jest.fn(),
+  saveConvo: jest.fn(),
+  getConvo: jest.fn(),
+}));
+jest.mock('~/server/cleanup', () => ({
+  disposeClient: jest.fn(),
+  clientRegistry: null,
+}));
+
+const parseFrames = (res) =>
+  res.write.mock.calls.map(([chunk]) => {
+    const [eventLine, dataLine] = chunk.trim().split('\n');
+    return {
+      event: eventLine.replace('event: ', ''),
+      data: JSON.parse(dataLine.replace('data: ', '')),
+    };
+  });
+
+const createClient = (response, savedMessageIds = new Set()) => ({
+  sender: response.sender,
+  savedMessageIds,
+  options: {},
+  getStreamUsage: () => ({ input_tokens: 10, output_tokens: 20, tokenValue: 150 }),
+  sendMessage: jest.fn(async (_text, opts) => {
+    opts.progressOptions.res.write(
+      `event: message\ndata: ${JSON.stringify({ event: 'on_message_delta', data: {} })}\n\n`,
+    );
+    return { ...response, messageId: opts.responseMessageId };
+  }),
+});
+
+describe('FanOutController', () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      user: { id: 'user_1' },
+      body: {
+        text: 'Hello',
+        endpoint: 'openAI',
+        conversationId: null,
+        parentMessageId: Constants.NO_PARENT,
+        targets: [
+          { endpoint: 'openAI', model: 'gpt-4o' },
+          { endpoint: 'anthropic', model: 'claude-sonnet-4' },
+          { endpoint: 'google', model: 'gemini-2.5-pro' },
+        ],
+      },
+    };
+    res = {
+      writableEnded: false,
+      write: jest.fn(),
+      end: jest.fn(() => {
+        res.writableEnded = true;
+      }),
+      on: jest.fn(),
+      removeListener: jest.fn(),
+    };
+    createEndpointOption.mockImplementation(async (targetReq) => ({
+      endpoint: targetReq.body.endpoint,
+    }));
+    getConvo.mockResolvedValue(null);
+    saveConvo.mockImplementation(async (_req, convo) => ({ ...convo, title: 'New Chat' }));
+  });
+
+  it('rejects requests with fewer than two targets', async () => {
+    req.body.targets = [{ endpoint: 'openAI', model: 'gpt-4o' }];
+    const initializeClient = jest.fn();
+
+    await FanOutController(req, res, jest.fn(), initializeClient);
+
+    expect(initializeClient).not.toHaveBeenCalled();
+    expect(res.write.mock.calls[0][0]).toContain('event: error');
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('streams each target on its channel and saves one message with llmResponses', async () => {
+    const clients = [
+      createClient({ model: 'gpt-4o', sender: 'GPT-4o', text: 'A' }),
+      createClient({ model: 'claude-sonnet-4', sender: 'Claude', text: 'B' }),
+      createClient({ model: 'gemini-2.5-pro', sender: 'Gemini', text: 'C' }),
+    ];
+    const initializeClient = jest.fn(async ({ req: targetReq }) => {
+      const index = req.body.targets.findIndex((t) => t.endpoint === targetReq.body.endpoint);
+      return { client: clients[index] };
+    });
+
+    await FanOutController(req, res, jest.fn(), initializeClient);
+
+    expect(initializeClient).toHaveBeenCalledTimes(3);
+    expect(clients[0].skipSaveUserMessage).toBeUndefined();
+    expect(clients[1].skipSaveUserMessage).toBe(true);
+    expect(clients[2].skipSaveConvo).toBe(true);
+    expect(clients.every((client) => client.skipSaveResponse === true)).toBe(true);
+
+    const frames = parseFrames(res);
+    const channels = frames
+      .filter((frame) => frame.event === Constants.FANOUT_EVENT)
+      .map((frame) => frame.data.channel);
+    expect(new Set(channels)).toEqual(new Set([0, 1, 2]));
+
+    const created = frames[0];
+    expect(created.data.created).toBe(true);
+    const final = frames[frames.length - 1];
+    expect(final.data.final).toBe(true);
+    expect(final.data.responseMessage.llmResponses.map((r) => r.text)).toEqual(['A', 'B', 'C']);
+    expect(final.data.responseMessage.text).toBe('A');
+    expect(final.data.responseMessage.parentMessageId).toBe(created.data.message.messageId);
+
+    const [{ metrics }] = final.data.responseMessage.llmResponses;
+    expect(metrics).toEqual(
+      expect.objectContaining({ promptTokens: 10, completionTokens: 20, tokenValue: 150 }),
+    );
+    expect(metrics.timeToFirstToken).toBeLessThanOrEqual(metrics.latency);
+
+    const ids = final.data.responseMessage.llmResponses.map((r) => r.messageId);
+    expect(ids[0]).toBe(final.data.responseMessage.messageId);
+    expect(new Set(ids).size).toBe(3);
+
+    const responseSave = saveMessage.mock.calls.find(([, message]) => message.llmResponses);
+    expect(responseSave[1].llmResponses).toHaveLength(3);
+    expect(responseSave[1].error).toBe(false);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('records a failing target as an errored response without failing the others', async () => {
+    const failing = {
+      savedMessageIds: new Set(),
+      options: {},
+      sendMessage: jest.fn().mockRejectedValue(new Error('boom')),
+    };
+    const clients = [
+      createClient({ model: 'gpt-4o', sender: 'GPT-4o', text: 'A' }),
+      failing,
+      createClient({ model: 'gemini-2.5-pro', sender: 'Gemini', text: 'C' }),
+    ];
+    let call = 0;
+    const initializeClient = jest.fn(async () => ({ client: clients[call++] }));
+
+    await FanOutController(req, res, jest.fn(), initializeClient);
+
+    const responseSave = saveMessage.mock.calls.find(([, message]) => message.llmResponses);
+    const [, errored] = responseSave[1].llmResponses;
+    expect(errored.error).toBe(true);
+    expect(errored.model).toBe('claude-sonnet-4');
+    expect(responseSave[1].error).toBe(false);
+  });
+
+  it('saves the user message when the primary target did not', async () => {
+    const clients = [
+      createClient({ model: 'gpt-4o', sender: 'GPT-4o', text: 'A' }),
+      createClient({ model: 'claude-sonnet-4', sender: 'Claude', text: 'B' }),
+    ];
+    req.body.targets = req.body.targets.slice(0, 2);
+    let call = 0;
+    const initializeClient = jest.fn(async () => ({ client: clients[call++] }));
+
+    await FanOutController(req, res, jest.fn(), initializeClient);
+
+    const userSave = saveMessage.mock.calls.find(([, message]) => message.isCreatedByUser);
+    expect(userSave[1].text).toBe('Hello');
+    expect(saveConvo).toHaveBeenCalledWith(
+      req,
+      expect.objectContaining({ endpoint: 'openAI', model: 'gpt-4o' }),
+      expect.any(Object),
+    );
+  });
+});
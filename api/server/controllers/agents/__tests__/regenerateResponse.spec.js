@@ -0,0 +1,157 @@
+const RegenerateResponseController = require('../regenerateResponse');
+const { createEndpointOption } = require('~/server/middleware');
+const { getMessage, saveLLMResponseVersion } = require('~/models');
+
+jest.mock('~/server/middleware', () => ({
+  createEndpointOption: jest.fn(),
+}));
+jest.mock('~/models', () => ({
+  getMessage: jest.fn(),
+  saveLLMResponseVersion: jest.fn(),
+}));
+jest.mock('~/server/cleanup', () => ({
+  disposeClient: jest.fn(),
+  clientRegistry: null,
+}));
+
+const parseFrames = (res) =>
+  res.write.mock.calls.map(([chunk]) => {
+    const [eventLine, dataLine] = chunk.trim().split('\n');
+    return {
+      event: eventLine.replace('event: ', ''),
+      data: JSON.parse(dataLine.replace('data: ', '')),
+    };
+  });
+
+const fanOutMessage = {
+  messageId: 'response_1',
+  conversationId: 'convo_1',
+  parentMessageId: 'user_message_1',
+  llmResponses: [
+    { messageId: 'response_1', endpoint: 'openAI', model: 'gpt-4o', text: 'Answer A' },
+    { messageId: 'response_2', endpoint: 'anthropic', model: 'claude-sonnet-4', text: 'Answer B' },
+  ],
+};
+
+const userMessage = {
+  messageId: 'user_message_1',
+  conversationId: 'convo_1',
+  parentMessageId: 'earlier_response',
+  text: 'What is the answer?',
+};
+
+describe('RegenerateResponseController', () => {
+  let req, res, client, initializeClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      user: { id: 'user_1' },
+      body: {
+        endpoint: 'openAI',
+        conversationId: 'convo_1',
+        messageId: 'response_1',
+        responseId: 'response_2',
+      },
+    };
+    res = {
+      writableEnded: false,
+      write: jest.fn(),
+      end: jest.fn(() => {
+        res.writableEnded = true;
+      }),
+      on: jest.fn(),
+      removeListener: jest.fn(),
+    };
+    client = {
+      sendMessage: jest.fn(async (_text, opts) => ({
+        messageId: opts.responseMessageId,
+        model: 'claude-sonnet-4',
+        sender: 'Claude',
+        text: 'Answer B2',
+      })),
+    };
+    initializeClient = jest.fn(async () => ({ client }));
+    createEndpointOption.mockImplementation(async (targetReq) => ({
+      endpoint: targetReq.body.endpoint,
+    }));
+    getMessage.mockImplementation(async ({ messageId }) =>
+      messageId === fanOutMessage.messageId ? fanOutMessage : userMessage,
+    );
+    saveLLMResponseVersion.mockImplementation(async (_req, { response }) => ({
+      ...fanOutMessage,
+      llmResponses: [fanOutMessage.llmResponses[0], response],
+    }));
+  });
+
+  it('regenerates the response with its own endpoint and model on its channel', async () => {
+    await RegenerateResponseController(req, res, jest.fn(), initializeClient);
+
+    const [targetArgs] = initializeClient.mock.calls[0];
+    expect(targetArgs.req.body).toMatchObject({ endpoint: 'anthropic', model: 'claude-sonnet-4' });
+
+    const [text, options] = client.sendMessage.mock.calls[0];
+    expect(text).toBe('What is the answer?');
+    expect(options).toMatchObject({
+      parentMessageId: 'earlier_response',
+      overrideParentMessageId: 'user_message_1',
+      responseMessageId: 'response_2',
+    });
+    expect(client.skipSaveUserMessage).toBe(true);
+    expect(client.skipSaveResponse).toBe(true);
+    expect(client.skipSaveConvo).toBe(true);
+
+    const frames = parseFrames(res);
+    const channelFinal = frames.find((frame) => frame.event === 'fanout');
+    expect(channelFinal.data).toMatchObject({
+      channel: 1,
+      data: { final: true, responseMessage: { messageId: 'response_2', text: 'Answer B2' } },
+    });
+  });
+
+  it('saves a successful attempt as the new version of the response', async () => {
+    await RegenerateResponseController(req, res, jest.fn(), initializeClient);
+
+    const [, params] = saveLLMResponseVersion.mock.calls[0];
+    expect(params).toMatchObject({
+      conversationId: 'convo_1',
+      messageId: 'response_1',
+      responseId: 'response_2',
+      response: { messageId: 'response_2', endpoint: 'anthropic', text: 'Answer B2' },
+    });
+
+    const final = parseFrames(res).pop();
+    expect(final.data.final).toBe(true);
+    expect(final.data.responseMessage.llmResponses[1].text).toBe('Answer B2');
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('regenerates with another endpoint and model when given a target', async () => {
+    req.body.target = { endpoint: 'google', model: 'gemini-2.5-pro' };
+
+    await RegenerateResponseController(req, res, jest.fn(), initializeClient);
+
+    const [targetArgs] = initializeClient.mock.calls[0];
+    expect(targetArgs.req.body).toMatchObject({ endpoint: 'google', model: 'gemini-2.5-pro' });
+    expect(targetArgs.req.body.target).toBeUndefined();
+  });
+
+  it('keeps the previous attempt when regeneration fails', async () => {
+    client.sendMessage.mockRejectedValue(new Error('Provider unavailable'));
+
+    await RegenerateResponseController(req, res, jest.fn(), initializeClient);
+
+    expect(saveLLMResponseVersion).not.toHaveBeenCalled();
+    const final = parseFrames(res).pop();
+    expect(final.data.responseMessage).toEqual(fanOutMessage);
+  });
+
+  it('rejects unknown responses', async () => {
+    req.body.responseId = 'response_3';
+
+    await RegenerateResponseController(req, res, jest.fn(), initializeClient);
+
+    expect(initializeClient).not.toHaveBeenCalled();
+    expect(res.write.mock.calls[0][0]).toContain('Response not found');
+  });
+});
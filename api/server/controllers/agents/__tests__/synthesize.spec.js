@@ -0,0 +1,148 @@
+const { Constants } = require('librechat-data-provider');
+const SynthesizeController = require('../synthesize');
+const { getMessage, saveMessage } = require('~/models');
+
+jest.mock('~/models', () => ({
+  getMessage: jest.fn(),
+  saveMessage: jest.fn(),
+}));
+jest.mock('~/server/cleanup', () => ({
+  disposeClient: jest.fn(),
+  clientRegistry: null,
+}));
+
+const parseFrames = (res) =>
+  res.write.mock.calls.map(([chunk]) => {
+    const [eventLine, dataLine] = chunk.trim().split('\n');
+    return {
+      event: eventLine.replace('event: ', ''),
+      data: JSON.parse(dataLine.replace('data: ', '')),
+    };
+  });
+
+const fanOutMessage = {
+  messageId: 'response_1',
+  conversationId: 'convo_1',
+  parentMessageId: 'user_message_1',
+  llmResponses: [
+    { messageId: 'response_1', endpoint: 'openAI', model: 'gpt-4o', text: 'Answer A' },
+    {
+      messageId: 'response_2',
+      endpoint: 'anthropic',
+      model: 'claude-sonnet-4',
+      content: [{ type: 'text', text: 'Answer B' }],
+    },
+    { messageId: 'response_3', endpoint: 'google', model: 'gemini-2.5-pro', error: true },
+  ],
+};
+
+const userMessage = {
+  messageId: 'user_message_1',
+  conversationId: 'convo_1',
+  parentMessageId: 'earlier_response',
+  text: 'What is the answer?',
+};
+
+describe('SynthesizeController', () => {
+  let req, res, client, initializeClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      user: { id: 'user_1' },
+      body: {
+        endpoint: 'openAI',
+        model: 'gpt-4o-mini',
+        conversationId: 'convo_1',
+        messageId: 'response_1',
+        endpointOption: { endpoint: 'openAI' },
+      },
+    };
+    res = {
+      writableEnded: false,
+      write: jest.fn(),
+      end: jest.fn(() => {
+        res.writableEnded = true;
+      }),
+      on: jest.fn(),
+      removeListener: jest.fn(),
+    };
+    client = {
+      sendMessage: jest.fn(async () => ({
+        messageId: 'synthesis_1',
+        model: 'gpt-4o-mini',
+        sender: 'GPT-4o mini',
+        text: 'Merged answer',
+      })),
+    };
+    initializeClient = jest.fn(async () => ({ client }));
+    getMessage.mockImplementation(async ({ messageId }) =>
+      messageId === fanOutMessage.messageId ? fanOutMessage : userMessage,
+    );
+  });
+
+  it('sends the prompt and the successful responses to the judge', async () => {
+    await SynthesizeController(req, res, jest.fn(), initializeClient);
+
+    const [text, options] = client.sendMessage.mock.calls[0];
+    expect(text).toContain('What is the answer?');
+    expect(text).toContain('Answer A');
+    expect(text).toContain('Answer B');
+    expect(text).not.toContain('gemini-2.5-pro');
+    expect(options.parentMessageId).toBe('earlier_response');
+    expect(client.skipSaveUserMessage).toBe(true);
+    expect(client.skipSaveResponse).toBe(true);
+    expect(client.skipSaveConvo).toBe(true);
+  });
+
+  it('saves the answer as a child of the multi-LLM message with its sources', async () => {
+    await SynthesizeController(req, res, jest.fn(), initializeClient);
+
+    const [, saved] = saveMessage.mock.calls[0];
+    expect(saved).toEqual(
+      expect.objectContaining({
+        messageId: 'synthesis_1',
+        parentMessageId: 'response_1',
+        conversationId: 'convo_1',
+        text: 'Merged answer',
+        user: 'user_1',
+      }),
+    );
+    expect(saved.synthesizedFrom).toEqual([
+      { messageId: 'response_1', endpoint: 'openAI', model: 'gpt-4o', sender: undefined },
+      {
+        messageId: 'response_2',
+        endpoint: 'anthropic',
+        model: 'claude-sonnet-4',
+        sender: undefined,
+      },
+    ]);
+
+    const final = parseFrames(res).pop();
+    expect(final.data.final).toBe(true);
+    expect(final.data.responseMessage.messageId).toBe('synthesis_1');
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('rejects messages with fewer than two successful responses', async () => {
+    getMessage.mockResolvedValue({
+      ...fanOutMessage,
+      llmResponses: fanOutMessage.llmResponses.slice(1),
+    });
+
+    await SynthesizeController(req, res, jest.fn(), initializeClient);
+
+    expect(initializeClient).not.toHaveBeenCalled();
+    expect(res.write.mock.calls[0][0]).toContain('event: error');
+    expect(saveMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects messages of another conversation', async () => {
+    req.body.conversationId = Constants.NEW_CONVO;
+
+    await SynthesizeController(req, res, jest.fn(), initializeClient);
+
+    expect(initializeClient).not.toHaveBeenCalled();
+    expect(res.write.mock.calls[0][0]).toContain('Message not found');
+  });
+});
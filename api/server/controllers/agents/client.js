@@ -39,12 +39,19 @@ const {
   deleteMemory,
   setMemory,
 } = require('~/models');
-const { getMCPAuthMap, checkCapability, hasCustomUserVars } = require('~/server/services/Config');
+const {
+  getMCPAuthMap,
+  checkCapability,
+  hasCustomUserVars,
+  getEndpointPricingConfig,
+} = require('~/server/services/Config');
 const { addCacheControl, createContextHandlers } = require('~/app/clients/prompts');
 const { initializeAgent } = require('~/server/services/Endpoints/agents/agent');
 const { spendTokens, spendStructuredTokens } = require('~/models/spendTokens');
+const { getTokenValue } = require('~/models/tx');
 const { encodeAndFormat } = require('~/server/services/Files/images/encode');
 const { getProviderConfig } = require('~/server/services/Endpoints');
+const { getMCPResourcesContext } = require('~/server/services/MCP');
 const BaseClient = require('~/app/clients/BaseClient');
 const { getRoleByName } = require('~/models/Role');
 const { loadAgent } = require('~/models/Agent');
@@ -359,6 +366,19 @@ class AgentClient extends BaseClient {
       }
     }
 
+    // Inject the MCP resources attached to the message
+    const mcpResources = this.options.req.body.mcpResources;
+    if (Array.isArray(mcpResources) && mcpResources.length > 0) {
+      const mcpResourcesContext = await getMCPResourcesContext({
+        user: this.options.req.user,
+        resources: mcpResources,
+      });
+      if (mcpResourcesContext) {
+        systemContent = [systemContent, mcpResourcesContext].filter(Boolean).join('\n\n');
+        logger.debug(`[AgentClient] Injected ${mcpResources.length} attached MCP resources`);
+      }
+    }
+
     if (systemContent) {
       this.options.agent.instructions = systemContent;
     }
@@ -566,6 +586,8 @@ class AgentClient extends BaseClient {
       (Number(collectedUsage[0]?.input_token_details?.cache_read) || 0);
 
     let output_tokens = 0;
+    let tokenValue = 0;
+    const endpointPricing = await getEndpointPricingConfig(this.options.agent.provider);
     let previousTokens = input_tokens; // Start with original input
     for (let i = 0; i < collectedUsage.length; i++) {
       const usage = collectedUsage[i];
@@ -580,6 +602,7 @@ class AgentClient extends BaseClient {
         context,
         conversationId: this.conversationId,
         user: this.user ?? this.options.req.user?.id,
+        endpoint: this.options.agent.provider,
         endpointTokenConfig: this.options.endpointTokenConfig,
         model: usage.model ?? model ?? this.model ?? this.options.agent.model_parameters.model,
       };
@@ -596,6 +619,17 @@ class AgentClient extends BaseClient {
       // Update previousTokens to include this message's output
       previousTokens += Number(usage.output_tokens) || 0;
 
+      tokenValue += getTokenValue({
+        model: txMetadata.model,
+        endpoint: txMetadata.endpoint,
+        endpointTokenConfig: txMetadata.endpointTokenConfig,
+        endpointPricing,
+        promptTokens: Number(usage.input_tokens) || 0,
+        writeTokens: cache_creation,
+        readTokens: cache_read,
+        completionTokens: Number(usage.output_tokens) || 0,
+      });
+
       if (cache_creation > 0 || cache_read > 0) {
         spendStructuredTokens(txMetadata, {
           promptTokens: {
@@ -626,6 +660,7 @@ class AgentClient extends BaseClient {
     this.usage = {
       input_tokens,
       output_tokens,
+      tokenValue,
     };
   }
 
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { logger } = require('@librechat/data-schemas');
+const { sendEvent, handleError } = require('@librechat/api');
+const { Constants } = require('librechat-data-provider');
+const { disposeClient, clientRegistry } = require('~/server/cleanup');
+const { getErrorText, generateLLMResponse } = require('./llmResponses');
+const { saveMessage, saveConvo, getConvo } = require('~/models');
+
+/**
+ * Validates the fan-out targets of the request body.
+ * @param {unknown} targets
+ * @returns {targets is TFanOutTarget[]}
+ */
+const isValidTargets = (targets) =>
+  Array.isArray(targets) &&
+  targets.length > 1 &&
+  targets.length <= Constants.MAX_FANOUT_TARGETS &&
+  targets.every((target) => typeof target?.endpoint === 'string' && target.endpoint.length > 0);
+
+/**
+ * Sends one user message to several endpoint/model pairs at once.
+ *
+ * Each target streams over its own channel of the same Server Sent Events connection
+ * (see `createChannelResponse`); the responses are persisted as the `llmResponses` of a
+ * single response message, the first target being the primary response.
+ * Only the first target saves the user message and the conversation.
+ */
+const FanOutController = async (req, res, next, initializeClient, addTitle) => {
+  const { text, targets, parentMessageId = Constants.NO_PARENT } = req.body;
+
+  if (!isValidTargets(targets)) {
+    return handleError(res, {
+      text: `Fan-out requests require between 2 and ${Constants.MAX_FANOUT_TARGETS} targets`,
+    });
+  }
+
+  const userId = req.user.id;
+  const newConvo = !req.body.conversationId || req.body.conversationId === Constants.NEW_CONVO;
+  const conversationId = newConvo ? crypto.randomUUID() : req.body.conversationId;
+  const userMessageId = crypto.randomUUID();
+  const responseMessageId = crypto.randomUUID();
+
+  /** @type {TMessage} */
+  const userMessage = {
+    messageId: userMessageId,
+    parentMessageId,
+    conversationId,
+    sender: 'User',
+    text,
+    isCreatedByUser: true,
+  };
+
+  /** @type {Array<TAgentClient | null>} */
+  const clients = targets.map(() => null);
+  const abortControllers = targets.map(() => new AbortController());
+
+  const closeHandler = () => {
+    for (const abortController of abortControllers) {
+      if (!abortController.signal.aborted && !abortController.requestCompleted) {
+        abortController.abort();
+      }
+    }
+    logger.debug('[FanOutController] Request closed');
+  };
+  res.on('close', closeHandler);
+
+  const performCleanup = () => {
+    res.removeListener('close', closeHandler);
+    for (const client of clients) {
+      disposeClient(client);
+    }
+    clients.fill(null);
+  };
+
+  /**
+   * @param {TFanOutTarget} target
+   * @param {number} index
+   * @returns {Promise<TLLMResponse>}
+   */
+  const runTarget = (target, index) =>
+    generateLLMResponse({
+      req,
+      res,
+      text,
+      target,
+      channel: index,
+      messageId: index === 0 ? responseMessageId : crypto.randomUUID(),
+      initializeClient,
+      onClient: (client) => {
+        clients[index] = client;
+        if (clientRegistry) {
+          clientRegistry.register(client, { userId }, client);
+        }
+
+        client.skipSaveResponse = true;
+        if (index > 0) {
+          client.skipSaveConvo = true;
+          client.skipSaveUserMessage = true;
+        }
+      },
+      messageOptions: {
+        user: userId,
+        conversationId,
+        parentMessageId,
+        responseMessageId,
+        overrideParentMessageId: userMessageId,
+        abortController: abortControllers[index],
+      },
+    });
+
+  try {
+    sendEvent(res, { message: userMessage, created: true });
+
+    const llmResponses = await Promise.all(targets.map(runTarget));
+    const [primaryResponse] = llmResponses;
+    const [primaryClient] = clients;
+
+    if (req.body.files && primaryClient?.options?.attachments) {
+      userMessage.files = [];
+      const messageFiles = new Set(req.body.files.map((file) => file.file_id));
+      for (const attachment of primaryClient.options.attachments) {
+        if (messageFiles.has(attachment.file_id)) {
+          userMessage.files.push({ ...attachment });
+        }
+      }
+    }
+
+    if (!primaryClient?.savedMessageIds?.has(userMessageId)) {
+      await saveMessage(req, userMessage, {
+        context: 'api/server/controllers/agents/fanout.js - user message',
+      });
+    }
+
+    /** @type {TMessage} */
+    const responseMessage = {
+      messageId: responseMessageId,
+      conversationId,
+      parentMessageId: userMessageId,
+      isCreatedByUser: false,
+      unfinished: false,
+      endpoint: primaryResponse.endpoint,
+      model: primaryResponse.model,
+      sender: primaryResponse.sender,
+      iconURL: primaryResponse.iconURL,
+      text: primaryResponse.text,
+      content: primaryResponse.content,
+      tokenCount: primaryResponse.tokenCount,
+      finish_reason: primaryResponse.finish_reason,
+      error: llmResponses.every((response) => response.error === true),
+      llmResponses,
+    };
+
+    await saveMessage(
+      req,
+      { ...responseMessage, user: userId },
+      { context: 'api/server/controllers/agents/fanout.js - response message' },
+    );
+
+    const existingConvo = await getConvo(userId, conversationId);
+    const convoUpdate = existingConvo
+      ? { conversationId }
+      : {
+          conversationId,
+          endpoint: targets[0].endpoint,
+          endpointType: targets[0].endpointType,
+          model: targets[0].model,
+        };
+    const conversation = await saveConvo(req, convoUpdate, {
+      context: 'api/server/controllers/agents/fanout.js - conversation',
+    });
+    conversation.title =
+      conversation && !conversation.title ? null : conversation?.title || 'New Chat';
+
+    if (!res.writableEnded) {
+      sendEvent(res, {
+        final: true,
+        conversation,
+        title: conversation.title,
+        requestMessage: userMessage,
+        responseMessage,
+      });
+      res.end();
+    }
+
+    if (addTitle && newConvo && parentMessageId === Constants.NO_PARENT && primaryClient) {
+      addTitle(req, { text, response: responseMessage, client: primaryClient })
+        .catch((err) => {
+          logger.error('[FanOutController] Error in title generation', err);
+        })
+        .finally(performCleanup);
+    } else {
+      performCleanup();
+    }
+  } catch (error) {
+    logger.error('[FanOutController] Error handling fan-out request', error);
+    performCleanup();
+    if (!res.writableEnded) {
+      handleError(res, { text: getErrorText(error) });
+    }
+  }
+};
+
+module.exports = FanOutController;
@@ -0,0 +1,155 @@
+const { GraphEvents } = require('@librechat/agents');
+const { logger } = require('@librechat/data-schemas');
+const { sendEvent, createChannelResponse } = require('@librechat/api');
+const { ErrorTypes } = require('librechat-data-provider');
+const { createEndpointOption } = require('~/server/middleware');
+
+/** Fields of a fan-out target that override the request body for its client */
+const targetFields = [
+  'endpoint',
+  'endpointType',
+  'model',
+  'agent_id',
+  'spec',
+  'iconURL',
+  'modelLabel',
+];
+
+/**
+ * Creates the request used to initialize the client of a single fan-out target:
+ * the original request with the target's endpoint/model applied to its body.
+ * @param {ServerRequest} req
+ * @param {TFanOutTarget} target
+ * @param {string} conversationId
+ * @returns {ServerRequest}
+ */
+const createTargetRequest = (req, target, conversationId) => {
+  const {
+    target: _tg,
+    targets: _t,
+    overrideConvoId: _oc,
+    overrideUserMessageId: _ou,
+    ...body
+  } = req.body;
+  for (const field of targetFields) {
+    body[field] = target[field];
+  }
+  body.conversationId = conversationId;
+
+  const targetReq = Object.create(req);
+  targetReq.body = body;
+  return targetReq;
+};
+
+/**
+ * Whether a channel event streams generated tokens.
+ * @param {TFanOutEvent} event
+ * @returns {boolean}
+ */
+const isTokenEvent = ({ data }) =>
+  data?.event === GraphEvents.ON_MESSAGE_DELTA || data?.event === GraphEvents.ON_REASONING_DELTA;
+
+/**
+ * @param {Error} error
+ * @returns {string}
+ */
+const getErrorText = (error) => {
+  if (error?.type === ErrorTypes.INVALID_REQUEST) {
+    return `{"type":"${ErrorTypes.INVALID_REQUEST}"}`;
+  }
+  return error?.message?.includes('"type"')
+    ? error.message
+    : 'An error occurred while processing your request. Please contact the Admin.';
+};
+
+/**
+ * Generates one `llmResponses` entry of a multi-LLM turn with the client of a fan-out target,
+ * streamed over its own channel of the Server Sent Events connection.
+ * Errors are not thrown but returned as an errored entry.
+ *
+ * @param {Object} params
+ * @param {ServerRequest} params.req
+ * @param {ServerResponse} params.res
+ * @param {TFanOutTarget} params.target
+ * @param {number} params.channel - The channel of the target, i.e. the index of the entry.
+ * @param {string} params.messageId - The ID of the entry.
+ * @param {string} params.text - The user message.
+ * @param {Object} params.messageOptions - The options of `client.sendMessage`; the progress options are set here.
+ * @param {Function} params.initializeClient
+ * @param {(client: TAgentClient) => void} params.onClient - Called with the client before the message is sent.
+ * @returns {Promise<TLLMResponse>}
+ */
+const generateLLMResponse = async ({
+  req,
+  res,
+  target,
+  channel,
+  messageId,
+  text,
+  messageOptions,
+  initializeClient,
+  onClient,
+}) => {
+  const startTime = Date.now();
+  /** @type {number | undefined} */
+  let timeToFirstToken;
+  const channelRes = createChannelResponse(res, channel, (event) => {
+    if (timeToFirstToken == null && isTokenEvent(event)) {
+      timeToFirstToken = Date.now() - startTime;
+    }
+  });
+  const targetReq = createTargetRequest(req, target, messageOptions.conversationId);
+  /** @type {TAgentClient | undefined} */
+  let client;
+  /** @type {TLLMResponse} */
+  let llmResponse;
+
+  try {
+    const endpointOption = await createEndpointOption(targetReq);
+    targetReq.body.endpointOption = endpointOption;
+
+    ({ client } = await initializeClient({ req: targetReq, res: channelRes, endpointOption }));
+    onClient(client);
+
+    const response = await client.sendMessage(text, {
+      ...messageOptions,
+      progressOptions: { res: channelRes },
+    });
+    const usage = client.getStreamUsage?.();
+
+    llmResponse = {
+      messageId,
+      endpoint: endpointOption.endpoint,
+      model: response.model,
+      sender: response.sender,
+      iconURL: response.iconURL,
+      text: response.text ?? '',
+      content: response.content,
+      tokenCount: response.tokenCount,
+      finish_reason: response.finish_reason,
+      unfinished: response.unfinished,
+      metrics: {
+        timeToFirstToken,
+        latency: Date.now() - startTime,
+        promptTokens: usage?.input_tokens,
+        completionTokens: usage?.output_tokens ?? response.tokenCount,
+        tokenValue: usage?.tokenValue,
+      },
+    };
+  } catch (error) {
+    logger.error(`[generateLLMResponse] Error in target ${channel} (${target.endpoint})`, error);
+    llmResponse = {
+      messageId,
+      endpoint: target.endpoint,
+      model: target.model,
+      sender: client?.sender,
+      text: getErrorText(error),
+      error: true,
+    };
+  }
+
+  sendEvent(channelRes, { final: true, responseMessage: llmResponse });
+  return llmResponse;
+};
+
+module.exports = { getErrorText, generateLLMResponse };
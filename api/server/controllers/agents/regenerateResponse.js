@@ -0,0 +1,116 @@
+const { logger } = require('@librechat/data-schemas');
+const { sendEvent, handleError } = require('@librechat/api');
+const { Constants } = require('librechat-data-provider');
+const { disposeClient, clientRegistry } = require('~/server/cleanup');
+const { getMessage, saveLLMResponseVersion } = require('~/models');
+const { generateLLMResponse } = require('./llmResponses');
+
+/**
+ * Regenerates a single `llmResponses` entry of a multi-LLM message, optionally with another
+ * endpoint/model (`req.body.target`).
+ *
+ * The entry streams over the channel of its index, like in the original fan-out request.
+ * A successful attempt replaces the entry and keeps the previous one in its `versions`;
+ * a failed attempt is streamed but not saved, so the previous attempt stays current.
+ */
+const RegenerateResponseController = async (req, res, next, initializeClient) => {
+  const { conversationId, messageId, responseId } = req.body;
+  const userId = req.user.id;
+
+  /** @type {TAgentClient | null} */
+  let client = null;
+  const abortController = new AbortController();
+  const closeHandler = () => {
+    if (!abortController.signal.aborted && !abortController.requestCompleted) {
+      abortController.abort();
+    }
+    logger.debug('[RegenerateResponseController] Request closed');
+  };
+  res.on('close', closeHandler);
+
+  const performCleanup = () => {
+    res.removeListener('close', closeHandler);
+    disposeClient(client);
+    client = null;
+  };
+
+  try {
+    const message = await getMessage({ user: userId, messageId });
+    const index =
+      message?.llmResponses?.findIndex((response) => response.messageId === responseId) ?? -1;
+    if (!message || message.conversationId !== conversationId || index < 0) {
+      performCleanup();
+      return handleError(res, { text: 'Response not found' });
+    }
+
+    const userMessage = await getMessage({ user: userId, messageId: message.parentMessageId });
+    if (!userMessage) {
+      performCleanup();
+      return handleError(res, { text: 'Message not found' });
+    }
+    if (userMessage.files?.length) {
+      req.body.files = userMessage.files;
+    }
+
+    const current = message.llmResponses[index];
+    /** @type {TFanOutTarget} */
+    const target =
+      typeof req.body.target?.endpoint === 'string' && req.body.target.endpoint.length > 0
+        ? req.body.target
+        : { endpoint: current.endpoint, model: current.model, iconURL: current.iconURL };
+
+    const llmResponse = await generateLLMResponse({
+      req,
+      res,
+      target,
+      channel: index,
+      messageId: responseId,
+      text: userMessage.text,
+      initializeClient,
+      onClient: (_client) => {
+        client = _client;
+        if (clientRegistry) {
+          clientRegistry.register(client, { userId }, client);
+        }
+
+        client.skipSaveConvo = true;
+        client.skipSaveUserMessage = true;
+        client.skipSaveResponse = true;
+      },
+      messageOptions: {
+        user: userId,
+        conversationId,
+        parentMessageId: userMessage.parentMessageId ?? Constants.NO_PARENT,
+        overrideParentMessageId: userMessage.messageId,
+        responseMessageId: responseId,
+        abortController,
+      },
+    });
+
+    const updated =
+      llmResponse.error === true
+        ? null
+        : await saveLLMResponseVersion(req, {
+            conversationId,
+            messageId,
+            responseId,
+            response: llmResponse,
+          });
+
+    if (!res.writableEnded) {
+      sendEvent(res, { final: true, responseMessage: updated ?? message });
+      res.end();
+    }
+    performCleanup();
+  } catch (error) {
+    logger.error('[RegenerateResponseController] Error regenerating response', error);
+    performCleanup();
+    if (!res.writableEnded) {
+      handleError(res, {
+        text: 'An error occurred while regenerating the response. Please try again.',
+      });
+    }
+  }
+};
+
+module.exports = RegenerateResponseController;
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { logger } = require('@librechat/data-schemas');
+const { sendEvent, handleError } = require('@librechat/api');
+const { Constants, parseTextParts } = require('librechat-data-provider');
+const { disposeClient, clientRegistry } = require('~/server/cleanup');
+const { createSynthesisPrompt } = require('~/app/clients/prompts');
+const { getMessage, saveMessage } = require('~/models');
+
+/**
+ * @param {TLLMResponse} response
+ * @returns {string}
+ */
+const getResponseText = (response) =>
+  response.text || (Array.isArray(response.content) ? parseTextParts(response.content, true) : '');
+
+/**
+ * Merges the `llmResponses` of a multi-LLM turn into a single answer, using a judge model.
+ *
+ * The judge receives the original prompt along with every successful response and streams
+ * its answer like a regular response. The answer is saved as a child of the multi-LLM
+ * message, with `synthesizedFrom` referencing each of the source responses.
+ */
+const SynthesizeController = async (req, res, next, initializeClient) => {
+  const { conversationId, messageId, endpointOption } = req.body;
+  const userId = req.user.id;
+
+  /** @type {TAgentClient | null} */
+  let client = null;
+  const abortController = new AbortController();
+  const closeHandler = () => {
+    if (!abortController.signal.aborted && !abortController.requestCompleted) {
+      abortController.abort();
+    }
+    logger.debug('[SynthesizeController] Request closed');
+  };
+  res.on('close', closeHandler);
+
+  const performCleanup = () => {
+    res.removeListener('close', closeHandler);
+    disposeClient(client);
+    client = null;
+  };
+
+  try {
+    const message = await getMessage({ user: userId, messageId });
+    if (!message || message.conversationId !== conversationId) {
+      performCleanup();
+      return handleError(res, { text: 'Message not found' });
+    }
+
+    const sources = (message.llmResponses ?? []).filter(
+      (response) => response.error !== true && getResponseText(response).length > 0,
+    );
+    if (sources.length < 2) {
+      performCleanup();
+      return handleError(res, { text: 'Synthesis requires at least two successful responses' });
+    }
+
+    const userMessage = await getMessage({ user: userId, messageId: message.parentMessageId });
+    const text = createSynthesisPrompt({
+      prompt: userMessage?.text ?? '',
+      responses: sources.map((response) => ({
+        label: response.model ?? response.sender ?? response.endpoint,
+        text: getResponseText(response),
+      })),
+    });
+
+    const result = await initializeClient({ req, res, endpointOption });
+    client = result.client;
+    if (clientRegistry) {
+      clientRegistry.register(client, { userId }, client);
+    }
+
+    client.skipSaveConvo = true;
+    client.skipSaveUserMessage = true;
+    client.skipSaveResponse = true;
+
+    const response = await client.sendMessage(text, {
+      user: userId,
+      conversationId,
+      abortController,
+      /** The judge sees the conversation up to the multi-LLM turn, then the synthesis prompt */
+      parentMessageId: userMessage?.parentMessageId ?? Constants.NO_PARENT,
+      overrideParentMessageId: crypto.randomUUID(),
+      progressOptions: { res },
+    });
+
+    /** @type {TMessage} */
+    const responseMessage = {
+      messageId: response.messageId,
+      conversationId,
+      parentMessageId: messageId,
+      isCreatedByUser: false,
+      unfinished: false,
+      error: false,
+      endpoint: endpointOption.endpoint,
+      model: response.model,
+      sender: response.sender,
+      iconURL: response.iconURL,
+      text: response.text ?? '',
+      content: response.content,
+      tokenCount: response.tokenCount,
+      finish_reason: response.finish_reason,
+      synthesizedFrom: sources.map(({ messageId, endpoint, model, sender }) => ({
+        messageId,
+        endpoint,
+        model,
+        sender,
+      })),
+    };
+
+    await saveMessage(
+      req,
+      { ...responseMessage, user: userId },
+      { context: 'api/server/controllers/agents/synthesize.js - response message' },
+    );
+
+    if (!res.writableEnded) {
+      sendEvent(res, { final: true, responseMessage });
+      res.end();
+    }
+    performCleanup();
+  } catch (error) {
+    logger.error('[SynthesizeController] Error synthesizing responses', error);
+    performCleanup();
+    if (!res.writableEnded) {
+      handleError(res, {
+        text: 'An error occurred while synthesizing the responses. Please try again.',
+      });
+    }
+  }
+};
+
+module.exports = SynthesizeController;
@@ -133,7 +133,10 @@ const chatV1 = async (req, res) => {
         messageData,
         'Message too long. The Assistants API has a limit of 32,768 characters per message. Please shorten it and try again.',
       );
-    } else if (error?.message?.includes(ViolationTypes.TOKEN_BALANCE)) {
+    } else if (
+      error?.message?.includes(ViolationTypes.TOKEN_BALANCE) ||
+      error?.message?.includes(ViolationTypes.BUDGET_LIMIT)
+    ) {
       return sendResponse(req, res, messageData, error.message);
     } else {
       logger.error('[/assistants/chat/]', error);
@@ -251,8 +254,8 @@ const chatV1 = async (req, res) => {
     }
 
     const checkBalanceBeforeRun = async () => {
-      const balance = req.app?.locals?.balance;
-      if (!balance?.enabled) {
+      const { balance, budgets } = req.app?.locals ?? {};
+      if (!balance?.enabled && !budgets?.enabled) {
         return;
       }
       const transactions =
@@ -126,8 +126,8 @@ const chatV2 = async (req, res) => {
     }
 
     const checkBalanceBeforeRun = async () => {
-      const balance = req.app?.locals?.balance;
-      if (!balance?.enabled) {
+      const { balance, budgets } = req.app?.locals ?? {};
+      if (!balance?.enabled && !budgets?.enabled) {
         return;
       }
       const transactions =
@@ -12,6 +12,7 @@ const { isEnabled } = require('@librechat/api');
 const { logger } = require('@librechat/data-schemas');
 const mongoSanitize = require('express-mongo-sanitize');
 const { connectDb, indexSync } = require('~/db');
+const { resumeImportJobs } = require('~/server/utils/import');
 
 const validateImageRequest = require('./middleware/validateImageRequest');
 const { jwtLogin, ldapLogin, passportLogin } = require('~/strategies');
@@ -47,6 +48,9 @@ const startServer = async () => {
   app.set('trust proxy', trusted_proxy);
 
   await AppService(app);
+  resumeImportJobs().catch((err) => {
+    logger.error('[resumeImportJobs] Error resuming import jobs:', err);
+  });
 
   const indexPath = path.join(app.locals.paths.dist, 'index.html');
   const indexHTML = fs.readFileSync(indexPath, 'utf8');
@@ -114,6 +118,7 @@ const startServer = async () => {
   app.use('/images/', validateImageRequest, routes.staticRoute);
   app.use('/api/share', routes.share);
   app.use('/api/roles', routes.roles);
+  app.use('/api/admin', routes.admin);
   app.use('/api/agents', routes.agents);
   app.use('/api/banner', routes.banner);
   app.use('/api/memories', routes.memories);
@@ -28,7 +28,13 @@ const buildFunction = {
   [EModelEndpoint.azureAssistants]: azureAssistants.buildOptions,
 };
 
-async function buildEndpointOption(req, res, next) {
+/**
+ * Parses the request body and builds the endpoint option for the requested endpoint.
+ * @param {ServerRequest} req - The request; `req.body` holds the conversation parameters.
+ * @returns {Promise<object>} The endpoint option.
+ * @throws {Error} With a user-facing message if the body or model spec is invalid.
+ */
+async function createEndpointOption(req) {
   const { endpoint, endpointType } = req.body;
   let parsedBody;
   try {
@@ -37,7 +43,7 @@ async function buildEndpointOption(req, res, next) {
     logger.warn(
       `Error parsing conversation for endpoint ${endpoint}${error?.message ? `: ${error.message}` : ''}`,
     );
-    return handleError(res, { text: 'Error parsing conversation' });
+    throw new Error('Error parsing conversation');
   }
 
   if (req.app.locals.modelSpecs?.list && req.app.locals.modelSpecs?.enforce) {
@@ -46,16 +52,16 @@ async function buildEndpointOption(req, res, next) {
     const { spec } = parsedBody;
 
     if (!spec) {
-      return handleError(res, { text: 'No model spec selected' });
+      throw new Error('No model spec selected');
     }
 
     const currentModelSpec = list.find((s) => s.name === spec);
     if (!currentModelSpec) {
-      return handleError(res, { text: 'Invalid model spec' });
+      throw new Error('Invalid model spec');
     }
 
     if (endpoint !== currentModelSpec.preset.endpoint) {
-      return handleError(res, { text: 'Model spec mismatch' });
+      throw new Error('Model spec mismatch');
     }
 
     try {
@@ -70,7 +76,7 @@ async function buildEndpointOption(req, res, next) {
       });
     } catch (error) {
       logger.error(`Error parsing model spec for endpoint ${endpoint}`, error);
-      return handleError(res, { text: 'Error parsing model spec' });
+      throw new Error('Error parsing model spec');
     }
   }
 
@@ -82,20 +88,29 @@ async function buildEndpointOption(req, res, next) {
       : buildFunction[endpointType ?? endpoint];
 
     // TODO: use object params
-    req.body.endpointOption = await builder(endpoint, parsedBody, endpointType);
+    const endpointOption = await builder(endpoint, parsedBody, endpointType);
 
     if (req.body.files && !isAgents) {
-      req.body.endpointOption.attachments = processFiles(req.body.files);
+      endpointOption.attachments = processFiles(req.body.files);
     }
 
-    next();
+    return endpointOption;
   } catch (error) {
     logger.error(
       `Error building endpoint option for endpoint ${endpoint} with type ${endpointType}`,
       error,
     );
-    return handleError(res, { text: 'Error building endpoint option' });
+    throw new Error('Error building endpoint option');
+  }
+}
+
+async function buildEndpointOption(req, res, next) {
+  try {
+    req.body.endpointOption = await createEndpointOption(req);
+  } catch (error) {
+    return handleError(res, { text: error.message });
   }
+  next();
 }
 
-module.exports = buildEndpointOption;
+module.exports = { buildEndpointOption, createEndpointOption };
@@ -1,7 +1,7 @@
 const validatePasswordReset = require('./validatePasswordReset');
 const validateRegistration = require('./validateRegistration');
 const validateImageRequest = require('./validateImageRequest');
-const buildEndpointOption = require('./buildEndpointOption');
+const { buildEndpointOption, createEndpointOption } = require('./buildEndpointOption');
 const validateMessageReq = require('./validateMessageReq');
 const checkDomainAllowed = require('./checkDomainAllowed');
 const concurrentLimiter = require('./concurrentLimiter');
@@ -47,6 +47,7 @@ module.exports = {
   checkDomainAllowed,
   validateMessageReq,
   buildEndpointOption,
+  createEndpointOption,
   validateRegistration,
   validateImageRequest,
   validatePasswordReset,
@@ -0,0 +1,330 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { logger } = require('@librechat/data-schemas');
+const { UsageGroupBy } = require('librechat-data-provider');
+const { computePreferenceRatings, toCSV } = require('@librechat/api');
+const { requireJwtAuth, checkAdmin } = require('~/server/middleware');
+const { getPreferenceVotes } = require('~/models');
+const { getBudgets, createBudget, updateBudget, deleteBudget } = require('~/models/budgetMethods');
+const { getUserCredits, adjustCredits, transferCredits } = require('~/models/creditMethods');
+const { createMCPServer, deleteMCPServer } = require('~/models/mcpServerMethods');
+const { getUsageReport } = require('~/models/usageMethods');
+const {
+  getMCPServer,
+  testMCPServer,
+  applyMCPServer,
+  listMCPServers,
+  updateOrOverrideMCPServer,
+} = require('~/server/services/MCPServers');
+
+/** Columns of the CSV export of the usage reports */
+const usageColumns = [
+  { header: 'Key', key: 'key' },
+  { header: 'Name', key: 'label' },
+  { header: 'Email', key: 'email' },
+  { header: 'Prompt Tokens', key: 'promptTokens' },
+  { header: 'Completion Tokens', key: 'completionTokens' },
+  { header: 'Cache Write Tokens', key: 'cacheWriteTokens' },
+  { header: 'Cache Read Tokens', key: 'cacheReadTokens' },
+  { header: 'Prompt Cost (USD)', key: 'promptCost' },
+  { header: 'Completion Cost (USD)', key: 'completionCost' },
+  { header: 'Cost (USD)', key: 'cost' },
+  { header: 'Transactions', key: 'transactions' },
+];
+
+/**
+ * Parses an optional date query parameter.
+ * @param {unknown} value
+ * @returns {Date | null | undefined} `null` when invalid.
+ */
+const parseDateParam = (value) => {
+  if (value == null || value === '') {
+    return undefined;
+  }
+  const date = new Date(String(value));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const router = express.Router();
+router.use(requireJwtAuth);
+router.use(checkAdmin);
+
+/**
+ * GET /api/admin/evaluations
+ * Win rates and Elo-style ratings per model, from the blind A/B votes of all users
+ */
+router.get('/evaluations', async (req, res) => {
+  try {
+    const votes = await getPreferenceVotes();
+    res.json({ totalVotes: votes.length, models: computePreferenceRatings(votes) });
+  } catch (error) {
+    logger.error('[/admin/evaluations] Error computing preference ratings', error);
+    res.status(500).json({ error: 'Failed to compute preference ratings' });
+  }
+});
+
+/**
+ * GET /api/admin/usage
+ * Spend and tokens aggregated by user, model, endpoint, agent, day, week or month, for a date
+ * range (the current month by default); as CSV with `format=csv`
+ */
+router.get('/usage', async (req, res) => {
+  const { groupBy = UsageGroupBy.user, user, format } = req.query;
+  if (!Object.values(UsageGroupBy).includes(groupBy)) {
+    return res.status(400).json({
+      error: `groupBy must be one of: ${Object.values(UsageGroupBy).join(', ')}`,
+    });
+  }
+  const startDate = parseDateParam(req.query.startDate);
+  const endDate = parseDateParam(req.query.endDate);
+  if (startDate === null || endDate === null) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+  if (user && !mongoose.isValidObjectId(user)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const report = await getUsageReport({ groupBy, startDate, endDate, user });
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    if (format !== 'csv') {
+      return res.json(report);
+    }
+    const range = `${report.startDate.slice(0, 10)}_${report.endDate.slice(0, 10)}`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="usage-${groupBy}-${range}.csv"`);
+    res.send(toCSV(report.rows, usageColumns));
+  } catch (error) {
+    logger.error('[/admin/usage] Error aggregating usage', error);
+    res.status(500).json({ error: 'Failed to aggregate usage' });
+  }
+});
+
+/**
+ * GET /api/admin/budgets
+ * Lists the monthly spending budgets
+ */
+router.get('/budgets', async (req, res) => {
+  try {
+    res.json(await getBudgets());
+  } catch (error) {
+    logger.error('[/admin/budgets] Error listing budgets', error);
+    res.status(500).json({ error: 'Failed to list budgets' });
+  }
+});
+
+/**
+ * POST /api/admin/budgets
+ * Creates a budget for a user, a role or a group of users
+ */
+router.post('/budgets', async (req, res) => {
+  try {
+    const { budget, error } = await createBudget(req.body ?? {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(201).json(budget);
+  } catch (error) {
+    logger.error('[/admin/budgets] Error creating budget', error);
+    res.status(500).json({ error: 'Failed to create budget' });
+  }
+});
+
+/**
+ * PATCH /api/admin/budgets/:budgetId
+ * Updates a budget
+ */
+router.patch('/budgets/:budgetId', async (req, res) => {
+  try {
+    const result = await updateBudget(req.params.budgetId, req.body ?? {});
+    if (!result) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result.budget);
+  } catch (error) {
+    logger.error('[/admin/budgets] Error updating budget', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+/**
+ * DELETE /api/admin/budgets/:budgetId
+ * Deletes a budget
+ */
+router.delete('/budgets/:budgetId', async (req, res) => {
+  try {
+    const deleted = await deleteBudget(req.params.budgetId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    logger.error('[/admin/budgets] Error deleting budget', error);
+    res.status(500).json({ error: 'Failed to delete budget' });
+  }
+});
+
+/**
+ * POST /api/admin/balances/transfers
+ * Moves credits from a user to another user or to the members of a group budget
+ */
+router.post('/balances/transfers', async (req, res) => {
+  const { from, to, budgetId, amount, reason } = req.body ?? {};
+  try {
+    const result = await transferCredits({
+      from,
+      to,
+      budgetId,
+      amount,
+      reason,
+      actor: req.user.id,
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('[/admin/balances/transfers] Error transferring credits', error);
+    res.status(500).json({ error: 'Failed to transfer credits' });
+  }
+});
+
+/**
+ * GET /api/admin/balances/:userId
+ * Returns the credits of a user
+ */
+router.get('/balances/:userId', async (req, res) => {
+  try {
+    const balance = await getUserCredits(req.params.userId);
+    if (!balance) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(balance);
+  } catch (error) {
+    logger.error('[/admin/balances] Error getting credits', error);
+    res.status(500).json({ error: 'Failed to get credits' });
+  }
+});
+
+/**
+ * POST /api/admin/balances/:userId/adjustments
+ * Grants, sets or revokes the credits of a user, with a reason
+ */
+router.post('/balances/:userId/adjustments', async (req, res) => {
+  const { type, amount, reason } = req.body ?? {};
+  try {
+    const result = await adjustCredits({
+      user: req.params.userId,
+      type,
+      amount,
+      reason,
+      actor: req.user.id,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('[/admin/balances] Error adjusting credits', error);
+    res.status(500).json({ error: 'Failed to adjust credits' });
+  }
+});
+
+/**
+ * GET /api/admin/mcp/servers
+ * Lists the MCP servers of the config and those managed by admins, with their health
+ */
+router.get('/mcp/servers', async (req, res) => {
+  try {
+    res.json(await listMCPServers());
+  } catch (error) {
+    logger.error('[/admin/mcp/servers] Error listing MCP servers', error);
+    res.status(500).json({ error: 'Failed to list MCP servers' });
+  }
+});
+
+/**
+ * POST /api/admin/mcp/servers
+ * Adds an MCP server and connects it, replacing the server of the config with the same name
+ */
+router.post('/mcp/servers', async (req, res) => {
+  try {
+    const { server, error } = await createMCPServer(req.body ?? {}, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await applyMCPServer(server.name);
+    res.status(201).json(await getMCPServer(server.name));
+  } catch (error) {
+    logger.error('[/admin/mcp/servers] Error creating MCP server', error);
+    res.status(500).json({ error: 'Failed to create MCP server' });
+  }
+});
+
+/**
+ * POST /api/admin/mcp/test
+ * Connects to an MCP server configuration without saving it, and lists its tools
+ */
+router.post('/mcp/test', async (req, res) => {
+  try {
+    const { result, error } = await testMCPServer(req.body ?? {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('[/admin/mcp/test] Error testing MCP server', error);
+    res.status(500).json({ error: 'Failed to test MCP server' });
+  }
+});
+
+/**
+ * PATCH /api/admin/mcp/servers/:serverName
+ * Updates, enables or disables an MCP server, and reconnects it
+ */
+router.patch('/mcp/servers/:serverName', async (req, res) => {
+  const { serverName } = req.params;
+  try {
+    const result = await updateOrOverrideMCPServer(serverName, req.body ?? {}, req.user.id);
+    if (!result) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    await applyMCPServer(serverName);
+    res.json(await getMCPServer(serverName));
+  } catch (error) {
+    logger.error('[/admin/mcp/servers] Error updating MCP server', error);
+    res.status(500).json({ error: 'Failed to update MCP server' });
+  }
+});
+
+/**
+ * DELETE /api/admin/mcp/servers/:serverName
+ * Deletes an MCP server managed by admins, restoring the server of the config it replaced
+ */
+router.delete('/mcp/servers/:serverName', async (req, res) => {
+  const { serverName } = req.params;
+  try {
+    const deleted = await deleteMCPServer(serverName);
+    if (!deleted) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+    await applyMCPServer(serverName);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('[/admin/mcp/servers] Error deleting MCP server', error);
+    res.status(500).json({ error: 'Failed to delete MCP server' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const { generateCheckAccess } = require('@librechat/api');
+const { PermissionTypes, Permissions, isAgentsEndpoint } = require('librechat-data-provider');
+const { setHeaders, moderateText, validateConvoAccess } = require('~/server/middleware');
+const { initializeClient } = require('~/server/services/Endpoints/agents');
+const RegenerateResponseController = require('~/server/controllers/agents/regenerateResponse');
+const FanOutController = require('~/server/controllers/agents/fanout');
+const addTitle = require('~/server/services/Endpoints/agents/title');
+const { getRoleByName } = require('~/models/Role');
+
+const router = express.Router();
+
+const checkAgentAccess = generateCheckAccess({
+  permissionType: PermissionTypes.AGENTS,
+  permissions: [Permissions.USE],
+  skipCheck: (req) => {
+    const { targets, target } = req?.body ?? {};
+    const requested = Array.isArray(targets) ? targets : [target];
+    return !requested.some((item) => isAgentsEndpoint(item?.endpoint));
+  },
+  getRoleByName,
+});
+
+router.use(checkAgentAccess);
+router.use(validateConvoAccess);
+router.use(setHeaders);
+
+/**
+ * @route POST /
+ * @desc Send one message to several endpoint/model pairs, streamed over one connection
+ * @access Public
+ * @param {express.Request} req - The request object, containing the request data and `targets`.
+ * @param {express.Response} res - The response object, used to send back a response.
+ * @returns {void}
+ */
+router.post('/', moderateText, async (req, res, next) => {
+  await FanOutController(req, res, next, initializeClient, addTitle);
+});
+
+/**
+ * @route POST /regenerate
+ * @desc Regenerate one response of a multi-LLM message, keeping the previous attempt as a version
+ * @access Public
+ * @param {express.Request} req - The request object, containing the message and response IDs
+ * and an optional `target` to regenerate with.
+ * @param {express.Response} res - The response object, used to send back a response.
+ * @returns {void}
+ */
+router.post('/regenerate', async (req, res, next) => {
+  await RegenerateResponseController(req, res, next, initializeClient);
+});
+
+module.exports = router;
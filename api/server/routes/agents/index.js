@@ -9,6 +9,8 @@ const {
 } = require('~/server/middleware');
 const { isEnabled } = require('~/server/utils');
 const { v1 } = require('./v1');
+const synthesize = require('./synthesize');
+const fanout = require('./fanout');
 const chat = require('./chat');
 
 const { LIMIT_CONCURRENT_MESSAGES, LIMIT_MESSAGE_IP, LIMIT_MESSAGE_USER } = process.env ?? {};
@@ -34,6 +36,8 @@ if (isEnabled(LIMIT_MESSAGE_USER)) {
   chatRouter.use(messageUserLimiter);
 }
 
+chatRouter.use('/fanout', fanout);
+chatRouter.use('/synthesize', synthesize);
 chatRouter.use('/', chat);
 router.use('/chat', chatRouter);
 
@@ -0,0 +1,35 @@
+const express = require('express');
+const { generateCheckAccess, skipAgentCheck } = require('@librechat/api');
+const { PermissionTypes, Permissions } = require('librechat-data-provider');
+const { setHeaders, validateConvoAccess, buildEndpointOption } = require('~/server/middleware');
+const { initializeClient } = require('~/server/services/Endpoints/agents');
+const SynthesizeController = require('~/server/controllers/agents/synthesize');
+const { getRoleByName } = require('~/models/Role');
+
+const router = express.Router();
+
+const checkAgentAccess = generateCheckAccess({
+  permissionType: PermissionTypes.AGENTS,
+  permissions: [Permissions.USE],
+  skipCheck: skipAgentCheck,
+  getRoleByName,
+});
+
+router.use(checkAgentAccess);
+router.use(validateConvoAccess);
+router.use(buildEndpointOption);
+router.use(setHeaders);
+
+/**
+ * @route POST /
+ * @desc Merge the responses of a multi-LLM message into one answer with a judge model
+ * @access Public
+ * @param {express.Request} req - The request object, with the judge endpoint/model, `conversationId` and `messageId`.
+ * @param {express.Response} res - The response object, used to stream the synthesized response.
+ * @returns {void}
+ */
+router.post('/', async (req, res, next) => {
+  await SynthesizeController(req, res, next, initializeClient);
+});
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/Balance');
+const budgetStatusController = require('../controllers/Budgets');
+const transactionsController = require('../controllers/Transactions');
 const { requireJwtAuth } = require('../middleware/');
 
 router.get('/', requireJwtAuth, controller);
+router.get('/budgets', requireJwtAuth, budgetStatusController);
+router.get('/transactions', requireJwtAuth, transactionsController);
 
 module.exports = router;
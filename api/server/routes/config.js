@@ -2,6 +2,7 @@ const express = require('express');
 const { logger } = require('@librechat/data-schemas');
 const { CacheKeys, defaultSocialLogins, Constants } = require('librechat-data-provider');
 const { getCustomConfig } = require('~/server/services/Config/getCustomConfig');
+const { isSemanticSearchEnabled } = require('~/server/services/Files/VectorDB/messages');
 const { getLdapConfig } = require('~/server/services/Config/ldap');
 const { getProjectByName } = require('~/models/Project');
 const { isEnabled } = require('~/server/utils');
@@ -91,8 +92,10 @@ router.get('/', async function (req, res) {
       turnstile: req.app.locals.turnstileConfig,
       modelSpecs: req.app.locals.modelSpecs,
       balance: req.app.locals.balance,
+      budgetsEnabled: req.app.locals.budgets?.enabled === true,
       sharedLinksEnabled,
       publicSharedLinksEnabled,
+      semanticSearchEnabled: isSemanticSearchEnabled(),
       analyticsGtmId: process.env.ANALYTICS_GTM_ID,
       instanceProjectId: instanceProject._id.toString(),
       bundlerURL: process.env.SANDPACK_BUNDLER_URL,
@@ -3,12 +3,18 @@ const express = require('express');
 const { sleep } = require('@librechat/agents');
 const { isEnabled } = require('@librechat/api');
 const { logger } = require('@librechat/data-schemas');
-const { CacheKeys, EModelEndpoint } = require('librechat-data-provider');
+const { CacheKeys, EModelEndpoint, ImportJobStatus } = require('librechat-data-provider');
 const { getConvosByCursor, deleteConvos, getConvo, saveConvo } = require('~/models/Conversation');
 const { forkConversation, duplicateConversation } = require('~/server/utils/import/fork');
 const { createImportLimiters, createForkLimiters } = require('~/server/middleware');
 const { storage, importFileFilter } = require('~/server/routes/files/multer');
 const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
+const {
+  createImportJob,
+  getImportJob,
+  toImportJobResponse,
+  IMPORT_JOB_STALE_MS,
+} = require('~/models/ImportJob');
 const { importConversations } = require('~/server/utils/import');
 const { deleteToolCalls } = require('~/models/ToolCall');
 const getLogStores = require('~/cache/getLogStores');
@@ -18,6 +24,31 @@ const assistantClients = {
   [EModelEndpoint.assistants]: require('~/server/services/Endpoints/assistants'),
 };
 
+/**
+ * Parses an optional boolean query parameter, so that a filter is only applied when it is given;
+ * other values, including repeated parameters parsed as arrays, are ignored.
+ * @param {unknown} value
+ * @returns {boolean | undefined}
+ */
+const parseBooleanParam = (value) => {
+  if (value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+};
+
+/**
+ * Parses an optional date query parameter, ignoring invalid dates.
+ * @param {string | undefined} value
+ * @returns {Date | undefined}
+ */
+const parseDateParam = (value) => {
+  const date = value ? new Date(value) : undefined;
+  return date && !isNaN(date.getTime()) ? date : undefined;
+};
+
 const router = express.Router();
 router.use(requireJwtAuth);
 
@@ -40,7 +71,16 @@ router.get('/', async (req, res) => {
       isArchived,
       tags,
       search,
+      searchMode: req.query.searchMode,
       order,
+      endpoint: req.query.endpoint || undefined,
+      model: req.query.model || undefined,
+      agent_id: req.query.agent_id || undefined,
+      startDate: parseDateParam(req.query.startDate),
+      endDate: parseDateParam(req.query.endDate),
+      hasFiles: parseBooleanParam(req.query.hasFiles),
+      hasArtifacts: parseBooleanParam(req.query.hasArtifacts),
+      isTemporary: parseBooleanParam(req.query.isTemporary),
     });
     res.status(200).json(result);
   } catch (error) {
@@ -162,10 +202,11 @@ const { forkIpLimiter, forkUserLimiter } = createForkLimiters();
 const upload = multer({ storage: storage, fileFilter: importFileFilter });
 
 /**
- * Imports a conversation from a JSON file and saves it to the database.
+ * Starts importing the conversations of a JSON file, or of the zip archive of an export, as a
+ * background job whose progress can be polled.
  * @route POST /import
- * @param {Express.Multer.File} req.file - The JSON file to import.
- * @returns {object} 201 - success response - application/json
+ * @param {Express.Multer.File} req.file - The JSON or zip file to import.
+ * @returns {TImportResponse} 202 - the ID of the import job - application/json
  */
 router.post(
   '/import',
@@ -174,9 +215,17 @@ router.post(
   upload.single('file'),
   async (req, res) => {
     try {
-      /* TODO: optimize to return imported conversations and add manually */
-      await importConversations({ filepath: req.file.path, requestUserId: req.user.id });
-      res.status(201).json({ message: 'Conversation(s) imported successfully' });
+      const job = await createImportJob({
+        user: req.user.id,
+        filepath: req.file.path,
+        filename: req.file.originalname,
+        fileStrategy: req.app.locals.fileStrategy,
+      });
+      const jobId = job._id.toString();
+      importConversations(jobId).catch((error) => {
+        logger.error(`[/import] Error running import job ${jobId}`, error);
+      });
+      res.status(202).json({ message: 'Conversation import started', jobId });
     } catch (error) {
       logger.error('Error processing file', error);
       res.status(500).send('Error processing file');
@@ -184,6 +233,35 @@ router.post(
   },
 );
 
+/**
+ * Gets the status and progress of an import job of the user. Restarts the job if it was
+ * interrupted, e.g. by a server restart.
+ * @route GET /import/jobs/:jobId
+ * @returns {TImportJob} 200 - the import job - application/json
+ */
+router.get('/import/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await getImportJob({ user: req.user.id, jobId: req.params.jobId });
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    const isStale =
+      job.status === ImportJobStatus.running &&
+      Date.now() - new Date(job.heartbeatAt).getTime() > IMPORT_JOB_STALE_MS;
+    if (job.status === ImportJobStatus.pending || isStale) {
+      importConversations(req.params.jobId).catch((error) => {
+        logger.error(`[/import/jobs] Error resuming import job ${req.params.jobId}`, error);
+      });
+    }
+
+    res.status(200).json(toImportJobResponse(job));
+  } catch (error) {
+    logger.error('Error getting import job', error);
+    res.status(500).send('Error getting import job');
+  }
+});
+
 /**
  * POST /fork
  * This route handles forking a conversation based on the TForkConvoRequest and responds with TForkConvoResponse.
@@ -23,12 +23,12 @@ const storage = multer.diskStorage({
 });
 
 const importFileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/json') {
+  if (file.mimetype === 'application/json' || file.mimetype === 'application/zip') {
     cb(null, true);
-  } else if (path.extname(file.originalname).toLowerCase() === '.json') {
+  } else if (['.json', '.zip'].includes(path.extname(file.originalname).toLowerCase())) {
     cb(null, true);
   } else {
-    cb(new Error('Only JSON files are allowed'), false);
+    cb(new Error('Only JSON and zip files are allowed'), false);
   }
 };
 
@@ -221,6 +221,22 @@ describe('Multer Configuration', () => {
       importFileFilter(mockReq, jsonFile, cb);
     });
 
+    it('should accept zip archives of exports', (done) => {
+      const zipFile = {
+        ...mockFile,
+        mimetype: 'application/x-zip-compressed',
+        originalname: 'export.zip',
+      };
+
+      const cb = jest.fn((err, result) => {
+        expect(err).toBeNull();
+        expect(result).toBe(true);
+        done();
+      });
+
+      importFileFilter(mockReq, zipFile, cb);
+    });
+
     it('should reject non-JSON files', (done) => {
       const textFile = {
         ...mockFile,
@@ -230,7 +246,7 @@ describe('Multer Configuration', () => {
 
       const cb = jest.fn((err, result) => {
         expect(err).toBeInstanceOf(Error);
-        expect(err.message).toBe('Only JSON files are allowed');
+        expect(err.message).toBe('Only JSON and zip files are allowed');
         expect(result).toBe(false);
         done();
       });
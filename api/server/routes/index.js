@@ -8,6 +8,7 @@ const memories = require('./memories');
 const presets = require('./presets');
 const prompts = require('./prompts');
 const balance = require('./balance');
+const admin = require('./admin');
 const plugins = require('./plugins');
 const actions = require('./actions');
 const banner = require('./banner');
@@ -33,6 +34,7 @@ module.exports = {
   keys,
   user,
   tags,
+  admin,
   roles,
   oauth,
   files,
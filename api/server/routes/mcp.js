@@ -1,9 +1,10 @@
 const { Router } = require('express');
-const { MCPOAuthHandler } = require('@librechat/api');
 const { logger } = require('@librechat/data-schemas');
 const { CacheKeys } = require('librechat-data-provider');
+const { MCPOAuthHandler, validateElicitationContent } = require('@librechat/api');
+const { getMCPManager, getFlowStateManager } = require('~/config');
+const { getMCPRequestParams } = require('~/server/services/MCP');
 const { requireJwtAuth } = require('~/server/middleware');
-const { getFlowStateManager } = require('~/config');
 const { getLogStores } = require('~/cache');
 
 const router = Router();
@@ -202,4 +203,191 @@ router.get('/oauth/status/:flowId', async (req, res) => {
   }
 });
 
+/**
+ * Approve or reject a request of an MCP server for a completion
+ * The request is awaited by the tool call of the user that the server made it during
+ */
+router.post('/sampling/:flowId', requireJwtAuth, async (req, res) => {
+  const { flowId } = req.params;
+  const { approved } = req.body ?? {};
+  if (typeof approved !== 'boolean') {
+    return res.status(400).json({ error: 'Approval must be a boolean' });
+  }
+
+  try {
+    const flowManager = getFlowStateManager(getLogStores(CacheKeys.FLOWS));
+    const flowState = await flowManager.getFlowState(flowId, 'mcp_sampling');
+    if (
+      !flowState ||
+      flowState.status !== 'PENDING' ||
+      flowState.metadata?.userId !== req.user.id
+    ) {
+      return res.status(404).json({ error: 'Sampling request not found' });
+    }
+
+    await flowManager.completeFlow(flowId, 'mcp_sampling', { approved });
+    logger.debug('[MCP Sampling] Request answered', { flowId, approved });
+    res.status(204).send();
+  } catch (error) {
+    logger.error('[MCP Sampling] Failed to answer the request', error);
+    res.status(500).json({ error: 'Failed to answer the sampling request' });
+  }
+});
+
+/**
+ * Answer or decline a question of an MCP server
+ * The question is awaited by the tool call of the user that the server asked it during
+ */
+router.post('/elicitation/:flowId', requireJwtAuth, async (req, res) => {
+  const { flowId } = req.params;
+  const { action, content } = req.body ?? {};
+  if (!['accept', 'reject', 'cancel'].includes(action)) {
+    return res.status(400).json({ error: 'Action must be one of accept, reject or cancel' });
+  }
+  if (action === 'accept' && (content == null || typeof content !== 'object')) {
+    return res.status(400).json({ error: 'Content is required to accept' });
+  }
+
+  try {
+    const flowManager = getFlowStateManager(getLogStores(CacheKeys.FLOWS));
+    const flowState = await flowManager.getFlowState(flowId, 'mcp_elicitation');
+    if (
+      !flowState ||
+      flowState.status !== 'PENDING' ||
+      flowState.metadata?.userId !== req.user.id
+    ) {
+      return res.status(404).json({ error: 'Elicitation request not found' });
+    }
+
+    if (action === 'accept') {
+      const error = validateElicitationContent(flowState.metadata.requestedSchema, content);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+    }
+
+    /** @type {TMCPElicitationResponse} */
+    const response = action === 'accept' ? { action, content } : { action };
+    await flowManager.completeFlow(flowId, 'mcp_elicitation', response);
+    logger.debug('[MCP Elicitation] Request answered', { flowId, action });
+    res.status(204).send();
+  } catch (error) {
+    logger.error('[MCP Elicitation] Failed to answer the request', error);
+    res.status(500).json({ error: 'Failed to answer the elicitation request' });
+  }
+});
+
+/**
+ * List the prompts of the connected MCP servers
+ * Servers requiring a user connection are included once the user is connected to them
+ */
+router.get('/prompts', requireJwtAuth, async (req, res) => {
+  try {
+    const flowManager = getFlowStateManager(getLogStores(CacheKeys.FLOWS));
+    const prompts = await getMCPManager(req.user.id).listPrompts({
+      userId: req.user.id,
+      flowManager,
+    });
+    res.json(prompts);
+  } catch (error) {
+    logger.error('[MCP Prompts] Failed to list prompts', error);
+    res.status(500).json({ error: 'Failed to list prompts' });
+  }
+});
+
+/**
+ * List the prompts of an MCP server
+ */
+router.get('/:serverName/prompts', requireJwtAuth, async (req, res) => {
+  try {
+    const { serverName } = req.params;
+    const flowManager = getFlowStateManager(getLogStores(CacheKeys.FLOWS));
+    const prompts = await getMCPManager(req.user.id).listPrompts({
+      userId: req.user.id,
+      flowManager,
+    });
+    res.json(prompts.filter((prompt) => prompt.serverName === serverName));
+  } catch (error) {
+    logger.error('[MCP Prompts] Failed to list prompts', error);
+    res.status(500).json({ error: 'Failed to list prompts' });
+  }
+});
+
+/**
+ * Render a prompt of an MCP server with its arguments, as text messages
+ */
+router.post('/:serverName/prompts/:promptName', requireJwtAuth, async (req, res) => {
+  const { serverName, promptName } = req.params;
+  const { arguments: args = {} } = req.body ?? {};
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    return res.status(400).json({ error: 'Prompt arguments must be an object' });
+  }
+
+  try {
+    const params = await getMCPRequestParams(req.user, serverName);
+    if (!params) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+
+    /** @type {Record<string, string>} */
+    const promptArguments = {};
+    for (const [name, value] of Object.entries(args)) {
+      if (value != null) {
+        promptArguments[name] = String(value);
+      }
+    }
+
+    const result = await getMCPManager(req.user.id).getPrompt({
+      ...params,
+      promptName,
+      promptArguments,
+    });
+    res.json({ serverName, name: promptName, ...result });
+  } catch (error) {
+    logger.error(`[MCP Prompts] Failed to get prompt "${promptName}" of ${serverName}`, error);
+    res.status(500).json({ error: 'Failed to get prompt' });
+  }
+});
+
+/**
+ * List the resources of an MCP server
+ */
+router.get('/:serverName/resources', requireJwtAuth, async (req, res) => {
+  const { serverName } = req.params;
+  try {
+    const params = await getMCPRequestParams(req.user, serverName);
+    if (!params) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+    const resources = await getMCPManager(req.user.id).listResources(params);
+    res.json(resources);
+  } catch (error) {
+    logger.error(`[MCP Resources] Failed to list resources of ${serverName}`, error);
+    res.status(500).json({ error: 'Failed to list resources' });
+  }
+});
+
+/**
+ * Read the contents of a resource of an MCP server, as text
+ */
+router.get('/:serverName/resources/read', requireJwtAuth, async (req, res) => {
+  const { serverName } = req.params;
+  const { uri } = req.query;
+  if (typeof uri !== 'string' || !uri) {
+    return res.status(400).json({ error: 'A resource URI is required' });
+  }
+
+  try {
+    const params = await getMCPRequestParams(req.user, serverName);
+    if (!params) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+    const contents = await getMCPManager(req.user.id).readResource({ ...params, uri });
+    res.json({ serverName, uri, contents });
+  } catch (error) {
+    logger.error(`[MCP Resources] Failed to read resource ${uri} of ${serverName}`, error);
+    res.status(500).json({ error: 'Failed to read resource' });
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const { logger } = require('@librechat/data-schemas');
-const { ContentTypes } = require('librechat-data-provider');
+const { ContentTypes, SearchMode, preferenceSchema } = require('librechat-data-provider');
 const {
   saveConvo,
   saveMessage,
@@ -9,9 +9,13 @@ const {
   getMessagesWithMultiLLMSiblings,
   updateMessage,
   deleteMessages,
+  promoteLLMResponse,
+  savePreferenceVote,
 } = require('~/models');
 const { findAllArtifacts, replaceArtifactContent } = require('~/server/services/Artifacts/update');
 const { requireJwtAuth, validateMessageReq } = require('~/server/middleware');
+const { semanticSearchMessages } = require('~/server/services/Files/VectorDB/messages');
+const { getEndpointsConfig } = require('~/server/services/Config');
 const { cleanUpPrimaryKeyValue } = require('~/lib/utils/misc');
 const { getConvosQueried } = require('~/models/Conversation');
 const { countTokens } = require('~/server/utils');
@@ -31,6 +35,7 @@ router.get('/', async (req, res) => {
       conversationId,
       messageId,
       search,
+      searchMode,
     } = req.query;
     const pageSize = parseInt(pageSizeRaw, 10) || 25;
 
@@ -41,12 +46,8 @@ router.get('/', async (req, res) => {
     const sortOrder = sortDirection === 'asc' ? 1 : -1;
 
     if (conversationId && messageId) {
-      const message = await Message.findOne({
-        conversationId,
-        messageId,
-        user: user,
-      }).lean();
-      response = { messages: message ? [message] : [], nextCursor: null };
+      const messages = await getMessages({ conversationId, messageId, user });
+      response = { messages: messages.slice(0, 1), nextCursor: null };
     } else if (conversationId) {
       const filter = { conversationId, user: user };
       if (cursor) {
@@ -59,7 +60,10 @@ router.get('/', async (req, res) => {
       const nextCursor = messages.length > pageSize ? messages.pop()[sortField] : null;
       response = { messages, nextCursor };
     } else if (search) {
-      const searchResults = await Message.meiliSearch(search, undefined, true);
+      const searchResults =
+        searchMode === SearchMode.semantic
+          ? await semanticSearchMessages(search, { user })
+          : await Message.meiliSearch(search, { user }, true);
 
       const messages = searchResults.hits || [];
 
@@ -138,14 +142,12 @@ router.post('/artifact/:messageId', async (req, res) => {
       return res.status(400).json({ error: 'Original content not found in target artifact' });
     }
 
-    const savedMessage = await saveMessage(
+    const savedMessage = await updateMessage(
       req,
       {
         messageId,
-        conversationId: message.conversationId,
         text: message.text,
         content: message.content,
-        user: req.user.id,
       },
       { context: 'POST /api/messages/artifact/:messageId' },
     );
@@ -284,6 +286,58 @@ router.put('/:conversationId/:messageId/feedback', validateMessageReq, async (re
   }
 });
 
+/**
+ * Promotes a multi-LLM sibling response to be the canonical reply of its message,
+ * and switches the conversation to the endpoint/model of that response.
+ */
+router.post('/:conversationId/:messageId/promote', validateMessageReq, async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    const message = await promoteLLMResponse(req, { conversationId, messageId });
+    if (!message) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+
+    const { endpoint, model } = message;
+    const endpointsConfig = await getEndpointsConfig(req);
+    const endpointType = endpointsConfig?.[endpoint]?.type;
+    const conversation = await saveConvo(
+      req,
+      { conversationId, endpoint, model, ...(endpointType && { endpointType }) },
+      { context: 'POST /api/messages/:conversationId/:messageId/promote' },
+    );
+
+    res.json({ message, conversation });
+  } catch (error) {
+    logger.error('Error promoting response:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.put('/:conversationId/:messageId/preference', validateMessageReq, async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    const parsed = preferenceSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid preference vote' });
+    }
+
+    const preferences = await savePreferenceVote(req, {
+      conversationId,
+      messageId,
+      ...parsed.data,
+    });
+    if (!preferences) {
+      return res.status(404).json({ error: 'Responses not found' });
+    }
+
+    res.json({ messageId, conversationId, preferences });
+  } catch (error) {
+    logger.error('Error saving preference vote:', error);
+    res.status(500).json({ error: 'Failed to save preference vote' });
+  }
+});
+
 router.delete('/:conversationId/:messageId', validateMessageReq, async (req, res) => {
   try {
     const { messageId } = req.params;
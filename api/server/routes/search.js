@@ -1,5 +1,6 @@
 const express = require('express');
 const { MeiliSearch } = require('meilisearch');
+const { getSearchBackend } = require('@librechat/data-schemas');
 const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
 const { isEnabled } = require('~/server/utils');
 
@@ -12,6 +13,11 @@ router.get('/enable', async function (req, res) {
     return res.send(false);
   }
 
+  /* The MongoDB text index is always available alongside the database */
+  if (getSearchBackend() === 'mongodb') {
+    return res.send(true);
+  }
+
   try {
     const client = new MeiliSearch({
       host: process.env.MEILI_HOST,
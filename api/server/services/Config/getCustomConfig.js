@@ -1,19 +1,53 @@
 const { logger } = require('@librechat/data-schemas');
 const { isEnabled, getUserMCPAuthMap } = require('@librechat/api');
-const { CacheKeys, EModelEndpoint } = require('librechat-data-provider');
+const { CacheKeys, EModelEndpoint, budgetsSchema } = require('librechat-data-provider');
 const { normalizeEndpointName } = require('~/server/utils');
 const loadCustomConfig = require('./loadCustomConfig');
 const { getCachedTools } = require('./getCachedTools');
 const getLogStores = require('~/cache/getLogStores');
 
 /**
- * Retrieves the configuration object
+ * Retrieves the configuration object of the config file, without the MCP servers managed by admins
+ * @function getBaseCustomConfig
+ * @returns {Promise<TCustomConfig | null>}
+ * */
+async function getBaseCustomConfig() {
+  const cache = getLogStores(CacheKeys.CONFIG_STORE);
+  return (await cache.get(CacheKeys.CUSTOM_CONFIG)) || (await loadCustomConfig());
+}
+
+/**
+ * Merges the MCP servers managed by admins with those of the config: enabled servers are added,
+ * replacing the server of the config with the same name, and disabled servers are removed.
+ * @param {TCustomConfig['mcpServers']} mcpServers
+ * @param {Array<{ name: string, config: MCPOptions, enabled: boolean }>} [managedServers]
+ * @returns {Record<string, MCPOptions>}
+ */
+function mergeMCPServers(mcpServers, managedServers = []) {
+  const merged = { ...(mcpServers ?? {}) };
+  for (const { name, config, enabled } of managedServers) {
+    if (enabled) {
+      merged[name] = config;
+    } else {
+      delete merged[name];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Retrieves the configuration object, with the MCP servers managed by admins
  * @function getCustomConfig
  * @returns {Promise<TCustomConfig | null>}
  * */
 async function getCustomConfig() {
+  const customConfig = await getBaseCustomConfig();
   const cache = getLogStores(CacheKeys.CONFIG_STORE);
-  return (await cache.get(CacheKeys.CUSTOM_CONFIG)) || (await loadCustomConfig());
+  const managedServers = await cache.get(CacheKeys.MCP_SERVERS);
+  if (!managedServers?.length) {
+    return customConfig;
+  }
+  return { ...customConfig, mcpServers: mergeMCPServers(customConfig?.mcpServers, managedServers) };
 }
 
 /**
@@ -36,6 +70,19 @@ async function getBalanceConfig() {
   return { ...config, ...(customConfig?.['balance'] ?? {}) };
 }
 
+/**
+ * Retrieves the spending budgets configuration
+ * @function getBudgetsConfig
+ * @returns {Promise<TCustomConfig['budgets'] | undefined>}
+ * */
+async function getBudgetsConfig() {
+  const customConfig = await getCustomConfig();
+  if (!customConfig?.budgets) {
+    return;
+  }
+  return budgetsSchema.parse(customConfig.budgets);
+}
+
 /**
  *
  * @param {string | EModelEndpoint} endpoint
@@ -54,6 +101,23 @@ const getCustomEndpointConfig = async (endpoint) => {
   );
 };
 
+/**
+ * Retrieves the pricing of a custom endpoint
+ * @function getEndpointPricingConfig
+ * @param {string} [endpoint] - The normalized name of the endpoint.
+ * @returns {Promise<TEndpointPricing | undefined>}
+ * */
+async function getEndpointPricingConfig(endpoint) {
+  if (!endpoint) {
+    return;
+  }
+  const customConfig = await getCustomConfig();
+  const customEndpoints = customConfig?.endpoints?.[EModelEndpoint.custom] ?? [];
+  return customEndpoints.find(
+    (endpointConfig) => normalizeEndpointName(endpointConfig.name) === endpoint,
+  )?.pricing;
+}
+
 /**
  * @param {Object} params
  * @param {string} params.userId
@@ -94,8 +158,12 @@ async function hasCustomUserVars() {
 
 module.exports = {
   getMCPAuthMap,
+  mergeMCPServers,
   getCustomConfig,
   getBalanceConfig,
+  getBaseCustomConfig,
+  getBudgetsConfig,
+  getEndpointPricingConfig,
   hasCustomUserVars,
   getCustomEndpointConfig,
 };
@@ -0,0 +1,195 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { logger, signPayload } = require('@librechat/data-schemas');
+const { isEnabled, logAxiosError, getSearchHitText } = require('@librechat/api');
+const { Message } = require('~/db/models');
+
+/** Number of message chunks requested from the RAG API for a semantic search */
+const SEMANTIC_SEARCH_K = 40;
+
+/**
+ * Maximum number of embedded messages, the most recent, searched by meaning, bounding the
+ * documents sent to the RAG API for each search.
+ */
+const SEMANTIC_SEARCH_MAX_MESSAGES = 2000;
+
+/** Lifetime of the tokens authenticating the requests to the RAG API, in seconds */
+const TOKEN_EXPIRATION = 5 * 60;
+
+/**
+ * Whether messages are embedded for semantic search: requires `SEMANTIC_SEARCH` and the RAG API.
+ * @returns {boolean}
+ */
+const isSemanticSearchEnabled = () =>
+  isEnabled(process.env.SEMANTIC_SEARCH) && !!process.env.RAG_API_URL;
+
+/**
+ * Returns the headers authenticating a request to the RAG API as the user, whose ID the RAG API
+ * stores with the embedded documents.
+ * @param {string} userId
+ * @returns {Promise<Record<string, string>>}
+ */
+const getAuthHeaders = async (userId) => {
+  const jwtToken = await signPayload({
+    payload: { id: userId },
+    secret: process.env.JWT_SECRET,
+    expirationTime: TOKEN_EXPIRATION,
+  });
+  return { Authorization: `Bearer ${jwtToken}`, accept: 'application/json' };
+};
+
+/**
+ * Deletes the embeddings of messages of a user from the RAG API.
+ * @param {string} userId
+ * @param {string[]} messageIds
+ * @returns {Promise<void>}
+ */
+async function deleteMessageVectors(userId, messageIds) {
+  if (!messageIds.length || !process.env.RAG_API_URL) {
+    return;
+  }
+  try {
+    await axios.delete(`${process.env.RAG_API_URL}/documents`, {
+      headers: { ...(await getAuthHeaders(userId)), 'Content-Type': 'application/json' },
+      data: messageIds,
+    });
+  } catch (error) {
+    logAxiosError({ error, message: 'Error deleting message vectors' });
+  }
+}
+
+/**
+ * Embeds the text of a message with the RAG API, the message ID serving as the document ID,
+ * replacing the previous embedding of the message, if any. Temporary messages and messages
+ * without text are not embedded.
+ *
+ * @param {Object} message - The saved message.
+ * @param {string} message.user - The ID of the user.
+ * @param {string} message.messageId - The ID of the message.
+ * @param {string} [message.text] - The text of the message.
+ * @param {TMessageContentParts[]} [message.content] - The content parts of the message.
+ * @param {Date | null} [message.expiredAt] - The expiration date of temporary messages.
+ * @returns {Promise<void>}
+ */
+async function indexMessage(message) {
+  const { user, messageId } = message;
+  const userId = user.toString();
+  const text = getSearchHitText(message).trim();
+  if (!text || message.expiredAt) {
+    return;
+  }
+
+  const previous = await Message.findOneAndUpdate(
+    { messageId, user },
+    { _semanticIndex: false },
+    { projection: { _semanticIndex: 1 } },
+  ).lean();
+  if (!previous) {
+    return;
+  }
+  if (previous._semanticIndex) {
+    await deleteMessageVectors(userId, [messageId]);
+  }
+
+  try {
+    const formData = new FormData();
+    formData.append('file_id', messageId);
+    formData.append('file', Buffer.from(text, 'utf8'), {
+      filename: `${messageId}.txt`,
+      contentType: 'text/plain',
+    });
+
+    const response = await axios.post(`${process.env.RAG_API_URL}/embed`, formData, {
+      headers: { ...(await getAuthHeaders(userId)), ...formData.getHeaders() },
+    });
+    if (!response.data?.status) {
+      throw new Error('Message embedding failed.');
+    }
+
+    await Message.updateOne({ messageId, user }, { _semanticIndex: true });
+  } catch (error) {
+    logAxiosError({ error, message: `Error embedding message ${messageId}` });
+  }
+}
+
+/**
+ * Embeds a saved message in the background, when semantic search is enabled.
+ * @param {Parameters<typeof indexMessage>[0] | null | undefined} message
+ */
+function queueMessageIndexing(message) {
+  if (!message || !isSemanticSearchEnabled()) {
+    return;
+  }
+  indexMessage(message).catch((error) => {
+    logger.error(`[queueMessageIndexing] Error indexing message ${message.messageId}`, error);
+  });
+}
+
+/**
+ * Searches the embedded messages of a user by meaning, with the same response shape as the
+ * `meiliSearch` static of the Message model, so both can back the search. Only the most recent
+ * embedded messages are searched (`SEMANTIC_SEARCH_MAX_MESSAGES`).
+ *
+ * @param {string} query - The text query.
+ * @param {Object} params
+ * @param {string} params.user - The ID of the user.
+ * @param {number} [params.limit=20] - The maximum number of messages.
+ * @returns {Promise<{ hits: TMessage[], query: string, limit: number, estimatedTotalHits: number }>}
+ * The matching messages, most relevant first.
+ */
+async function semanticSearchMessages(query, { user, limit = 20 }) {
+  if (!query.trim()) {
+    return { hits: [], query, limit, estimatedTotalHits: 0 };
+  }
+  const candidates = await Message.find(
+    { user, _semanticIndex: true, expiredAt: null },
+    { messageId: 1 },
+  )
+    .sort({ createdAt: -1 })
+    .limit(SEMANTIC_SEARCH_MAX_MESSAGES)
+    .lean();
+  const messageIds = candidates.map((message) => message.messageId);
+  if (!messageIds.length) {
+    return { hits: [], query, limit, estimatedTotalHits: 0 };
+  }
+
+  let results = [];
+  try {
+    const response = await axios.post(
+      `${process.env.RAG_API_URL}/query_multiple`,
+      { query, file_ids: messageIds, k: SEMANTIC_SEARCH_K },
+      { headers: { ...(await getAuthHeaders(user)), 'Content-Type': 'application/json' } },
+    );
+    results = Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    logAxiosError({ error, message: 'Error searching messages semantically' });
+    throw new Error('Semantic search failed');
+  }
+
+  /** @type {Map<string, number>} The best distance of each message, as messages have chunks */
+  const distances = new Map();
+  for (const [document, distance] of results) {
+    const messageId = document?.metadata?.file_id;
+    const best = distances.get(messageId);
+    if (messageId && (best === undefined || distance < best)) {
+      distances.set(messageId, distance);
+    }
+  }
+
+  const rankedIds = [...distances.keys()]
+    .sort((a, b) => distances.get(a) - distances.get(b))
+    .slice(0, limit);
+  const messages = await Message.find({ user, messageId: { $in: rankedIds } }).lean();
+  const messagesById = new Map(messages.map((message) => [message.messageId, message]));
+  const hits = rankedIds.map((messageId) => messagesById.get(messageId)).filter(Boolean);
+
+  return { hits, query, limit, estimatedTotalHits: hits.length };
+}
+
+module.exports = {
+  indexMessage,
+  queueMessageIndexing,
+  deleteMessageVectors,
+  semanticSearchMessages,
+  isSemanticSearchEnabled,
+};
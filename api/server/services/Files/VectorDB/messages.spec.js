@@ -0,0 +1,152 @@
+const axios = require('axios');
+const { Message } = require('~/db/models');
+const { indexMessage, semanticSearchMessages, isSemanticSearchEnabled } = require('./messages');
+
+jest.mock('axios');
+jest.mock('~/db/models', () => ({
+  Message: {
+    find: jest.fn(),
+    updateOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+  },
+}));
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: {
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const lean = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+const sortedQuery = (value) => {
+  const query = { sort: jest.fn(), limit: jest.fn(), ...lean(value) };
+  query.sort.mockReturnValue(query);
+  query.limit.mockReturnValue(query);
+  return query;
+};
+
+describe('VectorDB messages', () => {
+  const user = 'user-1';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.RAG_API_URL = 'http://rag.test';
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.SEMANTIC_SEARCH = 'true';
+  });
+
+  afterEach(() => {
+    delete process.env.RAG_API_URL;
+    delete process.env.SEMANTIC_SEARCH;
+  });
+
+  describe('isSemanticSearchEnabled', () => {
+    it('requires both `SEMANTIC_SEARCH` and the RAG API', () => {
+      expect(isSemanticSearchEnabled()).toBe(true);
+      delete process.env.RAG_API_URL;
+      expect(isSemanticSearchEnabled()).toBe(false);
+      process.env.RAG_API_URL = 'http://rag.test';
+      process.env.SEMANTIC_SEARCH = 'false';
+      expect(isSemanticSearchEnabled()).toBe(false);
+    });
+  });
+
+  describe('indexMessage', () => {
+    it('embeds the text of the message with its ID as the document ID', async () => {
+      Message.findOneAndUpdate.mockReturnValue(lean({ _semanticIndex: false }));
+      axios.post.mockResolvedValue({ data: { status: true } });
+
+      await indexMessage({ user, messageId: 'msg-1', text: 'Hello world' });
+
+      expect(axios.delete).not.toHaveBeenCalled();
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://rag.test/embed',
+        expect.anything(),
+        expect.objectContaining({
+          headers: expect.objectContaining({ Authorization: expect.stringMatching(/^Bearer /) }),
+        }),
+      );
+      expect(Message.updateOne).toHaveBeenCalledWith(
+        { messageId: 'msg-1', user },
+        { _semanticIndex: true },
+      );
+    });
+
+    it('replaces the previous embedding of the message', async () => {
+      Message.findOneAndUpdate.mockReturnValue(lean({ _semanticIndex: true }));
+      axios.delete.mockResolvedValue({});
+      axios.post.mockResolvedValue({ data: { status: true } });
+
+      await indexMessage({ user, messageId: 'msg-1', text: 'Edited text' });
+
+      expect(axios.delete).toHaveBeenCalledWith(
+        'http://rag.test/documents',
+        expect.objectContaining({ data: ['msg-1'] }),
+      );
+      expect(axios.post).toHaveBeenCalled();
+    });
+
+    it('skips temporary messages and messages without text', async () => {
+      await indexMessage({ user, messageId: 'msg-1', text: 'Hi', expiredAt: new Date() });
+      await indexMessage({ user, messageId: 'msg-2', text: '  ' });
+
+      expect(Message.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('does not mark the message as embedded when embedding fails', async () => {
+      Message.findOneAndUpdate.mockReturnValue(lean({ _semanticIndex: false }));
+      axios.post.mockRejectedValue(new Error('RAG API unavailable'));
+
+      await expect(
+        indexMessage({ user, messageId: 'msg-1', text: 'Hello world' }),
+      ).resolves.toBeUndefined();
+      expect(Message.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('semanticSearchMessages', () => {
+    it('returns the messages of the closest chunks, most relevant first', async () => {
+      const candidates = sortedQuery([
+        { messageId: 'msg-1' },
+        { messageId: 'msg-2' },
+        { messageId: 'msg-3' },
+      ]);
+      Message.find.mockReturnValueOnce(candidates);
+      axios.post.mockResolvedValue({
+        data: [
+          [{ page_content: 'a', metadata: { file_id: 'msg-2' } }, 0.4],
+          [{ page_content: 'b', metadata: { file_id: 'msg-1' } }, 0.1],
+          [{ page_content: 'c', metadata: { file_id: 'msg-2' } }, 0.05],
+        ],
+      });
+      Message.find.mockReturnValueOnce(
+        lean([
+          { messageId: 'msg-1', text: 'first' },
+          { messageId: 'msg-2', text: 'second' },
+        ]),
+      );
+
+      const result = await semanticSearchMessages('greetings', { user });
+
+      expect(candidates.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(candidates.limit).toHaveBeenCalledWith(2000);
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://rag.test/query_multiple',
+        expect.objectContaining({ query: 'greetings', file_ids: ['msg-1', 'msg-2', 'msg-3'] }),
+        expect.anything(),
+      );
+      expect(result.hits.map((hit) => hit.messageId)).toEqual(['msg-2', 'msg-1']);
+    });
+
+    it('does not query the RAG API without embedded messages', async () => {
+      Message.find.mockReturnValueOnce(sortedQuery([]));
+
+      const result = await semanticSearchMessages('greetings', { user });
+
+      expect(result.hits).toEqual([]);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,18 +1,33 @@
+const crypto = require('crypto');
 const { z } = require('zod');
 const { tool } = require('@langchain/core/tools');
+const { AIMessage, HumanMessage } = require('@langchain/core/messages');
 const { logger } = require('@librechat/data-schemas');
 const { Time, CacheKeys, StepTypes } = require('librechat-data-provider');
 const { Constants: AgentConstants, Providers, GraphEvents } = require('@librechat/agents');
-const { Constants, ContentTypes, isAssistantsEndpoint } = require('librechat-data-provider');
 const {
+  Constants,
+  ContentTypes,
+  EModelEndpoint,
+  isAssistantsEndpoint,
+} = require('librechat-data-provider');
+const {
+  createRun,
+  Tokenizer,
   sendEvent,
   MCPOAuthHandler,
   normalizeServerName,
+  getUserMCPServerVars,
   convertWithResolvedRefs,
+  formatSamplingMessages,
+  formatResourcesForContext,
 } = require('@librechat/api');
-const { findToken, createToken, updateToken } = require('~/models');
+const { findToken, createToken, updateToken, findPluginAuthsByKeys } = require('~/models');
+const { initializeAgent } = require('~/server/services/Endpoints/agents/agent');
+const { getCachedTools, getCustomConfig } = require('./Config');
 const { getMCPManager, getFlowStateManager } = require('~/config');
-const { getCachedTools } = require('./Config');
+const { checkBalance } = require('~/models/balanceMethods');
+const { spendTokens } = require('~/models/spendTokens');
 const { getLogStores } = require('~/cache');
 
 /**
@@ -92,6 +107,286 @@ function createAbortHandler({ userId, serverName, toolName, flowManager }) {
   };
 }
 
+/** Maximum number of tokens of a completion requested by an MCP server, unless configured */
+const MAX_SAMPLING_TOKENS = 4096;
+
+/**
+ * @param {string | Array<{ type: string, text?: string }> | undefined} content
+ * @returns {string}
+ */
+const getTextContent = (content) =>
+  typeof content === 'string'
+    ? content
+    : (content ?? [])
+        .filter((part) => part?.type === 'text')
+        .map((part) => part.text)
+        .join('');
+
+/**
+ * Completes the messages of a sampling request with an endpoint and model, without tools.
+ * @param {object} params
+ * @param {ServerRequest} params.req - The request of the user.
+ * @param {ServerResponse} params.res - The response of the request.
+ * @param {string} params.endpoint - The endpoint of the completion.
+ * @param {string} params.model - The model of the completion.
+ * @param {number} params.maxTokens - The maximum number of tokens of the completion.
+ * @param {string} [params.systemPrompt] - The system prompt requested by the server.
+ * @param {Array<{ role: 'user' | 'assistant', text: string }>} params.messages - The messages.
+ * @param {AbortSignal} params.signal - Aborts the completion.
+ * @returns {Promise<{ text: string, usage: UsageMetadata[] }>}
+ */
+async function completeSampling({
+  req,
+  res,
+  endpoint,
+  model,
+  maxTokens,
+  systemPrompt,
+  messages,
+  signal,
+}) {
+  const agent = await initializeAgent({
+    req,
+    res,
+    agent: {
+      id: Constants.EPHEMERAL_AGENT_ID,
+      provider: endpoint,
+      model,
+      model_parameters: { model },
+      instructions: systemPrompt,
+      tools: [],
+    },
+    allowedProviders: new Set(req.app.locals?.[EModelEndpoint.agents]?.allowedProviders),
+  });
+  const maxTokensKey =
+    agent.provider === Providers.GOOGLE || agent.provider === Providers.VERTEXAI
+      ? 'maxOutputTokens'
+      : 'maxTokens';
+  agent.model_parameters[maxTokensKey] = maxTokens;
+
+  /** @type {UsageMetadata[]} */
+  const usage = [];
+  let text = '';
+  const run = await createRun({
+    agent: { ...agent, tools: [] },
+    signal,
+    runId: crypto.randomUUID(),
+    streaming: false,
+    customHandlers: {
+      [GraphEvents.CHAT_MODEL_END]: {
+        handle: (_event, data) => {
+          if (data?.output?.usage_metadata) {
+            usage.push(data.output.usage_metadata);
+          }
+          text += getTextContent(data?.output?.content);
+        },
+      },
+    },
+  });
+
+  await run.processStream(
+    {
+      messages: messages.map((message) =>
+        message.role === 'assistant' ? new AIMessage(message.text) : new HumanMessage(message.text),
+      ),
+    },
+    {
+      configurable: { user_id: req.user.id, user: req.user },
+      recursionLimit: 3,
+      signal,
+      streamMode: 'values',
+      version: 'v2',
+    },
+  );
+  return { text, usage };
+}
+
+/**
+ * Checks that the balance and the budgets of the user allow a sampling completion, from the
+ * estimated tokens of its messages and its maximum completion tokens.
+ * @param {object} params
+ * @param {ServerRequest} params.req - The request of the user.
+ * @param {ServerResponse} params.res - The response of the request.
+ * @param {TMCPSamplingRequest} params.samplingRequest - The sampling request.
+ * @returns {Promise<void>} Throws an error if the user cannot spend the tokens.
+ */
+async function checkSamplingBalance({ req, res, samplingRequest }) {
+  const { endpoint, model, systemPrompt, messages, maxTokens } = samplingRequest;
+  const text = [systemPrompt ?? '', ...messages.map((message) => message.text)].join('\n');
+  const txData = { user: req.user.id, endpoint, model };
+  try {
+    await checkBalance({
+      req,
+      res,
+      txData: {
+        ...txData,
+        tokenType: 'prompt',
+        amount: Tokenizer.getTokenCount(text, 'o200k_base'),
+      },
+    });
+    await checkBalance({
+      req,
+      res,
+      txData: { ...txData, tokenType: 'completion', amount: maxTokens },
+    });
+  } catch (error) {
+    logger.warn(`[MCP][${samplingRequest.serverName}] Sampling request denied: ${error.message}`);
+    throw new Error('The balance or the budget of the user does not allow the sampling request');
+  }
+}
+
+/**
+ * Creates the handler of the requests of an MCP server for completions (`sampling/createMessage`)
+ * during a tool call. Each request is shown to the user through the response of the tool call,
+ * and completed once approved with the endpoint and model of the conversation, or those
+ * configured for the server. The balance and the budgets of the user are checked before the
+ * request is shown, and the tokens are charged to the user.
+ * @param {object} params
+ * @param {ServerRequest} params.req - The request of the user calling the tool.
+ * @param {ServerResponse} params.res - The response streaming the tool call.
+ * @param {string} params.serverName - The name of the MCP server.
+ * @param {string} params.endpoint - The endpoint of the conversation.
+ * @param {string} params.model - The model of the conversation.
+ * @param {string} [params.conversationId] - The ID of the conversation.
+ * @param {FlowStateManager<any>} params.flowManager - The flow manager awaiting the approval.
+ * @returns {import('@librechat/api').MCPSamplingHandler}
+ */
+function createSamplingHandler({
+  req,
+  res,
+  serverName,
+  endpoint,
+  model,
+  conversationId,
+  flowManager,
+}) {
+  return async (params, { signal }) => {
+    const customConfig = await getCustomConfig();
+    const samplingConfig = customConfig?.mcpServers?.[serverName]?.sampling ?? {};
+    if (samplingConfig.disabled === true) {
+      throw new Error(`Sampling is disabled for the ${serverName} MCP server`);
+    }
+
+    const samplingEndpoint = samplingConfig.endpoint ?? endpoint;
+    const samplingModel = samplingConfig.endpoint ? samplingConfig.model : model;
+    if (!samplingEndpoint || !samplingModel) {
+      throw new Error(`No model is available for the sampling requests of ${serverName}`);
+    }
+
+    /** @type {TMCPSamplingRequest} */
+    const samplingRequest = {
+      flowId: `${req.user.id}:${serverName}:${crypto.randomUUID()}`,
+      serverName,
+      endpoint: samplingEndpoint,
+      model: samplingModel,
+      systemPrompt: params.systemPrompt,
+      messages: formatSamplingMessages(params),
+      maxTokens: Math.min(params.maxTokens, samplingConfig.maxTokens ?? MAX_SAMPLING_TOKENS),
+    };
+
+    await checkSamplingBalance({ req, res, samplingRequest });
+
+    const approval = flowManager.createFlow(
+      samplingRequest.flowId,
+      'mcp_sampling',
+      { userId: req.user.id, serverName },
+      signal,
+    );
+    res.write(
+      `event: ${Constants.MCP_SAMPLING_EVENT}\ndata: ${JSON.stringify(samplingRequest)}\n\n`,
+    );
+    const { approved } = await approval;
+    if (!approved) {
+      throw new Error('The user rejected the sampling request');
+    }
+
+    const { text, usage } = await completeSampling({
+      req,
+      res,
+      endpoint: samplingEndpoint,
+      model: samplingModel,
+      maxTokens: samplingRequest.maxTokens,
+      systemPrompt: params.systemPrompt,
+      messages: samplingRequest.messages,
+      signal,
+    });
+
+    for (const { input_tokens, output_tokens } of usage) {
+      await spendTokens(
+        {
+          user: req.user.id,
+          conversationId,
+          model: samplingModel,
+          endpoint: samplingEndpoint,
+          context: 'mcp_sampling',
+        },
+        { promptTokens: input_tokens, completionTokens: output_tokens },
+      );
+    }
+
+    return {
+      role: 'assistant',
+      model: samplingModel,
+      stopReason: 'endTurn',
+      content: { type: 'text', text },
+    };
+  };
+}
+
+/**
+ * Creates the handler of the structured questions of an MCP server (`elicitation/create`) during
+ * a tool call. The question is shown as a form on the tool call in progress, and the tool call
+ * resumes with the answer of the user, or their decline.
+ * @param {object} params
+ * @param {ServerRequest} params.req - The request of the user calling the tool.
+ * @param {ServerResponse} params.res - The response streaming the tool call.
+ * @param {string} params.stepId - The ID of the step of the tool call.
+ * @param {ToolCallChunk} params.toolCall - The tool call in progress.
+ * @param {string} params.serverName - The name of the MCP server.
+ * @param {FlowStateManager<any>} params.flowManager - The flow manager awaiting the answer.
+ * @returns {import('@librechat/api').MCPElicitationHandler}
+ */
+function createElicitationHandler({ req, res, stepId, toolCall, serverName, flowManager }) {
+  return async (params, { signal }) => {
+    /** @type {TMCPElicitation} */
+    const elicitation = {
+      flowId: `${req.user.id}:${serverName}:${crypto.randomUUID()}`,
+      serverName,
+      message: params.message,
+      requestedSchema: params.requestedSchema,
+    };
+
+    const answer = flowManager.createFlow(
+      elicitation.flowId,
+      'mcp_elicitation',
+      { userId: req.user.id, serverName, requestedSchema: params.requestedSchema },
+      signal,
+    );
+    /** @type {{ id: string; delta: AgentToolCallDelta }} */
+    const data = {
+      id: stepId,
+      delta: {
+        type: StepTypes.TOOL_CALLS,
+        tool_calls: [{ ...toolCall, args: '' }],
+        elicitation,
+      },
+    };
+    sendEvent(res, { event: GraphEvents.ON_RUN_STEP_DELTA, data });
+
+    try {
+      /** @type {TMCPElicitationResponse} */
+      const { action, content } = await answer;
+      return action === 'accept' ? { action, content } : { action };
+    } finally {
+      /** Removes the form from the tool call */
+      sendEvent(res, {
+        event: GraphEvents.ON_RUN_STEP_DELTA,
+        data: { id: stepId, delta: { type: StepTypes.TOOL_CALLS, tool_calls: [{ ...toolCall }] } },
+      });
+    }
+  };
+}
+
 /**
  * Creates a general tool for an entire action set.
  *
@@ -103,7 +398,7 @@ function createAbortHandler({ userId, serverName, toolName, flowManager }) {
  * @param {string} params.model - The model for the tool.
  * @returns { Promise<typeof tool | { _call: (toolInput: Object | string) => unknown}> } An object with `_call` method to execute the tool input.
  */
-async function createMCPTool({ req, res, toolKey, provider: _provider }) {
+async function createMCPTool({ req, res, toolKey, model, provider: _provider }) {
   const availableTools = await getCachedTools({ includeGlobal: true });
   const toolDefinition = availableTools?.[toolKey]?.function;
   if (!toolDefinition) {
@@ -189,6 +484,23 @@ async function createMCPTool({ req, res, toolKey, provider: _provider }) {
         },
         oauthStart,
         oauthEnd,
+        sampling: createSamplingHandler({
+          req,
+          res,
+          serverName,
+          endpoint: _provider,
+          model,
+          conversationId: config?.configurable?.thread_id,
+          flowManager,
+        }),
+        elicitation: createElicitationHandler({
+          req,
+          res,
+          stepId,
+          toolCall,
+          serverName,
+          flowManager,
+        }),
       });
 
       if (isAssistantsEndpoint(provider) && Array.isArray(result)) {
@@ -238,6 +550,84 @@ async function createMCPTool({ req, res, toolKey, provider: _provider }) {
   return toolInstance;
 }
 
+/** Maximum number of MCP resources attached to a message */
+const MAX_CONTEXT_RESOURCES = 20;
+
+/**
+ * Returns the parameters of a request of a user to a configured MCP server, with the user's
+ * variables for the server.
+ * @param {IUser} user - The user making the request.
+ * @param {string} serverName - The name of the MCP server.
+ * @returns {Promise<object | null>} `null` if the server is not configured.
+ */
+async function getMCPRequestParams(user, serverName) {
+  const customConfig = await getCustomConfig();
+  const serverConfig = customConfig?.mcpServers?.[serverName];
+  if (!serverConfig) {
+    return null;
+  }
+
+  const customUserVars = serverConfig.customUserVars
+    ? await getUserMCPServerVars({ userId: user.id, serverName, findPluginAuthsByKeys })
+    : undefined;
+
+  return {
+    user,
+    serverName,
+    customUserVars,
+    flowManager: getFlowStateManager(getLogStores(CacheKeys.FLOWS)),
+    tokenMethods: { findToken, createToken, updateToken },
+  };
+}
+
+/**
+ * Reads the MCP resources attached to a message and formats them as context. Resources that
+ * cannot be read are skipped.
+ * @param {object} params
+ * @param {IUser} params.user - The user sending the message.
+ * @param {TMCPResourceRef[]} params.resources - The attached resources.
+ * @returns {Promise<string>} The context, empty without readable resources.
+ */
+async function getMCPResourcesContext({ user, resources }) {
+  if (!Array.isArray(resources) || resources.length === 0) {
+    return '';
+  }
+
+  const mcpManager = getMCPManager(user.id);
+  /** @type {Map<string, object | null>} */
+  const requestParams = new Map();
+  const contextResources = [];
+  for (const resource of resources.slice(0, MAX_CONTEXT_RESOURCES)) {
+    const { serverName, uri, name } = resource ?? {};
+    if (typeof serverName !== 'string' || typeof uri !== 'string') {
+      continue;
+    }
+    try {
+      if (!requestParams.has(serverName)) {
+        requestParams.set(serverName, await getMCPRequestParams(user, serverName));
+      }
+      const params = requestParams.get(serverName);
+      if (!params) {
+        logger.warn(`[MCP][${serverName}] Server not found for attached resource ${uri}`);
+        continue;
+      }
+      const contents = await mcpManager.readResource({ ...params, uri });
+      contextResources.push({
+        serverName,
+        uri,
+        name: typeof name === 'string' ? name : undefined,
+        contents,
+      });
+    } catch (error) {
+      logger.error(`[MCP][${serverName}] Failed to read attached resource ${uri}`, error);
+    }
+  }
+
+  return formatResourcesForContext(contextResources);
+}
+
 module.exports = {
   createMCPTool,
+  getMCPRequestParams,
+  getMCPResourcesContext,
 };
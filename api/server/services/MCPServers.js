@@ -0,0 +1,181 @@
+const { logger } = require('@librechat/data-schemas');
+const { CacheKeys, Constants } = require('librechat-data-provider');
+const {
+  getMCPServers,
+  createMCPServer,
+  updateMCPServer,
+  parseMCPServerConfig,
+} = require('~/models/mcpServerMethods');
+const { findToken, updateToken, createToken, deleteTokens } = require('~/models');
+const {
+  getCachedTools,
+  setCachedTools,
+  getCustomConfig,
+  getBaseCustomConfig,
+} = require('./Config');
+const { getMCPManager, getFlowStateManager } = require('~/config');
+const { getLogStores } = require('~/cache');
+
+const tokenMethods = { findToken, updateToken, createToken, deleteTokens };
+
+/**
+ * Loads the MCP servers managed by admins in the cache, from which `getCustomConfig` merges them
+ * with the servers of the config.
+ * @returns {Promise<Array<{ name: string, config: MCPOptions, enabled: boolean }>>}
+ */
+async function loadMCPServers() {
+  const servers = await getMCPServers();
+  const cache = getLogStores(CacheKeys.CONFIG_STORE);
+  await cache.set(
+    CacheKeys.MCP_SERVERS,
+    servers.map(({ name, config, enabled }) => ({ name, config, enabled })),
+  );
+  return servers;
+}
+
+/**
+ * Lists the servers of the config and those managed by admins, without their status.
+ * @returns {Promise<Array<Omit<TMCPServer, 'status'>>>}
+ */
+async function getMCPServerEntries() {
+  const baseConfig = await getBaseCustomConfig();
+  const configServers = baseConfig?.mcpServers ?? {};
+  const managedServers = await getMCPServers();
+  const managedNames = new Set(managedServers.map((server) => server.name));
+
+  return [
+    ...Object.entries(configServers)
+      .filter(([name]) => !managedNames.has(name))
+      .map(([name, config]) => ({ name, config, enabled: true, source: 'yaml' })),
+    ...managedServers.map((server) => ({
+      ...server,
+      source: 'database',
+      overridesYaml: configServers[server.name] != null,
+    })),
+  ].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {Omit<TMCPServer, 'status'>} server
+ * @returns {Promise<TMCPServer>}
+ */
+async function withStatus(server) {
+  if (!server.enabled) {
+    return { ...server, status: { connectionState: 'disconnected' } };
+  }
+  const { serverName: _serverName, ...status } = await getMCPManager().getServerStatus(server.name);
+  return { ...server, status };
+}
+
+/**
+ * Lists the MCP servers of the config and those managed by admins, with the health of their
+ * app-level connections.
+ * @returns {Promise<TMCPServer[]>}
+ */
+async function listMCPServers() {
+  const servers = await getMCPServerEntries();
+  return await Promise.all(servers.map(withStatus));
+}
+
+/**
+ * Returns an MCP server of the config or managed by admins, with its health.
+ * @param {string} name
+ * @returns {Promise<TMCPServer | undefined>}
+ */
+async function getMCPServer(name) {
+  const servers = await getMCPServerEntries();
+  const server = servers.find((entry) => entry.name === name);
+  return server ? await withStatus(server) : undefined;
+}
+
+/**
+ * Updates an MCP server managed by admins; changing a server of the config creates the server
+ * replacing it, e.g. to disable it.
+ * @param {string} name
+ * @param {Partial<Omit<TMCPServerPayload, 'name'>>} data
+ * @param {string} actor - The ID of the admin updating the server.
+ * @returns {Promise<{ server?: object, error?: string } | null>} `null` if not found.
+ */
+async function updateOrOverrideMCPServer(name, data, actor) {
+  const result = await updateMCPServer(name, data, actor);
+  if (result) {
+    return result;
+  }
+  const baseConfig = await getBaseCustomConfig();
+  const configServer = baseConfig?.mcpServers?.[name];
+  if (!configServer) {
+    return null;
+  }
+  return await createMCPServer(
+    { name, config: data.config ?? configServer, enabled: data.enabled },
+    actor,
+    data.config === undefined,
+  );
+}
+
+/**
+ * Replaces the tools of an MCP server in the cached tools, with those of its app-level connection.
+ * @param {string} serverName
+ * @param {FlowStateManager<any>} flowManager
+ */
+async function updateServerTools(serverName, flowManager) {
+  const availableTools = (await getCachedTools()) ?? {};
+  const suffix = `${Constants.mcp_delimiter}${serverName}`;
+  const tools = Object.fromEntries(
+    Object.entries(availableTools).filter(([toolKey]) => !toolKey.endsWith(suffix)),
+  );
+  await getMCPManager().mapAvailableTools(tools, flowManager, [serverName]);
+  await setCachedTools(tools, { isGlobal: true });
+
+  const cache = getLogStores(CacheKeys.CONFIG_STORE);
+  await cache.delete(CacheKeys.TOOLS);
+  await cache.delete(CacheKeys.STARTUP_CONFIG);
+  await getLogStores(CacheKeys.MCP_TOOLS).delete(serverName);
+}
+
+/**
+ * Applies the changes of an MCP server managed by admins without a restart: the server is
+ * connected with its current configuration, or disconnected once disabled or removed, and its
+ * tools are updated.
+ * @param {string} serverName
+ */
+async function applyMCPServer(serverName) {
+  await loadMCPServers();
+  const customConfig = await getCustomConfig();
+  const config = customConfig?.mcpServers?.[serverName];
+  const mcpManager = getMCPManager();
+  const flowManager = getFlowStateManager(getLogStores(CacheKeys.FLOWS));
+
+  if (config) {
+    const status = await mcpManager.addServer({ serverName, config, flowManager, tokenMethods });
+    logger.info(`[MCP][${serverName}] Server applied: ${status.connectionState}`);
+  } else {
+    await mcpManager.removeServer(serverName);
+    logger.info(`[MCP][${serverName}] Server removed`);
+  }
+  await updateServerTools(serverName, flowManager);
+}
+
+/**
+ * Connects to an MCP server configuration without saving it, to list its tools.
+ * @param {TMCPServerPayload} params
+ * @returns {Promise<{ result?: TMCPServerTestResult, error?: string }>}
+ */
+async function testMCPServer({ name, config: _config }) {
+  const { config, error } = parseMCPServerConfig(_config);
+  if (error) {
+    return { error };
+  }
+  const result = await getMCPManager().testServer({ serverName: name || 'test', config });
+  return { result };
+}
+
+module.exports = {
+  tokenMethods,
+  getMCPServer,
+  testMCPServer,
+  applyMCPServer,
+  loadMCPServers,
+  listMCPServers,
+  updateOrOverrideMCPServer,
+};
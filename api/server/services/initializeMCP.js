@@ -1,17 +1,24 @@
 const { logger } = require('@librechat/data-schemas');
 const { CacheKeys } = require('librechat-data-provider');
-const { findToken, updateToken, createToken, deleteTokens } = require('~/models');
+const { getCachedTools, setCachedTools, mergeMCPServers } = require('./Config');
+const { loadMCPServers, tokenMethods } = require('./MCPServers');
 const { getMCPManager, getFlowStateManager } = require('~/config');
-const { getCachedTools, setCachedTools } = require('./Config');
 const { getLogStores } = require('~/cache');
 
 /**
- * Initialize MCP servers
+ * Initialize MCP servers, from the config and those managed by admins
  * @param {import('express').Application} app - Express app instance
  */
 async function initializeMCP(app) {
-  const mcpServers = app.locals.mcpConfig;
-  if (!mcpServers) {
+  let managedServers = [];
+  try {
+    managedServers = await loadMCPServers();
+  } catch (error) {
+    logger.error('Failed to load the MCP servers managed by admins:', error);
+  }
+
+  const mcpServers = mergeMCPServers(app.locals.mcpConfig, managedServers);
+  if (Object.keys(mcpServers).length === 0) {
     return;
   }
 
@@ -24,12 +31,7 @@ async function initializeMCP(app) {
     await mcpManager.initializeMCP({
       mcpServers,
       flowManager,
-      tokenMethods: {
-        findToken,
-        updateToken,
-        createToken,
-        deleteTokens,
-      },
+      tokenMethods,
     });
 
     delete app.locals.mcpConfig;
@@ -3,14 +3,14 @@ const { EModelEndpoint, Constants, ForkOptions } = require('librechat-data-provi
 const { createImportBatchBuilder } = require('./importBatchBuilder');
 const BaseClient = require('~/app/clients/BaseClient');
 const { getConvo } = require('~/models/Conversation');
-const { getMessages } = require('~/models/Message');
+const { getMessages, toSiblingMessage } = require('~/models/Message');
 const logger = require('~/config/winston');
 
 /**
  * Helper function to clone messages with proper parent-child relationships and timestamps
  * @param {TMessage[]} messagesToClone - Original messages to clone
  * @param {ImportBatchBuilder} importBatchBuilder - Instance of ImportBatchBuilder
- * @returns {Map<string, string>} Map of original messageIds to new messageIds
+ * @returns {Map<string, string>} Map of original messageIds, including the IDs of multi-LLM responses, to new messageIds
  */
 function cloneMessagesWithTimestamps(messagesToClone, importBatchBuilder) {
   const idMapping = new Map();
@@ -63,6 +63,39 @@ function cloneMessagesWithTimestamps(messagesToClone, importBatchBuilder) {
       createdAt,
     };
 
+    // Multi-LLM responses need their own IDs, the primary response sharing the message's
+    if (Array.isArray(message.llmResponses)) {
+      clonedMessage.llmResponses = message.llmResponses.map((response, index) => {
+        const responseId = index === 0 ? newMessageId : uuidv4();
+        if (response.messageId && index > 0) {
+          idMapping.set(response.messageId, responseId);
+        }
+        return { ...response, messageId: responseId };
+      });
+    }
+
+    // Blind votes reference the multi-LLM responses of the same message
+    if (Array.isArray(message.preferences)) {
+      clonedMessage.preferences = message.preferences.map((preference) => ({
+        ...preference,
+        left: idMapping.get(preference.left) ?? preference.left,
+        right: idMapping.get(preference.right) ?? preference.right,
+      }));
+    }
+
+    // Legacy multi-LLM siblings reference the user message they answer
+    if (message.sharedUserMessageId) {
+      clonedMessage.sharedUserMessageId = idMapping.get(message.sharedUserMessageId);
+    }
+
+    // Synthesized messages reference the responses of their parent, cloned before them
+    if (Array.isArray(message.synthesizedFrom)) {
+      clonedMessage.synthesizedFrom = message.synthesizedFrom.map((source) => ({
+        ...source,
+        messageId: idMapping.get(source.messageId) ?? source.messageId,
+      }));
+    }
+
     importBatchBuilder.saveMessage(clonedMessage);
   }
 
@@ -101,6 +134,8 @@ async function forkConversation({
       conversationId: originalConvoId,
     });
 
+    originalMessages = resolveSiblingTarget(originalMessages, targetId);
+
     let targetMessageId = targetId;
     if (splitAtTarget && !latestMessageId) {
       throw new Error('Latest `messageId` is required for forking from target message.');
@@ -165,6 +200,27 @@ async function forkConversation({
   }
 }
 
+/**
+ * When the target is a multi-LLM sibling response, replaces the message holding it
+ * with the sibling, so that the fork continues from that response.
+ * @param {TMessage[]} messages - The list of messages of the conversation.
+ * @param {string} targetMessageId - The ID of the target message.
+ * @returns {TMessage[]} The messages, with the sibling in place of its message if applicable.
+ */
+function resolveSiblingTarget(messages, targetMessageId) {
+  if (messages.some((msg) => msg.messageId === targetMessageId)) {
+    return messages;
+  }
+
+  return messages.map((msg) => {
+    const response = msg.llmResponses?.find((entry) => entry.messageId === targetMessageId);
+    if (!response) {
+      return msg;
+    }
+    return toSiblingMessage(msg, response);
+  });
+}
+
 /**
  * Retrieves all messages up to the root from the target message.
  * @param {TMessage[]} messages - The list of messages to search.
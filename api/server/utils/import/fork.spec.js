@@ -8,6 +8,7 @@ jest.mock('~/models/Conversation', () => ({
 jest.mock('~/models/Message', () => ({
   getMessages: jest.fn(),
   bulkSaveMessages: jest.fn(),
+  toSiblingMessage: jest.requireActual('~/models/Message').toSiblingMessage,
 }));
 
 let mockIdCounter = 0;
@@ -170,6 +171,44 @@ describe('forkConversation', () => {
     );
   });
 
+  test('should fork conversation from a multi-LLM sibling response', async () => {
+    getMessages.mockResolvedValue([
+      {
+        messageId: 'u1',
+        parentMessageId: Constants.NO_PARENT,
+        text: 'Question',
+        isCreatedByUser: true,
+      },
+      {
+        messageId: 'r1',
+        parentMessageId: 'u1',
+        text: 'Answer A',
+        model: 'gpt-4o',
+        llmResponses: [
+          { messageId: 'r1', text: 'Answer A', model: 'gpt-4o' },
+          { messageId: 's1', text: 'Answer B', model: 'claude-sonnet-4', endpoint: 'anthropic' },
+        ],
+      },
+      { messageId: 'u2', parentMessageId: 'r1', text: 'Follow-up', isCreatedByUser: true },
+    ]);
+
+    await forkConversation({
+      originalConvoId: 'abc123',
+      targetMessageId: 's1',
+      requestUserId: 'user1',
+      option: ForkOptions.DIRECT_PATH,
+    });
+
+    const [savedMessages] = bulkSaveMessages.mock.calls[0];
+    expect(savedMessages).toHaveLength(2);
+    const sibling = savedMessages.find((msg) => msg.text === 'Answer B');
+    expect(sibling).toEqual(
+      expect.objectContaining({ model: 'claude-sonnet-4', endpoint: 'anthropic' }),
+    );
+    expect(sibling.llmResponses).toBeUndefined();
+    expect(savedMessages.some((msg) => msg.text === 'Follow-up')).toBe(false);
+  });
+
   test('should handle errors during message fetching', async () => {
     getMessages.mockRejectedValue(new Error('Failed to fetch messages'));
 
@@ -580,6 +619,68 @@ describe('splitAtTargetLevel', () => {
 });
 
 describe('cloneMessagesWithTimestamps', () => {
+  test('should give cloned multi-LLM responses new IDs', () => {
+    const importBatchBuilder = createImportBatchBuilder('testUser');
+    importBatchBuilder.startConversation();
+
+    cloneMessagesWithTimestamps(
+      [
+        {
+          messageId: 'r1',
+          parentMessageId: Constants.NO_PARENT,
+          text: 'Answer A',
+          llmResponses: [
+            { messageId: 'r1', text: 'Answer A' },
+            { messageId: 's1', text: 'Answer B' },
+          ],
+        },
+      ],
+      importBatchBuilder,
+    );
+
+    const [cloned] = importBatchBuilder.messages;
+    const ids = cloned.llmResponses.map((response) => response.messageId);
+    expect(ids[0]).toBe(cloned.messageId);
+    expect(ids).not.toContain('r1');
+    expect(ids).not.toContain('s1');
+    expect(new Set(ids).size).toBe(2);
+  });
+
+  test('should point synthesized messages to the cloned multi-LLM responses', () => {
+    const importBatchBuilder = createImportBatchBuilder('testUser');
+    importBatchBuilder.startConversation();
+
+    cloneMessagesWithTimestamps(
+      [
+        {
+          messageId: 'r1',
+          parentMessageId: Constants.NO_PARENT,
+          text: 'Answer A',
+          llmResponses: [
+            { messageId: 'r1', text: 'Answer A' },
+            { messageId: 's1', text: 'Answer B' },
+          ],
+        },
+        {
+          messageId: 'synthesis',
+          parentMessageId: 'r1',
+          text: 'Merged answer',
+          synthesizedFrom: [
+            { messageId: 'r1', model: 'gpt-4o' },
+            { messageId: 's1', model: 'claude-sonnet-4' },
+          ],
+        },
+      ],
+      importBatchBuilder,
+    );
+
+    const [fanOut, synthesis] = importBatchBuilder.messages;
+    expect(synthesis.synthesizedFrom.map((source) => source.messageId)).toEqual(
+      fanOut.llmResponses.map((response) => response.messageId),
+    );
+    expect(synthesis.synthesizedFrom[1].model).toBe('claude-sonnet-4');
+  });
+
   test('should maintain proper timestamp order between parent and child messages', () => {
     // Create messages with out-of-order timestamps
     const messagesToClone = [
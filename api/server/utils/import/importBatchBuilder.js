@@ -1,16 +1,17 @@
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
 const { EModelEndpoint, Constants, openAISettings } = require('librechat-data-provider');
 const { bulkSaveConvos } = require('~/models/Conversation');
-const { bulkSaveMessages } = require('~/models/Message');
+const { bulkSaveMessages, deleteMessages } = require('~/models/Message');
 const { logger } = require('~/config');
 
 /**
  * Factory function for creating an instance of ImportBatchBuilder.
  * @param {string} requestUserId - The ID of the user making the request.
+ * @param {{ seed?: string }} [options] - The options of the builder.
  * @returns {ImportBatchBuilder} - The newly created ImportBatchBuilder instance.
  */
-function createImportBatchBuilder(requestUserId) {
-  return new ImportBatchBuilder(requestUserId);
+function createImportBatchBuilder(requestUserId, options) {
+  return new ImportBatchBuilder(requestUserId, options);
 }
 
 /**
@@ -20,11 +21,17 @@ class ImportBatchBuilder {
   /**
    * Creates an instance of ImportBatchBuilder.
    * @param {string} requestUserId - The ID of the user making the import request.
+   * @param {Object} [options] - The options of the builder.
+   * @param {string} [options.seed] - Derives the conversation IDs from this seed instead of
+   * generating random ones, so saving the same batch again replaces it instead of duplicating it.
    */
-  constructor(requestUserId) {
+  constructor(requestUserId, { seed } = {}) {
     this.requestUserId = requestUserId;
+    this.seed = seed;
     this.conversations = [];
     this.messages = [];
+    /** Whether the batch was saved to the DB */
+    this.saved = false;
   }
 
   /**
@@ -35,7 +42,9 @@ class ImportBatchBuilder {
   startConversation(endpoint) {
     // we are simplifying by using a single model for the entire conversation
     this.endpoint = endpoint || EModelEndpoint.openAI;
-    this.conversationId = uuidv4();
+    this.conversationId = this.seed
+      ? uuidv5(`${this.seed}:${this.conversations.length}`, uuidv5.URL)
+      : uuidv4();
     this.lastMessageId = Constants.NO_PARENT;
   }
 
@@ -98,8 +107,16 @@ class ImportBatchBuilder {
    */
   async saveBatch() {
     try {
+      if (this.seed) {
+        /* Remove the messages of an earlier, possibly partial, save of the same batch */
+        await deleteMessages({
+          user: this.requestUserId,
+          conversationId: { $in: this.conversations.map((convo) => convo.conversationId) },
+        });
+      }
       await bulkSaveConvos(this.conversations);
       await bulkSaveMessages(this.messages, true);
+      this.saved = true;
       logger.debug(
         `user: ${this.requestUserId} | Added ${this.conversations.length} conversations and ${this.messages.length} messages to the DB.`,
       );
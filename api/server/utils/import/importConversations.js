@@ -1,29 +1,272 @@
 const fs = require('fs').promises;
-const { getImporter } = require('./importers');
+const path = require('path');
+const mime = require('mime');
+const sharp = require('sharp');
+const { v5: uuidv5 } = require('uuid');
+const { FileContext, ImportJobStatus } = require('librechat-data-provider');
+const {
+  claimImportJob,
+  updateImportJob,
+  IMPORT_JOB_HEARTBEAT_MS,
+  getClaimableImportJobIds,
+} = require('~/models/ImportJob');
+const {
+  getImporter,
+  isGeminiPrompt,
+  isGeminiActivity,
+  getAssetReferences,
+  isGeminiConversationGap,
+} = require('./importers');
+const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const { openImportSource, readImportItems } = require('./importSource');
+const { createImportBatchBuilder } = require('./importBatchBuilder');
+const { createFile } = require('~/models/File');
 const { logger } = require('~/config');
 
 /**
- * Job definition for importing a conversation.
- * @param {{ filepath, requestUserId }} job - The job object.
+ * Saves the images an export item references from the export archive, with the file strategy
+ * of the job. The file IDs are derived from the job, so saving them again on resume replaces them.
+ *
+ * @param {Object} params
+ * @param {IImportJob} params.job - The import job.
+ * @param {ImportSource} params.source - The opened export.
+ * @param {unknown[]} params.items - The items of the export being imported.
+ * @returns {Promise<Map<string, MongoFile>>} The saved files, by reference.
  */
-const importConversations = async (job) => {
-  const { filepath, requestUserId } = job;
+async function saveAssets({ job, source, items }) {
+  /** @type {Map<string, MongoFile>} */
+  const assets = new Map();
+  const userId = job.user.toString();
+  const { saveBuffer } = getStrategyFunctions(job.fileStrategy);
+  if (!saveBuffer) {
+    return assets;
+  }
+
+  for (const reference of new Set(items.flatMap(getAssetReferences))) {
+    try {
+      const asset = await source.readAsset(reference);
+      const type = asset && mime.getType(asset.filename);
+      if (!type?.startsWith('image/')) {
+        continue;
+      }
+
+      const file_id = uuidv5(`${job._id}:${reference}`, uuidv5.URL);
+      const filename = asset.filename;
+      const { width, height } = await sharp(asset.buffer).metadata();
+      const filepath = await saveBuffer({
+        userId,
+        buffer: asset.buffer,
+        fileName: `${file_id}${path.extname(filename)}`,
+      });
+      const file = await createFile(
+        {
+          user: userId,
+          file_id,
+          bytes: asset.buffer.length,
+          filepath,
+          filename,
+          context: FileContext.message_attachment,
+          source: job.fileStrategy,
+          type,
+          width,
+          height,
+        },
+        true,
+      );
+      assets.set(reference, {
+        file_id: file.file_id,
+        filepath: file.filepath,
+        filename: file.filename,
+        type: file.type,
+        width: file.width,
+        height: file.height,
+      });
+    } catch (error) {
+      logger.warn(`[importConversations] Could not import the file "${reference}"`, error);
+    }
+  }
+
+  return assets;
+}
+
+/**
+ * Imports one unit of an export: a conversation of an export array, or the whole export otherwise.
+ * Its conversation IDs are derived from the job and the position of the unit, so importing it
+ * again after a crash replaces what was saved of it instead of duplicating it.
+ *
+ * @param {Object} params
+ * @param {IImportJob} params.job - The import job.
+ * @param {ImportSource} params.source - The opened export.
+ * @param {unknown} params.data - The data to pass to the importer.
+ * @param {unknown[]} params.items - The items of the data that may reference files.
+ * @param {number} params.index - The position of the unit in the export.
+ * @returns {Promise<{ imported: number, failed: number }>} The number of conversations imported or not.
+ */
+async function importUnit({ job, source, data, items, index }) {
+  const userId = job.user.toString();
+  const builder = createImportBatchBuilder(userId, { seed: `${job._id}:${index}` });
   try {
-    logger.debug(`user: ${requestUserId} | Importing conversation(s) from file...`);
-    const fileData = await fs.readFile(filepath, 'utf8');
-    const jsonData = JSON.parse(fileData);
-    const importer = getImporter(jsonData);
-    await importer(jsonData, requestUserId);
-    logger.debug(`user: ${requestUserId} | Finished importing conversations`);
+    const assets = await saveAssets({ job, source, items });
+    const importer = getImporter(data);
+    await importer(data, userId, () => builder, assets);
   } catch (error) {
-    logger.error(`user: ${requestUserId} | Failed to import conversation: `, error);
-  } finally {
+    logger.error(`user: ${userId} | Failed to import conversation ${index}`, error);
+    return { imported: 0, failed: 1 };
+  }
+
+  const count = builder.conversations.length;
+  return builder.saved
+    ? { imported: count, failed: 0 }
+    : { imported: 0, failed: Math.max(count, 1) };
+}
+
+/**
+ * Runs an import job: streams the conversations of its file, saving each one and the images it
+ * references, and records the progress on the job after each. Resumes after the conversations
+ * already processed when the job was interrupted. The file is deleted once the job ends.
+ *
+ * Heartbeats are sent while units are imported, as a unit can take longer than the job takes to
+ * be considered abandoned. If another run claimed the job anyway, this run stops without updating
+ * the job or deleting its file.
+ *
+ * @param {string} jobId - The ID of the job.
+ * @returns {Promise<void>}
+ */
+const importConversations = async (jobId) => {
+  const job = await claimImportJob(jobId);
+  if (!job) {
+    return;
+  }
+
+  const userId = job.user.toString();
+  const { runId } = job;
+  let { processed, imported, failed } = job;
+  let isOwner = true;
+  /**
+   * Updates the job, unless another run claimed it.
+   * @param {Partial<IImportJob>} [update]
+   */
+  const updateJob = async (update) => {
+    if (isOwner && !(await updateImportJob(jobId, runId, update))) {
+      isOwner = false;
+    }
+    if (!isOwner) {
+      throw new Error(`Import job ${jobId} was claimed by another run`);
+    }
+  };
+  const heartbeat = setInterval(() => {
+    updateJob().catch((error) => {
+      logger.warn(`user: ${userId} | Heartbeat of import job ${jobId} failed`, error);
+    });
+  }, IMPORT_JOB_HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  /** @type {ImportSource | undefined} */
+  let source;
+  try {
+    logger.debug(`user: ${userId} | Importing conversation(s) from file...`);
+    source = await openImportSource(job.filepath);
+    const size = source.size || 1;
+    let bytesRead = 0;
+
+    let index = 0;
+    /**
+     * Imports the next unit of the export, unless it was processed before the job was interrupted.
+     * @param {unknown} data - The data to pass to the importer.
+     * @param {unknown[]} items - The items of the data that may reference files.
+     */
+    const importNextUnit = async (data, items) => {
+      if (index >= processed) {
+        if (!isOwner) {
+          throw new Error(`Import job ${jobId} was claimed by another run`);
+        }
+        const result = await importUnit({ job, source, data, items, index });
+        processed = index + 1;
+        imported += result.imported;
+        failed += result.failed;
+        await updateJob({
+          processed,
+          imported,
+          failed,
+          progress: Math.min(99, Math.round((bytesRead / size) * 100)),
+        });
+      }
+      index++;
+    };
+
+    /**
+     * Gemini activity has no conversations: consecutive prompts close in time are grouped into
+     * one as they are read, each group being imported as a unit.
+     */
+    let isGemini = false;
+    /** @type {GeminiActivity[]} */
+    let geminiPrompts = [];
+    let isFirstItem = true;
+    for await (const { value, isArrayItem } of readImportItems(source, (bytes) => {
+      bytesRead = bytes;
+    })) {
+      isGemini = isGemini || (isFirstItem && isArrayItem && isGeminiActivity(value));
+      isFirstItem = false;
+      if (!isGemini) {
+        await importNextUnit(isArrayItem ? [value] : value, isArrayItem ? [value] : []);
+        continue;
+      }
+      if (!isGeminiPrompt(value)) {
+        continue;
+      }
+      const previous = geminiPrompts[geminiPrompts.length - 1];
+      if (previous && isGeminiConversationGap(previous, value)) {
+        await importNextUnit(geminiPrompts, geminiPrompts);
+        geminiPrompts = [];
+      }
+      geminiPrompts.push(value);
+    }
+    if (geminiPrompts.length > 0) {
+      await importNextUnit(geminiPrompts, geminiPrompts);
+    }
+
+    await updateJob({
+      status: ImportJobStatus.completed,
+      processed,
+      imported,
+      failed,
+      progress: 100,
+    });
+    logger.debug(`user: ${userId} | Finished importing conversations`);
+  } catch (error) {
+    if (!isOwner) {
+      logger.warn(`user: ${userId} | Stopped import job ${jobId}, claimed by another run`);
+      return;
+    }
+    logger.error(`user: ${userId} | Failed to import conversation: `, error);
     try {
-      await fs.unlink(filepath);
-    } catch (error) {
-      logger.error(`user: ${requestUserId} | Failed to delete file: ${filepath}`, error);
+      await updateJob({ status: ImportJobStatus.failed, error: error.message });
+    } catch (updateError) {
+      logger.error(`user: ${userId} | Failed to update import job ${jobId}`, updateError);
     }
+  } finally {
+    clearInterval(heartbeat);
+    source?.close();
+    /* The file belongs to the run that owns the job */
+    if (isOwner) {
+      try {
+        await fs.unlink(job.filepath);
+      } catch (error) {
+        logger.error(`user: ${userId} | Failed to delete file: ${job.filepath}`, error);
+      }
+    }
+  }
+};
+
+/**
+ * Restarts the import jobs that are pending or were interrupted, e.g. by a server restart.
+ * @returns {Promise<void>}
+ */
+const resumeImportJobs = async () => {
+  const jobIds = await getClaimableImportJobIds();
+  for (const jobId of jobIds) {
+    await importConversations(jobId);
   }
 };
 
-module.exports = importConversations;
+module.exports = { importConversations, resumeImportJobs };
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImportJobStatus } = require('librechat-data-provider');
+const { claimImportJob, updateImportJob } = require('~/models/ImportJob');
+const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+const { bulkSaveMessages, deleteMessages } = require('~/models/Message');
+const { bulkSaveConvos } = require('~/models/Conversation');
+const { importConversations } = require('./importConversations');
+const { createFile } = require('~/models/File');
+
+jest.mock('~/cache/getLogStores', () => () => ({ get: jest.fn() }));
+jest.mock('~/models/ImportJob', () => ({
+  IMPORT_JOB_HEARTBEAT_MS: 30000,
+  claimImportJob: jest.fn(),
+  updateImportJob: jest.fn(),
+  getClaimableImportJobIds: jest.fn(),
+}));
+jest.mock('~/models/Conversation', () => ({ bulkSaveConvos: jest.fn() }));
+jest.mock('~/models/Message', () => ({ bulkSaveMessages: jest.fn(), deleteMessages: jest.fn() }));
+jest.mock('~/models/File', () => ({ createFile: jest.fn(async (file) => file) }));
+jest.mock('~/server/services/Files/strategies', () => ({ getStrategyFunctions: jest.fn() }));
+
+const saveBuffer = jest.fn(async ({ userId, fileName }) => `/images/${userId}/${fileName}`);
+
+/** Copies a fixture to a temporary upload, as the job deletes its file once done */
+const uploadFixture = (name) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-'));
+  const filepath = path.join(dir, name);
+  fs.copyFileSync(path.join(__dirname, '__data__', name), filepath);
+  return filepath;
+};
+
+const createJob = (filepath, progress = {}) => ({
+  _id: '6650f0c2a1b2c3d4e5f60718',
+  user: 'user-123',
+  status: ImportJobStatus.running,
+  runId: 'run-1',
+  filepath,
+  fileStrategy: 'local',
+  processed: 0,
+  imported: 0,
+  failed: 0,
+  ...progress,
+});
+
+const savedConvos = () => bulkSaveConvos.mock.calls.flatMap(([convos]) => convos);
+const savedMessages = () => bulkSaveMessages.mock.calls.flatMap(([messages]) => messages);
+
+describe('importConversations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getStrategyFunctions.mockReturnValue({ saveBuffer });
+    updateImportJob.mockImplementation(async (jobId, runId, update) => ({ _id: jobId, ...update }));
+  });
+
+  it('imports a zip export conversation by conversation, with its images', async () => {
+    const filepath = uploadFixture('chatgpt-export.zip');
+    const job = createJob(filepath);
+    claimImportJob.mockResolvedValue(job);
+
+    await importConversations(job._id);
+
+    expect(savedConvos().map((convo) => convo.title)).toEqual([
+      'Describe the image',
+      'Second conversation',
+    ]);
+    expect(bulkSaveConvos).toHaveBeenCalledTimes(2);
+
+    expect(createFile).toHaveBeenCalledTimes(1);
+    const [file] = createFile.mock.calls[0];
+    expect(file).toMatchObject({
+      user: 'user-123',
+      filename: 'file-Red1-red.png',
+      type: 'image/png',
+      source: 'local',
+      width: 4,
+      height: 2,
+    });
+    expect(saveBuffer.mock.calls[0][0].fileName).toBe(`${file.file_id}.png`);
+
+    const imageMessage = savedMessages().find((message) => message.files);
+    expect(imageMessage.text).toBe('What is in this image?');
+    expect(imageMessage.files[0]).toMatchObject({ file_id: file.file_id, width: 4 });
+
+    expect(updateImportJob).toHaveBeenCalledWith(
+      job._id,
+      'run-1',
+      expect.objectContaining({ processed: 1, imported: 1, failed: 0 }),
+    );
+    expect(updateImportJob).toHaveBeenLastCalledWith(job._id, 'run-1', {
+      status: ImportJobStatus.completed,
+      processed: 2,
+      imported: 2,
+      failed: 0,
+      progress: 100,
+    });
+    expect(fs.existsSync(filepath)).toBe(false);
+  });
+
+  it('resumes after the processed conversations, replacing a partial save', async () => {
+    const firstRun = createJob(uploadFixture('chatgpt-export.zip'));
+    claimImportJob.mockResolvedValue(firstRun);
+    await importConversations(firstRun._id);
+    const [, secondConvo] = savedConvos();
+
+    jest.clearAllMocks();
+    getStrategyFunctions.mockReturnValue({ saveBuffer });
+    updateImportJob.mockImplementation(async (jobId, runId, update) => ({ _id: jobId, ...update }));
+    const resumed = createJob(uploadFixture('chatgpt-export.zip'), { processed: 1, imported: 1 });
+    claimImportJob.mockResolvedValue(resumed);
+    await importConversations(resumed._id);
+
+    expect(savedConvos()).toHaveLength(1);
+    expect(savedConvos()[0].conversationId).toBe(secondConvo.conversationId);
+    expect(deleteMessages).toHaveBeenCalledWith({
+      user: 'user-123',
+      conversationId: { $in: [secondConvo.conversationId] },
+    });
+    expect(createFile).not.toHaveBeenCalled();
+    expect(updateImportJob).toHaveBeenLastCalledWith(
+      resumed._id,
+      'run-1',
+      expect.objectContaining({ status: ImportJobStatus.completed, processed: 2, imported: 2 }),
+    );
+  });
+
+  it('imports exports that are not arrays as a whole', async () => {
+    const job = createJob(uploadFixture('librechat-export.json'));
+    claimImportJob.mockResolvedValue(job);
+
+    await importConversations(job._id);
+
+    expect(bulkSaveConvos).toHaveBeenCalledTimes(1);
+    expect(updateImportJob).toHaveBeenLastCalledWith(
+      job._id,
+      'run-1',
+      expect.objectContaining({ status: ImportJobStatus.completed, processed: 1, imported: 1 }),
+    );
+  });
+
+  it('imports Gemini activity conversation by conversation, as it is read', async () => {
+    const job = createJob(uploadFixture('gemini-export.json'));
+    claimImportJob.mockResolvedValue(job);
+
+    await importConversations(job._id);
+
+    expect(bulkSaveConvos).toHaveBeenCalledTimes(2);
+    expect(savedMessages().filter((message) => message.isCreatedByUser)).toHaveLength(3);
+    expect(updateImportJob).toHaveBeenLastCalledWith(
+      job._id,
+      'run-1',
+      expect.objectContaining({ status: ImportJobStatus.completed, processed: 2, imported: 2 }),
+    );
+  });
+
+  it('counts the conversations that could not be saved', async () => {
+    bulkSaveConvos.mockRejectedValueOnce(new Error('Write failed'));
+    const job = createJob(uploadFixture('chatgpt-export.zip'));
+    claimImportJob.mockResolvedValue(job);
+
+    await importConversations(job._id);
+
+    expect(updateImportJob).toHaveBeenLastCalledWith(
+      job._id,
+      'run-1',
+      expect.objectContaining({ status: ImportJobStatus.completed, imported: 1, failed: 1 }),
+    );
+  });
+
+  it('marks the job as failed when the file cannot be read', async () => {
+    const filepath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'import-')), 'bad.json');
+    fs.writeFileSync(filepath, '{ not json');
+    const job = createJob(filepath);
+    claimImportJob.mockResolvedValue(job);
+
+    await importConversations(job._id);
+
+    expect(updateImportJob).toHaveBeenLastCalledWith(job._id, 'run-1', {
+      status: ImportJobStatus.failed,
+      error: expect.any(String),
+    });
+    expect(fs.existsSync(filepath)).toBe(false);
+  });
+
+  it('stops without deleting the file when another run claimed the job', async () => {
+    const filepath = uploadFixture('chatgpt-export.zip');
+    const job = createJob(filepath);
+    claimImportJob.mockResolvedValue(job);
+    updateImportJob.mockResolvedValue(null);
+
+    await importConversations(job._id);
+
+    expect(bulkSaveConvos).toHaveBeenCalledTimes(1);
+    expect(updateImportJob).toHaveBeenCalledTimes(1);
+    expect(fs.existsSync(filepath)).toBe(true);
+  });
+
+  it('does nothing when the job is already claimed', async () => {
+    claimImportJob.mockResolvedValue(null);
+
+    await importConversations('6650f0c2a1b2c3d4e5f60718');
+
+    expect(bulkSaveConvos).not.toHaveBeenCalled();
+    expect(updateImportJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const { promisify } = require('util');
+const { pipeline } = require('stream');
+const { parser } = require('stream-json');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+
+const openZip = promisify(yauzl.open);
+
+/** Names of the file holding the conversations in the export archives, by priority */
+const exportFileNames = ['conversations.json', 'MyActivity.json'];
+
+/** Maximum uncompressed size of a file of an export archive, such as an image */
+const MAX_ASSET_SIZE = 50 * 1024 * 1024;
+
+/** Maximum uncompressed size of all the files read from an export archive */
+const MAX_ASSETS_TOTAL_SIZE = 1024 * 1024 * 1024;
+
+/** Maximum size of JSON data that is not an array, which is parsed whole */
+const MAX_JSON_VALUE_SIZE = 200 * 1024 * 1024;
+
+/**
+ * @typedef {Object} ImportSource
+ * @property {number} size - The size of the JSON data, in bytes.
+ * @property {() => Promise<NodeJS.ReadableStream>} openStream - Opens a stream of the JSON data.
+ * @property {(reference: string) => Promise<{ filename: string, buffer: Buffer } | null>} readAsset -
+ * Reads a file of the export archive referenced by the data; null for plain JSON files.
+ * @property {() => void} close - Releases the file.
+ */
+
+/**
+ * Reads a whole stream into a buffer.
+ * @param {NodeJS.ReadableStream} stream
+ * @param {number} maxSize - The maximum size of the data, in bytes.
+ * @returns {Promise<Buffer>}
+ * @throws {Error} If the data exceeds the maximum size.
+ */
+async function readStream(stream, maxSize) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxSize) {
+      stream.destroy();
+      throw new Error(`The data exceeds the maximum size of ${maxSize} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Whether the file is a zip archive, from its signature.
+ * @param {string} filepath
+ * @returns {Promise<boolean>}
+ */
+async function isZipFile(filepath) {
+  const handle = await fs.promises.open(filepath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    return bytesRead === 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Opens a zip export: the conversations are read from its JSON file, and the other
+ * entries are the files, such as images, that the conversations reference. The files are read
+ * within `MAX_ASSET_SIZE` each and `MAX_ASSETS_TOTAL_SIZE` in all, from their uncompressed size,
+ * which yauzl checks against the data as it is inflated.
+ * @param {string} filepath
+ * @returns {Promise<ImportSource>}
+ */
+async function openZipSource(filepath) {
+  const zipfile = await openZip(filepath, { lazyEntries: true, autoClose: false });
+  const openReadStream = promisify(zipfile.openReadStream.bind(zipfile));
+
+  /** @type {import('yauzl').Entry[]} */
+  const entries = await new Promise((resolve, reject) => {
+    const result = [];
+    zipfile.on('entry', (entry) => {
+      if (!entry.fileName.endsWith('/')) {
+        result.push(entry);
+      }
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(result));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+  });
+
+  const jsonEntries = entries.filter((entry) => entry.fileName.toLowerCase().endsWith('.json'));
+  const dataEntry =
+    exportFileNames
+      .map((name) => jsonEntries.find((entry) => path.basename(entry.fileName) === name))
+      .find(Boolean) ?? (jsonEntries.length === 1 ? jsonEntries[0] : undefined);
+  if (!dataEntry) {
+    zipfile.close();
+    throw new Error('Unsupported import type');
+  }
+
+  const assetEntries = entries.filter((entry) => !jsonEntries.includes(entry));
+  let assetsTotalSize = 0;
+
+  return {
+    size: dataEntry.uncompressedSize,
+    openStream: () => openReadStream(dataEntry),
+    readAsset: async (reference) => {
+      /* Exports name files by their ID, followed by their original name or extension */
+      const entry = assetEntries.find((candidate) => {
+        const name = path.basename(candidate.fileName);
+        return (
+          name === reference || name.startsWith(`${reference}-`) || name.startsWith(`${reference}.`)
+        );
+      });
+      if (!entry) {
+        return null;
+      }
+      if (entry.uncompressedSize > MAX_ASSET_SIZE) {
+        throw new Error(`The file "${entry.fileName}" exceeds ${MAX_ASSET_SIZE} bytes`);
+      }
+      if (assetsTotalSize + entry.uncompressedSize > MAX_ASSETS_TOTAL_SIZE) {
+        throw new Error(`The files of the export exceed ${MAX_ASSETS_TOTAL_SIZE} bytes`);
+      }
+      assetsTotalSize += entry.uncompressedSize;
+      const buffer = await readStream(await openReadStream(entry), MAX_ASSET_SIZE);
+      return { filename: path.basename(entry.fileName), buffer };
+    },
+    close: () => zipfile.close(),
+  };
+}
+
+/**
+ * Opens an uploaded export, either a JSON file or a zip archive containing one.
+ * @param {string} filepath
+ * @returns {Promise<ImportSource>}
+ */
+async function openImportSource(filepath) {
+  if (await isZipFile(filepath)) {
+    return await openZipSource(filepath);
+  }
+
+  const { size } = await fs.promises.stat(filepath);
+  return {
+    size,
+    openStream: async () => fs.createReadStream(filepath),
+    readAsset: async () => null,
+    close: () => {},
+  };
+}
+
+/**
+ * Returns the first non-whitespace character of the JSON data.
+ * @param {ImportSource} source
+ * @returns {Promise<string | undefined>}
+ */
+async function peekFirstChar(source) {
+  const stream = await source.openStream();
+  try {
+    for await (const chunk of stream) {
+      const match = chunk.toString('utf8').match(/\S/);
+      if (match) {
+        return match[0];
+      }
+    }
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Reads the JSON data of an export incrementally: when it is an array, each of its items is
+ * parsed and yielded on its own, so only one item is held in memory at a time; any other value
+ * is yielded whole, within `MAX_JSON_VALUE_SIZE`.
+ *
+ * @param {ImportSource} source
+ * @param {(bytesRead: number) => void} [onProgress] - Called with the number of bytes read so far.
+ * @returns {AsyncGenerator<{ value: unknown, isArrayItem: boolean }>}
+ */
+async function* readImportItems(source, onProgress) {
+  const isArray = (await peekFirstChar(source)) === '[';
+  const stream = await source.openStream();
+
+  let bytesRead = 0;
+  stream.on('data', (chunk) => {
+    bytesRead += chunk.length;
+    onProgress?.(bytesRead);
+  });
+
+  if (!isArray) {
+    const buffer = await readStream(stream, MAX_JSON_VALUE_SIZE);
+    yield { value: JSON.parse(buffer.toString('utf8')), isArrayItem: false };
+    return;
+  }
+
+  const items = pipeline(stream, parser(), streamArray(), () => {});
+  for await (const { value } of items) {
+    yield { value, isArrayItem: true };
+  }
+}
+
+module.exports = { openImportSource, readImportItems };
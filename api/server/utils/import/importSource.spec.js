@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { openImportSource, readImportItems } = require('./importSource');
+
+const dataPath = (name) => path.join(__dirname, '__data__', name);
+
+const readAll = async (source) => {
+  const items = [];
+  for await (const item of readImportItems(source)) {
+    items.push(item);
+  }
+  return items;
+};
+
+describe('openImportSource', () => {
+  it('streams the items of a JSON array one by one', async () => {
+    const source = await openImportSource(dataPath('chatgpt-export.json'));
+    const expected = JSON.parse(fs.readFileSync(dataPath('chatgpt-export.json'), 'utf8'));
+
+    const progress = [];
+    const items = [];
+    for await (const item of readImportItems(source, (bytes) => progress.push(bytes))) {
+      items.push(item);
+    }
+
+    expect(items).toHaveLength(expected.length);
+    expect(items.every(({ isArrayItem }) => isArrayItem)).toBe(true);
+    expect(items[0].value).toEqual(expected[0]);
+    expect(progress[progress.length - 1]).toBe(source.size);
+  });
+
+  it('reads other JSON values whole', async () => {
+    const source = await openImportSource(dataPath('librechat-export.json'));
+    const items = await readAll(source);
+
+    expect(items).toHaveLength(1);
+    expect(items[0].isArrayItem).toBe(false);
+    expect(items[0].value.conversationId).toBeDefined();
+    expect(await source.readAsset('anything')).toBeNull();
+  });
+
+  it('reads the conversations and the referenced files of a zip export', async () => {
+    const source = await openImportSource(dataPath('chatgpt-export.zip'));
+    try {
+      const items = await readAll(source);
+      expect(items.map(({ value }) => value.title)).toEqual([
+        'Describe the image',
+        'Second conversation',
+      ]);
+
+      const asset = await source.readAsset('file-Red1');
+      expect(asset.filename).toBe('file-Red1-red.png');
+      expect(asset.buffer.subarray(1, 4).toString()).toBe('PNG');
+      expect(await source.readAsset('file-Missing')).toBeNull();
+    } finally {
+      source.close();
+    }
+  });
+});
@@ -1,5 +1,12 @@
 const { v4: uuidv4 } = require('uuid');
-const { EModelEndpoint, Constants, openAISettings, CacheKeys } = require('librechat-data-provider');
+const {
+  CacheKeys,
+  Constants,
+  EModelEndpoint,
+  googleSettings,
+  openAISettings,
+  anthropicSettings,
+} = require('librechat-data-provider');
 const { createImportBatchBuilder } = require('./importBatchBuilder');
 const { cloneMessagesWithTimestamps } = require('./fork');
 const getLogStores = require('~/cache/getLogStores');
@@ -13,6 +20,18 @@ const logger = require('~/config/winston');
  * @throws {Error} - If the import type is not supported.
  */
 function getImporter(jsonData) {
+  // For Claude.ai
+  if (Array.isArray(jsonData) && Array.isArray(jsonData[0]?.chat_messages)) {
+    logger.info('Importing Claude conversation');
+    return importClaudeConvo;
+  }
+
+  // For Gemini Apps (Google Takeout activity)
+  if (Array.isArray(jsonData) && jsonData.some(isGeminiActivity)) {
+    logger.info('Importing Gemini conversation');
+    return importGeminiConvo;
+  }
+
   // For ChatGPT
   if (Array.isArray(jsonData)) {
     logger.info('Importing ChatGPT conversation');
@@ -173,17 +192,19 @@ async function importLibreChatConvo(
  * @param {ChatGPTConvo[]} jsonData - Array of conversation objects to be imported.
  * @param {string} requestUserId - The ID of the user who initiated the import process.
  * @param {Function} builderFactory - Factory function to create a new import batch builder instance, defaults to createImportBatchBuilder.
+ * @param {Map<string, MongoFile>} [assets] - Images saved from the export archive, by asset pointer.
  * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
  */
 async function importChatGptConvo(
   jsonData,
   requestUserId,
   builderFactory = createImportBatchBuilder,
+  assets = new Map(),
 ) {
   try {
     const importBatchBuilder = builderFactory(requestUserId);
     for (const conv of jsonData) {
-      processConversation(conv, importBatchBuilder, requestUserId);
+      processConversation(conv, importBatchBuilder, requestUserId, assets);
     }
     await importBatchBuilder.saveBatch();
   } catch (error) {
@@ -198,9 +219,10 @@ async function importChatGptConvo(
  * @param {ChatGPTConvo} conv - A single conversation object that contains multiple messages and other details.
  * @param {ImportBatchBuilder} importBatchBuilder - The batch builder instance used to manage and batch conversation data.
  * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Map<string, MongoFile>} [assets] - Images saved from the export archive, by asset pointer.
  * @returns {void}
  */
-function processConversation(conv, importBatchBuilder, requestUserId) {
+function processConversation(conv, importBatchBuilder, requestUserId, assets = new Map()) {
   importBatchBuilder.startConversation(EModelEndpoint.openAI);
 
   // Map all message IDs to new UUIDs
@@ -230,7 +252,10 @@ function processConversation(conv, importBatchBuilder, requestUserId) {
         ? messageMap.get(mapping.parent)
         : Constants.NO_PARENT;
 
-    const messageText = formatMessageText(mapping.message);
+    const messageText = formatMessageText(mapping.message, assets);
+    const files = (mapping.message.content.parts ?? [])
+      .map((part) => assets.get(getAssetPointer(part)))
+      .filter(Boolean);
 
     const isCreatedByUser = role === 'user';
     let sender = isCreatedByUser ? 'user' : 'GPT-3.5';
@@ -248,6 +273,7 @@ function processConversation(conv, importBatchBuilder, requestUserId) {
       model,
       user: requestUserId,
       endpoint: EModelEndpoint.openAI,
+      ...(files.length > 0 ? { files } : {}),
     });
   }
 
@@ -295,12 +321,48 @@ function processAssistantMessage(messageData, messageText) {
   return result;
 }
 
+/**
+ * Returns the ID of the image an asset pointer part of a ChatGPT message references.
+ * @param {unknown} part - A part of the message content.
+ * @returns {string | undefined} - The ID, as found in the file names of the export archive.
+ */
+function getAssetPointer(part) {
+  if (part?.content_type !== 'image_asset_pointer' || typeof part.asset_pointer !== 'string') {
+    return undefined;
+  }
+  return part.asset_pointer.replace(/^[\w-]+:\/\//, '');
+}
+
+/**
+ * Lists the files an item of an export references, to be read from the export archive:
+ * the images of ChatGPT messages and the attached files of Gemini prompts.
+ * @param {unknown} item - A conversation, or an activity item, of the export.
+ * @returns {string[]} - The references, matching the file names of the archive.
+ */
+function getAssetReferences(item) {
+  if (isGeminiActivity(item)) {
+    return (item.attachedFiles ?? []).filter((file) => typeof file === 'string');
+  }
+
+  const references = [];
+  for (const mapping of Object.values(item?.mapping ?? {})) {
+    for (const part of mapping?.message?.content?.parts ?? []) {
+      const pointer = getAssetPointer(part);
+      if (pointer) {
+        references.push(pointer);
+      }
+    }
+  }
+  return references;
+}
+
 /**
  * Formats the text content of a message based on its content type and author role.
  * @param {ChatGPTMessage} messageData - The message data.
+ * @param {Map<string, MongoFile>} [assets] - Images saved from the export archive, left out of the text.
  * @returns {string} - The updated message text after processing.
  */
-function formatMessageText(messageData) {
+function formatMessageText(messageData, assets = new Map()) {
   const isText = messageData.content.content_type === 'text';
   let messageText = '';
 
@@ -312,7 +374,9 @@ function formatMessageText(messageData) {
     messageText = `Execution Output:\n> ${messageData.content.text}`;
   } else if (messageData.content.parts) {
     for (const part of messageData.content.parts) {
-      if (typeof part === 'string') {
+      if (assets.has(getAssetPointer(part))) {
+        continue;
+      } else if (typeof part === 'string') {
         messageText += part + ' ';
       } else if (typeof part === 'object') {
         messageText = `\`\`\`json\n${JSON.stringify(part, null, 2)}\n\`\`\`\n`;
@@ -330,4 +394,390 @@ function formatMessageText(messageData) {
   return messageText;
 }
 
-module.exports = { getImporter, processAssistantMessage };
+/**
+ * Imports Claude.ai conversations from the `conversations.json` file of a Claude data export.
+ *
+ * @param {ClaudeConvo[]} jsonData - Array of conversation objects to be imported.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} [builderFactory=createImportBatchBuilder] - The factory function to create an import batch builder.
+ * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
+ */
+async function importClaudeConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+) {
+  try {
+    const importBatchBuilder = builderFactory(requestUserId);
+    for (const conv of jsonData) {
+      processClaudeConversation(conv, importBatchBuilder);
+    }
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | Claude conversations imported`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Error creating conversation from Claude file`, error);
+  }
+}
+
+/**
+ * Adds a single Claude conversation to the batch, on the Anthropic endpoint.
+ * Branches are kept when the export references the parent of each message; older exports
+ * without parent references are imported as a linear thread.
+ *
+ * @param {ClaudeConvo} conv - A single conversation object of the export.
+ * @param {ImportBatchBuilder} importBatchBuilder - The batch builder instance used to manage and batch conversation data.
+ * @returns {void}
+ */
+function processClaudeConversation(conv, importBatchBuilder) {
+  importBatchBuilder.startConversation(EModelEndpoint.anthropic);
+
+  const model = conv.model || anthropicSettings.model.default;
+  /** @type {Map<string, ClaudeArtifact>} */
+  const artifacts = new Map();
+  const messageIds = new Set();
+  let previousMessageId = Constants.NO_PARENT;
+
+  const messages = [];
+  for (const message of conv.chat_messages) {
+    const isCreatedByUser = message.sender === 'human';
+    let text = formatClaudeMessageText(message, artifacts);
+    if (isCreatedByUser) {
+      text = [text, formatClaudeAttachments(message)].filter(Boolean).join('\n\n');
+    }
+
+    let parentMessageId = previousMessageId;
+    if (message.parent_message_uuid) {
+      parentMessageId = messageIds.has(message.parent_message_uuid)
+        ? message.parent_message_uuid
+        : Constants.NO_PARENT;
+    }
+
+    messages.push({
+      messageId: message.uuid,
+      parentMessageId,
+      text,
+      sender: isCreatedByUser ? 'user' : 'Claude',
+      isCreatedByUser,
+      model,
+      endpoint: EModelEndpoint.anthropic,
+      createdAt: message.created_at,
+    });
+    messageIds.add(message.uuid);
+    previousMessageId = message.uuid;
+  }
+
+  cloneMessagesWithTimestamps(messages, importBatchBuilder);
+  importBatchBuilder.finishConversation(conv.name, toDate(conv.created_at), { model });
+}
+
+/** Artifact types of Claude and the LibreChat artifact types they render as */
+const claudeArtifactTypes = {
+  'application/vnd.ant.react': 'application/vnd.react',
+  'application/vnd.ant.mermaid': 'application/vnd.mermaid',
+  'text/html': 'text/html',
+  'image/svg+xml': 'image/svg+xml',
+};
+
+/**
+ * Formats the content blocks of a Claude message as text.
+ * Thinking becomes a `:::thinking` block and artifacts are rebuilt from their commands;
+ * other tool calls and tool results are left out.
+ *
+ * @param {ClaudeMessage} message - The message data.
+ * @param {Map<string, ClaudeArtifact>} artifacts - The latest version of each artifact of the conversation, by ID.
+ * @returns {string} - The message text.
+ */
+function formatClaudeMessageText(message, artifacts) {
+  if (!Array.isArray(message.content) || message.content.length === 0) {
+    return message.text ?? '';
+  }
+
+  const parts = [];
+  for (const block of message.content) {
+    if (block.type === 'text' && block.text) {
+      parts.push(block.text);
+    } else if (block.type === 'thinking' && block.thinking) {
+      parts.push(`:::thinking\n${block.thinking}\n:::`);
+    } else if (block.type === 'tool_use' && block.name === 'artifacts' && block.input?.id) {
+      const { command, id, old_str, new_str, ...input } = block.input;
+      const previous = artifacts.get(id);
+      let artifact;
+      if (command === 'update' && previous) {
+        artifact = { ...previous, content: previous.content.replace(old_str ?? '', new_str ?? '') };
+      } else if (typeof input.content === 'string') {
+        artifact = { ...previous, ...input, id };
+      }
+      if (artifact) {
+        artifacts.set(id, artifact);
+        parts.push(formatClaudeArtifact(artifact));
+      }
+    }
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Formats a Claude artifact as a LibreChat artifact; code and markdown artifacts, which
+ * LibreChat renders inline, become a code block or plain markdown.
+ * @param {ClaudeArtifact} artifact - The artifact.
+ * @returns {string} - The formatted artifact.
+ */
+function formatClaudeArtifact({ id, type, title, language, content }) {
+  if (type === 'text/markdown') {
+    return content;
+  }
+
+  const artifactType = claudeArtifactTypes[type];
+  if (!artifactType) {
+    return `\`\`\`${language ?? ''}\n${content}\n\`\`\``;
+  }
+
+  const safeTitle = (title ?? id).replace(/"/g, "'");
+  return `:::artifact{identifier="${id}" type="${artifactType}" title="${safeTitle}"}\n\`\`\`\n${content}\n\`\`\`\n:::`;
+}
+
+/**
+ * Formats the attachments of a Claude user message: the extracted text of documents is kept,
+ * since it was part of the prompt, while other files are only listed by name.
+ * @param {ClaudeMessage} message - The message data.
+ * @returns {string} - The formatted attachments, if any.
+ */
+function formatClaudeAttachments(message) {
+  const parts = [];
+  const fileNames = [];
+  for (const attachment of [...(message.attachments ?? []), ...(message.files ?? [])]) {
+    if (attachment.extracted_content) {
+      parts.push(`${attachment.file_name}:\n\`\`\`\n${attachment.extracted_content}\n\`\`\``);
+    } else if (attachment.file_name) {
+      fileNames.push(attachment.file_name);
+    }
+  }
+  if (fileNames.length > 0) {
+    parts.push(`_Attached files: ${fileNames.join(', ')}_`);
+  }
+  return parts.join('\n\n');
+}
+
+/** Gemini prompts further apart than this, in milliseconds, start a new conversation */
+const GEMINI_CONVERSATION_GAP = 30 * 60 * 1000;
+
+/**
+ * Whether an item of a Google Takeout activity file belongs to Gemini Apps.
+ * @param {unknown} item
+ * @returns {boolean}
+ */
+const isGeminiActivity = (item) =>
+  item?.header === 'Gemini Apps' ||
+  (Array.isArray(item?.products) && item.products.includes('Gemini Apps'));
+
+/**
+ * Whether an item of a Google Takeout activity file is a Gemini prompt with its response.
+ * @param {unknown} item
+ * @returns {boolean}
+ */
+const isGeminiPrompt = (item) =>
+  isGeminiActivity(item) && typeof item.title === 'string' && Array.isArray(item.safeHtmlItem);
+
+/**
+ * Whether two Gemini prompts are too far apart in time to belong to the same conversation.
+ * @param {GeminiActivity} previous
+ * @param {GeminiActivity} prompt
+ * @returns {boolean}
+ */
+const isGeminiConversationGap = (previous, prompt) =>
+  Math.abs(toDate(prompt.time).getTime() - toDate(previous.time).getTime()) >
+  GEMINI_CONVERSATION_GAP;
+
+/**
+ * Imports Gemini conversations from the `MyActivity.json` file of a Google Takeout export
+ * of Gemini Apps activity.
+ *
+ * The activity has no conversation IDs: prompts are sorted by time and grouped into one
+ * conversation until more than `GEMINI_CONVERSATION_GAP` passes between two prompts.
+ *
+ * @param {GeminiActivity[]} jsonData - Array of activity items to be imported.
+ * @param {string} requestUserId - The ID of the user who initiated the import process.
+ * @param {Function} [builderFactory=createImportBatchBuilder] - The factory function to create an import batch builder.
+ * @param {Map<string, MongoFile>} [assets] - Attached files saved from the export archive, by file name.
+ * @returns {Promise<void>} Promise that resolves when all conversations have been imported.
+ */
+async function importGeminiConvo(
+  jsonData,
+  requestUserId,
+  builderFactory = createImportBatchBuilder,
+  assets = new Map(),
+) {
+  try {
+    const importBatchBuilder = builderFactory(requestUserId);
+    const prompts = jsonData.filter(isGeminiPrompt).sort((a, b) => toDate(a.time) - toDate(b.time));
+
+    /** @type {GeminiActivity[][]} */
+    const conversations = [];
+    for (const [i, prompt] of prompts.entries()) {
+      if (i === 0 || isGeminiConversationGap(prompts[i - 1], prompt)) {
+        conversations.push([]);
+      }
+      conversations[conversations.length - 1].push(prompt);
+    }
+
+    for (const activity of conversations) {
+      processGeminiConversation(activity, importBatchBuilder, assets);
+    }
+    await importBatchBuilder.saveBatch();
+    logger.info(`user: ${requestUserId} | Gemini conversations imported`);
+  } catch (error) {
+    logger.error(`user: ${requestUserId} | Error creating conversation from Gemini file`, error);
+  }
+}
+
+/**
+ * Adds the prompts of one Gemini conversation to the batch, on the Google endpoint.
+ * @param {GeminiActivity[]} activity - The prompts of the conversation, oldest first.
+ * @param {ImportBatchBuilder} importBatchBuilder - The batch builder instance used to manage and batch conversation data.
+ * @param {Map<string, MongoFile>} [assets] - Attached files saved from the export archive, by file name.
+ * @returns {void}
+ */
+function processGeminiConversation(activity, importBatchBuilder, assets = new Map()) {
+  importBatchBuilder.startConversation(EModelEndpoint.google);
+
+  const model = googleSettings.model.default;
+  const messages = [];
+  let parentMessageId = Constants.NO_PARENT;
+  for (const item of activity) {
+    const prompt = decodeHtmlEntities(item.title.replace(/^Prompted\s+/, ''));
+    const attachedFiles = (item.attachedFiles ?? []).filter((file) => typeof file === 'string');
+    const files = attachedFiles.map((file) => assets.get(file)).filter(Boolean);
+    const fileNames = attachedFiles.filter((file) => !assets.has(file));
+    const userMessageId = uuidv4();
+    const responseMessageId = uuidv4();
+
+    messages.push({
+      messageId: userMessageId,
+      parentMessageId,
+      text:
+        fileNames.length > 0 ? `${prompt}\n\n_Attached files: ${fileNames.join(', ')}_` : prompt,
+      sender: 'user',
+      isCreatedByUser: true,
+      model,
+      endpoint: EModelEndpoint.google,
+      createdAt: item.time,
+      ...(files.length > 0 ? { files } : {}),
+    });
+    messages.push({
+      messageId: responseMessageId,
+      parentMessageId: userMessageId,
+      text: htmlToMarkdown(item.safeHtmlItem.map(({ html }) => html ?? '').join('\n')),
+      sender: 'Gemini',
+      isCreatedByUser: false,
+      model,
+      endpoint: EModelEndpoint.google,
+      createdAt: item.time,
+    });
+    parentMessageId = responseMessageId;
+  }
+
+  cloneMessagesWithTimestamps(messages, importBatchBuilder);
+
+  const title = messages[0].text.split('\n')[0];
+  importBatchBuilder.finishConversation(
+    title.length > 50 ? `${title.slice(0, 47)}...` : title,
+    toDate(activity[0].time),
+    { model },
+  );
+}
+
+/**
+ * @param {string | number | undefined} value
+ * @returns {Date} - The date of the value, or the current date if it is missing or invalid.
+ */
+function toDate(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Decodes the named and numeric character references of HTML text.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeHtmlEntities(text) {
+  const named = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    mdash: '—',
+    ndash: '–',
+    hellip: '…',
+    lsquo: '‘',
+    rsquo: '’',
+    ldquo: '“',
+    rdquo: '”',
+  };
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') {
+      return named[entity.toLowerCase()] ?? match;
+    }
+    const code =
+      entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Converts the HTML of a Gemini response to markdown, covering the elements Gemini uses:
+ * paragraphs, headings, emphasis, links, lists, tables and code.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToMarkdown(html) {
+  const codeBlocks = [];
+  let text = html.replace(
+    /<pre[^>]*>\s*(?:<code(?:\s+class="(?:language-)?([\w+-]*)")?[^>]*>)?([\s\S]*?)(?:<\/code>)?\s*<\/pre>/gi,
+    (_match, language = '', code) => {
+      const content = decodeHtmlEntities(code.replace(/<[^>]+>/g, '')).trim();
+      codeBlocks.push(`\`\`\`${language}\n${content}\n\`\`\``);
+      return `\n\n@@CODE_BLOCK_${codeBlocks.length - 1}@@\n\n`;
+    },
+  );
+
+  text = text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(
+      /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi,
+      (_match, level, content) => `\n\n${'#'.repeat(Number(level))} ${content}\n\n`,
+    )
+    .replace(/<(strong|b)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '**$2**')
+    .replace(/<(em|i)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '_$2_')
+    .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, '`$1`')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+    .replace(
+      /<ol[^>]*>([\s\S]*?)<\/ol>/gi,
+      (_match, items) => `${items.replace(/<li[^>]*>/gi, '\n1. ')}\n\n`,
+    )
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<\/(p|div|ul|ol|table|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeHtmlEntities(text)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .replace(/@@CODE_BLOCK_(\d+)@@/g, (_match, index) => codeBlocks[Number(index)]);
+}
+
+module.exports = {
+  getImporter,
+  isGeminiPrompt,
+  isGeminiActivity,
+  getAssetReferences,
+  processAssistantMessage,
+  isGeminiConversationGap,
+};
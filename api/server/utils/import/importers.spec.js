@@ -1,6 +1,11 @@
 const fs = require('fs');
 const path = require('path');
-const { EModelEndpoint, Constants, openAISettings } = require('librechat-data-provider');
+const {
+  Constants,
+  EModelEndpoint,
+  openAISettings,
+  anthropicSettings,
+} = require('librechat-data-provider');
 const { bulkSaveConvos: _bulkSaveConvos } = require('~/models/Conversation');
 const { getImporter, processAssistantMessage } = require('./importers');
 const { ImportBatchBuilder } = require('./importBatchBuilder');
@@ -272,6 +277,59 @@ describe('importLibreChatConvo', () => {
     expect(importBatchBuilder.saveBatch).toHaveBeenCalled();
   });
 
+  it('should retain multi-LLM responses and the references to them', async () => {
+    const jsonData = JSON.parse(
+      fs.readFileSync(path.join(__dirname, '__data__', 'librechat-multi-llm.json'), 'utf8'),
+    );
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    const messages = bulkSaveMessages.mock.calls[0][0];
+    expect(messages).toHaveLength(6);
+    const originalIds = new Set();
+    const collectIds = (tree) => {
+      for (const message of tree) {
+        originalIds.add(message.messageId);
+        message.llmResponses?.forEach((response) => originalIds.add(response.messageId));
+        collectIds(message.children ?? []);
+      }
+    };
+    collectIds(jsonData.messagesTree);
+
+    const fanOut = messages.find((message) => message.llmResponses);
+    const responseIds = fanOut.llmResponses.map((response) => response.messageId);
+    expect(responseIds[0]).toBe(fanOut.messageId);
+    expect(responseIds.some((id) => originalIds.has(id))).toBe(false);
+    expect(fanOut.llmResponses.map((response) => response.model)).toEqual([
+      'gpt-4o',
+      'claude-sonnet-4',
+      'gemini-2.5-pro',
+    ]);
+    expect(fanOut.llmResponses[0].metrics.latency).toBe(2210);
+    expect(fanOut.llmResponses[1].feedback).toEqual({ rating: 'thumbsUp' });
+    expect(fanOut.llmResponses[2].error).toBe(true);
+    expect(fanOut.preferences).toEqual([
+      expect.objectContaining({ left: responseIds[1], right: responseIds[0], vote: 'left' }),
+    ]);
+
+    const synthesis = messages.find((message) => message.synthesizedFrom);
+    expect(synthesis.parentMessageId).toBe(fanOut.messageId);
+    expect(synthesis.synthesizedFrom.map((source) => source.messageId)).toEqual(
+      responseIds.slice(0, 2),
+    );
+
+    const followUp = messages.find((message) => message.text === 'Now give an example in Python.');
+    const legacySiblings = messages.filter((message) => message.sharedUserMessageId);
+    expect(legacySiblings).toHaveLength(2);
+    for (const sibling of legacySiblings) {
+      expect(sibling.sharedUserMessageId).toBe(followUp.messageId);
+      expect(sibling.parentMessageId).toBe(followUp.messageId);
+    }
+  });
+
   it('should retain properties from the original conversation as well as new settings', async () => {
     mockedCacheGet.mockResolvedValue({
       [EModelEndpoint.azureOpenAI]: {},
@@ -422,11 +480,150 @@ describe('importChatBotUiConvo', () => {
   });
 });
 
+describe('importClaudeConvo', () => {
+  const jsonData = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '__data__', 'claude-export.json'), 'utf8'),
+  );
+
+  it('should import conversations on the Anthropic endpoint with their timestamps', async () => {
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'startConversation');
+    jest.spyOn(importBatchBuilder, 'finishConversation');
+    jest.spyOn(importBatchBuilder, 'saveBatch');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.startConversation).toHaveBeenCalledWith(EModelEndpoint.anthropic);
+    expect(importBatchBuilder.finishConversation).toHaveBeenNthCalledWith(
+      1,
+      'Counter component in React',
+      new Date('2025-03-02T09:15:12.481203Z'),
+      { model: anthropicSettings.model.default },
+    );
+    expect(importBatchBuilder.saveBatch).toHaveBeenCalled();
+
+    const { conversations, messages } = importBatchBuilder;
+    expect(conversations).toHaveLength(2);
+    expect(conversations[1].title).toBe('Imported Chat');
+    expect(messages).toHaveLength(8);
+    expect(messages.every((msg) => msg.endpoint === EModelEndpoint.anthropic)).toBe(true);
+    expect(messages[0]).toMatchObject({
+      text: 'Build me a small React counter component.',
+      isCreatedByUser: true,
+      sender: 'user',
+      createdAt: new Date('2025-03-02T09:15:12.912311Z'),
+    });
+    expect(messages[1]).toMatchObject({ isCreatedByUser: false, sender: 'Claude' });
+  });
+
+  it('should keep branches and map thinking, artifacts and attachments', async () => {
+    const importBatchBuilder = new ImportBatchBuilder('user-123');
+    await getImporter(jsonData)(jsonData, 'user-123', () => importBatchBuilder);
+
+    const [prompt, answer, edit, update, branch, branchAnswer] = importBatchBuilder.messages;
+    expect(prompt.parentMessageId).toBe(Constants.NO_PARENT);
+    expect(answer.parentMessageId).toBe(prompt.messageId);
+    expect(edit.parentMessageId).toBe(answer.messageId);
+    expect(update.parentMessageId).toBe(edit.messageId);
+    expect(branch.parentMessageId).toBe(answer.messageId);
+    expect(branchAnswer.parentMessageId).toBe(branch.messageId);
+
+    expect(answer.text).toContain(
+      ':::thinking\nA simple useState counter with increment and decrement buttons.\n:::',
+    );
+    expect(answer.text).toContain(
+      ':::artifact{identifier="react-counter" type="application/vnd.react" title="React \'Counter\'"}',
+    );
+    expect(answer.text).not.toContain('OK');
+
+    expect(edit.text).toContain('notes.txt:\n```\nCounter must start at 10\n```');
+    expect(edit.text).toContain('_Attached files: mockup.png_');
+
+    expect(update.text).toContain('<button>10</button>');
+    expect(update.text).not.toContain('<button>0</button>');
+    expect(update.text).toContain('```python\ncount = 10\n```');
+  });
+
+  it('should import older exports without parent references as a linear thread', async () => {
+    const importBatchBuilder = new ImportBatchBuilder('user-123');
+    await getImporter(jsonData)(jsonData, 'user-123', () => importBatchBuilder);
+
+    const [question, answer] = importBatchBuilder.messages.slice(6);
+    expect(question.parentMessageId).toBe(Constants.NO_PARENT);
+    expect(answer.parentMessageId).toBe(question.messageId);
+    expect(answer.text).toBe('The capital of Portugal is Lisbon.');
+  });
+});
+
+describe('importGeminiConvo', () => {
+  const jsonData = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '__data__', 'gemini-export.json'), 'utf8'),
+  );
+
+  it('should group prompts into conversations on the Google endpoint', async () => {
+    const requestUserId = 'user-123';
+    const importBatchBuilder = new ImportBatchBuilder(requestUserId);
+    jest.spyOn(importBatchBuilder, 'startConversation');
+    jest.spyOn(importBatchBuilder, 'saveBatch');
+
+    const importer = getImporter(jsonData);
+    await importer(jsonData, requestUserId, () => importBatchBuilder);
+
+    expect(importBatchBuilder.startConversation).toHaveBeenCalledWith(EModelEndpoint.google);
+    expect(importBatchBuilder.saveBatch).toHaveBeenCalled();
+
+    const { conversations, messages } = importBatchBuilder;
+    expect(conversations.map((convo) => convo.title)).toEqual([
+      'How do I reverse a list in Python?',
+      'Plan a 3-day trip to Kyoto',
+    ]);
+    expect(conversations[0].createdAt).toEqual(new Date('2025-04-08T14:31:05.120Z'));
+    expect(messages).toHaveLength(6);
+
+    const [prompt, answer, followUp] = messages;
+    expect(prompt).toMatchObject({ isCreatedByUser: true, parentMessageId: Constants.NO_PARENT });
+    expect(answer).toMatchObject({ isCreatedByUser: false, sender: 'Gemini' });
+    expect(answer.parentMessageId).toBe(prompt.messageId);
+    expect(answer.createdAt.getTime()).toBeGreaterThan(prompt.createdAt.getTime());
+    expect(followUp.parentMessageId).toBe(answer.messageId);
+    expect(followUp.text).toBe(
+      'And how do I sort it & keep the original?\n\n_Attached files: list-screenshot.png_',
+    );
+    expect(messages[4].parentMessageId).toBe(Constants.NO_PARENT);
+  });
+
+  it('should convert the HTML of responses to markdown', async () => {
+    const importBatchBuilder = new ImportBatchBuilder('user-123');
+    await getImporter(jsonData)(jsonData, 'user-123', () => importBatchBuilder);
+
+    const [, reverse, , sort, , trip] = importBatchBuilder.messages;
+    expect(reverse.text).toBe(
+      'You can use `reversed()` or slicing:\n\n```python\nitems = [1, 2, 3]\nprint(items[::-1])  # [3, 2, 1]\n```\n\n- **Slicing** returns a new list\n- _list.reverse()_ works in place',
+    );
+    expect(sort.text).toBe(
+      '### Sorting\n\nUse `sorted(items)` — it returns a new list & keeps the original.\n\n1. Call sorted\n1. Assign the result\n\nSee [the Sorting HOW TO](https://docs.python.org/3/howto/sorting.html).',
+    );
+    expect(trip.text).toBe('**Day 1:** Fushimi Inari\nDay 2: Arashiyama\nDay 3: Gion');
+  });
+});
+
 describe('getImporter', () => {
   it('should throw an error if the import type is not supported', () => {
     const jsonData = { unsupported: 'data' };
     expect(() => getImporter(jsonData)).toThrow('Unsupported import type');
   });
+
+  it('should tell Claude and Gemini exports apart from ChatGPT exports', () => {
+    const claudeImporter = getImporter([{ uuid: 'c1', chat_messages: [] }]);
+    const geminiImporter = getImporter([{ header: 'Gemini Apps', title: 'Prompted Hi' }]);
+    const chatGptImporter = getImporter([{ title: 'Chat', mapping: {} }]);
+
+    expect(claudeImporter.name).toBe('importClaudeConvo');
+    expect(geminiImporter.name).toBe('importGeminiConvo');
+    expect(chatGptImporter.name).toBe('importChatGptConvo');
+  });
 });
 
 describe('processAssistantMessage', () => {
@@ -749,12 +749,82 @@
  * @memberof typedefs
  */
 
+/**
+ * @exports TLLMResponse
+ * @typedef {import('librechat-data-provider').TLLMResponse} TLLMResponse
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TPreference
+ * @typedef {import('librechat-data-provider').TPreference} TPreference
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TPreferenceVote
+ * @typedef {import('librechat-data-provider').TPreferenceVote} TPreferenceVote
+ * @memberof typedefs
+ */
+
+/**
+ * @typedef {Object} TMultiLLMMigrationStats
+ * @property {number} groups - The legacy groups (responses sharing a user message) found.
+ * @property {number} migrated - The groups folded into the `llmResponses` of their primary response.
+ * @property {number} cleared - The groups without siblings to fold; only their link was removed.
+ * @property {number} updated - The messages updated.
+ * @property {number} deleted - The sibling messages deleted after being folded.
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TFanOutTarget
+ * @typedef {import('librechat-data-provider').TFanOutTarget} TFanOutTarget
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMCPSamplingRequest
+ * @typedef {import('librechat-data-provider').TMCPSamplingRequest} TMCPSamplingRequest
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMCPElicitation
+ * @typedef {import('librechat-data-provider').TMCPElicitation} TMCPElicitation
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMCPElicitationResponse
+ * @typedef {import('librechat-data-provider').TMCPElicitationResponse} TMCPElicitationResponse
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMCPResourceRef
+ * @typedef {import('librechat-data-provider').TMCPResourceRef} TMCPResourceRef
+ * @memberof typedefs
+ */
+
 /**
  * @exports TConversation
  * @typedef {import('librechat-data-provider').TConversation} TConversation
  * @memberof typedefs
  */
 
+/**
+ * @exports TSearchSnippet
+ * @typedef {import('librechat-data-provider').TSearchSnippet} TSearchSnippet
+ * @memberof typedefs
+ */
+
+/**
+ * @exports SearchMode
+ * @typedef {import('librechat-data-provider').SearchMode} SearchMode
+ * @memberof typedefs
+ */
+
 /**
  * @exports TModelSpec
  * @typedef {import('librechat-data-provider').TModelSpec} TModelSpec
@@ -888,6 +958,36 @@
  * @memberof typedefs
  */
 
+/**
+ * @exports IImportJob
+ * @typedef {import('@librechat/data-schemas').IImportJob} IImportJob
+ * @memberof typedefs
+ */
+
+/**
+ * @exports IBudget
+ * @typedef {import('@librechat/data-schemas').IBudget} IBudget
+ * @memberof typedefs
+ */
+
+/**
+ * @exports IBudgetSpending
+ * @typedef {import('@librechat/data-schemas').IBudgetSpending} IBudgetSpending
+ * @memberof typedefs
+ */
+
+/**
+ * @exports IMCPServer
+ * @typedef {import('@librechat/data-schemas').IMCPServer} IMCPServer
+ * @memberof typedefs
+ */
+
+/**
+ * @exports MCPOptions
+ * @typedef {import('librechat-data-provider').MCPOptions} MCPOptions
+ * @memberof typedefs
+ */
+
 /**
  * @exports ObjectId
  * @typedef {import('mongoose').Types.ObjectId} ObjectId
@@ -1606,6 +1706,18 @@
  * @memberof typedefs
  */
 
+/**
+ * @exports TTokenPricing
+ * @typedef {import('librechat-data-provider').TTokenPricing} TTokenPricing
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TEndpointPricing
+ * @typedef {import('librechat-data-provider').TEndpointPricing} TEndpointPricing
+ * @memberof typedefs
+ */
+
 /**
  * @typedef {Object} ResponseMessage
  * @property {string} conversationId - The ID of the conversation.
@@ -1913,8 +2025,118 @@
  * @memberof typedefs
  */
 
+/**
+ * @typedef {Object} ClaudeArtifact
+ * @property {string} id - Identifier of the artifact, shared by its versions.
+ * @property {string} [type] - MIME type of the artifact (e.g., 'application/vnd.ant.react').
+ * @property {string} [title] - Title of the artifact.
+ * @property {string} [language] - Language of code artifacts.
+ * @property {string} content - Content of the artifact.
+ * @memberof typedefs
+ */
+
+/**
+ * @typedef {Object} ClaudeMessage
+ * @property {string} uuid - Unique identifier for the message.
+ * @property {string} [parent_message_uuid] - Identifier of the parent message, in newer exports.
+ * @property {'human' | 'assistant'} sender - The author of the message.
+ * @property {string} text - Plain text of the message.
+ * @property {Array<{ type: string, text?: string, thinking?: string, name?: string, input?: Object }>} [content] - Content blocks of the message.
+ * @property {Array<{ file_name: string, extracted_content?: string }>} [attachments] - Documents attached to the message.
+ * @property {Array<{ file_name: string }>} [files] - Files attached to the message.
+ * @property {string} created_at - Creation time as an ISO string.
+ * @memberof typedefs
+ */
+
+/**
+ * @typedef {Object} ClaudeConvo
+ * @property {string} uuid - Unique identifier for the conversation.
+ * @property {string} name - Title of the conversation.
+ * @property {string} [model] - Model of the conversation, in newer exports.
+ * @property {string} created_at - Creation time as an ISO string.
+ * @property {ClaudeMessage[]} chat_messages - Messages of the conversation.
+ * @memberof typedefs
+ */
+
+/**
+ * @typedef {Object} GeminiActivity
+ * @property {string} header - Product of the activity ('Gemini Apps').
+ * @property {string} title - The prompt, prefixed with 'Prompted '.
+ * @property {string} time - Time of the prompt as an ISO string.
+ * @property {string[]} [products] - Products of the activity.
+ * @property {Array<{ html: string }>} [safeHtmlItem] - The response, as HTML.
+ * @property {string[]} [attachedFiles] - Names of the files attached to the prompt.
+ * @memberof typedefs
+ */
+
 /** Mutations */
 
+/**
+ * @exports TImportJob
+ * @typedef {import('librechat-data-provider').TImportJob} TImportJob
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TBudget
+ * @typedef {import('librechat-data-provider').TBudget} TBudget
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TBudgetPayload
+ * @typedef {import('librechat-data-provider').TBudgetPayload} TBudgetPayload
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMCPServer
+ * @typedef {import('librechat-data-provider').TMCPServer} TMCPServer
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMCPServerPayload
+ * @typedef {import('librechat-data-provider').TMCPServerPayload} TMCPServerPayload
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMCPServerTestResult
+ * @typedef {import('librechat-data-provider').TMCPServerTestResult} TMCPServerTestResult
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TBudgetStatus
+ * @typedef {import('librechat-data-provider').TBudgetStatus} TBudgetStatus
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TCreditBalance
+ * @typedef {import('librechat-data-provider').TCreditBalance} TCreditBalance
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TCreditTransferPayload
+ * @typedef {import('librechat-data-provider').TCreditTransferPayload} TCreditTransferPayload
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TCreditAdjustmentResponse
+ * @typedef {import('librechat-data-provider').TCreditAdjustmentResponse} TCreditAdjustmentResponse
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TTransactionsListResponse
+ * @typedef {import('librechat-data-provider').TTransactionsListResponse} TTransactionsListResponse
+ * @memberof typedefs
+ */
+
 /**
  * @exports TForkConvoResponse
  * @typedef {import('librechat-data-provider').TForkConvoResponse} TForkConvoResponse
@@ -0,0 +1,81 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { XIcon } from 'lucide-react';
+import { useRecoilState } from 'recoil';
+import type { TBudgetStatus } from 'librechat-data-provider';
+import { useGetBudgetStatusQuery, useGetStartupConfig } from '~/data-provider';
+import { useLocalize, useAuthContext } from '~/hooks';
+import { cn } from '~/utils';
+import store from '~/store';
+
+const currencyFormat = new Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD' });
+
+/** Dismissing the warning of a threshold does not hide the warnings of the next thresholds */
+const getHintKey = (budget: TBudgetStatus) =>
+  `budget:${budget.budgetId}:${budget.exceeded ? 'exceeded' : budget.warningThreshold}:${budget.resetsAt}`;
+
+/** Warns the user about the budgets of which they reached a warning threshold or the limit */
+export const BudgetBanner = ({ onHeightChange }: { onHeightChange?: (height: number) => void }) => {
+  const localize = useLocalize();
+  const { isAuthenticated } = useAuthContext();
+  const { data: startupConfig } = useGetStartupConfig();
+  const { data } = useGetBudgetStatusQuery({
+    enabled: isAuthenticated && startupConfig?.budgetsEnabled === true,
+  });
+  const [hideBannerHint, setHideBannerHint] = useRecoilState<string[]>(store.hideBannerHint);
+  const bannerRef = useRef<HTMLDivElement>(null);
+
+  /** The most used budget among those to warn about */
+  const budget = useMemo(
+    () =>
+      (data?.budgets ?? [])
+        .filter((status) => status.exceeded || status.warningThreshold != null)
+        .filter((status) => !hideBannerHint.includes(getHintKey(status)))
+        .sort((a, b) => b.percentage - a.percentage)[0],
+    [data, hideBannerHint],
+  );
+
+  useEffect(() => {
+    if (onHeightChange) {
+      onHeightChange(bannerRef.current?.offsetHeight ?? 0);
+    }
+  }, [budget, onHeightChange]);
+
+  if (!budget) {
+    return null;
+  }
+
+  const values = {
+    0: budget.name,
+    1: Math.floor(budget.percentage),
+    2: currencyFormat.format(budget.spent),
+    3: currencyFormat.format(budget.limit),
+    4: new Date(budget.resetsAt).toLocaleDateString(),
+  };
+  let message = localize('com_ui_budget_warning', values);
+  if (budget.exceeded) {
+    message = budget.hardLimit
+      ? localize('com_ui_budget_exceeded', values)
+      : localize('com_ui_budget_exceeded_soft', values);
+  }
+
+  return (
+    <div
+      ref={bannerRef}
+      role="status"
+      className={cn(
+        'sticky top-0 z-20 flex items-center px-2 py-1 text-white md:relative',
+        budget.exceeded && budget.hardLimit ? 'bg-red-700' : 'bg-amber-600',
+      )}
+    >
+      <div className="w-full truncate px-4 text-center text-sm">{message}</div>
+      <button
+        type="button"
+        aria-label={localize('com_ui_budget_dismiss')}
+        className="h-8 w-8 opacity-80 hover:opacity-100"
+        onClick={() => setHideBannerHint([...hideBannerHint, getHintKey(budget)])}
+      >
+        <XIcon className="mx-auto h-4 w-4" />
+      </button>
+    </div>
+  );
+};
@@ -1 +1,2 @@
 export { Banner } from './Banner';
+export { BudgetBanner } from './BudgetBanner';
@@ -0,0 +1,76 @@
+import { Layers } from 'lucide-react';
+import { useSetRecoilState } from 'recoil';
+import { Constants, isAssistantsEndpoint } from 'librechat-data-provider';
+import type { TFanOutTarget } from 'librechat-data-provider';
+import { useChatContext } from '~/Providers';
+import { TooltipAnchor } from '~/components';
+import { mainTextareaId } from '~/common';
+import { useLocalize } from '~/hooks';
+import store from '~/store';
+
+const isSameTarget = (a: TFanOutTarget, b: TFanOutTarget) =>
+  a.endpoint === b.endpoint &&
+  a.model === b.model &&
+  a.agent_id === b.agent_id &&
+  a.spec === b.spec;
+
+function AddFanOutTarget() {
+  const { index, conversation } = useChatContext();
+  const setTargets = useSetRecoilState(store.fanOutTargetsByIndex(index));
+  const localize = useLocalize();
+
+  const clickHandler = () => {
+    if (!conversation?.endpoint) {
+      return;
+    }
+
+    const target: TFanOutTarget = {
+      endpoint: conversation.endpoint,
+      endpointType: conversation.endpointType,
+      model: conversation.model,
+      agent_id: conversation.agent_id,
+      spec: conversation.spec,
+      iconURL: conversation.iconURL,
+      modelLabel: conversation.modelLabel,
+    };
+    setTargets((prev) => {
+      if (
+        prev.length >= Constants.MAX_FANOUT_TARGETS ||
+        prev.some((t) => isSameTarget(t, target))
+      ) {
+        return prev;
+      }
+      return [...prev, target];
+    });
+
+    const textarea = document.getElementById(mainTextareaId);
+    if (textarea) {
+      textarea.focus();
+    }
+  };
+
+  if (!conversation) {
+    return null;
+  }
+
+  if (isAssistantsEndpoint(conversation.endpoint)) {
+    return null;
+  }
+
+  return (
+    <TooltipAnchor
+      id="add-fanout-target-button"
+      aria-label={localize('com_ui_add_fanout_target')}
+      description={localize('com_ui_add_fanout_target')}
+      tabIndex={0}
+      role="button"
+      onClick={clickHandler}
+      data-testid="add-fanout-target-button"
+      className="inline-flex size-10 flex-shrink-0 items-center justify-center rounded-xl border border-border-light bg-transparent text-text-primary transition-all ease-in-out hover:bg-surface-tertiary disabled:pointer-events-none disabled:opacity-50 radix-state-open:bg-surface-tertiary"
+    >
+      <Layers size={16} aria-label="Layers Icon" />
+    </TooltipAnchor>
+  );
+}
+
+export default AddFanOutTarget;
@@ -16,6 +16,7 @@ import Header from './Header';
 import ChatForm from './Input/ChatForm';
 import ConversationStarters from './Input/ConversationStarters';
 import Landing from './Landing';
+import MCPSamplingDialog from './MCPSamplingDialog';
 import MessagesView from './Messages/MessagesView';
 import Presentation from './Presentation';
 
@@ -111,6 +112,7 @@ function ChatView({ index = 0 }: { index?: number }) {
                 {isLandingPage && <Footer />}
               </>
             </div>
+            <MCPSamplingDialog />
           </Presentation>
         </AddedChatContext.Provider>
       </ChatContext.Provider>
@@ -9,6 +9,7 @@ import ExportAndShareMenu from './ExportAndShareMenu';
 import { useMediaQuery, useHasAccess } from '~/hooks';
 import BookmarkMenu from './Menus/BookmarkMenu';
 import { TemporaryChat } from './TemporaryChat';
+import AddFanOutTarget from './AddFanOutTarget';
 import AddMultiConvo from './AddMultiConvo';
 
 const defaultInterface = getConfigDefaults().interface;
@@ -58,6 +59,7 @@ export default function Header() {
             {interfaceConfig.presets === true && interfaceConfig.modelSelect && <PresetsMenu />}
             {hasAccessToBookmarks === true && <BookmarkMenu />}
             {hasAccessToMultiConvo === true && <AddMultiConvo />}
+            {hasAccessToMultiConvo === true && <AddFanOutTarget />}
             {isSmallScreen && (
               <>
                 <ExportAndShareMenu
@@ -246,7 +246,7 @@ const ChatForm = memo(({ index = 0 }: { index?: number }) => {
                 : 'border-border-light bg-surface-chat',
             )}
           >
-            <TextareaHeader addedConvo={addedConvo} setAddedConvo={setAddedConvo} />
+            <TextareaHeader index={index} addedConvo={addedConvo} setAddedConvo={setAddedConvo} />
             <EditBadges
               isEditingChatBadges={isEditingBadges}
               handleCancelBadges={handleCancelBadges}
@@ -0,0 +1,56 @@
+import { X } from 'lucide-react';
+import { useRecoilState } from 'recoil';
+import type { TEndpointOption, TPreset } from 'librechat-data-provider';
+import useGetSender from '~/hooks/Conversations/useGetSender';
+import { useGetEndpointsQuery } from '~/data-provider';
+import { EndpointIcon } from '~/components/Endpoints';
+import { useLocalize } from '~/hooks';
+import { getPresetTitle } from '~/utils';
+import store from '~/store';
+
+export default function FanOutTargets({ index = 0 }: { index?: number }) {
+  const localize = useLocalize();
+  const getSender = useGetSender();
+  const { data: endpointsConfig } = useGetEndpointsQuery();
+  const [targets, setTargets] = useRecoilState(store.fanOutTargetsByIndex(index));
+
+  if (targets.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col gap-1 py-2.5 pl-3 pr-1.5 text-sm">
+      <span className="text-token-text-secondary text-xs">
+        {localize('com_ui_fanout_targets', { 0: targets.length })}
+      </span>
+      <div className="flex flex-wrap gap-1.5">
+        {targets.map((target, targetIndex) => {
+          const title = `${getSender(target as TEndpointOption)}: ${getPresetTitle(target as TPreset)}`;
+          return (
+            <span
+              key={`${target.endpoint}-${target.model}-${target.agent_id ?? ''}`}
+              className="flex items-center gap-1.5 rounded-full border border-border-light bg-surface-primary py-0.5 pl-1 pr-1.5"
+            >
+              <EndpointIcon
+                conversation={target as TPreset}
+                endpointsConfig={endpointsConfig}
+                containerClassName="shadow-stroke overflow-hidden rounded-full"
+                context="menu-item"
+                size={16}
+              />
+              <span className="line-clamp-1 font-semibold">{title}</span>
+              <button
+                type="button"
+                className="text-token-text-secondary flex-shrink-0"
+                aria-label={localize('com_ui_remove_fanout_target', { 0: title })}
+                onClick={() => setTargets((prev) => prev.filter((_t, i) => i !== targetIndex))}
+              >
+                <X className="size-3.5" aria-hidden="true" />
+              </button>
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react';
+import type { TMCPPrompt } from 'librechat-data-provider';
+import {
+  Input,
+  Label,
+  Button,
+  OGDialog,
+  OGDialogTitle,
+  OGDialogFooter,
+  OGDialogHeader,
+  OGDialogContent,
+  OGDialogDescription,
+} from '~/components/ui';
+import { Spinner } from '~/components/svg';
+import { useLocalize } from '~/hooks';
+
+/** Form of the arguments of an MCP prompt, generated from the arguments it advertises */
+export default function MCPPromptDialog({
+  prompt,
+  onClose,
+  onSubmit,
+  isLoading,
+}: {
+  prompt: TMCPPrompt | null;
+  onClose: () => void;
+  onSubmit: (prompt: TMCPPrompt, args: Record<string, string>) => void;
+  isLoading: boolean;
+}) {
+  const localize = useLocalize();
+  const [values, setValues] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    setValues({});
+  }, [prompt]);
+
+  if (!prompt) {
+    return null;
+  }
+
+  const promptArguments = prompt.arguments ?? [];
+  const isComplete = promptArguments.every(
+    (argument) => argument.required !== true || (values[argument.name] ?? '').trim() !== '',
+  );
+
+  const handleSubmit = (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!isComplete || isLoading) {
+      return;
+    }
+    const args: Record<string, string> = {};
+    for (const argument of promptArguments) {
+      const value = values[argument.name]?.trim();
+      if (value) {
+        args[argument.name] = value;
+      }
+    }
+    onSubmit(prompt, args);
+  };
+
+  return (
+    <OGDialog open={prompt != null} onOpenChange={(open) => !open && onClose()}>
+      <OGDialogContent className="w-11/12 max-w-lg">
+        <OGDialogHeader>
+          <OGDialogTitle>{prompt.name}</OGDialogTitle>
+          <OGDialogDescription>
+            {prompt.description ?? localize('com_ui_mcp_prompt_from', { 0: prompt.serverName })}
+          </OGDialogDescription>
+        </OGDialogHeader>
+        <form className="flex flex-col gap-4" onSubmit={handleSubmit}>
+          {promptArguments.map((argument) => {
+            const id = `mcp-prompt-${argument.name}`;
+            return (
+              <div key={argument.name} className="flex flex-col gap-1">
+                <Label htmlFor={id} className="text-sm font-medium">
+                  {argument.name}
+                  {argument.required === true && <span className="text-red-500"> *</span>}
+                </Label>
+                <Input
+                  id={id}
+                  value={values[argument.name] ?? ''}
+                  placeholder={argument.description}
+                  required={argument.required === true}
+                  className="border-border-light"
+                  onChange={(e) => setValues({ ...values, [argument.name]: e.target.value })}
+                />
+              </div>
+            );
+          })}
+          <OGDialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>
+              {localize('com_ui_cancel')}
+            </Button>
+            <Button type="submit" variant="submit" disabled={!isComplete || isLoading}>
+              {isLoading && <Spinner className="mr-2 h-4 w-4" />}
+              {localize('com_ui_mcp_prompt_use')}
+            </Button>
+          </OGDialogFooter>
+        </form>
+      </OGDialogContent>
+    </OGDialog>
+  );
+}
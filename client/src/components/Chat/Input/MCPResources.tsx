@@ -0,0 +1,48 @@
+import { X } from 'lucide-react';
+import { useRecoilState } from 'recoil';
+import { MCPIcon } from '~/components/svg';
+import { useLocalize } from '~/hooks';
+import store from '~/store';
+
+export default function MCPResources({ index = 0 }: { index?: number }) {
+  const localize = useLocalize();
+  const [resources, setResources] = useRecoilState(store.mcpResourcesByIndex(index));
+
+  if (resources.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col gap-1 py-2.5 pl-3 pr-1.5 text-sm">
+      <span className="text-token-text-secondary text-xs">
+        {localize('com_ui_mcp_resources_attached', { 0: resources.length })}
+      </span>
+      <div className="flex flex-wrap gap-1.5">
+        {resources.map((resource) => (
+          <span
+            key={`${resource.serverName}-${resource.uri}`}
+            title={`${resource.serverName}: ${resource.uri}`}
+            className="flex items-center gap-1.5 rounded-full border border-border-light bg-surface-primary py-0.5 pl-1.5 pr-1.5"
+          >
+            <MCPIcon className="size-3.5 flex-shrink-0" />
+            <span className="line-clamp-1 font-semibold">{resource.name}</span>
+            <button
+              type="button"
+              className="text-token-text-secondary flex-shrink-0"
+              aria-label={localize('com_ui_mcp_resource_detach', { 0: resource.name })}
+              onClick={() =>
+                setResources((prev) =>
+                  prev.filter(
+                    (r) => r.serverName !== resource.serverName || r.uri !== resource.uri,
+                  ),
+                )
+              }
+            >
+              <X className="size-3.5" aria-hidden="true" />
+            </button>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
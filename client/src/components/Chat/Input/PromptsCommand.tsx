@@ -2,14 +2,21 @@ import { useState, useRef, useEffect, useMemo, memo, useCallback } from 'react';
 import { AutoSizer, List } from 'react-virtualized';
 import { useSetRecoilState, useRecoilValue } from 'recoil';
 import { PermissionTypes, Permissions } from 'librechat-data-provider';
-import type { TPromptGroup } from 'librechat-data-provider';
+import type { TMCPPrompt, TPromptGroup } from 'librechat-data-provider';
 import type { PromptOption } from '~/common';
+import {
+  useGetAllPromptGroups,
+  useGetStartupConfig,
+  useMCPPromptsQuery,
+  useGetMCPPromptMutation,
+} from '~/data-provider';
 import { removeCharIfLast, mapPromptGroups, detectVariables } from '~/utils';
 import VariableDialog from '~/components/Prompts/Groups/VariableDialog';
 import CategoryIcon from '~/components/Prompts/Groups/CategoryIcon';
 import { useLocalize, useCombobox, useHasAccess } from '~/hooks';
-import { useGetAllPromptGroups } from '~/data-provider';
-import { Spinner } from '~/components/svg';
+import { MCPIcon, Spinner } from '~/components/svg';
+import { useToastContext } from '~/Providers';
+import MCPPromptDialog from './MCPPromptDialog';
 import MentionItem from './MentionItem';
 import store from '~/store';
 
@@ -45,6 +52,9 @@ const PopoverContainer = memo(
 
 const ROW_HEIGHT = 40;
 
+/** Prefix of the option IDs of MCP prompts, to tell them apart from prompt groups */
+const mcpPrefix = 'mcp:';
+
 function PromptsCommand({
   index,
   textAreaRef,
@@ -85,6 +95,13 @@ function PromptsCommand({
     },
   });
 
+  const { showToast } = useToastContext();
+  const { data: startupConfig } = useGetStartupConfig();
+  const hasMCPServers = Object.keys(startupConfig?.mcpServers ?? {}).length > 0;
+  const { data: mcpPrompts } = useMCPPromptsQuery({ enabled: hasAccess && hasMCPServers });
+  const getMCPPrompt = useGetMCPPromptMutation();
+  const [mcpPrompt, setMCPPrompt] = useState<TMCPPrompt | null>(null);
+
   const [activeIndex, setActiveIndex] = useState(0);
   const timeoutRef = useRef<NodeJS.Timeout | null>(null);
   const inputRef = useRef<HTMLInputElement | null>(null);
@@ -92,9 +109,45 @@ function PromptsCommand({
   const [variableGroup, setVariableGroup] = useState<TPromptGroup | null>(null);
   const setShowPromptsPopover = useSetRecoilState(store.showPromptsPopoverFamily(index));
 
-  const prompts = useMemo(() => data?.promptGroups, [data]);
+  const mcpPromptsMap = useMemo(() => {
+    const map: Record<string, TMCPPrompt | undefined> = {};
+    for (const prompt of mcpPrompts ?? []) {
+      map[`${mcpPrefix}${prompt.serverName}:${prompt.name}`] = prompt;
+    }
+    return map;
+  }, [mcpPrompts]);
+
+  const prompts = useMemo(() => {
+    const mcpOptions = Object.entries(mcpPromptsMap).map(([id, prompt]) => ({
+      id,
+      value: prompt?.name ?? '',
+      label: `/${prompt?.name} - ${prompt?.serverName}${
+        prompt?.description ? `: ${prompt.description}` : ''
+      }`,
+      icon: <MCPIcon className="h-5 w-5" />,
+    }));
+    return [...(data?.promptGroups ?? []), ...mcpOptions];
+  }, [data, mcpPromptsMap]);
   const promptsMap = useMemo(() => data?.promptsMap, [data]);
 
+  const submitMCPPrompt = useCallback(
+    (prompt: TMCPPrompt, args: Record<string, string>) => {
+      getMCPPrompt.mutate(
+        { serverName: prompt.serverName, name: prompt.name, args },
+        {
+          onSuccess: (rendered) => {
+            setMCPPrompt(null);
+            submitPrompt(rendered.messages.map((message) => message.content).join('\n\n'));
+          },
+          onError: () => {
+            showToast({ message: localize('com_ui_mcp_prompt_error'), status: 'error' });
+          },
+        },
+      );
+    },
+    [getMCPPrompt, submitPrompt, showToast, localize],
+  );
+
   const { open, setOpen, searchValue, setSearchValue, matches } = useCombobox({
     value: '',
     options: prompts ?? [],
@@ -114,6 +167,19 @@ function PromptsCommand({
         removeCharIfLast(textAreaRef.current, commandChar);
       }
 
+      const selectedMCPPrompt = mcpPromptsMap[mention.id];
+      if (selectedMCPPrompt) {
+        if ((selectedMCPPrompt.arguments?.length ?? 0) > 0) {
+          if (e && e.key === 'Tab') {
+            e.preventDefault();
+          }
+          setMCPPrompt(selectedMCPPrompt);
+        } else {
+          submitMCPPrompt(selectedMCPPrompt, {});
+        }
+        return;
+      }
+
       const group = promptsMap?.[mention.id];
       if (!group) {
         return;
@@ -131,7 +197,16 @@ function PromptsCommand({
         submitPrompt(group.productionPrompt?.prompt ?? '');
       }
     },
-    [setSearchValue, setOpen, setShowPromptsPopover, textAreaRef, promptsMap, submitPrompt],
+    [
+      setSearchValue,
+      setOpen,
+      setShowPromptsPopover,
+      textAreaRef,
+      promptsMap,
+      mcpPromptsMap,
+      submitPrompt,
+      submitMCPPrompt,
+    ],
   );
 
   useEffect(() => {
@@ -191,88 +266,96 @@ function PromptsCommand({
   };
 
   return (
-    <PopoverContainer
-      index={index}
-      isVariableDialogOpen={isVariableDialogOpen}
-      variableGroup={variableGroup}
-      setVariableDialogOpen={setVariableDialogOpen}
-    >
-      <div className="absolute bottom-28 z-10 w-full space-y-2">
-        <div className="popover border-token-border-light rounded-2xl border bg-surface-tertiary-alt p-2 shadow-lg">
-          <input
-            // The user expects focus to transition to the input field when the popover is opened
-            // eslint-disable-next-line jsx-a11y/no-autofocus
-            autoFocus
-            ref={inputRef}
-            placeholder={localize('com_ui_command_usage_placeholder')}
-            className="mb-1 w-full border-0 bg-surface-tertiary-alt p-2 text-sm focus:outline-none dark:text-gray-200"
-            autoComplete="off"
-            value={searchValue}
-            onKeyDown={(e) => {
-              if (e.key === 'Escape') {
-                setOpen(false);
-                setShowPromptsPopover(false);
-                textAreaRef.current?.focus();
-              }
-              if (e.key === 'ArrowDown') {
-                setActiveIndex((prevIndex) => (prevIndex + 1) % matches.length);
-              } else if (e.key === 'ArrowUp') {
-                setActiveIndex((prevIndex) => (prevIndex - 1 + matches.length) % matches.length);
-              } else if (e.key === 'Enter' || e.key === 'Tab') {
-                if (e.key === 'Enter') {
-                  e.preventDefault();
+    <>
+      <MCPPromptDialog
+        prompt={mcpPrompt}
+        onClose={() => setMCPPrompt(null)}
+        onSubmit={submitMCPPrompt}
+        isLoading={getMCPPrompt.isLoading}
+      />
+      <PopoverContainer
+        index={index}
+        isVariableDialogOpen={isVariableDialogOpen}
+        variableGroup={variableGroup}
+        setVariableDialogOpen={setVariableDialogOpen}
+      >
+        <div className="absolute bottom-28 z-10 w-full space-y-2">
+          <div className="popover border-token-border-light rounded-2xl border bg-surface-tertiary-alt p-2 shadow-lg">
+            <input
+              // The user expects focus to transition to the input field when the popover is opened
+              // eslint-disable-next-line jsx-a11y/no-autofocus
+              autoFocus
+              ref={inputRef}
+              placeholder={localize('com_ui_command_usage_placeholder')}
+              className="mb-1 w-full border-0 bg-surface-tertiary-alt p-2 text-sm focus:outline-none dark:text-gray-200"
+              autoComplete="off"
+              value={searchValue}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') {
+                  setOpen(false);
+                  setShowPromptsPopover(false);
+                  textAreaRef.current?.focus();
+                }
+                if (e.key === 'ArrowDown') {
+                  setActiveIndex((prevIndex) => (prevIndex + 1) % matches.length);
+                } else if (e.key === 'ArrowUp') {
+                  setActiveIndex((prevIndex) => (prevIndex - 1 + matches.length) % matches.length);
+                } else if (e.key === 'Enter' || e.key === 'Tab') {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                  }
+                  handleSelect(matches[activeIndex] as PromptOption | undefined, e);
+                } else if (e.key === 'Backspace' && searchValue === '') {
+                  setOpen(false);
+                  setShowPromptsPopover(false);
+                  textAreaRef.current?.focus();
+                }
+              }}
+              onChange={(e) => setSearchValue(e.target.value)}
+              onFocus={() => setOpen(true)}
+              onBlur={() => {
+                timeoutRef.current = setTimeout(() => {
+                  setOpen(false);
+                  setShowPromptsPopover(false);
+                }, 150);
+              }}
+            />
+            <div className="max-h-40 overflow-y-auto">
+              {(() => {
+                if (isLoading && open) {
+                  return (
+                    <div className="flex h-32 items-center justify-center text-text-primary">
+                      <Spinner />
+                    </div>
+                  );
                 }
-                handleSelect(matches[activeIndex] as PromptOption | undefined, e);
-              } else if (e.key === 'Backspace' && searchValue === '') {
-                setOpen(false);
-                setShowPromptsPopover(false);
-                textAreaRef.current?.focus();
-              }
-            }}
-            onChange={(e) => setSearchValue(e.target.value)}
-            onFocus={() => setOpen(true)}
-            onBlur={() => {
-              timeoutRef.current = setTimeout(() => {
-                setOpen(false);
-                setShowPromptsPopover(false);
-              }, 150);
-            }}
-          />
-          <div className="max-h-40 overflow-y-auto">
-            {(() => {
-              if (isLoading && open) {
-                return (
-                  <div className="flex h-32 items-center justify-center text-text-primary">
-                    <Spinner />
-                  </div>
-                );
-              }
 
-              if (!isLoading && open) {
-                return (
-                  <div className="max-h-40">
-                    <AutoSizer disableHeight>
-                      {({ width }) => (
-                        <List
-                          width={width}
-                          overscanRowCount={5}
-                          rowHeight={ROW_HEIGHT}
-                          rowCount={matches.length}
-                          rowRenderer={rowRenderer}
-                          scrollToIndex={activeIndex}
-                          height={Math.min(matches.length * ROW_HEIGHT, 160)}
-                        />
-                      )}
-                    </AutoSizer>
-                  </div>
-                );
-              }
-              return null;
-            })()}
+                if (!isLoading && open) {
+                  return (
+                    <div className="max-h-40">
+                      <AutoSizer disableHeight>
+                        {({ width }) => (
+                          <List
+                            width={width}
+                            overscanRowCount={5}
+                            rowHeight={ROW_HEIGHT}
+                            rowCount={matches.length}
+                            rowRenderer={rowRenderer}
+                            scrollToIndex={activeIndex}
+                            height={Math.min(matches.length * ROW_HEIGHT, 160)}
+                          />
+                        )}
+                      </AutoSizer>
+                    </div>
+                  );
+                }
+                return null;
+              })()}
+            </div>
           </div>
         </div>
-      </div>
-    </PopoverContainer>
+      </PopoverContainer>
+    </>
   );
 }
 
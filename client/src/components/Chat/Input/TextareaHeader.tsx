@@ -1,20 +1,30 @@
+import { useRecoilValue } from 'recoil';
 import AddedConvo from './AddedConvo';
+import FanOutTargets from './FanOutTargets';
+import MCPResources from './MCPResources';
 import type { TConversation } from 'librechat-data-provider';
 import type { SetterOrUpdater } from 'recoil';
+import store from '~/store';
 
 export default function TextareaHeader({
+  index = 0,
   addedConvo,
   setAddedConvo,
 }: {
+  index?: number;
   addedConvo: TConversation | null;
   setAddedConvo: SetterOrUpdater<TConversation | null>;
 }) {
-  if (!addedConvo) {
+  const fanOutTargets = useRecoilValue(store.fanOutTargetsByIndex(index));
+  const mcpResources = useRecoilValue(store.mcpResourcesByIndex(index));
+  if (!addedConvo && fanOutTargets.length === 0 && mcpResources.length === 0) {
     return null;
   }
   return (
     <div className="m-1.5 flex flex-col divide-y overflow-hidden rounded-b-lg rounded-t-2xl bg-surface-secondary-alt">
       <AddedConvo addedConvo={addedConvo} setAddedConvo={setAddedConvo} />
+      <FanOutTargets index={index} />
+      <MCPResources index={index} />
     </div>
   );
 }
@@ -0,0 +1,103 @@
+import { useEffect } from 'react';
+import { useRecoilState, useRecoilValue } from 'recoil';
+import {
+  Button,
+  OGDialog,
+  OGDialogTitle,
+  OGDialogFooter,
+  OGDialogHeader,
+  OGDialogContent,
+  OGDialogDescription,
+} from '~/components/ui';
+import { useRespondMCPSamplingMutation } from '~/data-provider';
+import { useToastContext } from '~/Providers';
+import { useLocalize } from '~/hooks';
+import store from '~/store';
+
+/** Asks the user to approve the requests of MCP servers for completions, one at a time */
+export default function MCPSamplingDialog() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const isSubmitting = useRecoilValue(store.isSubmitting);
+  const [requests, setRequests] = useRecoilState(store.mcpSamplingRequests);
+  const respond = useRespondMCPSamplingMutation();
+  const request = requests[0] as (typeof requests)[number] | undefined;
+
+  /** Requests are awaited by the tool calls of the response in progress */
+  useEffect(() => {
+    if (!isSubmitting) {
+      setRequests([]);
+    }
+  }, [isSubmitting, setRequests]);
+
+  if (!request) {
+    return null;
+  }
+
+  const handleResponse = (approved: boolean) => {
+    respond.mutate(
+      { flowId: request.flowId, approved },
+      {
+        onError: () => {
+          showToast({ message: localize('com_ui_mcp_sampling_error'), status: 'error' });
+        },
+        onSettled: () => {
+          setRequests((prev) => prev.filter((r) => r.flowId !== request.flowId));
+        },
+      },
+    );
+  };
+
+  return (
+    <OGDialog open={true} onOpenChange={(open) => !open && handleResponse(false)}>
+      <OGDialogContent className="w-11/12 max-w-2xl">
+        <OGDialogHeader>
+          <OGDialogTitle>{localize('com_ui_mcp_sampling_title')}</OGDialogTitle>
+          <OGDialogDescription>
+            {localize('com_ui_mcp_sampling_description', {
+              0: request.serverName,
+              1: request.model,
+              2: request.maxTokens,
+            })}
+          </OGDialogDescription>
+        </OGDialogHeader>
+        <div className="max-h-[50vh] space-y-2 overflow-y-auto text-sm">
+          {request.systemPrompt != null && request.systemPrompt !== '' && (
+            <div className="rounded-lg bg-surface-secondary p-2">
+              <div className="mb-1 text-xs font-semibold text-text-secondary">
+                {localize('com_ui_mcp_sampling_system_prompt')}
+              </div>
+              <p className="whitespace-pre-wrap break-words">{request.systemPrompt}</p>
+            </div>
+          )}
+          {request.messages.map((message, i) => (
+            <div key={i} className="rounded-lg border border-border-light p-2">
+              <div className="mb-1 text-xs font-semibold text-text-secondary">
+                {message.role === 'user' ? localize('com_ui_user') : localize('com_ui_assistant')}
+              </div>
+              <p className="whitespace-pre-wrap break-words">{message.text}</p>
+            </div>
+          ))}
+        </div>
+        <OGDialogFooter>
+          <Button
+            type="button"
+            variant="outline"
+            disabled={respond.isLoading}
+            onClick={() => handleResponse(false)}
+          >
+            {localize('com_ui_deny')}
+          </Button>
+          <Button
+            type="button"
+            variant="submit"
+            disabled={respond.isLoading}
+            onClick={() => handleResponse(true)}
+          >
+            {localize('com_ui_approve')}
+          </Button>
+        </OGDialogFooter>
+      </OGDialogContent>
+    </OGDialog>
+  );
+}
@@ -0,0 +1,195 @@
+import { useState } from 'react';
+import type {
+  TMCPElicitation,
+  TMCPElicitationField,
+  TMCPElicitationResponse,
+} from 'librechat-data-provider';
+import { Input, Label, Button, Checkbox, Dropdown } from '~/components/ui';
+import { useRespondMCPElicitationMutation } from '~/data-provider';
+import { useToastContext } from '~/Providers';
+import { Spinner } from '~/components/svg';
+import { useLocalize } from '~/hooks';
+
+type FieldValue = string | boolean;
+
+const inputTypes: Record<string, string> = {
+  email: 'email',
+  uri: 'url',
+  date: 'date',
+  'date-time': 'datetime-local',
+};
+
+const getInitialValues = (elicitation: TMCPElicitation) => {
+  const values: Record<string, FieldValue> = {};
+  for (const [name, field] of Object.entries(elicitation.requestedSchema.properties)) {
+    values[name] = field.type === 'boolean' ? (field.default ?? false) : '';
+  }
+  return values;
+};
+
+/** Converts the values of the form to the content requested by the server */
+const getContent = (
+  properties: Record<string, TMCPElicitationField>,
+  values: Record<string, FieldValue>,
+) => {
+  const content: Record<string, string | number | boolean> = {};
+  for (const [name, field] of Object.entries(properties)) {
+    const value = values[name];
+    if (typeof value === 'boolean') {
+      content[name] = value;
+    } else if (value.trim() === '') {
+      continue;
+    } else if (field.type === 'number' || field.type === 'integer') {
+      content[name] = Number(value);
+    } else if ('format' in field && field.format === 'date-time') {
+      content[name] = new Date(value).toISOString();
+    } else {
+      content[name] = value.trim();
+    }
+  }
+  return content;
+};
+
+/** Form of a question asked by an MCP server during a tool call, from its requested schema */
+export default function MCPElicitationForm({ elicitation }: { elicitation: TMCPElicitation }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const respond = useRespondMCPElicitationMutation();
+  const [values, setValues] = useState(() => getInitialValues(elicitation));
+  const { properties, required = [] } = elicitation.requestedSchema;
+
+  const isComplete = required.every((name) => {
+    const value = values[name];
+    return typeof value === 'boolean' || (value ?? '').trim() !== '';
+  });
+
+  const setValue = (name: string, value: FieldValue) =>
+    setValues((prev) => ({ ...prev, [name]: value }));
+
+  const handleResponse = (response: TMCPElicitationResponse) => {
+    respond.mutate(
+      { flowId: elicitation.flowId, response },
+      {
+        onError: () => {
+          showToast({ message: localize('com_ui_mcp_elicitation_error'), status: 'error' });
+        },
+      },
+    );
+  };
+
+  const handleSubmit = (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!isComplete || respond.isLoading) {
+      return;
+    }
+    handleResponse({ action: 'accept', content: getContent(properties, values) });
+  };
+
+  const renderField = (name: string, field: TMCPElicitationField) => {
+    const id = `mcp-elicitation-${elicitation.flowId}-${name}`;
+    const label = field.title ?? name;
+    const value = values[name];
+
+    if (field.type === 'boolean') {
+      return (
+        <div key={name} className="flex items-start gap-2">
+          <Checkbox
+            id={id}
+            checked={value === true}
+            onCheckedChange={(checked) => setValue(name, checked === true)}
+            className="mt-0.5 h-4 w-4 flex-shrink-0"
+          />
+          <Label htmlFor={id} className="text-sm">
+            {label}
+            {field.description != null && (
+              <span className="block text-xs text-text-secondary">{field.description}</span>
+            )}
+          </Label>
+        </div>
+      );
+    }
+
+    let input: React.ReactNode;
+    if ('enum' in field) {
+      input = (
+        <Dropdown
+          value={value as string}
+          onChange={(option) => setValue(name, option)}
+          options={field.enum.map((option, i) => ({
+            value: option,
+            label: field.enumNames?.[i] ?? option,
+          }))}
+          ariaLabel={label}
+          className="w-full"
+          portal={false}
+        />
+      );
+    } else {
+      const isNumber = field.type === 'number' || field.type === 'integer';
+      const format = 'format' in field ? field.format : undefined;
+      input = (
+        <Input
+          id={id}
+          value={value as string}
+          type={isNumber ? 'number' : ((format && inputTypes[format]) ?? 'text')}
+          min={isNumber ? field.minimum : undefined}
+          max={isNumber ? field.maximum : undefined}
+          step={field.type === 'integer' ? 1 : undefined}
+          minLength={'minLength' in field ? field.minLength : undefined}
+          maxLength={'maxLength' in field ? field.maxLength : undefined}
+          required={required.includes(name)}
+          className="border-border-light"
+          onChange={(e) => setValue(name, e.target.value)}
+        />
+      );
+    }
+
+    return (
+      <div key={name} className="flex flex-col gap-1">
+        <Label htmlFor={id} className="text-sm font-medium">
+          {label}
+          {required.includes(name) && <span className="text-red-500"> *</span>}
+        </Label>
+        {field.description != null && (
+          <span className="text-xs text-text-secondary">{field.description}</span>
+        )}
+        {input}
+      </div>
+    );
+  };
+
+  return (
+    <form
+      className="my-2 flex flex-col gap-3 rounded-xl border border-border-light bg-surface-secondary p-4"
+      onSubmit={handleSubmit}
+    >
+      <div className="text-xs font-semibold text-text-secondary">
+        {localize('com_ui_mcp_elicitation_title', { 0: elicitation.serverName })}
+      </div>
+      <p className="whitespace-pre-wrap break-words text-sm">{elicitation.message}</p>
+      {Object.entries(properties).map(([name, field]) => renderField(name, field))}
+      <div className="flex justify-end gap-2">
+        <Button
+          type="button"
+          variant="ghost"
+          disabled={respond.isLoading}
+          onClick={() => handleResponse({ action: 'cancel' })}
+        >
+          {localize('com_ui_cancel')}
+        </Button>
+        <Button
+          type="button"
+          variant="outline"
+          disabled={respond.isLoading}
+          onClick={() => handleResponse({ action: 'reject' })}
+        >
+          {localize('com_ui_mcp_elicitation_decline')}
+        </Button>
+        <Button type="submit" variant="submit" disabled={!isComplete || respond.isLoading}>
+          {respond.isLoading && <Spinner className="mr-2 h-4 w-4" />}
+          {localize('com_ui_submit')}
+        </Button>
+      </div>
+    </form>
+  );
+}
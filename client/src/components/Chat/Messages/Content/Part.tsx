@@ -129,6 +129,7 @@ const Part = memo(
             attachments={attachments}
             auth={toolCall.auth}
             expires_at={toolCall.expires_at}
+            elicitation={toolCall.elicitation}
           />
         );
       } else if (toolCall.type === ToolCallTypes.CODE_INTERPRETER) {
@@ -1,8 +1,9 @@
 import { useMemo, useState, useEffect, useRef, useLayoutEffect } from 'react';
 import { TriangleAlert } from 'lucide-react';
 import { actionDelimiter, actionDomainSeparator, Constants } from 'librechat-data-provider';
-import type { TAttachment } from 'librechat-data-provider';
+import type { TAttachment, TMCPElicitation } from 'librechat-data-provider';
 import { useLocalize, useProgress } from '~/hooks';
+import MCPElicitationForm from './MCPElicitationForm';
 import { AttachmentGroup } from './Parts';
 import ToolCallInfo from './ToolCallInfo';
 import ProgressText from './ProgressText';
@@ -17,6 +18,7 @@ export default function ToolCall({
   output,
   attachments,
   auth,
+  elicitation,
 }: {
   initialProgress: number;
   isSubmitting: boolean;
@@ -26,6 +28,7 @@ export default function ToolCall({
   attachments?: TAttachment[];
   auth?: string;
   expires_at?: number;
+  elicitation?: TMCPElicitation;
 }) {
   const localize = useLocalize();
   const [showInfo, setShowInfo] = useState(false);
@@ -230,6 +233,9 @@ export default function ToolCall({
           </p>
         </div>
       )}
+      {elicitation != null && progress < 1 && !cancelled && (
+        <MCPElicitationForm key={elicitation.flowId} elicitation={elicitation} />
+      )}
       {attachments && attachments.length > 0 && <AttachmentGroup attachments={attachments} />}
     </>
   );
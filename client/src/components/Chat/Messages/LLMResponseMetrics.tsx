@@ -0,0 +1,43 @@
+import type { TLLMResponseMetrics } from 'librechat-data-provider';
+import { useLocalize } from '~/hooks';
+
+const costFormatter = new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: 'USD',
+  maximumSignificantDigits: 3,
+});
+
+const formatSeconds = (ms: number) => `${(ms / 1000).toFixed(1)}s`;
+
+/** Shows the speed and cost of a single response of a multi-LLM turn */
+export default function LLMResponseMetrics({ metrics }: { metrics?: TLLMResponseMetrics }) {
+  const localize = useLocalize();
+  if (!metrics) {
+    return null;
+  }
+
+  const { timeToFirstToken, latency, promptTokens, completionTokens, tokenValue } = metrics;
+  const items: string[] = [];
+  if (timeToFirstToken != null) {
+    items.push(localize('com_ui_metrics_first_token', { 0: formatSeconds(timeToFirstToken) }));
+  }
+  if (latency != null) {
+    items.push(localize('com_ui_metrics_latency', { 0: formatSeconds(latency) }));
+  }
+  if (promptTokens != null || completionTokens != null) {
+    items.push(
+      localize('com_ui_metrics_tokens', { 0: promptTokens ?? '-', 1: completionTokens ?? '-' }),
+    );
+  }
+  if (tokenValue != null) {
+    items.push(costFormatter.format(tokenValue / 1_000_000));
+  }
+
+  return (
+    <div className="flex flex-wrap gap-x-3 gap-y-1 px-1 text-xs text-text-secondary">
+      {items.map((item) => (
+        <span key={item}>{item}</span>
+      ))}
+    </div>
+  );
+}
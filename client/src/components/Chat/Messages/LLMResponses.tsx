@@ -0,0 +1,318 @@
+import { useMemo, useState } from 'react';
+import { useRecoilValue } from 'recoil';
+import { ArrowUpToLine, GitFork, Merge, RefreshCw, Shuffle } from 'lucide-react';
+import { isAssistantsEndpoint } from 'librechat-data-provider';
+import type {
+  TMessage,
+  TPreference,
+  TFanOutTarget,
+  TPreferenceVote,
+} from 'librechat-data-provider';
+import type { TMessageProps } from '~/common';
+import ContentRender from '~/components/Messages/ContentRender';
+import { useChatContext, useToastContext } from '~/Providers';
+import { useVoteLLMResponsesMutation } from '~/data-provider';
+import { cn, getLLMResponseMessages, selectLLMResponseVersions } from '~/utils';
+import { useLocalize, useSynthesize, useRegenerateLLMResponse } from '~/hooks';
+import { TooltipAnchor } from '~/components';
+import LLMResponseMetrics from './LLMResponseMetrics';
+import SiblingSwitch from './SiblingSwitch';
+import PreferenceVote from './PreferenceVote';
+import store from '~/store';
+
+type LLMResponsesProps = TMessageProps & {
+  isSubmittingFamily: boolean;
+  onFork: (messageId: string) => void;
+  onPromote: (messageId: string) => void;
+};
+
+const actionClassName =
+  'inline-flex size-7 items-center justify-center rounded-lg text-text-secondary transition-colors hover:bg-surface-hover hover:text-text-primary';
+
+const hashString = (value: string) => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) | 0;
+  }
+  return hash;
+};
+
+/** Shuffles the responses in an order that is stable per message, so positions give no hint */
+const getBlindOrder = (seed: string, responses: TMessage[]) =>
+  [...responses].sort(
+    (a, b) => hashString(`${seed}${a.messageId}`) - hashString(`${seed}${b.messageId}`),
+  );
+
+const isSamePair = (preference: TPreference, left: string, right: string) =>
+  (preference.left === left && preference.right === right) ||
+  (preference.left === right && preference.right === left);
+
+/**
+ * Renders the responses of a fanned-out message side by side, one card per response.
+ * In blind mode, model names, icons and metrics stay hidden until every pair of responses
+ * was voted on. Once revealed, the responses can be synthesized into one answer by the model
+ * currently selected for the conversation, and each response can be regenerated on its own;
+ * earlier attempts of a response are paged through like sibling messages.
+ */
+export default function LLMResponses({
+  onFork,
+  onPromote,
+  isSubmittingFamily,
+  ...props
+}: LLMResponsesProps) {
+  const { message } = props;
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { conversation, getMessages, setMessages } = useChatContext();
+  const { synthesize, isSynthesizing } = useSynthesize({ getMessages, setMessages });
+  const { regenerate, regeneratingId } = useRegenerateLLMResponse({ getMessages, setMessages });
+  const blindMultiLLM = useRecoilValue(store.blindMultiLLM);
+  const maximizeChatSpace = useRecoilValue(store.maximizeChatSpace);
+  /** Index of the attempt shown per response, by response ID; the latest attempt by default */
+  const [selectedVersions, setSelectedVersions] = useState<Record<string, number | undefined>>({});
+  const displayMessage = useMemo(
+    () => (message ? selectLLMResponseVersions(message, selectedVersions) : undefined),
+    [message, selectedVersions],
+  );
+  const responses = useMemo(
+    () => (displayMessage ? getLLMResponseMessages(displayMessage) : []),
+    [displayMessage],
+  );
+  const metricsById = useMemo(
+    () =>
+      new Map(
+        displayMessage?.llmResponses?.map((response) => [response.messageId, response.metrics]),
+      ),
+    [displayMessage?.llmResponses],
+  );
+  const versionCountById = useMemo(
+    () =>
+      new Map(
+        message?.llmResponses?.map((response) => [
+          response.messageId,
+          (response.versions?.length ?? 0) + 1,
+        ]),
+      ),
+    [message?.llmResponses],
+  );
+  const voteMutation = useVoteLLMResponsesMutation({
+    onError: () => showToast({ message: localize('com_ui_preference_error'), status: 'error' }),
+  });
+
+  const orderedResponses = useMemo(
+    () => (blindMultiLLM && message ? getBlindOrder(message.messageId, responses) : responses),
+    [blindMultiLLM, message, responses],
+  );
+
+  /** The first pair of responses, in display order, that was not voted on yet */
+  const pendingPair = useMemo(() => {
+    if (!blindMultiLLM || !message) {
+      return undefined;
+    }
+    const savedIds = new Set(message.llmResponses?.map((response) => response.messageId));
+    const votable = orderedResponses.filter(
+      (response) => savedIds.has(response.messageId) && response.error !== true,
+    );
+    const preferences = message.preferences ?? [];
+    for (let i = 0; i < votable.length; i++) {
+      for (let j = i + 1; j < votable.length; j++) {
+        const [left, right] = [votable[i], votable[j]];
+        if (!preferences.some((p) => isSamePair(p, left.messageId, right.messageId))) {
+          return [left, right] as const;
+        }
+      }
+    }
+  }, [blindMultiLLM, message, orderedResponses]);
+
+  const isBlind = pendingPair != null;
+  const getBlindLabel = (response: TMessage) =>
+    localize('com_ui_blind_response', {
+      0: String.fromCharCode(65 + orderedResponses.indexOf(response)),
+    });
+
+  const handleVote = (vote: TPreferenceVote) => {
+    if (!message?.conversationId || !pendingPair) {
+      return;
+    }
+    const [left, right] = pendingPair;
+    voteMutation.mutate({
+      conversationId: message.conversationId,
+      messageId: message.messageId,
+      left: left.messageId,
+      right: right.messageId,
+      vote,
+    });
+  };
+
+  const successfulCount =
+    message?.llmResponses?.filter((response) => response.error !== true).length ?? 0;
+  const judge = conversation?.endpoint != null ? conversation : undefined;
+  const canSynthesize =
+    !isBlind &&
+    !isSubmittingFamily &&
+    !isSynthesizing &&
+    successfulCount > 1 &&
+    judge != null &&
+    !isAssistantsEndpoint(judge.endpoint);
+
+  /** The endpoint/model currently selected for the conversation */
+  const conversationTarget: TFanOutTarget | undefined = judge?.endpoint
+    ? {
+        endpoint: judge.endpoint,
+        endpointType: judge.endpointType,
+        model: judge.model,
+        agent_id: judge.agent_id,
+        spec: judge.spec,
+        iconURL: judge.iconURL,
+        modelLabel: judge.modelLabel,
+      }
+    : undefined;
+
+  const handleSynthesize = () => {
+    if (!message || !conversationTarget) {
+      return;
+    }
+    synthesize(message, conversationTarget);
+  };
+
+  const canRegenerate = !isSubmittingFamily && !isSynthesizing && regeneratingId == null;
+  const handleRegenerate = (responseId: string, target?: TFanOutTarget) => {
+    if (!message) {
+      return;
+    }
+    setSelectedVersions((current) => ({ ...current, [responseId]: undefined }));
+    regenerate(message, responseId, target);
+  };
+
+  const selectVersion = (responseId: string, index: number) => {
+    const count = versionCountById.get(responseId) ?? 1;
+    setSelectedVersions((current) => ({
+      ...current,
+      [responseId]: index >= count - 1 ? undefined : Math.max(index, 0),
+    }));
+  };
+
+  return (
+    <div className="m-auto my-2 flex justify-center p-4 py-2 md:gap-6">
+      <div
+        className={cn(
+          'grid w-full grid-cols-1 gap-1 md:grid-cols-2 md:gap-2',
+          responses.length > 2 ? 'xl:grid-cols-3' : '',
+          maximizeChatSpace ? 'w-full max-w-full' : 'md:max-w-5xl xl:max-w-6xl',
+        )}
+      >
+        {orderedResponses.map((response) => (
+          <div key={response.messageId} className="flex flex-col gap-1">
+            <ContentRender
+              {...props}
+              message={response}
+              isSubmittingFamily={isSubmittingFamily}
+              blindLabel={isBlind ? getBlindLabel(response) : undefined}
+              isCustomLogic
+              isCard
+            />
+            {!isBlind && (
+              <div className="group flex items-center gap-1">
+                {versionCountById.has(response.messageId) && (
+                  <SiblingSwitch
+                    siblingIdx={
+                      selectedVersions[response.messageId] ??
+                      (versionCountById.get(response.messageId) ?? 1) - 1
+                    }
+                    siblingCount={versionCountById.get(response.messageId)}
+                    setSiblingIdx={(index: number) => selectVersion(response.messageId, index)}
+                  />
+                )}
+                <LLMResponseMetrics metrics={metricsById.get(response.messageId)} />
+                {canRegenerate && versionCountById.has(response.messageId) && (
+                  <div className="ml-auto flex gap-1">
+                    <TooltipAnchor
+                      role="button"
+                      tabIndex={0}
+                      className={actionClassName}
+                      aria-label={localize('com_ui_regenerate_response')}
+                      description={localize('com_ui_regenerate_response')}
+                      onClick={() => handleRegenerate(response.messageId)}
+                    >
+                      <RefreshCw className="size-4" aria-hidden="true" />
+                    </TooltipAnchor>
+                    {conversationTarget &&
+                      !isAssistantsEndpoint(conversationTarget.endpoint) &&
+                      conversationTarget.model !== response.model && (
+                        <TooltipAnchor
+                          role="button"
+                          tabIndex={0}
+                          className={actionClassName}
+                          aria-label={localize('com_ui_regenerate_response_with', {
+                            0: conversationTarget.modelLabel ?? conversationTarget.model ?? '',
+                          })}
+                          description={localize('com_ui_regenerate_response_with', {
+                            0: conversationTarget.modelLabel ?? conversationTarget.model ?? '',
+                          })}
+                          onClick={() => handleRegenerate(response.messageId, conversationTarget)}
+                        >
+                          <Shuffle className="size-4" aria-hidden="true" />
+                        </TooltipAnchor>
+                      )}
+                    {response.messageId !== responses[0]?.messageId &&
+                      response.error !== true &&
+                      selectedVersions[response.messageId] == null && (
+                        <>
+                          <TooltipAnchor
+                            role="button"
+                            tabIndex={0}
+                            className={actionClassName}
+                            aria-label={localize('com_ui_promote_response')}
+                            description={localize('com_ui_promote_response')}
+                            onClick={() => onPromote(response.messageId)}
+                          >
+                            <ArrowUpToLine className="size-4" aria-hidden="true" />
+                          </TooltipAnchor>
+                          <TooltipAnchor
+                            role="button"
+                            tabIndex={0}
+                            className={actionClassName}
+                            aria-label={localize('com_ui_fork_from_response')}
+                            description={localize('com_ui_fork_from_response')}
+                            onClick={() => onFork(response.messageId)}
+                          >
+                            <GitFork className="size-4" aria-hidden="true" />
+                          </TooltipAnchor>
+                        </>
+                      )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+        {canSynthesize && (
+          <div className="col-span-full flex justify-center">
+            <TooltipAnchor
+              role="button"
+              tabIndex={0}
+              className="inline-flex items-center gap-2 rounded-lg border border-border-medium px-3 py-1.5 text-sm text-text-secondary transition-colors hover:bg-surface-hover hover:text-text-primary"
+              description={localize('com_ui_synthesize_with', {
+                0: judge.modelLabel ?? judge.model ?? judge.endpoint,
+              })}
+              onClick={handleSynthesize}
+            >
+              <Merge className="size-4" aria-hidden="true" />
+              {localize('com_ui_synthesize')}
+            </TooltipAnchor>
+          </div>
+        )}
+        {pendingPair && !isSubmittingFamily && (
+          <div className="col-span-full">
+            <PreferenceVote
+              leftLabel={getBlindLabel(pendingPair[0])}
+              rightLabel={getBlindLabel(pendingPair[1])}
+              disabled={voteMutation.isLoading}
+              onVote={handleVote}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
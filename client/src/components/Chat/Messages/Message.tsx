@@ -3,7 +3,8 @@ import { useRecoilValue } from 'recoil';
 import { useMessageProcess } from '~/hooks';
 import type { TMessageProps } from '~/common';
 import MessageRender from './ui/MessageRender';
-// eslint-disable-next-line import/no-cycle
+import LLMResponses from './LLMResponses';
+
 import MultiMessage from './MultiMessage';
 import { cn } from '~/utils';
 import store from '~/store';
@@ -34,6 +35,8 @@ export default function Message(props: TMessageProps) {
     conversation,
     handleScroll,
     siblingMessage,
+    forkFromResponse,
+    promoteResponse,
     latestMultiMessage,
     isSubmittingFamily,
   } = useMessageProcess({ message: props.message });
@@ -45,38 +48,49 @@ export default function Message(props: TMessageProps) {
   }
 
   const { children, messageId = null } = message;
+  const isFanOut =
+    !props.userMessage && !message.isCreatedByUser && (message.llmResponses?.length ?? 0) > 1;
 
   return (
     <>
       <MessageContainer handleScroll={handleScroll}>
-        {showSibling && !props.userMessage ? (
-          <div className="m-auto my-2 flex justify-center p-4 py-2 md:gap-6">
-            <div
-              className={cn(
-                'flex w-full flex-row flex-wrap justify-between gap-1 md:flex-nowrap md:gap-2',
-                maximizeChatSpace ? 'w-full max-w-full' : 'md:max-w-5xl xl:max-w-6xl',
-              )}
-            >
-              <MessageRender
-                {...props}
-                message={message}
-                isSubmittingFamily={isSubmittingFamily}
-                isCard
-              />
-              <MessageRender
-                {...props}
-                isMultiMessage
-                isCard
-                message={siblingMessage ?? latestMultiMessage ?? undefined}
-                isSubmittingFamily={isSubmittingFamily}
-              />
-            </div>
-          </div>
-        ) : (
-          <div className="m-auto justify-center p-4 py-2 md:gap-6">
-            <MessageRender {...props} />
-          </div>
+        {isFanOut && (
+          <LLMResponses
+            {...props}
+            onFork={forkFromResponse}
+            onPromote={promoteResponse}
+            isSubmittingFamily={isSubmittingFamily}
+          />
         )}
+        {!isFanOut &&
+          (showSibling && !props.userMessage ? (
+            <div className="m-auto my-2 flex justify-center p-4 py-2 md:gap-6">
+              <div
+                className={cn(
+                  'flex w-full flex-row flex-wrap justify-between gap-1 md:flex-nowrap md:gap-2',
+                  maximizeChatSpace ? 'w-full max-w-full' : 'md:max-w-5xl xl:max-w-6xl',
+                )}
+              >
+                <MessageRender
+                  {...props}
+                  message={message}
+                  isSubmittingFamily={isSubmittingFamily}
+                  isCard
+                />
+                <MessageRender
+                  {...props}
+                  isMultiMessage
+                  isCard
+                  message={siblingMessage ?? latestMultiMessage ?? undefined}
+                  isSubmittingFamily={isSubmittingFamily}
+                />
+              </div>
+            </div>
+          ) : (
+            <div className="m-auto justify-center p-4 py-2 md:gap-6">
+              <MessageRender {...props} />
+            </div>
+          ))}
       </MessageContainer>
       <MultiMessage
         key={messageId}
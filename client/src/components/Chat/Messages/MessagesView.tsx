@@ -2,7 +2,7 @@ import { useState } from 'react';
 import { useRecoilValue } from 'recoil';
 import { CSSTransition } from 'react-transition-group';
 import type { TMessage } from 'librechat-data-provider';
-import { useScreenshot, useMessageScrolling, useLocalize } from '~/hooks';
+import { useScreenshot, useMessageScrolling, useJumpToMessage, useLocalize } from '~/hooks';
 import ScrollToBottom from '~/components/Messages/ScrollToBottom';
 import MultiMessage from './MultiMessage';
 import { cn } from '~/utils';
@@ -29,6 +29,7 @@ export default function MessagesView({
   } = useMessageScrolling(_messagesTree);
 
   const { conversationId } = conversation ?? {};
+  useJumpToMessage(_messagesTree, conversationId);
 
   return (
     <>
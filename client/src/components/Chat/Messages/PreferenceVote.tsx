@@ -0,0 +1,51 @@
+import type { TPreferenceVote } from 'librechat-data-provider';
+import { Button } from '~/components/ui';
+import { useLocalize } from '~/hooks';
+
+type PreferenceVoteProps = {
+  leftLabel: string;
+  rightLabel: string;
+  disabled?: boolean;
+  onVote: (vote: TPreferenceVote) => void;
+};
+
+/** Asks which of two blindly compared responses is better */
+export default function PreferenceVote({
+  leftLabel,
+  rightLabel,
+  disabled = false,
+  onVote,
+}: PreferenceVoteProps) {
+  const localize = useLocalize();
+  const options: Array<{ vote: TPreferenceVote; label: string }> = [
+    { vote: 'left', label: localize('com_ui_preference_better', { 0: leftLabel }) },
+    { vote: 'right', label: localize('com_ui_preference_better', { 0: rightLabel }) },
+    { vote: 'tie', label: localize('com_ui_preference_tie') },
+    { vote: 'both_bad', label: localize('com_ui_preference_both_bad') },
+  ];
+
+  return (
+    <div
+      role="group"
+      aria-label={localize('com_ui_preference_question', { 0: leftLabel, 1: rightLabel })}
+      className="flex flex-col items-center gap-2 rounded-lg border border-border-medium p-3"
+    >
+      <p className="text-sm text-text-secondary">
+        {localize('com_ui_preference_question', { 0: leftLabel, 1: rightLabel })}
+      </p>
+      <div className="flex flex-wrap justify-center gap-2">
+        {options.map(({ vote, label }) => (
+          <Button
+            key={vote}
+            size="sm"
+            variant="outline"
+            disabled={disabled}
+            onClick={() => onVote(vote)}
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+    </div>
+  );
+}
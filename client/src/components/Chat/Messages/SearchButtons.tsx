@@ -45,7 +45,7 @@ export default function SearchButtons({ message }: { message: TMessage }) {
           conversationId,
           title,
         } as TConversation),
-      { resetLatestMessage: true },
+      { resetLatestMessage: true, messageId: message.messageId },
     );
   };
 
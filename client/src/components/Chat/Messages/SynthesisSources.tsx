@@ -0,0 +1,19 @@
+import { Merge } from 'lucide-react';
+import type { TSynthesisSource } from 'librechat-data-provider';
+import { useLocalize } from '~/hooks';
+
+/** Names the responses that a synthesized message was merged from */
+export default function SynthesisSources({ sources }: { sources?: TSynthesisSource[] }) {
+  const localize = useLocalize();
+  if (!sources || sources.length === 0) {
+    return null;
+  }
+
+  const names = sources.map((source) => source.model ?? source.sender ?? source.endpoint ?? '');
+  return (
+    <div className="mb-2 flex items-center gap-1 text-xs text-text-secondary">
+      <Merge className="size-3" aria-hidden="true" />
+      <span>{localize('com_ui_synthesized_from', { 0: names.filter(Boolean).join(', ') })}</span>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { type TMessage } from 'librechat-data-provider';
 import type { TMessageProps, TMessageIcon } from '~/common';
 import MessageContent from '~/components/Chat/Messages/Content/MessageContent';
 import PlaceholderRow from '~/components/Chat/Messages/ui/PlaceholderRow';
+import SynthesisSources from '~/components/Chat/Messages/SynthesisSources';
 import SiblingSwitch from '~/components/Chat/Messages/SiblingSwitch';
 import HoverButtons from '~/components/Chat/Messages/HoverButtons';
 import MessageIcon from '~/components/Chat/Messages/MessageIcon';
@@ -158,6 +159,7 @@ const MessageRender = memo(
           )}
         >
           <h2 className={cn('select-none font-semibold', fontSize)}>{messageLabel}</h2>
+          <SynthesisSources sources={msg.synthesizedFrom} />
 
           <div className="flex flex-col gap-1">
             <div className="flex max-w-full flex-grow flex-col gap-0">
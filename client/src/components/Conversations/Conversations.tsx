@@ -3,7 +3,7 @@ import throttle from 'lodash/throttle';
 import { parseISO, isToday } from 'date-fns';
 import { List, AutoSizer, CellMeasurer, CellMeasurerCache } from 'react-virtualized';
 import { useLocalize, TranslationKeys, useMediaQuery } from '~/hooks';
-import { TConversation } from 'librechat-data-provider';
+import type { TConversation, TSearchSnippet } from 'librechat-data-provider';
 import { groupConversationsByDate } from '~/utils';
 import { Spinner } from '~/components/svg';
 import Convo from './Convo';
@@ -52,7 +52,7 @@ const MemoizedConvo = memo(
     toggleNav,
     isLatestConvo,
   }: {
-    conversation: TConversation;
+    conversation: TConversation & { snippet?: TSearchSnippet };
     retainView: () => void;
     toggleNav: () => void;
     isLatestConvo: boolean;
@@ -71,7 +71,8 @@ const MemoizedConvo = memo(
       prevProps.conversation.conversationId === nextProps.conversation.conversationId &&
       prevProps.conversation.title === nextProps.conversation.title &&
       prevProps.isLatestConvo === nextProps.isLatestConvo &&
-      prevProps.conversation.endpoint === nextProps.conversation.endpoint
+      prevProps.conversation.endpoint === nextProps.conversation.endpoint &&
+      prevProps.conversation.snippet === nextProps.conversation.snippet
     );
   },
 );
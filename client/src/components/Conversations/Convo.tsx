@@ -1,8 +1,8 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useRecoilValue } from 'recoil';
-import { useParams } from 'react-router-dom';
+import { useNavigate, useParams } from 'react-router-dom';
 import { Constants } from 'librechat-data-provider';
-import type { TConversation } from 'librechat-data-provider';
+import type { TConversation, TSearchSnippet } from 'librechat-data-provider';
 import { useNavigateToConvo, useMediaQuery, useLocalize } from '~/hooks';
 import { useUpdateConversationMutation } from '~/data-provider';
 import EndpointIcon from '~/components/Endpoints/EndpointIcon';
@@ -10,13 +10,14 @@ import { useGetEndpointsQuery } from '~/data-provider';
 import { NotificationSeverity } from '~/common';
 import { ConvoOptions } from './ConvoOptions';
 import { useToastContext } from '~/Providers';
+import ConvoSnippet from './ConvoSnippet';
 import RenameForm from './RenameForm';
 import ConvoLink from './ConvoLink';
 import { cn } from '~/utils';
 import store from '~/store';
 
 interface ConversationProps {
-  conversation: TConversation;
+  conversation: TConversation & { snippet?: TSearchSnippet };
   retainView: () => void;
   toggleNav: () => void;
   isLatestConvo: boolean;
@@ -29,6 +30,7 @@ export default function Conversation({
   isLatestConvo,
 }: ConversationProps) {
   const params = useParams();
+  const navigate = useNavigate();
   const localize = useLocalize();
   const { showToast } = useToastContext();
   const { navigateToConvo } = useNavigateToConvo();
@@ -37,7 +39,7 @@ export default function Conversation({
   const updateConvoMutation = useUpdateConversationMutation(currentConvoId ?? '');
   const activeConvos = useRecoilValue(store.allConversationsSelector);
   const isSmallScreen = useMediaQuery('(max-width: 768px)');
-  const { conversationId, title = '' } = conversation;
+  const { conversationId, title = '', snippet } = conversation;
 
   const [titleInput, setTitleInput] = useState(title || '');
   const [renaming, setRenaming] = useState(false);
@@ -99,16 +101,25 @@ export default function Conversation({
     setRenaming(false);
   };
 
-  const handleNavigation = (ctrlOrMetaKey: boolean) => {
+  const handleNavigation = (ctrlOrMetaKey: boolean, messageId?: string) => {
+    const search = messageId ? `?messageId=${encodeURIComponent(messageId)}` : '';
     if (ctrlOrMetaKey) {
       toggleNav();
       const baseUrl = window.location.origin;
-      const path = `/c/${conversationId}`;
+      const path = `/c/${conversationId}${search}`;
       window.open(baseUrl + path, '_blank');
       return;
     }
 
-    if (currentConvoId === conversationId || isPopoverActive) {
+    if (isPopoverActive) {
+      return;
+    }
+
+    if (currentConvoId === conversationId) {
+      if (messageId) {
+        toggleNav();
+        navigate({ search }, { replace: true });
+      }
       return;
     }
 
@@ -121,6 +132,7 @@ export default function Conversation({
     navigateToConvo(conversation, {
       currentConvoId,
       resetLatestMessage: !(conversationId ?? '') || conversationId === Constants.NEW_CONVO,
+      messageId,
     });
   };
 
@@ -137,7 +149,8 @@ export default function Conversation({
   return (
     <div
       className={cn(
-        'group relative flex h-12 w-full items-center rounded-lg transition-colors duration-200 md:h-9',
+        'group relative flex w-full items-center rounded-lg transition-colors duration-200',
+        snippet ? 'flex-wrap py-1.5' : 'h-12 md:h-9',
         isActiveConvo ? 'bg-surface-active-alt' : 'hover:bg-surface-active-alt',
       )}
       role="listitem"
@@ -196,6 +209,12 @@ export default function Conversation({
       >
         {!renaming && <ConvoOptions {...convoOptionsProps} />}
       </div>
+      {snippet && !renaming && (
+        <ConvoSnippet
+          snippet={snippet}
+          onSelect={(messageId, ctrlOrMetaKey) => handleNavigation(ctrlOrMetaKey, messageId)}
+        />
+      )}
     </div>
   );
 }
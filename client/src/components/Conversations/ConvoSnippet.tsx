@@ -0,0 +1,58 @@
+import React, { useMemo } from 'react';
+import type { TSearchSnippet } from 'librechat-data-provider';
+import { useLocalize } from '~/hooks';
+
+interface ConvoSnippetProps {
+  snippet: TSearchSnippet;
+  onSelect: (messageId: string, ctrlOrMetaKey: boolean) => void;
+}
+
+/** Splits the snippet into plain and matched segments, the matches being sorted and disjoint */
+const getSegments = ({ text, matches }: TSearchSnippet) => {
+  const segments: Array<{ text: string; isMatch: boolean }> = [];
+  let position = 0;
+  for (const [start, end] of matches) {
+    if (start < position) {
+      continue;
+    }
+    if (start > position) {
+      segments.push({ text: text.slice(position, start), isMatch: false });
+    }
+    segments.push({ text: text.slice(start, end), isMatch: true });
+    position = end;
+  }
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), isMatch: false });
+  }
+  return segments;
+};
+
+const ConvoSnippet: React.FC<ConvoSnippetProps> = ({ snippet, onSelect }) => {
+  const localize = useLocalize();
+  const segments = useMemo(() => getSegments(snippet), [snippet]);
+
+  return (
+    <button
+      type="button"
+      className="line-clamp-2 w-full basis-full px-2 pl-9 text-left text-xs text-text-secondary hover:text-text-primary"
+      title={localize('com_ui_go_to_message')}
+      onClick={(e) => {
+        e.stopPropagation();
+        onSelect(snippet.messageId, e.ctrlKey || e.metaKey);
+      }}
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      {segments.map((segment, index) =>
+        segment.isMatch ? (
+          <mark key={index} className="rounded-sm bg-yellow-200 text-inherit dark:bg-yellow-700">
+            {segment.text}
+          </mark>
+        ) : (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        ),
+      )}
+    </button>
+  );
+};
+
+export default ConvoSnippet;
@@ -0,0 +1,191 @@
+import { useEffect, useState } from 'react';
+import type { MCPOptions, TMCPServer, TMCPServerTestResult } from 'librechat-data-provider';
+import {
+  Input,
+  Label,
+  Button,
+  OGDialog,
+  Textarea,
+  OGDialogTitle,
+  OGDialogFooter,
+  OGDialogHeader,
+  OGDialogContent,
+  OGDialogDescription,
+} from '~/components/ui';
+import {
+  useTestMCPServerMutation,
+  useCreateMCPServerMutation,
+  useUpdateMCPServerMutation,
+} from '~/data-provider';
+import { useToastContext } from '~/Providers';
+import { Spinner } from '~/components/svg';
+import { useLocalize } from '~/hooks';
+
+const exampleConfig = { type: 'streamable-http', url: 'https://mcp.example.com/mcp' };
+
+/** Error of a request, from the response of the API when available */
+const getErrorMessage = (error: unknown) =>
+  (error as { response?: { data?: { error?: string } } } | undefined)?.response?.data?.error;
+
+/** Form to add an MCP server, or edit one of the config or managed by admins */
+export default function MCPServerDialog({
+  open,
+  server,
+  onOpenChange,
+}: {
+  open: boolean;
+  /** The server to edit, or `null` to add one */
+  server: TMCPServer | null;
+  onOpenChange: (open: boolean) => void;
+}) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [name, setName] = useState('');
+  const [configText, setConfigText] = useState('');
+  const [testResult, setTestResult] = useState<TMCPServerTestResult | null>(null);
+  const testServer = useTestMCPServerMutation();
+  const createServer = useCreateMCPServerMutation();
+  const updateServer = useUpdateMCPServerMutation();
+  const isSaving = createServer.isLoading || updateServer.isLoading;
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    setName(server?.name ?? '');
+    setConfigText(JSON.stringify(server?.config ?? exampleConfig, null, 2));
+    setTestResult(null);
+  }, [open, server]);
+
+  /** Parses the configuration, reporting invalid JSON */
+  const parseConfig = (): MCPOptions | undefined => {
+    try {
+      return JSON.parse(configText) as MCPOptions;
+    } catch {
+      showToast({ message: localize('com_ui_mcp_server_invalid_json'), status: 'error' });
+    }
+  };
+
+  const onError = (error: unknown) => {
+    showToast({
+      message: getErrorMessage(error) ?? localize('com_ui_mcp_server_save_error'),
+      status: 'error',
+    });
+  };
+
+  const handleTest = () => {
+    const config = parseConfig();
+    if (!config) {
+      return;
+    }
+    setTestResult(null);
+    testServer.mutate(
+      { name: name.trim(), config },
+      {
+        onSuccess: setTestResult,
+        onError: (error) =>
+          setTestResult({ success: false, tools: [], error: getErrorMessage(error) }),
+      },
+    );
+  };
+
+  const handleSubmit = (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    const config = parseConfig();
+    if (!config || isSaving) {
+      return;
+    }
+    const onSuccess = (saved: TMCPServer) => {
+      showToast({
+        message:
+          saved.status.connectionState === 'connected'
+            ? localize('com_ui_mcp_server_saved')
+            : localize('com_ui_mcp_server_saved_not_connected'),
+        status: saved.status.connectionState === 'connected' ? 'success' : 'warning',
+      });
+      onOpenChange(false);
+    };
+    if (server) {
+      updateServer.mutate({ serverName: server.name, payload: { config } }, { onSuccess, onError });
+    } else {
+      createServer.mutate({ name: name.trim(), config }, { onSuccess, onError });
+    }
+  };
+
+  return (
+    <OGDialog open={open} onOpenChange={onOpenChange}>
+      <OGDialogContent className="w-11/12 max-w-2xl">
+        <OGDialogHeader>
+          <OGDialogTitle>
+            {server ? localize('com_ui_mcp_server_edit') : localize('com_ui_mcp_server_add')}
+          </OGDialogTitle>
+          <OGDialogDescription>
+            {server?.source === 'yaml'
+              ? localize('com_ui_mcp_server_override_description')
+              : localize('com_ui_mcp_server_config_description')}
+          </OGDialogDescription>
+        </OGDialogHeader>
+        <form className="flex flex-col gap-4" onSubmit={handleSubmit}>
+          <div className="flex flex-col gap-1">
+            <Label htmlFor="mcp-server-name" className="text-sm font-medium">
+              {localize('com_ui_name')}
+            </Label>
+            <Input
+              id="mcp-server-name"
+              value={name}
+              disabled={server != null}
+              required={true}
+              className="border-border-light"
+              onChange={(e) => setName(e.target.value)}
+            />
+          </div>
+          <div className="flex flex-col gap-1">
+            <Label htmlFor="mcp-server-config" className="text-sm font-medium">
+              {localize('com_ui_mcp_server_config')}
+            </Label>
+            <Textarea
+              id="mcp-server-config"
+              value={configText}
+              rows={12}
+              spellCheck={false}
+              className="border-border-light font-mono text-xs"
+              onChange={(e) => setConfigText(e.target.value)}
+            />
+          </div>
+          {testResult && (
+            <div
+              role="status"
+              className={
+                testResult.success
+                  ? 'rounded-lg border border-green-500/50 p-2 text-sm'
+                  : 'rounded-lg border border-red-500/50 p-2 text-sm text-red-500'
+              }
+            >
+              {testResult.success
+                ? localize('com_ui_mcp_server_test_success', {
+                    0: testResult.tools.length,
+                    1: testResult.tools.join(', '),
+                  })
+                : (testResult.error ?? localize('com_ui_mcp_server_test_error'))}
+            </div>
+          )}
+          <OGDialogFooter>
+            <Button
+              type="button"
+              variant="outline"
+              disabled={testServer.isLoading}
+              onClick={handleTest}
+            >
+              {testServer.isLoading && <Spinner className="mr-2 h-4 w-4" />}
+              {localize('com_ui_mcp_server_test')}
+            </Button>
+            <Button type="submit" variant="submit" disabled={isSaving || !name.trim()}>
+              {isSaving && <Spinner className="mr-2 h-4 w-4" />}
+              {localize('com_ui_save')}
+            </Button>
+          </OGDialogFooter>
+        </form>
+      </OGDialogContent>
+    </OGDialog>
+  );
+}
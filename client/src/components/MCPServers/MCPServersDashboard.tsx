@@ -0,0 +1,227 @@
+import { useEffect, useState } from 'react';
+import { Plus, Pencil, RotateCcw, Trash2 } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { SystemRoles } from 'librechat-data-provider';
+import type { TMCPServer } from 'librechat-data-provider';
+import {
+  Label,
+  Table,
+  Button,
+  Switch,
+  OGDialog,
+  TableRow,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  OGDialogTrigger,
+  OGDialogTemplate,
+} from '~/components/ui';
+import {
+  useMCPServersQuery,
+  useDeleteMCPServerMutation,
+  useUpdateMCPServerMutation,
+} from '~/data-provider';
+import BackToChat from '~/components/Prompts/BackToChat';
+import { useLocalize, useAuthContext } from '~/hooks';
+import type { TranslationKeys } from '~/hooks';
+import { useToastContext } from '~/Providers';
+import { Spinner } from '~/components/svg';
+import MCPServerDialog from './MCPServerDialog';
+
+const stateLabels: Record<TMCPServer['status']['connectionState'], TranslationKeys> = {
+  connected: 'com_ui_mcp_server_connected',
+  connecting: 'com_ui_mcp_server_connecting',
+  disconnected: 'com_ui_mcp_server_disconnected',
+  error: 'com_ui_error',
+};
+
+const stateColors: Record<TMCPServer['status']['connectionState'], string> = {
+  connected: 'bg-green-500',
+  connecting: 'bg-yellow-500',
+  disconnected: 'bg-gray-400',
+  error: 'bg-red-500',
+};
+
+/** Deletes a server managed by admins, or restores the server of the config it replaces */
+function DeleteServer({ server }: { server: TMCPServer }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const deleteServer = useDeleteMCPServerMutation();
+  const label = server.overridesYaml
+    ? localize('com_ui_mcp_server_reset')
+    : localize('com_ui_delete');
+
+  return (
+    <OGDialog>
+      <OGDialogTrigger asChild>
+        <Button variant="ghost" size="sm" aria-label={label} title={label}>
+          {server.overridesYaml ? (
+            <RotateCcw className="size-4" aria-hidden="true" />
+          ) : (
+            <Trash2 className="size-4" aria-hidden="true" />
+          )}
+        </Button>
+      </OGDialogTrigger>
+      <OGDialogTemplate
+        showCloseButton={false}
+        title={label}
+        className="max-w-[450px]"
+        main={
+          <Label className="text-left text-sm font-medium">
+            {server.overridesYaml
+              ? localize('com_ui_mcp_server_reset_confirm', { 0: server.name })
+              : localize('com_ui_mcp_server_delete_confirm', { 0: server.name })}
+          </Label>
+        }
+        selection={{
+          selectHandler: () =>
+            deleteServer.mutate(server.name, {
+              onError: () =>
+                showToast({ message: localize('com_ui_mcp_server_save_error'), status: 'error' }),
+            }),
+          selectClasses:
+            'bg-surface-destructive hover:bg-surface-destructive-hover transition-colors duration-200 text-white',
+          selectText: label,
+        }}
+      />
+    </OGDialog>
+  );
+}
+
+export default function MCPServersDashboard() {
+  const localize = useLocalize();
+  const navigate = useNavigate();
+  const { showToast } = useToastContext();
+  const { user } = useAuthContext();
+  const isAdmin = user?.role === SystemRoles.ADMIN;
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editedServer, setEditedServer] = useState<TMCPServer | null>(null);
+  const { data: servers, isLoading } = useMCPServersQuery({ enabled: isAdmin });
+  const updateServer = useUpdateMCPServerMutation();
+
+  useEffect(() => {
+    if (user && !isAdmin) {
+      navigate('/c/new', { replace: true });
+    }
+  }, [user, isAdmin, navigate]);
+
+  const openDialog = (server: TMCPServer | null) => {
+    setEditedServer(server);
+    setDialogOpen(true);
+  };
+
+  const toggleServer = (server: TMCPServer, enabled: boolean) => {
+    updateServer.mutate(
+      { serverName: server.name, payload: { enabled } },
+      {
+        onError: () =>
+          showToast({ message: localize('com_ui_mcp_server_save_error'), status: 'error' }),
+      },
+    );
+  };
+
+  const getSourceLabel = (server: TMCPServer) => {
+    if (server.source === 'yaml') {
+      return localize('com_ui_mcp_server_source_config');
+    }
+    return server.overridesYaml
+      ? localize('com_ui_mcp_server_source_override')
+      : localize('com_ui_mcp_server_source_managed');
+  };
+
+  if (!isAdmin) {
+    return null;
+  }
+
+  return (
+    <div className="flex h-screen w-full flex-col overflow-y-auto bg-surface-primary p-4 text-text-primary">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <BackToChat />
+        <h1 className="text-lg font-semibold">{localize('com_ui_mcp_servers')}</h1>
+        <Button variant="outline" onClick={() => openDialog(null)}>
+          <Plus className="mr-2 h-4 w-4" aria-hidden="true" />
+          {localize('com_ui_mcp_server_add')}
+        </Button>
+      </div>
+      <div className="mt-4 rounded-xl border border-border-light">
+        {isLoading ? (
+          <div className="flex justify-center p-8">
+            <Spinner />
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{localize('com_ui_name')}</TableHead>
+                <TableHead>{localize('com_ui_mcp_server_status')}</TableHead>
+                <TableHead className="text-right">{localize('com_ui_tools')}</TableHead>
+                <TableHead>{localize('com_ui_mcp_server_enabled')}</TableHead>
+                <TableHead className="w-24" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {(servers ?? []).map((server) => (
+                <TableRow key={server.name}>
+                  <TableCell>
+                    <div className="font-medium">{server.name}</div>
+                    <div className="text-xs text-text-secondary">{getSourceLabel(server)}</div>
+                  </TableCell>
+                  <TableCell className="max-w-md">
+                    <div className="flex items-center gap-2">
+                      <span
+                        className={`size-2 shrink-0 rounded-full ${stateColors[server.status.connectionState]}`}
+                        aria-hidden="true"
+                      />
+                      {localize(stateLabels[server.status.connectionState])}
+                    </div>
+                    {server.status.lastError && (
+                      <div
+                        className="truncate text-xs text-red-500"
+                        title={server.status.lastError}
+                      >
+                        {server.status.lastError}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right">{server.status.toolCount ?? '-'}</TableCell>
+                  <TableCell>
+                    <Switch
+                      checked={server.enabled}
+                      disabled={updateServer.isLoading}
+                      aria-label={localize('com_ui_mcp_server_enabled')}
+                      onCheckedChange={(enabled) => toggleServer(server, enabled)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex justify-end gap-1">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        aria-label={localize('com_ui_edit')}
+                        title={localize('com_ui_edit')}
+                        onClick={() => openDialog(server)}
+                      >
+                        <Pencil className="size-4" aria-hidden="true" />
+                      </Button>
+                      {server.source === 'database' && <DeleteServer server={server} />}
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {servers?.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center text-text-secondary">
+                    {localize('com_ui_mcp_servers_empty')}
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+      <MCPServerDialog open={dialogOpen} server={editedServer} onOpenChange={setDialogOpen} />
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export { default as MCPServersDashboard } from './MCPServersDashboard';
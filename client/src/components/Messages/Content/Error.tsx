@@ -28,6 +28,11 @@ type TTokenBalance = {
   generations?: TOpenAIMessage[];
 };
 
+type TBudgetLimit = {
+  budget: string;
+  resetsAt: string;
+};
+
 type TExpiredKey = {
   expiredAt: string;
   endpoint: string;
@@ -81,6 +86,13 @@ const errorMessages = {
       windowInMinutes > 1 ? `${windowInMinutes} minutes` : 'minute'
     }.`;
   },
+  [ViolationTypes.BUDGET_LIMIT]: (json: TBudgetLimit, localize: LocalizeFunction) => {
+    const { budget, resetsAt } = json;
+    return localize('com_error_budget_limit', {
+      0: budget,
+      1: new Date(resetsAt).toLocaleDateString(),
+    });
+  },
   token_balance: (json: TTokenBalance) => {
     const { balance, tokenCost, promptTokens, generations } = json;
     const message = `Insufficient Funds! Balance: ${balance}. Prompt tokens: ${promptTokens}. Cost: ${tokenCost}.`;
@@ -4,6 +4,7 @@ import type { TMessage, TMessageContentParts } from 'librechat-data-provider';
 import type { TMessageProps, TMessageIcon } from '~/common';
 import ContentParts from '~/components/Chat/Messages/Content/ContentParts';
 import PlaceholderRow from '~/components/Chat/Messages/ui/PlaceholderRow';
+import SynthesisSources from '~/components/Chat/Messages/SynthesisSources';
 import SiblingSwitch from '~/components/Chat/Messages/SiblingSwitch';
 import HoverButtons from '~/components/Chat/Messages/HoverButtons';
 import MessageIcon from '~/components/Chat/Messages/MessageIcon';
@@ -18,6 +19,8 @@ type ContentRenderProps = {
   isMultiMessage?: boolean;
   isSubmittingFamily?: boolean;
   isCustomLogic?: boolean;
+  /** Label shown instead of the model name and icon, for blind comparisons */
+  blindLabel?: string;
 } & Pick<
   TMessageProps,
   'currentEditId' | 'setCurrentEditId' | 'siblingIdx' | 'setSiblingIdx' | 'siblingCount'
@@ -35,6 +38,7 @@ const ContentRender = memo(
     setCurrentEditId,
     isSubmittingFamily = false,
     isCustomLogic = false,
+    blindLabel,
   }: ContentRenderProps) => {
     const { attachments, searchResults } = useAttachments({
       messageId: msg?.messageId,
@@ -155,7 +159,11 @@ const ContentRender = memo(
 
         <div className="relative flex flex-shrink-0 flex-col items-center">
           <div className="flex h-6 w-6 items-center justify-center overflow-hidden rounded-full">
-            <MessageIcon iconData={iconData} assistant={assistant} agent={agent} />
+            {blindLabel != null ? (
+              <div className="h-6 w-6 rounded-full bg-surface-tertiary" aria-hidden="true" />
+            ) : (
+              <MessageIcon iconData={iconData} assistant={assistant} agent={agent} />
+            )}
           </div>
         </div>
 
@@ -169,8 +177,9 @@ const ContentRender = memo(
             className={cn('select-none font-semibold', fontSize)}
             style={{ color: 'white', marginBottom: '0.5rem' }}
           >
-            {messageLabel}
+            {blindLabel ?? messageLabel}
           </h2>
+          <SynthesisSources sources={msg.synthesizedFrom} />
 
           <div className="flex flex-col gap-1">
             {/* <div className="flex max-w-full flex-grow flex-col gap-0"> */}
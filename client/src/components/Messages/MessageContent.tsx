@@ -3,6 +3,7 @@ import { useMessageProcess } from '~/hooks';
 import type { TMessageProps } from '~/common';
 // eslint-disable-next-line import/no-cycle
 import MultiMessage from '~/components/Chat/Messages/MultiMessage';
+import LLMResponses from '~/components/Chat/Messages/LLMResponses';
 import ContentRender from './ContentRender';
 
 const MessageContainer = React.memo(
@@ -31,6 +32,8 @@ export default function MessageContent(props: TMessageProps) {
     conversation,
     handleScroll,
     siblingMessage,
+    forkFromResponse,
+    promoteResponse,
     latestMultiMessage,
     isSubmittingFamily,
   } = useMessageProcess({ message: props.message });
@@ -41,33 +44,43 @@ export default function MessageContent(props: TMessageProps) {
   }
 
   const { children, messageId = null } = message;
+  const isFanOut = !message.isCreatedByUser && (message.llmResponses?.length ?? 0) > 1;
 
   return (
     <>
       <MessageContainer handleScroll={handleScroll}>
-        {showSibling ? (
-          <div className="m-auto my-2 flex justify-center p-4 py-2 md:gap-6">
-            <div className="flex w-full flex-row flex-wrap justify-between gap-1 md:max-w-5xl md:flex-nowrap md:gap-2 lg:max-w-5xl xl:max-w-6xl">
-              <ContentRender
-                {...props}
-                message={message}
-                isSubmittingFamily={isSubmittingFamily}
-                isCard
-              />
-              <ContentRender
-                {...props}
-                isMultiMessage
-                isCard
-                message={siblingMessage ?? latestMultiMessage ?? undefined}
-                isSubmittingFamily={isSubmittingFamily}
-              />
-            </div>
-          </div>
-        ) : (
-          <div className="m-auto justify-center p-4 py-2 md:gap-6">
-            <ContentRender {...props} />
-          </div>
+        {isFanOut && (
+          <LLMResponses
+            {...props}
+            onFork={forkFromResponse}
+            onPromote={promoteResponse}
+            isSubmittingFamily={isSubmittingFamily}
+          />
         )}
+        {!isFanOut &&
+          (showSibling ? (
+            <div className="m-auto my-2 flex justify-center p-4 py-2 md:gap-6">
+              <div className="flex w-full flex-row flex-wrap justify-between gap-1 md:max-w-5xl md:flex-nowrap md:gap-2 lg:max-w-5xl xl:max-w-6xl">
+                <ContentRender
+                  {...props}
+                  message={message}
+                  isSubmittingFamily={isSubmittingFamily}
+                  isCard
+                />
+                <ContentRender
+                  {...props}
+                  isMultiMessage
+                  isCard
+                  message={siblingMessage ?? latestMultiMessage ?? undefined}
+                  isSubmittingFamily={isSubmittingFamily}
+                />
+              </div>
+            </div>
+          ) : (
+            <div className="m-auto justify-center p-4 py-2 md:gap-6">
+              <ContentRender {...props} />
+            </div>
+          ))}
       </MessageContainer>
       <MultiMessage
         key={messageId}
@@ -71,8 +71,10 @@ const Nav = memo(
     const { data, fetchNextPage, isFetchingNextPage, isLoading, isFetching, refetch } =
       useConversationsInfiniteQuery(
         {
+          ...search.filters,
           tags: tags.length === 0 ? undefined : tags,
           search: search.debouncedQuery || undefined,
+          searchMode: search.debouncedQuery ? search.mode : undefined,
         },
         {
           enabled: isAuthenticated,
@@ -1,11 +1,13 @@
 import React, { forwardRef, useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import debounce from 'lodash/debounce';
 import { useRecoilState } from 'recoil';
-import { Search, X } from 'lucide-react';
-import { QueryKeys } from 'librechat-data-provider';
+import { Search, Sparkles, X } from 'lucide-react';
+import { QueryKeys, SearchMode } from 'librechat-data-provider';
 import { useQueryClient } from '@tanstack/react-query';
 import { useLocation, useNavigate } from 'react-router-dom';
+import { useGetStartupConfig } from '~/data-provider';
 import { useLocalize, useNewConvo } from '~/hooks';
+import SearchFilters from './SearchFilters';
 import { cn } from '~/utils';
 import store from '~/store';
 
@@ -25,7 +27,13 @@ const SearchBar = forwardRef((props: SearchBarProps, ref: React.Ref<HTMLDivEleme
   const [showClearIcon, setShowClearIcon] = useState(false);
 
   const { newConversation } = useNewConvo();
+  const { data: startupConfig } = useGetStartupConfig();
   const [search, setSearchState] = useRecoilState(store.search);
+  const semanticSearchEnabled = startupConfig?.semanticSearchEnabled === true;
+  const isSemantic = semanticSearchEnabled && search.mode === SearchMode.semantic;
+  const placeholder = localize(
+    isSemantic ? 'com_nav_search_placeholder_semantic' : 'com_nav_search_placeholder',
+  );
 
   const clearSearch = useCallback(() => {
     if (location.pathname.includes('/search')) {
@@ -110,14 +118,17 @@ const SearchBar = forwardRef((props: SearchBarProps, ref: React.Ref<HTMLDivEleme
       <input
         type="text"
         ref={inputRef}
-        className="m-0 mr-0 w-full border-none bg-transparent p-0 pl-7 text-sm leading-tight placeholder-text-secondary placeholder-opacity-100 focus-visible:outline-none group-focus-within:placeholder-text-primary group-hover:placeholder-text-primary"
+        className={cn(
+          'm-0 mr-0 w-full border-none bg-transparent p-0 pl-7 pr-12 text-sm leading-tight placeholder-text-secondary placeholder-opacity-100 focus-visible:outline-none group-focus-within:placeholder-text-primary group-hover:placeholder-text-primary',
+          semanticSearchEnabled ? 'pr-[4.5rem]' : '',
+        )}
         value={text}
         onChange={onChange}
         onKeyDown={(e) => {
           e.code === 'Space' ? e.stopPropagation() : null;
         }}
-        aria-label={localize('com_nav_search_placeholder')}
-        placeholder={localize('com_nav_search_placeholder')}
+        aria-label={placeholder}
+        placeholder={placeholder}
         onKeyUp={handleKeyUp}
         onFocus={() => setSearchState((prev) => ({ ...prev, isSearching: true }))}
         onBlur={() => setSearchState((prev) => ({ ...prev, isSearching: false }))}
@@ -138,6 +149,30 @@ const SearchBar = forwardRef((props: SearchBarProps, ref: React.Ref<HTMLDivEleme
       >
         <X className="h-5 w-5 cursor-pointer" />
       </button>
+      <SearchFilters
+        className={cn('absolute right-[32px]', isSmallScreen === true ? 'right-[41px]' : '')}
+      />
+      {semanticSearchEnabled && (
+        <button
+          type="button"
+          aria-pressed={isSemantic}
+          aria-label={localize('com_ui_search_semantic')}
+          title={localize('com_ui_search_semantic')}
+          className={cn(
+            'absolute right-[57px] flex h-5 w-5 items-center justify-center rounded-md border-none bg-transparent p-0 text-text-secondary hover:text-text-primary',
+            isSemantic ? 'text-green-500 hover:text-green-500' : '',
+            isSmallScreen === true ? 'right-[66px]' : '',
+          )}
+          onClick={() =>
+            setSearchState((prev) => ({
+              ...prev,
+              mode: isSemantic ? SearchMode.keyword : SearchMode.semantic,
+            }))
+          }
+        >
+          <Sparkles className="h-4 w-4" aria-hidden="true" />
+        </button>
+      )}
     </div>
   );
 });
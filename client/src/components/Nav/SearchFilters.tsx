@@ -0,0 +1,226 @@
+import { useMemo, useState } from 'react';
+import { useRecoilState } from 'recoil';
+import * as Ariakit from '@ariakit/react';
+import { SlidersHorizontal } from 'lucide-react';
+import { endOfDay, format, parseISO, startOfDay } from 'date-fns';
+import type { ConversationSearchFilters } from 'librechat-data-provider';
+import { useGetEndpointsQuery, useListAgentsQuery } from '~/data-provider';
+import { Dropdown, Input, Label, Switch } from '~/components/ui';
+import { useLocalize, useAuthContext } from '~/hooks';
+import { cn } from '~/utils';
+import store from '~/store';
+
+type BooleanFilter = 'hasFiles' | 'hasArtifacts';
+
+/** Value of the "any" option of the dropdowns, as the dropdowns need a non-empty value */
+const ANY = 'any';
+
+const toDateInputValue = (value?: string) => (value ? format(parseISO(value), 'yyyy-MM-dd') : '');
+
+export const countActiveFilters = (filters: ConversationSearchFilters) =>
+  Object.values(filters).filter((value) => value !== undefined && value !== '').length;
+
+export default function SearchFilters({ className }: { className?: string }) {
+  const localize = useLocalize();
+  const { isAuthenticated } = useAuthContext();
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearchState] = useRecoilState(store.search);
+  const { filters } = search;
+
+  const { data: endpointsConfig } = useGetEndpointsQuery();
+  const { data: agentOptions = [] } = useListAgentsQuery(undefined, {
+    select: (res) => res.data.map((agent) => ({ value: agent.id, label: agent.name ?? agent.id })),
+    enabled: isAuthenticated,
+  });
+
+  const anyOption = useMemo(
+    () => ({ value: ANY, label: localize('com_ui_search_filters_any') }),
+    [localize],
+  );
+  const endpointOptions = useMemo(
+    () => [anyOption, ...Object.keys(endpointsConfig ?? {})],
+    [anyOption, endpointsConfig],
+  );
+  const booleanOptions = useMemo(
+    () => [
+      anyOption,
+      { value: 'true', label: localize('com_ui_yes') },
+      { value: 'false', label: localize('com_ui_no') },
+    ],
+    [anyOption, localize],
+  );
+
+  const setFilter = <K extends keyof ConversationSearchFilters>(
+    key: K,
+    value: ConversationSearchFilters[K] | undefined,
+  ) => {
+    setSearchState((prev) => {
+      const nextFilters = { ...prev.filters };
+      if (value === undefined || value === '') {
+        delete nextFilters[key];
+      } else {
+        nextFilters[key] = value;
+      }
+      return { ...prev, filters: nextFilters };
+    });
+  };
+
+  const setBooleanFilter = (key: BooleanFilter, value: string) =>
+    setFilter(key, value === ANY ? undefined : value === 'true');
+
+  const getBooleanValue = (key: BooleanFilter) =>
+    filters[key] === undefined ? ANY : String(filters[key]);
+
+  const setDateFilter = (key: 'startDate' | 'endDate', value: string) => {
+    if (!value) {
+      return setFilter(key, undefined);
+    }
+    /* The range includes the whole days, in the user's timezone */
+    const date = key === 'startDate' ? startOfDay(parseISO(value)) : endOfDay(parseISO(value));
+    setFilter(key, date.toISOString());
+  };
+
+  const activeCount = countActiveFilters(filters);
+
+  return (
+    <Ariakit.PopoverProvider open={isOpen} setOpen={setIsOpen} placement="bottom-end">
+      <Ariakit.PopoverDisclosure
+        className={cn(
+          'relative flex h-5 w-5 items-center justify-center rounded-md border-none bg-transparent p-0 text-text-secondary hover:text-text-primary',
+          activeCount > 0 && 'text-text-primary',
+          className,
+        )}
+        aria-label={localize('com_ui_search_filters')}
+        title={localize('com_ui_search_filters')}
+      >
+        <SlidersHorizontal className="h-4 w-4" aria-hidden="true" />
+        {activeCount > 0 && (
+          <span className="absolute -right-0.5 -top-0.5 h-2 w-2 rounded-full bg-green-500" />
+        )}
+      </Ariakit.PopoverDisclosure>
+      <Ariakit.Popover
+        gutter={8}
+        portal={true}
+        unmountOnHide={true}
+        className="z-50 flex w-72 flex-col gap-3 rounded-2xl border border-border-medium bg-surface-secondary p-4 text-sm text-text-primary shadow-lg"
+      >
+        <div className="flex items-center justify-between">
+          <Ariakit.PopoverHeading className="font-medium">
+            {localize('com_ui_search_filters')}
+          </Ariakit.PopoverHeading>
+          <button
+            type="button"
+            className="text-xs text-text-secondary hover:text-text-primary hover:underline disabled:opacity-50"
+            disabled={activeCount === 0}
+            onClick={() => setSearchState((prev) => ({ ...prev, filters: {} }))}
+          >
+            {localize('com_ui_search_filters_reset')}
+          </button>
+        </div>
+        <div className="flex flex-col gap-1">
+          <Label className="text-xs text-text-secondary">{localize('com_ui_endpoint')}</Label>
+          <Dropdown
+            value={filters.endpoint ?? ANY}
+            onChange={(value) => setFilter('endpoint', value === ANY ? undefined : value)}
+            options={endpointOptions}
+            ariaLabel={localize('com_ui_endpoint')}
+            className="w-full"
+            sizeClasses="z-[100]"
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <Label htmlFor="search-filter-model" className="text-xs text-text-secondary">
+            {localize('com_ui_model')}
+          </Label>
+          <Input
+            id="search-filter-model"
+            className="h-9 border-border-light"
+            value={filters.model ?? ''}
+            placeholder={localize('com_ui_search_filters_any')}
+            onChange={(e) => setFilter('model', e.target.value)}
+            onKeyDown={(e) => e.stopPropagation()}
+          />
+        </div>
+        {agentOptions.length > 0 && (
+          <div className="flex flex-col gap-1">
+            <Label className="text-xs text-text-secondary">{localize('com_ui_agent')}</Label>
+            <Dropdown
+              value={filters.agent_id ?? ANY}
+              onChange={(value) => setFilter('agent_id', value === ANY ? undefined : value)}
+              options={[anyOption, ...agentOptions]}
+              ariaLabel={localize('com_ui_agent')}
+              className="w-full"
+              sizeClasses="z-[100]"
+            />
+          </div>
+        )}
+        <div className="grid grid-cols-2 gap-2">
+          <div className="flex flex-col gap-1">
+            <Label htmlFor="search-filter-start" className="text-xs text-text-secondary">
+              {localize('com_ui_search_filters_from')}
+            </Label>
+            <Input
+              id="search-filter-start"
+              type="date"
+              className="h-9 border-border-light px-2"
+              value={toDateInputValue(filters.startDate)}
+              max={toDateInputValue(filters.endDate) || undefined}
+              onChange={(e) => setDateFilter('startDate', e.target.value)}
+            />
+          </div>
+          <div className="flex flex-col gap-1">
+            <Label htmlFor="search-filter-end" className="text-xs text-text-secondary">
+              {localize('com_ui_search_filters_to')}
+            </Label>
+            <Input
+              id="search-filter-end"
+              type="date"
+              className="h-9 border-border-light px-2"
+              value={toDateInputValue(filters.endDate)}
+              min={toDateInputValue(filters.startDate) || undefined}
+              onChange={(e) => setDateFilter('endDate', e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div className="flex flex-col gap-1">
+            <Label className="text-xs text-text-secondary">
+              {localize('com_ui_search_filters_has_files')}
+            </Label>
+            <Dropdown
+              value={getBooleanValue('hasFiles')}
+              onChange={(value) => setBooleanFilter('hasFiles', value)}
+              options={booleanOptions}
+              ariaLabel={localize('com_ui_search_filters_has_files')}
+              className="w-full"
+              sizeClasses="z-[100]"
+            />
+          </div>
+          <div className="flex flex-col gap-1">
+            <Label className="text-xs text-text-secondary">
+              {localize('com_ui_search_filters_has_artifacts')}
+            </Label>
+            <Dropdown
+              value={getBooleanValue('hasArtifacts')}
+              onChange={(value) => setBooleanFilter('hasArtifacts', value)}
+              options={booleanOptions}
+              ariaLabel={localize('com_ui_search_filters_has_artifacts')}
+              className="w-full"
+              sizeClasses="z-[100]"
+            />
+          </div>
+        </div>
+        <div className="flex items-center justify-between">
+          <Label htmlFor="search-filter-temporary">
+            {localize('com_ui_search_filters_temporary')}
+          </Label>
+          <Switch
+            id="search-filter-temporary"
+            checked={filters.isTemporary === true}
+            onCheckedChange={(checked) => setFilter('isTemporary', checked ? true : undefined)}
+          />
+        </div>
+      </Ariakit.Popover>
+    </Ariakit.PopoverProvider>
+  );
+}
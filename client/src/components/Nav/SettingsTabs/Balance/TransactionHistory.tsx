@@ -0,0 +1,151 @@
+import React from 'react';
+import type { TTransactionItem } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useTransactionsInfiniteQuery } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+import { Button, Label, Spinner } from '~/components';
+import { cn } from '~/utils';
+
+const PAGE_SIZE = 25;
+const numberFormat = new Intl.NumberFormat();
+
+const typeLabels: Record<TTransactionItem['tokenType'], TranslationKeys> = {
+  prompt: 'com_nav_balance_transaction_prompt',
+  completion: 'com_nav_balance_transaction_completion',
+  credits: 'com_nav_balance_transaction_refill',
+  adjustment: 'com_nav_balance_transaction_adjustment',
+};
+
+function TransactionRow({ transaction }: { transaction: TTransactionItem }) {
+  const localize = useLocalize();
+  const {
+    tokenType,
+    reason,
+    model,
+    conversationId,
+    conversationTitle,
+    rawAmount,
+    tokenValue = 0,
+    writeTokens,
+    readTokens,
+    createdAt,
+  } = transaction;
+  const isTokenUsage = tokenType === 'prompt' || tokenType === 'completion';
+
+  const details: string[] = [];
+  if (isTokenUsage && rawAmount != null) {
+    details.push(
+      localize('com_nav_balance_tokens', { 0: numberFormat.format(Math.abs(rawAmount)) }),
+    );
+  }
+  if (readTokens) {
+    details.push(localize('com_nav_balance_cache_read', { 0: numberFormat.format(readTokens) }));
+  }
+  if (writeTokens) {
+    details.push(localize('com_nav_balance_cache_write', { 0: numberFormat.format(writeTokens) }));
+  }
+
+  return (
+    <li className="flex items-start justify-between gap-2 border-b border-border-light py-2 last:border-b-0">
+      <div className="flex min-w-0 flex-col gap-0.5">
+        <div className="flex items-center gap-2">
+          <span className="font-medium">
+            {localize(typeLabels[tokenType] ?? typeLabels.prompt)}
+          </span>
+          {model != null && model !== '' && (
+            <span className="truncate text-xs text-text-secondary">{model}</span>
+          )}
+        </div>
+        {conversationId != null && conversationId !== '' && (
+          <button
+            type="button"
+            className="truncate text-left text-xs text-text-secondary underline-offset-2 hover:underline"
+            onClick={() => window.open(`/c/${conversationId}`, '_blank')}
+            title={conversationTitle ?? conversationId}
+          >
+            {conversationTitle || localize('com_ui_untitled')}
+          </button>
+        )}
+        {reason != null && reason !== '' && (
+          <span className="text-xs text-text-secondary">{reason}</span>
+        )}
+        {details.length > 0 && (
+          <span className="text-xs text-text-secondary">{details.join(' · ')}</span>
+        )}
+        <span className="text-xs text-text-tertiary">{new Date(createdAt).toLocaleString()}</span>
+      </div>
+      <span
+        className={cn(
+          'shrink-0 font-medium',
+          tokenValue > 0 ? 'text-green-600 dark:text-green-500' : 'text-text-primary',
+        )}
+      >
+        {tokenValue > 0 ? '+' : ''}
+        {tokenValue.toFixed(2)}
+      </span>
+    </li>
+  );
+}
+
+function TransactionList({
+  transactions,
+  isLoading,
+}: {
+  transactions: TTransactionItem[];
+  isLoading: boolean;
+}) {
+  const localize = useLocalize();
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center p-4">
+        <Spinner />
+      </div>
+    );
+  }
+
+  if (transactions.length === 0) {
+    return (
+      <div className="text-sm text-text-secondary">
+        {localize('com_nav_balance_no_transactions')}
+      </div>
+    );
+  }
+
+  return (
+    <ul className="max-h-80 overflow-y-auto rounded-lg border border-border-light px-3">
+      {transactions.map((transaction) => (
+        <TransactionRow key={transaction.transactionId} transaction={transaction} />
+      ))}
+    </ul>
+  );
+}
+
+/** Lists the transactions of the user, most recent first */
+function TransactionHistory() {
+  const localize = useLocalize();
+  const { data, isLoading, hasNextPage, fetchNextPage, isFetchingNextPage } =
+    useTransactionsInfiniteQuery({ pageSize: PAGE_SIZE });
+
+  const transactions = data?.pages.flatMap((page) => page.transactions) ?? [];
+
+  return (
+    <div className="flex flex-col gap-2">
+      <Label className="font-light">{localize('com_nav_balance_transactions')}</Label>
+      <TransactionList transactions={transactions} isLoading={isLoading} />
+      {hasNextPage === true && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+        >
+          {isFetchingNextPage && <Spinner className="mr-2 h-4 w-4" />}
+          {localize('com_nav_balance_load_more')}
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export default React.memo(TransactionHistory);
@@ -69,6 +69,13 @@ const toggleSwitchConfigs = [
     hoverCardText: 'com_nav_info_save_badges_state',
     key: 'showBadges',
   },
+  {
+    stateAtom: store.blindMultiLLM,
+    localizationKey: 'com_nav_blind_multi_llm',
+    switchId: 'blindMultiLLM',
+    hoverCardText: 'com_nav_info_blind_multi_llm',
+    key: 'blindMultiLLM',
+  },
   {
     stateAtom: store.modularChat,
     localizationKey: 'com_nav_modular_chat',
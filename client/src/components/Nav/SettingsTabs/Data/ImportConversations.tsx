@@ -1,7 +1,9 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { Import } from 'lucide-react';
+import { useQueryClient } from '@tanstack/react-query';
+import { QueryKeys, ImportJobStatus } from 'librechat-data-provider';
 import type { TError } from 'librechat-data-provider';
-import { useUploadConversationsMutation } from '~/data-provider';
+import { useUploadConversationsMutation, useImportJobQuery } from '~/data-provider';
 import { useToastContext } from '~/Providers';
 import { Spinner } from '~/components/svg';
 import { useLocalize } from '~/hooks';
@@ -11,13 +13,51 @@ function ImportConversations() {
   const localize = useLocalize();
   const fileInputRef = useRef<HTMLInputElement>(null);
 
+  const queryClient = useQueryClient();
   const { showToast } = useToastContext();
   const [, setErrors] = useState<string[]>([]);
   const [allowImport, setAllowImport] = useState(true);
+  const [jobId, setJobId] = useState<string | null>(null);
   const setError = (error: string) => setErrors((prevErrors) => [...prevErrors, error]);
 
+  const { data: importJob } = useImportJobQuery(jobId);
+
+  useEffect(() => {
+    if (importJob?.status === ImportJobStatus.completed) {
+      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      showToast({
+        message:
+          importJob.failed > 0
+            ? localize('com_ui_import_conversation_partial', {
+                0: importJob.imported,
+                1: importJob.failed,
+              })
+            : localize('com_ui_import_conversation_success'),
+        status: importJob.failed > 0 ? 'warning' : 'success',
+      });
+    } else if (importJob?.status === ImportJobStatus.failed) {
+      setError(importJob.error ?? 'An error occurred while importing the file.');
+      showToast({
+        message:
+          importJob.error?.includes('Unsupported import type') === true
+            ? localize('com_ui_import_conversation_file_type_error')
+            : localize('com_ui_import_conversation_error'),
+        status: 'error',
+      });
+    } else {
+      return;
+    }
+    setJobId(null);
+    setAllowImport(true);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [importJob?.status]);
+
   const uploadFile = useUploadConversationsMutation({
-    onSuccess: () => {
+    onSuccess: (data) => {
+      if (data.jobId) {
+        setJobId(data.jobId);
+        return;
+      }
       showToast({ message: localize('com_ui_import_conversation_success') });
       setAllowImport(true);
     },
@@ -90,13 +130,17 @@ function ImportConversations() {
         ) : (
           <Spinner className="mr-1 w-4" />
         )}
-        <span>{localize('com_ui_import')}</span>
+        <span>
+          {jobId != null && importJob
+            ? localize('com_ui_import_conversation_progress', { 0: importJob.progress })
+            : localize('com_ui_import')}
+        </span>
       </button>
       <input
         ref={fileInputRef}
         type="file"
         className={cn('hidden')}
-        accept=".json"
+        accept=".json,.zip"
         onChange={handleFileChange}
         aria-hidden="true"
       />
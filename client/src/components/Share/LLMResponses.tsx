@@ -0,0 +1,96 @@
+import { useMemo } from 'react';
+import { useRecoilValue } from 'recoil';
+import type { TMessage, TConversation } from 'librechat-data-provider';
+import MessageContent from '~/components/Chat/Messages/Content/MessageContent';
+import SearchContent from '~/components/Chat/Messages/Content/SearchContent';
+import { cn, getLLMResponseMessages } from '~/utils';
+import { MessageContext } from '~/Providers';
+import { useAttachments } from '~/hooks';
+import Icon from './MessageIcon';
+import store from '~/store';
+
+type ResponseCardProps = {
+  response: TMessage;
+  conversation?: TConversation | null;
+};
+
+function ResponseCard({ response, conversation }: ResponseCardProps) {
+  const fontSize = useRecoilValue(store.fontSize);
+  const { attachments, searchResults } = useAttachments({
+    messageId: response.messageId,
+    attachments: response.attachments,
+  });
+  const label =
+    response.model && response.model !== response.sender
+      ? `${response.sender ?? ''} (${response.model})`
+      : (response.sender ?? '');
+
+  return (
+    <div className="flex flex-col gap-2 rounded-2xl border border-border-medium p-4">
+      <div className="flex items-center gap-2">
+        <div className="flex h-6 w-6 items-center justify-center overflow-hidden rounded-full">
+          <Icon message={response} conversation={conversation} />
+        </div>
+        <div className={cn('select-none font-semibold', fontSize)}>{label}</div>
+      </div>
+      <div className="agent-turn flex max-w-full flex-col gap-0">
+        <MessageContext.Provider
+          value={{
+            messageId: response.messageId,
+            isExpanded: false,
+            conversationId: conversation?.conversationId,
+          }}
+        >
+          {response.content ? (
+            <SearchContent
+              message={response}
+              attachments={attachments}
+              searchResults={searchResults}
+            />
+          ) : (
+            <MessageContent
+              edit={false}
+              error={response.error ?? false}
+              isLast={false}
+              ask={() => ({})}
+              text={response.text || ''}
+              message={response}
+              isSubmitting={false}
+              enterEdit={() => ({})}
+              unfinished={response.unfinished ?? false}
+              siblingIdx={0}
+              isCreatedByUser={false}
+              setSiblingIdx={() => ({})}
+            />
+          )}
+        </MessageContext.Provider>
+      </div>
+    </div>
+  );
+}
+
+/** Read-only side-by-side panes of the responses of a shared multi-LLM message */
+export default function LLMResponses({
+  message,
+  conversation,
+}: {
+  message: TMessage;
+  conversation?: TConversation | null;
+}) {
+  const responses = useMemo(() => getLLMResponseMessages(message), [message]);
+
+  return (
+    <div className="m-auto justify-center p-4 py-2">
+      <div
+        className={cn(
+          'mx-auto grid w-full grid-cols-1 gap-2 md:max-w-5xl md:grid-cols-2 xl:max-w-6xl',
+          responses.length > 2 ? 'xl:grid-cols-3' : '',
+        )}
+      >
+        {responses.map((response) => (
+          <ResponseCard key={response.messageId} response={response} conversation={conversation} />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import { useUpdateUserPluginsMutation } from 'librechat-data-provider/react-quer
 import type { TUpdateUserPlugins } from 'librechat-data-provider';
 import { Button, Input, Label } from '~/components/ui';
 import { useGetStartupConfig } from '~/data-provider';
+import MCPResourceBrowser from './MCPResourceBrowser';
 import MCPPanelSkeleton from './MCPPanelSkeleton';
 import { useToastContext } from '~/Providers';
 import { useLocalize } from '~/hooks';
@@ -29,19 +30,14 @@ export default function MCPPanel() {
     if (!startupConfig?.mcpServers) {
       return [];
     }
-    return Object.entries(startupConfig.mcpServers)
-      .filter(
-        ([, serverConfig]) =>
-          serverConfig.customUserVars && Object.keys(serverConfig.customUserVars).length > 0,
-      )
-      .map(([serverName, config]) => ({
-        serverName,
-        iconPath: null,
-        config: {
-          ...config,
-          customUserVars: config.customUserVars ?? {},
-        },
-      }));
+    return Object.entries(startupConfig.mcpServers).map(([serverName, config]) => ({
+      serverName,
+      iconPath: null,
+      config: {
+        ...config,
+        customUserVars: config.customUserVars ?? {},
+      },
+    }));
   }, [startupConfig?.mcpServers]);
 
   const updateUserPluginsMutation = useUpdateUserPluginsMutation({
@@ -96,7 +92,7 @@ export default function MCPPanel() {
   if (mcpServerDefinitions.length === 0) {
     return (
       <div className="p-4 text-center text-sm text-gray-500">
-        {localize('com_sidepanel_mcp_no_servers_with_vars')}
+        {localize('com_sidepanel_mcp_no_servers')}
       </div>
     );
   }
@@ -127,15 +123,21 @@ export default function MCPPanel() {
           <ChevronLeft className="mr-1 h-4 w-4" />
           {localize('com_ui_back')}
         </Button>
-        <h3 className="mb-3 text-lg font-medium">
-          {localize('com_sidepanel_mcp_variables_for', { '0': serverBeingEdited.serverName })}
-        </h3>
-        <MCPVariableEditor
-          server={serverBeingEdited}
-          onSave={handleSaveServerVars}
-          onRevoke={handleRevokeServerVars}
-          isSubmitting={updateUserPluginsMutation.isLoading}
-        />
+        <h3 className="mb-3 text-lg font-medium">{serverBeingEdited.serverName}</h3>
+        <MCPResourceBrowser serverName={serverBeingEdited.serverName} />
+        {Object.keys(serverBeingEdited.config.customUserVars).length > 0 && (
+          <>
+            <h4 className="text-sm font-medium">
+              {localize('com_sidepanel_mcp_variables_for', { '0': serverBeingEdited.serverName })}
+            </h4>
+            <MCPVariableEditor
+              server={serverBeingEdited}
+              onSave={handleSaveServerVars}
+              onRevoke={handleRevokeServerVars}
+              isSubmitting={updateUserPluginsMutation.isLoading}
+            />
+          </>
+        )}
       </div>
     );
   } else {
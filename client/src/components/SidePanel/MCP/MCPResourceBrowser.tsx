@@ -0,0 +1,138 @@
+import { useMemo, useState } from 'react';
+import { useRecoilState } from 'recoil';
+import { QueryKeys } from 'librechat-data-provider';
+import { useQueryClient } from '@tanstack/react-query';
+import { ChevronDown, ChevronRight, RefreshCw } from 'lucide-react';
+import type { TMCPResource } from 'librechat-data-provider';
+import { useMCPResourcesQuery, useMCPResourceQuery } from '~/data-provider';
+import { Button, Checkbox, Input } from '~/components/ui';
+import { Spinner } from '~/components/svg';
+import { useLocalize } from '~/hooks';
+import store from '~/store';
+
+/** Resources of a server that can be attached as context to the next message */
+export default function MCPResourceBrowser({ serverName }: { serverName: string }) {
+  const localize = useLocalize();
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState('');
+  const [previewUri, setPreviewUri] = useState<string | null>(null);
+  const [attached, setAttached] = useRecoilState(store.mcpResourcesByIndex(0));
+  const { data: resources = [], isLoading, isError } = useMCPResourcesQuery(serverName);
+
+  const filteredResources = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    if (!query) {
+      return resources;
+    }
+    return resources.filter(
+      (resource) =>
+        resource.name.toLowerCase().includes(query) || resource.uri.toLowerCase().includes(query),
+    );
+  }, [resources, search]);
+
+  const isAttached = (resource: TMCPResource) =>
+    attached.some((r) => r.serverName === serverName && r.uri === resource.uri);
+
+  const toggleAttached = (resource: TMCPResource) => {
+    if (isAttached(resource)) {
+      setAttached((prev) =>
+        prev.filter((r) => r.serverName !== serverName || r.uri !== resource.uri),
+      );
+      return;
+    }
+    setAttached((prev) => [...prev, { serverName, uri: resource.uri, name: resource.name }]);
+  };
+
+  const handleRefresh = () => {
+    queryClient.invalidateQueries([QueryKeys.mcpResources, serverName]);
+  };
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium">{localize('com_sidepanel_mcp_resources')}</h4>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-7 w-7"
+          onClick={handleRefresh}
+          aria-label={localize('com_ui_refresh')}
+        >
+          <RefreshCw className="h-4 w-4" aria-hidden="true" />
+        </Button>
+      </div>
+      {resources.length > 5 && (
+        <Input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={localize('com_sidepanel_mcp_resources_search')}
+          className="border-border-light"
+        />
+      )}
+      {isLoading && <Spinner className="mx-auto h-4 w-4" />}
+      {isError && (
+        <p className="text-xs text-red-500">{localize('com_sidepanel_mcp_resources_error')}</p>
+      )}
+      {!isLoading && !isError && filteredResources.length === 0 && (
+        <p className="text-xs text-text-secondary">{localize('com_sidepanel_mcp_no_resources')}</p>
+      )}
+      <ul className="space-y-1">
+        {filteredResources.map((resource) => {
+          const id = `mcp-resource-${serverName}-${resource.uri}`;
+          const isPreviewed = previewUri === resource.uri;
+          return (
+            <li key={resource.uri} className="rounded-md border border-border-light p-2">
+              <div className="flex items-start gap-2">
+                <Checkbox
+                  id={id}
+                  checked={isAttached(resource)}
+                  onCheckedChange={() => toggleAttached(resource)}
+                  className="mt-0.5 h-4 w-4 flex-shrink-0"
+                />
+                <label htmlFor={id} className="min-w-0 flex-1 cursor-pointer">
+                  <div className="truncate text-sm">{resource.name}</div>
+                  <div className="truncate text-xs text-text-secondary" title={resource.uri}>
+                    {resource.description ?? resource.uri}
+                  </div>
+                </label>
+                <button
+                  type="button"
+                  className="text-text-secondary"
+                  aria-expanded={isPreviewed}
+                  aria-label={localize('com_sidepanel_mcp_resource_preview', { 0: resource.name })}
+                  onClick={() => setPreviewUri(isPreviewed ? null : resource.uri)}
+                >
+                  {isPreviewed ? (
+                    <ChevronDown className="h-4 w-4" aria-hidden="true" />
+                  ) : (
+                    <ChevronRight className="h-4 w-4" aria-hidden="true" />
+                  )}
+                </button>
+              </div>
+              {isPreviewed && <MCPResourcePreview serverName={serverName} uri={resource.uri} />}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+function MCPResourcePreview({ serverName, uri }: { serverName: string; uri: string }) {
+  const localize = useLocalize();
+  const { data, isLoading, isError } = useMCPResourceQuery(serverName, uri);
+
+  if (isLoading) {
+    return <Spinner className="mx-auto mt-2 h-4 w-4" />;
+  }
+  if (isError || !data) {
+    return (
+      <p className="mt-2 text-xs text-red-500">{localize('com_sidepanel_mcp_resources_error')}</p>
+    );
+  }
+  return (
+    <pre className="mt-2 max-h-48 overflow-auto whitespace-pre-wrap break-words rounded bg-surface-secondary p-2 text-xs">
+      {data.contents.map((content) => content.text).join('\n\n')}
+    </pre>
+  );
+}
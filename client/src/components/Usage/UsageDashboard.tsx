@@ -0,0 +1,273 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Download } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { addDays, parseISO, startOfDay } from 'date-fns';
+import { SystemRoles, UsageGroupBy, dataService } from 'librechat-data-provider';
+import type { TUsageReportParams, TUsageRow } from 'librechat-data-provider';
+import {
+  Button,
+  Dropdown,
+  Input,
+  Label,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '~/components/ui';
+import BackToChat from '~/components/Prompts/BackToChat';
+import { useGetUsageReportQuery } from '~/data-provider';
+import { useLocalize, useAuthContext } from '~/hooks';
+import { useToastContext } from '~/Providers';
+import { Spinner } from '~/components/svg';
+import type { TranslationKeys } from '~/hooks';
+
+const groupByLabels: Record<UsageGroupBy, TranslationKeys> = {
+  [UsageGroupBy.user]: 'com_ui_usage_by_user',
+  [UsageGroupBy.model]: 'com_ui_usage_by_model',
+  [UsageGroupBy.endpoint]: 'com_ui_usage_by_endpoint',
+  [UsageGroupBy.agent]: 'com_ui_usage_by_agent',
+  [UsageGroupBy.day]: 'com_ui_usage_by_day',
+  [UsageGroupBy.week]: 'com_ui_usage_by_week',
+  [UsageGroupBy.month]: 'com_ui_usage_by_month',
+};
+
+const currencyFormat = new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: 'USD',
+  maximumFractionDigits: 4,
+});
+const numberFormat = new Intl.NumberFormat();
+
+/** Converts the dates of the inputs, in the user's timezone, to the range of the report */
+const toReportParams = (
+  groupBy: UsageGroupBy,
+  startDate: string,
+  endDate: string,
+): TUsageReportParams => ({
+  groupBy,
+  startDate: startDate ? startOfDay(parseISO(startDate)).toISOString() : undefined,
+  /* The end of the range is exclusive, and includes the whole last day */
+  endDate: endDate ? addDays(startOfDay(parseISO(endDate)), 1).toISOString() : undefined,
+});
+
+export default function UsageDashboard() {
+  const localize = useLocalize();
+  const navigate = useNavigate();
+  const { showToast } = useToastContext();
+  const { user } = useAuthContext();
+  const isAdmin = user?.role === SystemRoles.ADMIN;
+
+  const [groupBy, setGroupBy] = useState<UsageGroupBy>(UsageGroupBy.user);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const params = useMemo(
+    () => toReportParams(groupBy, startDate, endDate),
+    [groupBy, startDate, endDate],
+  );
+  const { data: report, isLoading } = useGetUsageReportQuery(params, { enabled: isAdmin });
+
+  useEffect(() => {
+    if (user && !isAdmin) {
+      navigate('/c/new', { replace: true });
+    }
+  }, [user, isAdmin, navigate]);
+
+  const groupByOptions = useMemo(
+    () =>
+      Object.values(UsageGroupBy).map((value) => ({
+        value,
+        label: localize(groupByLabels[value]),
+      })),
+    [localize],
+  );
+
+  const getRowLabel = (row: TUsageRow) => {
+    if (!row.key) {
+      return localize('com_ui_usage_unknown');
+    }
+    return row.label ? `${row.label}${row.email ? ` (${row.email})` : ''}` : row.key;
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const csv = await dataService.exportUsageReport(params);
+      const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `usage-${groupBy}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Usage export failed:', error);
+      showToast({ message: localize('com_ui_usage_export_error'), status: 'error' });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (!isAdmin) {
+    return null;
+  }
+
+  const maxCost = Math.max(0, ...(report?.rows ?? []).map((row) => row.cost));
+  const totals = report?.totals;
+
+  return (
+    <div className="flex h-screen w-full flex-col overflow-y-auto bg-surface-primary p-4 text-text-primary">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <BackToChat />
+        <h1 className="text-lg font-semibold">{localize('com_ui_usage_analytics')}</h1>
+      </div>
+      <div className="mt-4 flex flex-wrap items-end gap-3">
+        <div className="flex flex-col gap-1">
+          <Label className="text-xs text-text-secondary">{localize('com_ui_usage_group_by')}</Label>
+          <Dropdown
+            value={groupBy}
+            onChange={(value) => setGroupBy(value as UsageGroupBy)}
+            options={groupByOptions}
+            ariaLabel={localize('com_ui_usage_group_by')}
+            className="w-48"
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <Label htmlFor="usage-start" className="text-xs text-text-secondary">
+            {localize('com_ui_search_filters_from')}
+          </Label>
+          <Input
+            id="usage-start"
+            type="date"
+            className="h-9 border-border-light px-2"
+            value={startDate}
+            max={endDate || undefined}
+            onChange={(e) => setStartDate(e.target.value)}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <Label htmlFor="usage-end" className="text-xs text-text-secondary">
+            {localize('com_ui_search_filters_to')}
+          </Label>
+          <Input
+            id="usage-end"
+            type="date"
+            className="h-9 border-border-light px-2"
+            value={endDate}
+            min={startDate || undefined}
+            onChange={(e) => setEndDate(e.target.value)}
+          />
+        </div>
+        <Button variant="outline" onClick={handleExport} disabled={isExporting || !report}>
+          {isExporting ? (
+            <Spinner className="mr-2 h-4 w-4" />
+          ) : (
+            <Download className="mr-2 h-4 w-4" aria-hidden="true" />
+          )}
+          {localize('com_ui_usage_export_csv')}
+        </Button>
+      </div>
+      {report && (
+        <p className="mt-2 text-xs text-text-secondary">
+          {localize('com_ui_usage_range', {
+            0: new Date(report.startDate).toLocaleDateString(),
+            1: new Date(new Date(report.endDate).getTime() - 1).toLocaleDateString(),
+          })}
+        </p>
+      )}
+      {totals && (
+        <div className="mt-4 grid grid-cols-2 gap-3 md:grid-cols-4">
+          {[
+            {
+              label: localize('com_ui_usage_total_cost'),
+              value: currencyFormat.format(totals.cost),
+            },
+            {
+              label: localize('com_ui_usage_prompt_tokens'),
+              value: numberFormat.format(totals.promptTokens),
+            },
+            {
+              label: localize('com_ui_usage_completion_tokens'),
+              value: numberFormat.format(totals.completionTokens),
+            },
+            {
+              label: localize('com_ui_usage_transactions'),
+              value: numberFormat.format(totals.transactions),
+            },
+          ].map((card) => (
+            <div key={card.label} className="rounded-xl border border-border-light p-3">
+              <div className="text-xs text-text-secondary">{card.label}</div>
+              <div className="mt-1 text-xl font-semibold">{card.value}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="mt-4 rounded-xl border border-border-light">
+        {isLoading ? (
+          <div className="flex justify-center p-8">
+            <Spinner />
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{localize(groupByLabels[groupBy])}</TableHead>
+                <TableHead className="text-right">
+                  {localize('com_ui_usage_prompt_tokens')}
+                </TableHead>
+                <TableHead className="text-right">
+                  {localize('com_ui_usage_completion_tokens')}
+                </TableHead>
+                <TableHead className="text-right">
+                  {localize('com_ui_usage_cache_tokens')}
+                </TableHead>
+                <TableHead className="w-1/4">{localize('com_ui_usage_cost')}</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {(report?.rows ?? []).map((row) => (
+                <TableRow key={row.key}>
+                  <TableCell className="max-w-xs truncate" title={row.key}>
+                    {getRowLabel(row)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {numberFormat.format(row.promptTokens)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {numberFormat.format(row.completionTokens)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {numberFormat.format(row.cacheReadTokens + row.cacheWriteTokens)}
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <div className="h-2 flex-1 rounded-full bg-surface-tertiary">
+                        <div
+                          className="h-2 rounded-full bg-green-500"
+                          style={{ width: `${maxCost > 0 ? (row.cost / maxCost) * 100 : 0}%` }}
+                        />
+                      </div>
+                      <span className="w-24 text-right">{currencyFormat.format(row.cost)}</span>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {report?.rows.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center text-text-secondary">
+                    {localize('com_ui_usage_empty')}
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+    </div>
+  );
+}
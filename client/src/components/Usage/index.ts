@@ -0,0 +1 @@
+export { default as UsageDashboard } from './UsageDashboard';
@@ -2,6 +2,7 @@ import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { dataService, QueryKeys, Constants } from 'librechat-data-provider';
 import type { UseMutationResult } from '@tanstack/react-query';
 import type * as t from 'librechat-data-provider';
+import { updateConvoInAllQueries } from '~/utils';
 
 export const useEditArtifact = (
   _options?: t.EditArtifactOptions,
@@ -58,3 +59,66 @@ export const useEditArtifact = (
     ...options,
   });
 };
+
+/**
+ * Promotes a multi-LLM sibling response to be the canonical reply of its message:
+ * the cached message takes the ID of the sibling, and its children are re-attached to it.
+ */
+export const usePromoteLLMResponseMutation = (
+  _options?: t.PromoteLLMResponseOptions,
+): UseMutationResult<t.TPromoteLLMResponseResponse, unknown, t.TPromoteLLMResponseRequest> => {
+  const queryClient = useQueryClient();
+  const { onSuccess, ...options } = _options ?? {};
+  return useMutation({
+    mutationFn: (variables: t.TPromoteLLMResponseRequest) =>
+      dataService.promoteLLMResponse(variables),
+    onSuccess: (data, vars, context) => {
+      queryClient.setQueryData<t.TMessage[]>([QueryKeys.messages, vars.conversationId], (prev) => {
+        const previous = prev?.find((message) =>
+          message.llmResponses?.some((response) => response.messageId === vars.messageId),
+        );
+        if (!prev || !previous) {
+          return prev;
+        }
+
+        return prev.map((message) => {
+          if (message === previous) {
+            return { ...message, ...data.message };
+          }
+          if (message.parentMessageId === previous.messageId) {
+            return { ...message, parentMessageId: data.message.messageId };
+          }
+          return message;
+        });
+      });
+
+      queryClient.setQueryData([QueryKeys.conversation, vars.conversationId], data.conversation);
+      updateConvoInAllQueries(queryClient, vars.conversationId, () => data.conversation);
+
+      onSuccess?.(data, vars, context);
+    },
+    ...options,
+  });
+};
+
+/** Saves a blind A/B vote between two `llmResponses` of a message */
+export const useVoteLLMResponsesMutation = (
+  _options?: t.PreferenceVoteOptions,
+): UseMutationResult<t.TPreferenceVoteResponse, unknown, t.TPreferenceVoteRequest> => {
+  const queryClient = useQueryClient();
+  const { onSuccess, ...options } = _options ?? {};
+  return useMutation({
+    mutationFn: (variables: t.TPreferenceVoteRequest) => dataService.voteLLMResponses(variables),
+    onSuccess: (data, vars, context) => {
+      queryClient.setQueryData<t.TMessage[]>([QueryKeys.messages, vars.conversationId], (prev) =>
+        prev?.map((message) =>
+          message.messageId === data.messageId
+            ? { ...message, preferences: data.preferences }
+            : message,
+        ),
+      );
+      onSuccess?.(data, vars, context);
+    },
+    ...options,
+  });
+};
@@ -31,6 +31,40 @@ export const useGetUserBalance = (
   });
 };
 
+export const useGetBudgetStatusQuery = (
+  config?: UseQueryOptions<t.TBudgetStatusResponse>,
+): QueryObserverResult<t.TBudgetStatusResponse> => {
+  const queriesEnabled = useRecoilValue<boolean>(store.queriesEnabled);
+  return useQuery<t.TBudgetStatusResponse>(
+    [QueryKeys.budgetStatus],
+    () => dataService.getBudgetStatus(),
+    {
+      refetchOnWindowFocus: true,
+      refetchOnReconnect: true,
+      refetchOnMount: true,
+      ...config,
+      enabled: (config?.enabled ?? true) === true && queriesEnabled,
+    },
+  );
+};
+
+export const useGetUsageReportQuery = (
+  params: t.TUsageReportParams,
+  config?: UseQueryOptions<t.TUsageReport>,
+): QueryObserverResult<t.TUsageReport> => {
+  const queriesEnabled = useRecoilValue<boolean>(store.queriesEnabled);
+  return useQuery<t.TUsageReport>(
+    [QueryKeys.usageReport, params],
+    () => dataService.getUsageReport(params),
+    {
+      refetchOnWindowFocus: false,
+      keepPreviousData: true,
+      ...config,
+      enabled: (config?.enabled ?? true) === true && queriesEnabled,
+    },
+  );
+};
+
 export const useGetSearchEnabledQuery = (
   config?: UseQueryOptions<boolean>,
 ): QueryObserverResult<boolean> => {
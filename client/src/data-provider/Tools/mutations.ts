@@ -1,6 +1,6 @@
 import { dataService, QueryKeys, Tools } from 'librechat-data-provider';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
-import type { UseMutationResult } from '@tanstack/react-query';
+import type { QueryClient, UseMutationResult } from '@tanstack/react-query';
 import type * as t from 'librechat-data-provider';
 
 export const useToolCallMutation = <T extends t.ToolId>(
@@ -40,3 +40,80 @@ export const useToolCallMutation = <T extends t.ToolId>(
     },
   );
 };
+
+/** Renders an MCP prompt with its arguments */
+export const useGetMCPPromptMutation = (): UseMutationResult<
+  t.TMCPRenderedPrompt,
+  Error,
+  { serverName: string; name: string; args: Record<string, string> }
+> => {
+  return useMutation(({ serverName, name, args }) =>
+    dataService.getMCPPrompt(serverName, name, args),
+  );
+};
+
+/** Approves or rejects a request of an MCP server for a completion */
+export const useRespondMCPSamplingMutation = (): UseMutationResult<
+  void,
+  Error,
+  { flowId: string; approved: boolean }
+> => {
+  return useMutation(({ flowId, approved }) => dataService.respondToMCPSampling(flowId, approved));
+};
+
+export const useRespondMCPElicitationMutation = (): UseMutationResult<
+  void,
+  Error,
+  { flowId: string; response: t.TMCPElicitationResponse }
+> => {
+  return useMutation(({ flowId, response }) =>
+    dataService.respondToMCPElicitation(flowId, response),
+  );
+};
+
+/** MCP servers changed by admins also change the available tools and the startup config */
+const invalidateMCPServers = (queryClient: QueryClient) => {
+  queryClient.invalidateQueries([QueryKeys.mcpServers]);
+  queryClient.invalidateQueries([QueryKeys.tools]);
+  queryClient.invalidateQueries([QueryKeys.startupConfig]);
+};
+
+export const useCreateMCPServerMutation = (): UseMutationResult<
+  t.TMCPServer,
+  Error,
+  t.TMCPServerPayload
+> => {
+  const queryClient = useQueryClient();
+  return useMutation((payload) => dataService.createMCPServer(payload), {
+    onSuccess: () => invalidateMCPServers(queryClient),
+  });
+};
+
+export const useUpdateMCPServerMutation = (): UseMutationResult<
+  t.TMCPServer,
+  Error,
+  { serverName: string; payload: Partial<Omit<t.TMCPServerPayload, 'name'>> }
+> => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    ({ serverName, payload }) => dataService.updateMCPServer(serverName, payload),
+    {
+      onSuccess: () => invalidateMCPServers(queryClient),
+    },
+  );
+};
+
+export const useDeleteMCPServerMutation = (): UseMutationResult<void, Error, string> => {
+  const queryClient = useQueryClient();
+  return useMutation((serverName) => dataService.deleteMCPServer(serverName), {
+    onSuccess: () => invalidateMCPServers(queryClient),
+  });
+};
+
+export const useTestMCPServerMutation = (): UseMutationResult<
+  t.TMCPServerTestResult,
+  Error,
+  t.TMCPServerPayload
+> => {
+  return useMutation((payload) => dataService.testMCPServer(payload));
+};
@@ -40,3 +40,56 @@ export const useGetToolCalls = <TData = t.ToolCallResults>(
     },
   );
 };
+
+/** Prompts of the connected MCP servers, for the slash commands */
+export const useMCPPromptsQuery = (
+  config?: UseQueryOptions<t.TMCPPrompt[]>,
+): QueryObserverResult<t.TMCPPrompt[]> => {
+  return useQuery<t.TMCPPrompt[]>([QueryKeys.mcpPrompts], () => dataService.getMCPPrompts(), {
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: false,
+    staleTime: 5 * 60 * 1000,
+    ...config,
+  });
+};
+
+export const useMCPResourcesQuery = (
+  serverName: string,
+  config?: UseQueryOptions<t.TMCPResource[]>,
+): QueryObserverResult<t.TMCPResource[]> => {
+  return useQuery<t.TMCPResource[]>(
+    [QueryKeys.mcpResources, serverName],
+    () => dataService.getMCPResources(serverName),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      staleTime: 5 * 60 * 1000,
+      ...config,
+    },
+  );
+};
+
+export const useMCPResourceQuery = (
+  serverName: string,
+  uri: string,
+  config?: UseQueryOptions<t.TMCPResourceContents>,
+): QueryObserverResult<t.TMCPResourceContents> => {
+  return useQuery<t.TMCPResourceContents>(
+    [QueryKeys.mcpResources, serverName, uri],
+    () => dataService.getMCPResource(serverName, uri),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+export const useMCPServersQuery = (
+  config?: UseQueryOptions<t.TMCPServer[]>,
+): QueryObserverResult<t.TMCPServer[]> => {
+  return useQuery<t.TMCPServer[]>([QueryKeys.mcpServers], () => dataService.getMCPServers(), {
+    refetchOnWindowFocus: false,
+    ...config,
+  });
+};
@@ -597,8 +597,10 @@ export const useUploadConversationsMutation = (
   return useMutation<t.TImportResponse, unknown, FormData>({
     mutationFn: (formData: FormData) => dataService.importConversationsFile(formData),
     onSuccess: (data, variables, context) => {
-      /* TODO: optimize to return imported conversations and add manually */
-      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      /* Conversations are imported in the background when the server returns a job */
+      if (!data.jobId) {
+        queryClient.invalidateQueries([QueryKeys.allConversations]);
+      }
       if (onSuccess) {
         onSuccess(data, variables, context);
       }
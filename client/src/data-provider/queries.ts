@@ -2,6 +2,7 @@ import {
   QueryKeys,
   dataService,
   EModelEndpoint,
+  ImportJobStatus,
   isAgentsEndpoint,
   defaultOrderQuery,
   defaultAssistantsVersion,
@@ -95,15 +96,16 @@ export const useConversationsInfiniteQuery = (
   params: ConversationListParams,
   config?: UseInfiniteQueryOptions<ConversationListResponse, unknown>,
 ) => {
-  const { isArchived, sortBy, sortDirection, tags, search } = params;
+  const { isArchived, sortBy, sortDirection, tags, search, ...filters } = params;
 
   return useInfiniteQuery<ConversationListResponse>({
     queryKey: [
       isArchived ? QueryKeys.archivedConversations : QueryKeys.allConversations,
-      { isArchived, sortBy, sortDirection, tags, search },
+      { isArchived, sortBy, sortDirection, tags, search, ...filters },
     ],
     queryFn: ({ pageParam }) =>
       dataService.listConversations({
+        ...filters,
         isArchived,
         sortBy,
         sortDirection,
@@ -123,12 +125,12 @@ export const useMessagesInfiniteQuery = (
   params: MessagesListParams,
   config?: UseInfiniteQueryOptions<MessagesListResponse, unknown>,
 ) => {
-  const { sortBy, sortDirection, pageSize, conversationId, messageId, search } = params;
+  const { sortBy, sortDirection, pageSize, conversationId, messageId, search, searchMode } = params;
 
   return useInfiniteQuery<MessagesListResponse>({
     queryKey: [
       QueryKeys.messages,
-      { sortBy, sortDirection, pageSize, conversationId, messageId, search },
+      { sortBy, sortDirection, pageSize, conversationId, messageId, search, searchMode },
     ],
     queryFn: ({ pageParam }) =>
       dataService.listMessages({
@@ -138,6 +140,7 @@ export const useMessagesInfiniteQuery = (
         conversationId,
         messageId,
         search,
+        searchMode,
         cursor: pageParam?.toString(),
       }),
     getNextPageParam: (lastPage) => lastPage?.nextCursor ?? undefined,
@@ -173,6 +176,23 @@ export const useSharedLinksQuery = (
   });
 };
 
+export const useTransactionsInfiniteQuery = (
+  params: t.TTransactionsListParams = {},
+  config?: UseInfiniteQueryOptions<t.TTransactionsListResponse, unknown>,
+) => {
+  const { pageSize } = params;
+
+  return useInfiniteQuery<t.TTransactionsListResponse>({
+    queryKey: [QueryKeys.transactions, { pageSize }],
+    queryFn: ({ pageParam }) =>
+      dataService.listTransactions({ cursor: pageParam?.toString(), pageSize }),
+    getNextPageParam: (lastPage) => lastPage?.nextCursor ?? undefined,
+    keepPreviousData: true,
+    refetchOnWindowFocus: false,
+    ...config,
+  });
+};
+
 export const useConversationTagsQuery = (
   config?: UseQueryOptions<t.TConversationTagsResponse>,
 ): QueryObserverResult<t.TConversationTagsResponse> => {
@@ -188,6 +208,28 @@ export const useConversationTagsQuery = (
   );
 };
 
+/**
+ * Polls the status of a conversation import job until it completes or fails.
+ */
+export const useImportJobQuery = (
+  jobId: string | null,
+  config?: UseQueryOptions<t.TImportJob>,
+): QueryObserverResult<t.TImportJob> => {
+  return useQuery<t.TImportJob>(
+    [QueryKeys.importJob, jobId],
+    () => dataService.getImportJob(jobId ?? ''),
+    {
+      enabled: !!jobId,
+      refetchOnWindowFocus: false,
+      refetchInterval: (data) =>
+        data?.status === ImportJobStatus.completed || data?.status === ImportJobStatus.failed
+          ? false
+          : 2000,
+      ...config,
+    },
+  );
+};
+
 /**
  * ASSISTANTS
  */
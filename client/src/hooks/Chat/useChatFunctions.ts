@@ -11,7 +11,7 @@ import {
   replaceSpecialVars,
   isAssistantsEndpoint,
 } from 'librechat-data-provider';
-import { useSetRecoilState, useResetRecoilState, useRecoilValue } from 'recoil';
+import { useSetRecoilState, useResetRecoilState, useRecoilValue, useRecoilState } from 'recoil';
 import type {
   TMessage,
   TSubmission,
@@ -67,6 +67,8 @@ export default function useChatFunctions({
   const setFilesToDelete = useSetFilesToDelete();
   const getEphemeralAgent = useGetEphemeralAgent();
   const isTemporary = useRecoilValue(store.isTemporary);
+  const fanOutTargets = useRecoilValue(store.fanOutTargetsByIndex(index));
+  const [mcpResources, setMCPResources] = useRecoilState(store.mcpResourcesByIndex(index));
   const { getExpiry } = useUserKey(immutableConversation?.endpoint ?? '');
   const setShowStopButton = useSetRecoilState(store.showStopButtonByIndex(index));
   const resetLatestMultiMessage = useResetRecoilState(store.latestMessageFamily(index + 1));
@@ -293,6 +295,21 @@ export default function useChatFunctions({
       currentMessages = currentMessages.filter((msg) => msg.messageId !== responseMessageId);
     }
 
+    const isFanOut =
+      !isRegenerate &&
+      !isEditOrContinue &&
+      fanOutTargets.length > 1 &&
+      !isAssistantsEndpoint(endpoint);
+    if (isFanOut) {
+      initialResponse.llmResponses = fanOutTargets.map((target) => ({
+        endpoint: target.endpoint ?? '',
+        model: target.model,
+        sender: getSender(target as TEndpointOption),
+        iconURL: target.iconURL,
+        text: '',
+      }));
+    }
+
     logger.log('message_state', initialResponse);
     const submission: TSubmission = {
       conversation: {
@@ -313,6 +330,8 @@ export default function useChatFunctions({
       isTemporary,
       ephemeralAgent,
       editedContent,
+      fanOutTargets: isFanOut ? fanOutTargets : undefined,
+      mcpResources: mcpResources.length > 0 ? mcpResources : undefined,
     };
 
     if (isRegenerate) {
@@ -325,6 +344,9 @@ export default function useChatFunctions({
     }
 
     setSubmission(submission);
+    if (mcpResources.length > 0) {
+      setMCPResources([]);
+    }
     logger.dir('message_stream', submission, { depth: null });
   };
 
@@ -17,7 +17,7 @@ import type {
 } from 'librechat-data-provider';
 import useBuildMessageTree from '~/hooks/Messages/useBuildMessageTree';
 import { useScreenshot } from '~/hooks/ScreenshotContext';
-import { cleanupPreset, buildTree } from '~/utils';
+import { cleanupPreset, buildTree, getLLMResponseMessages } from '~/utils';
 import { useParams } from 'react-router-dom';
 
 type ExportValues = {
@@ -48,17 +48,37 @@ export default function useExportConversation({
   const { conversationId: paramId } = useParams();
 
   const getMessageTree = useCallback(() => {
-    const queryParam = paramId === 'new' ? paramId : conversation?.conversationId ?? paramId ?? '';
+    const queryParam =
+      paramId === 'new' ? paramId : (conversation?.conversationId ?? paramId ?? '');
     const messages = queryClient.getQueryData<TMessage[]>([QueryKeys.messages, queryParam]) ?? [];
     const dataTree = buildTree({ messages });
-    return dataTree?.length === 0 ? null : dataTree ?? null;
+    return dataTree?.length === 0 ? null : (dataTree ?? null);
   }, [paramId, conversation?.conversationId, queryClient]);
 
-  const getMessageText = (message: TMessage | undefined, format = 'text') => {
+  const getMessageText = (message: TMessage | undefined, format = 'text'): string => {
     if (!message) {
       return '';
     }
 
+    /* Multi-LLM messages export every response, labelled with its model */
+    if ((message.llmResponses?.length ?? 0) > 1) {
+      return getLLMResponseMessages(message)
+        .map((response) => {
+          const sender =
+            response.model && response.model !== response.sender
+              ? `${response.sender ?? ''} (${response.model})`
+              : response.sender;
+          const text = getMessageText({ ...response, sender, llmResponses: undefined }, format);
+          if (response.error !== true) {
+            return text;
+          }
+          return format === 'text'
+            ? `${text}\n(This is an error message)`
+            : `${text}\n*(This is an error message)*`;
+        })
+        .join('\n\n\n');
+    }
+
     const formatText = (sender: string, text: string) => {
       if (format === 'text') {
         return `>> ${sender}:\n${text}`;
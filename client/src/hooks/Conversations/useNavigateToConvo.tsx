@@ -14,23 +14,24 @@ const useNavigateToConvo = (index = 0) => {
   const clearAllLatestMessages = store.useClearLatestMessages(`useNavigateToConvo ${index}`);
   const { hasSetConversation, setConversation } = store.useCreateConversationAtom(index);
 
-  const fetchFreshData = async (conversation?: Partial<TConversation>) => {
+  const fetchFreshData = async (conversation?: Partial<TConversation>, messageId?: string) => {
     const conversationId = conversation?.conversationId;
     if (!conversationId) {
       return;
     }
+    const path = `/c/${conversationId}${messageId ? `?messageId=${encodeURIComponent(messageId)}` : ''}`;
     try {
       const data = await queryClient.fetchQuery([QueryKeys.conversation, conversationId], () =>
         dataService.getConversationById(conversationId),
       );
       logger.log('conversation', 'Fetched fresh conversation data', data);
       setConversation(data);
-      navigate(`/c/${conversationId ?? Constants.NEW_CONVO}`, { state: { focusChat: true } });
+      navigate(path, { state: { focusChat: true } });
     } catch (error) {
       console.error('Error fetching conversation data on navigation', error);
       if (conversation) {
         setConversation(conversation as TConversation);
-        navigate(`/c/${conversationId}`, { state: { focusChat: true } });
+        navigate(path, { state: { focusChat: true } });
       }
     }
   };
@@ -40,13 +41,15 @@ const useNavigateToConvo = (index = 0) => {
     options?: {
       resetLatestMessage?: boolean;
       currentConvoId?: string;
+      /** Message to scroll to once the conversation is shown */
+      messageId?: string;
     },
   ) => {
     if (!conversation) {
       logger.warn('conversation', 'Conversation not provided to `navigateToConvo`');
       return;
     }
-    const { resetLatestMessage = true, currentConvoId } = options || {};
+    const { resetLatestMessage = true, currentConvoId, messageId } = options || {};
     logger.log('conversation', 'Navigating to conversation', conversation);
     hasSetConversation.current = true;
     setSubmission(null);
@@ -82,7 +85,7 @@ const useNavigateToConvo = (index = 0) => {
     queryClient.setQueryData([QueryKeys.messages, currentConvoId], []);
     if (convo.conversationId !== Constants.NEW_CONVO && convo.conversationId) {
       queryClient.invalidateQueries([QueryKeys.conversation, convo.conversationId]);
-      fetchFreshData(convo);
+      fetchFreshData(convo, messageId);
     } else {
       setConversation(convo);
       navigate(`/c/${convo.conversationId ?? Constants.NEW_CONVO}`, { state: { focusChat: true } });
@@ -6,4 +6,5 @@ export { default as useMessageActions } from './useMessageActions';
 export { default as useMessageProcess } from './useMessageProcess';
 export { default as useMessageHelpers } from './useMessageHelpers';
 export { default as useCopyToClipboard } from './useCopyToClipboard';
+export { default as useJumpToMessage } from './useJumpToMessage';
 export { default as useMessageScrolling } from './useMessageScrolling';
@@ -0,0 +1,103 @@
+import { useEffect } from 'react';
+import { useRecoilCallback } from 'recoil';
+import { useSearchParams } from 'react-router-dom';
+import type { TMessage } from 'librechat-data-provider';
+import store from '~/store';
+
+/** Query parameter of the message to scroll to, e.g. from a search result */
+export const JUMP_TO_MESSAGE_PARAM = 'messageId';
+
+const MAX_ATTEMPTS = 20;
+const RETRY_DELAY_MS = 100;
+const HIGHLIGHT_DURATION_MS = 2000;
+const highlightClasses = ['ring-2', 'ring-green-500', 'rounded-xl'];
+
+type BranchSelection = { parentKey: string; siblingIdx: number };
+
+/**
+ * Returns the branch to select at each level of the tree so that the message is shown,
+ * or `null` when the message is not in the tree.
+ */
+const findBranchPath = (
+  tree: TMessage[],
+  messageId: string,
+  parentKey: string,
+): BranchSelection[] | null => {
+  for (let i = 0; i < tree.length; i++) {
+    const message = tree[i];
+    /* Sibling indices are stored from the last sibling, see `MultiMessage` */
+    const selection = { parentKey, siblingIdx: tree.length - i - 1 };
+    if (message.messageId === messageId) {
+      return [selection];
+    }
+    const path = findBranchPath(message.children ?? [], messageId, message.messageId);
+    if (path) {
+      return [selection, ...path];
+    }
+  }
+  return null;
+};
+
+/**
+ * Scrolls to the message given in the `messageId` query parameter once the messages are loaded,
+ * selecting the branches leading to it and highlighting it briefly.
+ */
+export default function useJumpToMessage(
+  messagesTree: TMessage[] | null | undefined,
+  conversationId?: string | null,
+) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const messageId = searchParams.get(JUMP_TO_MESSAGE_PARAM);
+
+  const selectBranches = useRecoilCallback(
+    ({ set }) =>
+      (path: BranchSelection[]) => {
+        for (const { parentKey, siblingIdx } of path) {
+          set(store.messagesSiblingIdxFamily(parentKey), siblingIdx);
+        }
+      },
+    [],
+  );
+
+  useEffect(() => {
+    if (!messageId || !conversationId || !messagesTree?.length) {
+      return;
+    }
+
+    const path = findBranchPath(messagesTree, messageId, conversationId);
+    const clearParam = () => {
+      setSearchParams(
+        (params) => {
+          params.delete(JUMP_TO_MESSAGE_PARAM);
+          return params;
+        },
+        { replace: true },
+      );
+    };
+    if (!path) {
+      clearParam();
+      return;
+    }
+
+    let attempts = 0;
+    let timeoutId: ReturnType<typeof setTimeout> | undefined;
+    const jump = () => {
+      /* Branches mounting for the first time reset their selection, so it is applied again */
+      selectBranches(path);
+      const element = document.getElementById(messageId);
+      if (!element && ++attempts < MAX_ATTEMPTS) {
+        timeoutId = setTimeout(jump, RETRY_DELAY_MS);
+        return;
+      }
+      if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add(...highlightClasses);
+        setTimeout(() => element.classList.remove(...highlightClasses), HIGHLIGHT_DURATION_MS);
+      }
+      clearParam();
+    };
+    timeoutId = setTimeout(jump, RETRY_DELAY_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [messageId, conversationId, messagesTree, selectBranches, setSearchParams]);
+}
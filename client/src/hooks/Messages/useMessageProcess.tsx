@@ -1,9 +1,11 @@
 import throttle from 'lodash/throttle';
 import { useRecoilValue } from 'recoil';
-import { Constants } from 'librechat-data-provider';
+import { Constants, ForkOptions } from 'librechat-data-provider';
 import { useEffect, useRef, useCallback, useMemo, useState } from 'react';
 import type { TMessage } from 'librechat-data-provider';
-import { useChatContext, useAddedChatContext } from '~/Providers';
+import { useChatContext, useAddedChatContext, useToastContext } from '~/Providers';
+import { useForkConvoMutation, usePromoteLLMResponseMutation } from '~/data-provider';
+import { useLocalize, useNavigateToConvo } from '~/hooks';
 import { getTextKey, logger } from '~/utils';
 import store from '~/store';
 
@@ -12,11 +14,15 @@ export default function useMessageProcess({ message }: { message?: TMessage | nu
   const [siblingMessage, setSiblingMessage] = useState<TMessage | null>(null);
   const hasNoChildren = useMemo(() => (message?.children?.length ?? 0) === 0, [message]);
 
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { navigateToConvo } = useNavigateToConvo();
   const {
     index,
     conversation,
     latestMessage,
     setAbortScroll,
+    setConversation,
     setLatestMessage,
     isSubmitting: isSubmittingRoot,
   } = useChatContext();
@@ -115,6 +121,50 @@ export default function useMessageProcess({ message }: { message?: TMessage | nu
     }
   }, [hasNoChildren, latestMultiMessage, message, setSiblingMessage, latestMessage]);
 
+  const promoteMutation = usePromoteLLMResponseMutation({
+    onSuccess: (data) => {
+      setConversation((prev) => (prev ? { ...prev, ...data.conversation } : data.conversation));
+      showToast({ message: localize('com_ui_promote_response_success'), status: 'success' });
+    },
+    onError: () => {
+      showToast({ message: localize('com_ui_promote_response_error'), status: 'error' });
+    },
+  });
+
+  const forkMutation = useForkConvoMutation({
+    onSuccess: (data) => {
+      navigateToConvo(data.conversation);
+      showToast({ message: localize('com_ui_fork_success'), status: 'success' });
+    },
+    onError: () => {
+      showToast({ message: localize('com_ui_fork_error'), status: 'error' });
+    },
+  });
+
+  /** Makes one of the `llmResponses` of the message its canonical reply */
+  const promoteResponse = useCallback(
+    (messageId: string) => {
+      const conversationId = message?.conversationId;
+      if (!conversationId || promoteMutation.isLoading) {
+        return;
+      }
+      promoteMutation.mutate({ conversationId, messageId });
+    },
+    [message?.conversationId, promoteMutation],
+  );
+
+  /** Forks a new conversation continuing from one of the `llmResponses` of the message */
+  const forkFromResponse = useCallback(
+    (messageId: string) => {
+      const conversationId = message?.conversationId;
+      if (!conversationId || forkMutation.isLoading) {
+        return;
+      }
+      forkMutation.mutate({ messageId, conversationId, option: ForkOptions.DIRECT_PATH });
+    },
+    [message?.conversationId, forkMutation],
+  );
+
   return {
     showSibling,
     handleScroll,
@@ -123,5 +173,7 @@ export default function useMessageProcess({ message }: { message?: TMessage | nu
     setSiblingMessage,
     isSubmittingFamily,
     latestMultiMessage,
+    promoteResponse,
+    forkFromResponse,
   };
 }
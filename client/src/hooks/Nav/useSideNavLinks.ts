@@ -152,12 +152,7 @@ export default function useSideNavLinks({
       });
     }
 
-    if (
-      startupConfig?.mcpServers &&
-      Object.values(startupConfig.mcpServers).some(
-        (server) => server.customUserVars && Object.keys(server.customUserVars).length > 0,
-      )
-    ) {
+    if (startupConfig?.mcpServers && Object.keys(startupConfig.mcpServers).length > 0) {
       links.push({
         title: 'com_nav_setting_mcp',
         label: '',
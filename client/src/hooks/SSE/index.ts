@@ -2,3 +2,6 @@ export { default as useSSE } from './useSSE';
 export { default as useStepHandler } from './useStepHandler';
 export { default as useContentHandler } from './useContentHandler';
 export { default as useAttachmentHandler } from './useAttachmentHandler';
+export { default as useFanOutHandler } from './useFanOutHandler';
+export { default as useSynthesize } from './useSynthesize';
+export { default as useRegenerateLLMResponse } from './useRegenerateLLMResponse';
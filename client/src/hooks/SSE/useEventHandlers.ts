@@ -30,6 +30,7 @@ import {
 } from '~/utils';
 import useAttachmentHandler from '~/hooks/SSE/useAttachmentHandler';
 import useContentHandler from '~/hooks/SSE/useContentHandler';
+import useFanOutHandler from '~/hooks/SSE/useFanOutHandler';
 import store, { useApplyNewAgentTemplate } from '~/store';
 import useStepHandler from '~/hooks/SSE/useStepHandler';
 import { useAuthContext } from '~/hooks/AuthContext';
@@ -189,6 +190,7 @@ export default function useEventHandlers({
     lastAnnouncementTimeRef,
   });
   const attachmentHandler = useAttachmentHandler(queryClient);
+  const fanOutHandler = useFanOutHandler({ setMessages, getMessages });
 
   const messageHandler = useCallback(
     (data: string | undefined, submission: EventSubmission) => {
@@ -768,6 +770,7 @@ export default function useEventHandlers({
     errorHandler,
     messageHandler,
     contentHandler,
+    fanOutHandler,
     createdHandler,
     attachmentHandler,
     abortConversation,
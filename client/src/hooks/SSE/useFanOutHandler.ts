@@ -0,0 +1,35 @@
+import { useCallback } from 'react';
+import type { TMessage, TFanOutEvent } from 'librechat-data-provider';
+import { applyChannelEvent } from '~/utils';
+
+type TUseFanOutHandler = {
+  setMessages: (messages: TMessage[]) => void;
+  getMessages: () => TMessage[] | undefined;
+};
+
+/**
+ * Handles the events of a fan-out request: each event belongs to the channel of one target
+ * and updates the matching entry of the `llmResponses` of the streaming response message.
+ */
+export default function useFanOutHandler({ setMessages, getMessages }: TUseFanOutHandler) {
+  return useCallback(
+    ({ channel, event, data }: TFanOutEvent) => {
+      const messages = getMessages() ?? [];
+      const response = messages[messages.length - 1] as TMessage | undefined;
+      const current = response?.llmResponses?.[channel];
+      if (!response || response.isCreatedByUser || !current) {
+        return;
+      }
+
+      const update = applyChannelEvent(current, { event, data });
+      if (!update) {
+        return;
+      }
+
+      const llmResponses = [...(response.llmResponses ?? [])];
+      llmResponses[channel] = update;
+      setMessages([...messages.slice(0, -1), { ...response, llmResponses }]);
+    },
+    [getMessages, setMessages],
+  );
+}
@@ -0,0 +1,131 @@
+import { SSE } from 'sse.js';
+import { useCallback, useState } from 'react';
+import { Constants, EndpointURLs, EModelEndpoint } from 'librechat-data-provider';
+import type {
+  TMessage,
+  TLLMResponse,
+  TFanOutEvent,
+  TFanOutTarget,
+  TRegenerateLLMResponseRequest,
+} from 'librechat-data-provider';
+import { useToastContext } from '~/Providers/ToastContext';
+import { useAuthContext } from '~/hooks/AuthContext';
+import useLocalize from '~/hooks/useLocalize';
+import { applyChannelEvent, refreshSSEToken } from '~/utils';
+
+type TUseRegenerateLLMResponse = {
+  setMessages: (messages: TMessage[]) => void;
+  getMessages: () => TMessage[] | undefined;
+};
+
+type TRegenerateData = {
+  final?: boolean;
+  responseMessage?: TMessage;
+  text?: string;
+};
+
+/**
+ * Regenerates a single response of a multi-LLM message, optionally with another endpoint/model.
+ * The response streams in place of the current attempt; once saved, the message is replaced by
+ * the saved one, which keeps the previous attempt in the `versions` of the response.
+ */
+export default function useRegenerateLLMResponse({
+  setMessages,
+  getMessages,
+}: TUseRegenerateLLMResponse) {
+  const localize = useLocalize();
+  const { token } = useAuthContext();
+  const { showToast } = useToastContext();
+  const [regeneratingId, setRegeneratingId] = useState<string | null>(null);
+
+  const regenerate = useCallback(
+    (message: TMessage, responseId: string, target?: TFanOutTarget) => {
+      if (!message.conversationId) {
+        return;
+      }
+
+      const updateMessage = (update: (current: TMessage) => TMessage) => {
+        const messages = getMessages() ?? [];
+        setMessages(messages.map((m) => (m.messageId === message.messageId ? update(m) : m)));
+      };
+      const updateResponse = (update: (current: TLLMResponse) => TLLMResponse | undefined) =>
+        updateMessage((current) => {
+          let changed = false;
+          const llmResponses = current.llmResponses?.map((response) => {
+            const next = response.messageId === responseId ? update(response) : undefined;
+            changed = changed || next != null;
+            return next ?? response;
+          });
+          return changed ? { ...current, llmResponses } : current;
+        });
+
+      updateResponse((current) => ({
+        ...current,
+        endpoint: target?.endpoint ?? current.endpoint,
+        model: target?.model ?? current.model,
+        iconURL: target?.iconURL ?? current.iconURL,
+        text: '',
+        content: undefined,
+        error: false,
+        unfinished: true,
+        metrics: undefined,
+      }));
+      setRegeneratingId(responseId);
+
+      let failed = false;
+      const finish = () => {
+        if (failed) {
+          showToast({ message: localize('com_ui_regenerate_response_error'), status: 'error' });
+        }
+        setRegeneratingId(null);
+      };
+
+      const payload: TRegenerateLLMResponseRequest = {
+        conversationId: message.conversationId,
+        messageId: message.messageId,
+        responseId,
+        target,
+      };
+      const sse = new SSE(`${EndpointURLs[EModelEndpoint.agents]}/fanout/regenerate`, {
+        payload: JSON.stringify(payload),
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      });
+
+      sse.addEventListener(Constants.FANOUT_EVENT, (e: MessageEvent) => {
+        const { event, data } = JSON.parse(e.data) as TFanOutEvent;
+        const channelData = data as TRegenerateData | undefined;
+        if (channelData?.final === true && channelData.responseMessage?.error === true) {
+          failed = true;
+          return;
+        }
+        updateResponse((current) => applyChannelEvent(current, { event, data }));
+      });
+
+      sse.addEventListener('message', (e: MessageEvent) => {
+        const data = JSON.parse(e.data) as TRegenerateData;
+        if (data.final === true && data.responseMessage) {
+          const { responseMessage } = data;
+          updateMessage((current) => ({ ...current, ...responseMessage }));
+          finish();
+        }
+      });
+
+      sse.addEventListener('error', async (e: MessageEvent) => {
+        if (await refreshSSEToken(sse, e)) {
+          return;
+        }
+
+        /* restore the previous attempt, which was not replaced */
+        updateMessage(() => message);
+        failed = true;
+        finish();
+        sse.close();
+      });
+
+      sse.stream();
+    },
+    [token, localize, showToast, getMessages, setMessages],
+  );
+
+  return { regenerate, regeneratingId };
+}
@@ -3,18 +3,30 @@ import { v4 } from 'uuid';
 import { SSE } from 'sse.js';
 import { useSetRecoilState } from 'recoil';
 import {
-  request,
   Constants,
   /* @ts-ignore */
   createPayload,
   LocalStorageKeys,
   removeNullishValues,
 } from 'librechat-data-provider';
-import type { TMessage, TPayload, TSubmission, EventSubmission } from 'librechat-data-provider';
+import type {
+  TMessage,
+  TPayload,
+  TSubmission,
+  TFanOutEvent,
+  EventSubmission,
+  TMCPSamplingRequest,
+} from 'librechat-data-provider';
 import type { EventHandlerParams } from './useEventHandlers';
 import type { TResData } from '~/common';
-import { useGenTitleMutation, useGetStartupConfig, useGetUserBalance } from '~/data-provider';
+import {
+  useGenTitleMutation,
+  useGetStartupConfig,
+  useGetUserBalance,
+  useGetBudgetStatusQuery,
+} from '~/data-provider';
 import { useAuthContext } from '~/hooks/AuthContext';
+import { refreshSSEToken } from '~/utils';
 import useEventHandlers from './useEventHandlers';
 import store from '~/store';
 
@@ -51,6 +63,7 @@ export default function useSSE(
   const [completed, setCompleted] = useState(new Set());
   const setAbortScroll = useSetRecoilState(store.abortScrollFamily(runIndex));
   const setShowStopButton = useSetRecoilState(store.showStopButtonByIndex(runIndex));
+  const setSamplingRequests = useSetRecoilState(store.mcpSamplingRequests);
 
   const {
     setMessages,
@@ -67,6 +80,7 @@ export default function useSSE(
     finalHandler,
     errorHandler,
     messageHandler,
+    fanOutHandler,
     contentHandler,
     createdHandler,
     attachmentHandler,
@@ -88,6 +102,9 @@ export default function useSSE(
   const balanceQuery = useGetUserBalance({
     enabled: !!isAuthenticated && startupConfig?.balance?.enabled,
   });
+  const budgetStatusQuery = useGetBudgetStatusQuery({
+    enabled: !!isAuthenticated && startupConfig?.budgetsEnabled === true,
+  });
 
   useEffect(() => {
     if (submission == null || Object.keys(submission).length === 0) {
@@ -116,6 +133,28 @@ export default function useSSE(
       }
     });
 
+    sse.addEventListener(Constants.MCP_SAMPLING_EVENT, (e: MessageEvent) => {
+      try {
+        const request = JSON.parse(e.data) as TMCPSamplingRequest;
+        setSamplingRequests((prev) => [...prev, request]);
+      } catch (error) {
+        console.error(error);
+      }
+    });
+
+    sse.addEventListener(Constants.FANOUT_EVENT, (e: MessageEvent) => {
+      try {
+        const data = JSON.parse(e.data) as TFanOutEvent;
+        if (data.event === Constants.MCP_SAMPLING_EVENT) {
+          setSamplingRequests((prev) => [...prev, data.data as TMCPSamplingRequest]);
+          return;
+        }
+        fanOutHandler(data);
+      } catch (error) {
+        console.error(error);
+      }
+    });
+
     sse.addEventListener('message', (e: MessageEvent) => {
       const data = JSON.parse(e.data);
 
@@ -124,6 +163,7 @@ export default function useSSE(
         const { plugins } = data;
         finalHandler(data, { ...submission, plugins } as EventSubmission);
         (startupConfig?.balance?.enabled ?? false) && balanceQuery.refetch();
+        (startupConfig?.budgetsEnabled ?? false) && budgetStatusQuery.refetch();
         console.log('final', data);
         return;
       } else if (data.created != null) {
@@ -196,31 +236,13 @@ export default function useSSE(
     });
 
     sse.addEventListener('error', async (e: MessageEvent) => {
-      /* @ts-ignore */
-      if (e.responseCode === 401) {
-        /* token expired, refresh and retry */
-        try {
-          const refreshResponse = await request.refreshToken();
-          const token = refreshResponse?.token ?? '';
-          if (!token) {
-            throw new Error('Token refresh failed.');
-          }
-          sse.headers = {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-          };
-
-          request.dispatchTokenUpdatedEvent(token);
-          sse.stream();
-          return;
-        } catch (error) {
-          /* token refresh failed, continue handling the original 401 */
-          console.log(error);
-        }
+      if (await refreshSSEToken(sse, e)) {
+        return;
       }
 
       console.log('error in server stream.');
       (startupConfig?.balance?.enabled ?? false) && balanceQuery.refetch();
+      (startupConfig?.budgetsEnabled ?? false) && budgetStatusQuery.refetch();
 
       let data: TResData | undefined = undefined;
       try {
@@ -162,6 +162,7 @@ export default function useStepHandler({
         type: ToolCallTypes.TOOL_CALL,
         auth: contentPart.tool_call.auth,
         expires_at: contentPart.tool_call.expires_at,
+        elicitation: contentPart.tool_call.elicitation,
       };
 
       if (finalUpdate) {
@@ -358,6 +359,9 @@ export default function useStepHandler({
               contentPart.tool_call.auth = runStepDelta.delta.auth;
               contentPart.tool_call.expires_at = runStepDelta.delta.expires_at;
             }
+            if (runStepDelta.delta.elicitation != null) {
+              contentPart.tool_call.elicitation = runStepDelta.delta.elicitation;
+            }
 
             /** Tool calls don't need index adjustment */
             const currentIndex = runStep.index + initialContent.length;
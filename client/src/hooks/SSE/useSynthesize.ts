@@ -0,0 +1,107 @@
+import { v4 } from 'uuid';
+import { SSE } from 'sse.js';
+import { useCallback, useState } from 'react';
+import { EndpointURLs, EModelEndpoint } from 'librechat-data-provider';
+import type { Agents, TMessage, TFanOutTarget, TSynthesizeRequest } from 'librechat-data-provider';
+import { useAuthContext } from '~/hooks/AuthContext';
+import useLocalize from '~/hooks/useLocalize';
+import { getDeltaText, refreshSSEToken } from '~/utils';
+
+type TUseSynthesize = {
+  setMessages: (messages: TMessage[]) => void;
+  getMessages: () => TMessage[] | undefined;
+};
+
+type TSynthesizeData = {
+  final?: boolean;
+  responseMessage?: TMessage;
+  event?: string;
+  data?: unknown;
+  text?: string;
+};
+
+/**
+ * Streams the answer of a judge model merging the `llmResponses` of a multi-LLM message.
+ * The answer is shown as a new child of that message while it is generated.
+ */
+export default function useSynthesize({ setMessages, getMessages }: TUseSynthesize) {
+  const localize = useLocalize();
+  const { token } = useAuthContext();
+  const [isSynthesizing, setIsSynthesizing] = useState(false);
+
+  const synthesize = useCallback(
+    (message: TMessage, judge: TFanOutTarget) => {
+      if (!message.conversationId) {
+        return;
+      }
+
+      const placeholderId = v4();
+      const updatePlaceholder = (update: (current: TMessage) => TMessage) => {
+        const messages = getMessages() ?? [];
+        setMessages(messages.map((m) => (m.messageId === placeholderId ? update(m) : m)));
+      };
+
+      setMessages([
+        ...(getMessages() ?? []),
+        {
+          messageId: placeholderId,
+          conversationId: message.conversationId,
+          parentMessageId: message.messageId,
+          isCreatedByUser: false,
+          endpoint: judge.endpoint ?? undefined,
+          model: judge.model,
+          sender: judge.modelLabel ?? judge.model ?? '',
+          iconURL: judge.iconURL,
+          text: '',
+          unfinished: true,
+        },
+      ]);
+      setIsSynthesizing(true);
+
+      const payload: TSynthesizeRequest = {
+        ...judge,
+        conversationId: message.conversationId,
+        messageId: message.messageId,
+      };
+      const sse = new SSE(`${EndpointURLs[EModelEndpoint.agents]}/synthesize`, {
+        payload: JSON.stringify(payload),
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      });
+
+      sse.addEventListener('message', (e: MessageEvent) => {
+        const data = JSON.parse(e.data) as TSynthesizeData;
+        if (data.final === true && data.responseMessage) {
+          const { responseMessage } = data;
+          updatePlaceholder(() => responseMessage);
+          setIsSynthesizing(false);
+        } else if (data.event === 'on_message_delta') {
+          const text = getDeltaText(data.data as Agents.MessageDeltaEvent);
+          if (text) {
+            updatePlaceholder((current) => ({ ...current, text: `${current.text}${text}` }));
+          }
+        }
+      });
+
+      sse.addEventListener('error', async (e: MessageEvent) => {
+        if (await refreshSSEToken(sse, e)) {
+          return;
+        }
+
+        let text = localize('com_ui_synthesize_error');
+        try {
+          text = (JSON.parse(e.data) as TSynthesizeData).text ?? text;
+        } catch (error) {
+          console.error(error);
+        }
+        updatePlaceholder((current) => ({ ...current, text, error: true, unfinished: false }));
+        setIsSynthesizing(false);
+        sse.close();
+      });
+
+      sse.stream();
+    },
+    [token, localize, getMessages, setMessages],
+  );
+
+  return { synthesize, isSynthesizing };
+}
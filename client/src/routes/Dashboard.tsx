@@ -5,6 +5,8 @@ import {
   CreatePromptForm,
   EmptyPromptPreview,
 } from '~/components/Prompts';
+import { MCPServersDashboard } from '~/components/MCPServers';
+import { UsageDashboard } from '~/components/Usage';
 import DashboardRoute from './Layouts/Dashboard';
 
 const dashboardRoutes = {
@@ -72,6 +74,14 @@ const dashboardRoutes = {
         },
       ],
     },
+    {
+      path: 'usage',
+      element: <UsageDashboard />,
+    },
+    {
+      path: 'mcp',
+      element: <MCPServersDashboard />,
+    },
     {
       path: '*',
       element: <Navigate to="/d/files" replace={true} />,
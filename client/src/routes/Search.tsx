@@ -27,6 +27,7 @@ export default function Search() {
   } = useMessagesInfiniteQuery(
     {
       search: searchQuery || undefined,
+      searchMode: search.mode,
     },
     {
       enabled: isAuthenticated && !!searchQuery,
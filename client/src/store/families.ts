@@ -11,7 +11,14 @@ import {
   useRecoilCallback,
 } from 'recoil';
 import { LocalStorageKeys, Constants } from 'librechat-data-provider';
-import type { TMessage, TPreset, TConversation, TSubmission } from 'librechat-data-provider';
+import type {
+  TMessage,
+  TPreset,
+  TSubmission,
+  TConversation,
+  TFanOutTarget,
+  TMCPResourceRef,
+} from 'librechat-data-provider';
 import type { TOptionSettings, ExtendedFile } from '~/common';
 import { useSetConvoContext } from '~/Providers/SetConvoContext';
 import { storeEndpointSettings, logger, createChatSearchParams } from '~/utils';
@@ -210,6 +217,18 @@ const activePromptByIndex = atomFamily<string | undefined, string | number | nul
   default: undefined,
 });
 
+/** Endpoint/model pairs that the next message of the conversation is fanned out to */
+const fanOutTargetsByIndex = atomFamily<TFanOutTarget[], string | number>({
+  key: 'fanOutTargetsByIndex',
+  default: [],
+});
+
+/** MCP resources attached as context to the next message of the conversation */
+const mcpResourcesByIndex = atomFamily<TMCPResourceRef[], string | number>({
+  key: 'mcpResourcesByIndex',
+  default: [],
+});
+
 const showMentionPopoverFamily = atomFamily<boolean, string | number | null>({
   key: 'showMentionPopoverByIndex',
   default: false,
@@ -411,6 +430,8 @@ export default {
   globalAudioFetchingFamily,
   showPlusPopoverFamily,
   activePromptByIndex,
+  fanOutTargetsByIndex,
+  mcpResourcesByIndex,
   useClearSubmissionState,
   useClearLatestMessages,
   showPromptsPopoverFamily,
@@ -1,4 +1,6 @@
 import { atom } from 'recoil';
+import { SearchMode } from 'librechat-data-provider';
+import type { ConversationSearchFilters } from 'librechat-data-provider';
 
 export type SearchState = {
   enabled: boolean | null;
@@ -6,6 +8,10 @@ export type SearchState = {
   debouncedQuery: string;
   isSearching: boolean;
   isTyping: boolean;
+  /** Filters of the conversation list, combined with the query */
+  filters: ConversationSearchFilters;
+  /** Whether the query matches words or meaning */
+  mode: SearchMode;
 };
 
 export const search = atom<SearchState>({
@@ -16,6 +22,8 @@ export const search = atom<SearchState>({
     debouncedQuery: '',
     isSearching: false,
     isTyping: false,
+    filters: {},
+    mode: SearchMode.keyword,
   },
 });
 
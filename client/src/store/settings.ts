@@ -39,6 +39,7 @@ const localStorageAtoms = {
   rememberDefaultFork: atomWithLocalStorage(LocalStorageKeys.REMEMBER_FORK_OPTION, false),
   showThinking: atomWithLocalStorage('showThinking', false),
   saveBadgesState: atomWithLocalStorage('saveBadgesState', false),
+  blindMultiLLM: atomWithLocalStorage('blindMultiLLM', false),
 
   // Beta features settings
   modularChat: atomWithLocalStorage('modularChat', true),
@@ -1,5 +1,5 @@
 import { atom } from 'recoil';
-import { TSubmission } from 'librechat-data-provider';
+import { TSubmission, TMCPSamplingRequest } from 'librechat-data-provider';
 
 // current submission
 // submit any new value to this state will cause new message to be send.
@@ -22,7 +22,14 @@ const isSubmitting = atom({
   default: false,
 });
 
+/** Requests of MCP servers for completions, awaiting the approval of the user */
+const mcpSamplingRequests = atom<TMCPSamplingRequest[]>({
+  key: 'mcpSamplingRequests',
+  default: [],
+});
+
 export default {
   submission,
   isSubmitting,
+  mcpSamplingRequests,
 };
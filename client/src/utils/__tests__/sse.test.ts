@@ -0,0 +1,53 @@
+import { request } from 'librechat-data-provider';
+import type { SSE } from 'sse.js';
+import { refreshSSEToken } from '../sse';
+
+jest.mock('librechat-data-provider', () => ({
+  request: { refreshToken: jest.fn(), dispatchTokenUpdatedEvent: jest.fn() },
+}));
+
+jest.mock('../logger', () => ({
+  __esModule: true,
+  default: { error: jest.fn() },
+}));
+
+const mockRequest = request as jest.Mocked<typeof request>;
+
+const createSSE = () => ({ headers: {}, stream: jest.fn() }) as unknown as SSE;
+const errorEvent = (responseCode?: number) =>
+  Object.assign(new MessageEvent('error'), { responseCode });
+
+describe('refreshSSEToken', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('restarts the stream with the refreshed token after a 401', async () => {
+    mockRequest.refreshToken.mockResolvedValue({ token: 'new-token' } as never);
+    const sse = createSSE();
+
+    await expect(refreshSSEToken(sse, errorEvent(401))).resolves.toBe(true);
+    expect(sse.headers).toEqual({
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer new-token',
+    });
+    expect(mockRequest.dispatchTokenUpdatedEvent).toHaveBeenCalledWith('new-token');
+    expect(sse.stream).toHaveBeenCalled();
+  });
+
+  it('leaves other errors to the caller', async () => {
+    const sse = createSSE();
+
+    await expect(refreshSSEToken(sse, errorEvent(500))).resolves.toBe(false);
+    expect(mockRequest.refreshToken).not.toHaveBeenCalled();
+    expect(sse.stream).not.toHaveBeenCalled();
+  });
+
+  it('leaves the 401 to the caller when the token cannot be refreshed', async () => {
+    mockRequest.refreshToken.mockResolvedValue({ token: '' } as never);
+    const sse = createSSE();
+
+    await expect(refreshSSEToken(sse, errorEvent(401))).resolves.toBe(false);
+    expect(sse.stream).not.toHaveBeenCalled();
+  });
+});
@@ -2,6 +2,7 @@ import React from 'react';
 
 export * from './map';
 export * from './json';
+export * from './sse';
 export * from './files';
 export * from './latex';
 export * from './theme';
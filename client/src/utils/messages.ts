@@ -1,5 +1,11 @@
 import { ContentTypes, Constants } from 'librechat-data-provider';
-import type { TMessage, TMessageContentParts } from 'librechat-data-provider';
+import type {
+  Agents,
+  TMessage,
+  TLLMResponse,
+  TFanOutEvent,
+  TMessageContentParts,
+} from 'librechat-data-provider';
 
 export const getLengthAndLastTenChars = (str?: string): string => {
   if (typeof str !== 'string' || str.length === 0) {
@@ -72,6 +78,43 @@ export const getTextKey = (message?: TMessage | null, convoId?: string | null) =
   }`;
 };
 
+/** Returns the text of a streamed message delta, if any */
+export const getDeltaText = (delta: Agents.MessageDeltaEvent | undefined): string => {
+  const content = delta?.delta?.content;
+  const part = Array.isArray(content) ? content[0] : content;
+  if (part?.type !== ContentTypes.TEXT) {
+    return '';
+  }
+  return typeof part.text === 'string' ? part.text : '';
+};
+
+type TChannelData = {
+  final?: boolean;
+  responseMessage?: TLLMResponse;
+  event?: string;
+  data?: unknown;
+  text?: string;
+};
+
+/**
+ * Applies an event of a fan-out channel to the `llmResponses` entry streamed over it;
+ * returns undefined when the event does not change the entry.
+ */
+export const applyChannelEvent = (
+  current: TLLMResponse,
+  { event, data }: Pick<TFanOutEvent, 'event' | 'data'>,
+): TLLMResponse | undefined => {
+  const channelData = (data ?? {}) as TChannelData;
+  if (channelData.final === true && channelData.responseMessage) {
+    return { ...current, ...channelData.responseMessage };
+  } else if (event === 'error') {
+    return { ...current, text: channelData.text ?? '', error: true };
+  } else if (channelData.event === 'on_message_delta') {
+    const text = getDeltaText(channelData.data as Agents.MessageDeltaEvent);
+    return text ? { ...current, text: `${current.text ?? ''}${text}` } : undefined;
+  }
+};
+
 export const scrollToEnd = (callback?: () => void) => {
   const messagesEndElement = document.getElementById('messages-end');
   if (messagesEndElement) {
@@ -81,3 +124,54 @@ export const scrollToEnd = (callback?: () => void) => {
     }
   }
 };
+
+/**
+ * Expands the `llmResponses` of a fanned-out response into one message per response;
+ * the API assigns IDs to responses saved without one, so the local IDs only cover messages
+ * that were not loaded from it.
+ * Responses without content parts get a single text part so they render as content.
+ */
+export const getLLMResponseMessages = (message: TMessage): TMessage[] =>
+  (message.llmResponses ?? []).map((response, index) => ({
+    ...message,
+    endpoint: response.endpoint ?? message.endpoint,
+    model: response.model ?? null,
+    sender: response.sender ?? message.sender,
+    iconURL: response.iconURL ?? null,
+    text: response.text ?? '',
+    content: response.content ?? [
+      { type: ContentTypes.TEXT, [ContentTypes.TEXT]: response.text ?? '' },
+    ],
+    tokenCount: response.tokenCount,
+    finish_reason: response.finish_reason,
+    feedback: response.feedback as TMessage['feedback'],
+    error: response.error ?? false,
+    messageId:
+      response.messageId ??
+      (index === 0 ? message.messageId : `${message.messageId}_sibling_${index - 1}`),
+    children: index === 0 ? message.children : [],
+  }));
+
+/**
+ * Replaces `llmResponses` entries with one of their earlier attempts, by entry ID and
+ * index in its `versions`; entries without a selected version keep their latest attempt.
+ */
+export const selectLLMResponseVersions = (
+  message: TMessage,
+  selected: Record<string, number | undefined>,
+): TMessage => {
+  if (!message.llmResponses?.some(({ messageId }) => messageId && selected[messageId] != null)) {
+    return message;
+  }
+  return {
+    ...message,
+    llmResponses: message.llmResponses.map((response) => {
+      const version = response.messageId
+        ? response.versions?.[selected[response.messageId] ?? -1]
+        : undefined;
+      return version
+        ? { ...version, messageId: response.messageId, versions: response.versions }
+        : response;
+    }),
+  };
+};
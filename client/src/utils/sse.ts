@@ -0,0 +1,36 @@
+import { request } from 'librechat-data-provider';
+import type { SSE } from 'sse.js';
+import logger from './logger';
+
+/** Error event of an SSE stream, with the status code of its response */
+type TSSEErrorEvent = MessageEvent & { responseCode?: number };
+
+/**
+ * Refreshes the token when an SSE stream was denied with a 401, as the token expired,
+ * and restarts the stream with the new token.
+ * @returns Whether the stream was restarted; otherwise, the caller handles the error.
+ */
+export async function refreshSSEToken(sse: SSE, e: MessageEvent): Promise<boolean> {
+  if ((e as TSSEErrorEvent).responseCode !== 401) {
+    return false;
+  }
+  try {
+    const refreshResponse = await request.refreshToken();
+    const token = refreshResponse?.token ?? '';
+    if (!token) {
+      throw new Error('Token refresh failed.');
+    }
+    sse.headers = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    };
+
+    request.dispatchTokenUpdatedEvent(token);
+    sse.stream();
+    return true;
+  } catch (error) {
+    /* token refresh failed, continue handling the original 401 */
+    logger.error('refreshSSEToken', error);
+    return false;
+  }
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+const path = require('path');
+const mongoose = require(path.resolve(__dirname, '..', 'api', 'node_modules', 'mongoose'));
+const { User } = require('@librechat/data-schemas').createModels(mongoose);
+require('module-alias')({ base: path.resolve(__dirname, '..', 'api') });
+const { migrateLegacyMultiLLMSiblings } = require('~/models/Message');
+const { silentExit } = require('./helpers');
+const connect = require('./connect');
+
+/**
+ * Reads the value of a `--name=value` or `--name value` argument.
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+const getArg = (name) => {
+  const index = process.argv.findIndex((arg) => arg === name || arg.startsWith(`${name}=`));
+  if (index === -1) {
+    return;
+  }
+  const arg = process.argv[index];
+  return arg.includes('=') ? arg.slice(name.length + 1) : process.argv[index + 1];
+};
+
+async function gracefulExit(code = 0) {
+  try {
+    await mongoose.disconnect();
+  } catch (err) {
+    console.error('Error disconnecting from MongoDB:', err);
+  }
+  silentExit(code);
+}
+
+(async () => {
+  await connect();
+
+  /**
+   * Show the welcome / help menu
+   */
+  console.purple('--------------------------');
+  console.purple('Migrate legacy multi-LLM responses into llmResponses');
+  console.purple('--------------------------');
+  console.orange(
+    'Usage: npm run migrate-multi-llm -- [--dry-run] [--batch-size=100] [--user=<email or id>]',
+  );
+  console.orange(
+    'Legacy responses of other conversations are no longer loaded with messages until migrated.',
+  );
+
+  const dryRun = process.argv.includes('--dry-run');
+  const batchSize = Number.parseInt(getArg('--batch-size') ?? '100', 10);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    console.red('Error: --batch-size must be a positive integer!');
+    return gracefulExit(1);
+  }
+
+  let userId;
+  const userArg = getArg('--user')?.trim();
+  if (userArg) {
+    const user = userArg.includes('@')
+      ? await User.findOne({ email: userArg.toLowerCase() }).lean()
+      : await User.findById(userArg).lean();
+    if (!user) {
+      console.red(`Error: No user found for "${userArg}"`);
+      return gracefulExit(1);
+    }
+    userId = user._id.toString();
+    console.purple(`Only migrating messages of ${user.email} (${userId})`);
+  }
+
+  if (dryRun) {
+    console.yellow('Dry run: no messages will be changed.');
+  }
+
+  const stats = await migrateLegacyMultiLLMSiblings({
+    user: userId,
+    dryRun,
+    batchSize,
+    onBatch: ({ groups }) => console.blue(`Processed ${groups} groups...`),
+  });
+
+  console.green(`Groups found: ${stats.groups}`);
+  console.green(`Groups folded into llmResponses: ${stats.migrated}`);
+  console.green(`Groups without siblings to fold: ${stats.cleared}`);
+  console.green(`Messages ${dryRun ? 'to update' : 'updated'}: ${stats.updated}`);
+  console.green(`Messages ${dryRun ? 'to delete' : 'deleted'}: ${stats.deleted}`);
+
+  return gracefulExit(0);
+})();
+
+process.on('uncaughtException', (err) => {
+  if (!err.message.includes('fetch failed')) {
+    console.error('There was an uncaught error:');
+    console.error(err);
+  }
+
+  if (!err.message.includes('fetch failed')) {
+    process.exit(1);
+  }
+});
@@ -56,3 +56,23 @@ export async function getUserMCPAuthMap({
 
   return allMcpCustomUserVars;
 }
+
+/** Returns the custom user variables of an MCP server that a user has set, if any */
+export async function getUserMCPServerVars({
+  userId,
+  serverName,
+  findPluginAuthsByKeys,
+}: {
+  userId: string;
+  serverName: string;
+  findPluginAuthsByKeys: PluginAuthMethods['findPluginAuthsByKeys'];
+}): Promise<Record<string, string> | undefined> {
+  const pluginKey = `${Constants.mcp_prefix}${serverName}`;
+  const authMap = await getPluginAuthMap({
+    userId,
+    pluginKeys: [pluginKey],
+    throwError: false,
+    findPluginAuthsByKeys,
+  });
+  return authMap[pluginKey];
+}
@@ -7,12 +7,20 @@ import {
   getDefaultEnvironment,
 } from '@modelcontextprotocol/sdk/client/stdio.js';
 import { WebSocketClientTransport } from '@modelcontextprotocol/sdk/client/websocket.js';
-import { ResourceListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  ErrorCode,
+  McpError,
+  ElicitRequestSchema,
+  CreateMessageRequestSchema,
+  ResourceUpdatedNotificationSchema,
+  ResourceListChangedNotificationSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
 import type { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
 import type { JSONRPCMessage } from '@modelcontextprotocol/sdk/types.js';
 import type { MCPOAuthTokens } from './oauth/types';
 import type * as t from './types';
+import { formatResourceContents } from './utils';
 
 function isStdioOptions(options: t.MCPOptions): options is t.StdioOptions {
   return 'command' in options;
@@ -69,6 +77,12 @@ export class MCPConnection extends EventEmitter {
   private lastPingTime: number;
   private oauthTokens?: MCPOAuthTokens | null;
   private oauthRequired = false;
+  /** Contents of the resources subscribed to, until the server notifies of their update */
+  private resourceContents: Map<string, t.MCPResourceContent[]> = new Map();
+  /** Handlers of the sampling requests of the server, one per tool call in progress */
+  private samplingHandlers: Set<t.MCPSamplingHandler> = new Set();
+  /** Handlers of the elicitation requests of the server, one per tool call in progress */
+  private elicitationHandlers: Set<t.MCPElicitationHandler> = new Set();
   iconPath?: string;
   timeout?: number;
   url?: string;
@@ -94,10 +108,14 @@ export class MCPConnection extends EventEmitter {
         version: '1.2.3',
       },
       {
-        capabilities: {},
+        capabilities: {
+          sampling: {},
+          elicitation: {},
+        },
       },
     );
 
+    this.handleToolCallRequests();
     this.setupEventListeners();
   }
 
@@ -277,6 +295,8 @@ export class MCPConnection extends EventEmitter {
     this.on('connectionChange', (state: t.ConnectionState) => {
       this.connectionState = state;
       if (state === 'connected') {
+        /** Subscriptions do not outlive the session they were made in */
+        this.resourceContents.clear();
         this.isReconnecting = false;
         this.isInitializing = false;
         this.shouldStopReconnecting = false;
@@ -357,6 +377,57 @@ export class MCPConnection extends EventEmitter {
     this.client.setNotificationHandler(ResourceListChangedNotificationSchema, async () => {
       this.emit('resourcesChanged');
     });
+    this.client.setNotificationHandler(ResourceUpdatedNotificationSchema, async (notification) => {
+      const { uri } = notification.params;
+      this.resourceContents.delete(uri);
+      this.emit('resourceUpdated', uri);
+    });
+  }
+
+  /**
+   * Returns the handler of the tool call in progress. Requests are rejected outside of tool
+   * calls, and when concurrent tool calls on a shared connection make the requesting user
+   * ambiguous.
+   */
+  private getToolCallHandler<T>(handlers: Set<T>, feature: string): T {
+    if (handlers.size !== 1) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        handlers.size === 0
+          ? `${feature} is only available during a tool call`
+          : `${feature} is unavailable during concurrent tool calls`,
+      );
+    }
+    const [handler] = handlers;
+    return handler;
+  }
+
+  /** Answers the sampling and elicitation requests of the server with the tool call in progress */
+  private handleToolCallRequests(): void {
+    this.client.setRequestHandler(CreateMessageRequestSchema, async (request, extra) => {
+      const handler = this.getToolCallHandler(this.samplingHandlers, 'Sampling');
+      return await handler(request.params, { signal: extra.signal });
+    });
+    this.client.setRequestHandler(ElicitRequestSchema, async (request, extra) => {
+      const handler = this.getToolCallHandler(this.elicitationHandlers, 'Elicitation');
+      return await handler(request.params, { signal: extra.signal });
+    });
+  }
+
+  /** Handles the sampling requests of the server until the returned function is called */
+  addSamplingHandler(handler: t.MCPSamplingHandler): () => void {
+    this.samplingHandlers.add(handler);
+    return () => {
+      this.samplingHandlers.delete(handler);
+    };
+  }
+
+  /** Handles the elicitation requests of the server until the returned function is called */
+  addElicitationHandler(handler: t.MCPElicitationHandler): () => void {
+    this.elicitationHandlers.add(handler);
+    return () => {
+      this.elicitationHandlers.delete(handler);
+    };
   }
 
   async connectClient(): Promise<void> {
@@ -569,6 +640,29 @@ export class MCPConnection extends EventEmitter {
     }
   }
 
+  /**
+   * Reads the contents of a resource as text. When the server supports subscriptions, the
+   * resource is subscribed to and its contents are reused until the server notifies of an update.
+   */
+  async readResource(uri: string): Promise<t.MCPResourceContent[]> {
+    const cached = this.resourceContents.get(uri);
+    if (cached) {
+      return cached;
+    }
+
+    const result = await this.client.readResource({ uri }, { timeout: this.timeout });
+    const contents = formatResourceContents(result);
+    if (this.client.getServerCapabilities()?.resources?.subscribe === true) {
+      try {
+        await this.client.subscribeResource({ uri });
+        this.resourceContents.set(uri, contents);
+      } catch (error) {
+        logger.warn(`${this.getLogPrefix()} Failed to subscribe to resource ${uri}:`, error);
+      }
+    }
+    return contents;
+  }
+
   async fetchTools() {
     try {
       const { tools } = await this.client.listTools();
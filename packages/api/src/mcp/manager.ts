@@ -1,5 +1,10 @@
 import { logger } from '@librechat/data-schemas';
-import { CallToolResultSchema, ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import {
+  ErrorCode,
+  McpError,
+  CallToolResultSchema,
+  GetPromptResultSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 import type { OAuthClientInformation } from '@modelcontextprotocol/sdk/shared/auth.js';
 import type { RequestOptions } from '@modelcontextprotocol/sdk/shared/protocol.js';
 import type { TokenMethods } from '@librechat/data-schemas';
@@ -13,6 +18,7 @@ import { CONSTANTS, isSystemUserId } from './enum';
 import { MCPOAuthHandler } from './oauth/handler';
 import { MCPTokenStorage } from './oauth/tokens';
 import { formatToolContent } from './parsers';
+import { formatPromptMessages } from './utils';
 import { MCPConnection } from './connection';
 import { processMCPEnv } from '~/utils/env';
 
@@ -28,6 +34,10 @@ export class MCPManager {
   private mcpConfigs: t.MCPServers = {};
   /** Store MCP server instructions */
   private serverInstructions: Map<string, string> = new Map();
+  /** Last connection error of app-level servers */
+  private serverErrors: Map<string, string> = new Map();
+  /** Tool counts of app-level servers, from their last listing of tools */
+  private serverToolCounts: Map<string, number> = new Map();
 
   public static getInstance(): MCPManager {
     if (!MCPManager.instance) {
@@ -60,173 +70,9 @@ export class MCPManager {
     const entries = Object.entries(mcpServers);
     const initializedServers = new Set();
     const connectionResults = await Promise.allSettled(
-      entries.map(async ([serverName, _config], i) => {
-        /** Process env for app-level connections */
-        const config = processMCPEnv(_config);
-
-        /** Existing tokens for system-level connections */
-        let tokens: MCPOAuthTokens | null = null;
-        if (tokenMethods?.findToken) {
-          try {
-            /** Refresh function for app-level connections */
-            const refreshTokensFunction = async (
-              refreshToken: string,
-              metadata: {
-                userId: string;
-                serverName: string;
-                identifier: string;
-                clientInfo?: OAuthClientInformation;
-              },
-            ) => {
-              /** URL from config if available */
-              const serverUrl = (config as t.SSEOptions | t.StreamableHTTPOptions).url;
-              return await MCPOAuthHandler.refreshOAuthTokens(
-                refreshToken,
-                {
-                  serverName: metadata.serverName,
-                  serverUrl,
-                  clientInfo: metadata.clientInfo,
-                },
-                config.oauth,
-              );
-            };
-
-            /** Flow state to prevent concurrent token operations */
-            const tokenFlowId = `tokens:${CONSTANTS.SYSTEM_USER_ID}:${serverName}`;
-            tokens = await flowManager.createFlowWithHandler(
-              tokenFlowId,
-              'mcp_get_tokens',
-              async () => {
-                return await MCPTokenStorage.getTokens({
-                  userId: CONSTANTS.SYSTEM_USER_ID,
-                  serverName,
-                  findToken: tokenMethods.findToken,
-                  refreshTokens: refreshTokensFunction,
-                  createToken: tokenMethods.createToken,
-                  updateToken: tokenMethods.updateToken,
-                });
-              },
-            );
-          } catch {
-            logger.debug(`[MCP][${serverName}] No existing tokens found`);
-          }
-        }
-
-        if (tokens) {
-          logger.info(`[MCP][${serverName}] Loaded OAuth tokens`);
-        }
-
-        const connection = new MCPConnection(serverName, config, undefined, tokens);
-
-        /** Listen for OAuth requirements */
-        logger.info(`[MCP][${serverName}] Setting up OAuth event listener`);
-        connection.on('oauthRequired', async (data) => {
-          logger.debug(`[MCP][${serverName}] oauthRequired event received`);
-          const result = await this.handleOAuthRequired({
-            ...data,
-            flowManager,
-          });
-
-          if (result?.tokens && tokenMethods?.createToken) {
-            try {
-              connection.setOAuthTokens(result.tokens);
-              await MCPTokenStorage.storeTokens({
-                userId: CONSTANTS.SYSTEM_USER_ID,
-                serverName,
-                tokens: result.tokens,
-                createToken: tokenMethods.createToken,
-                updateToken: tokenMethods.updateToken,
-                findToken: tokenMethods.findToken,
-                clientInfo: result.clientInfo,
-              });
-              logger.info(`[MCP][${serverName}] OAuth tokens saved to storage`);
-            } catch (error) {
-              logger.error(`[MCP][${serverName}] Failed to save OAuth tokens to storage`, error);
-            }
-          }
-
-          // Only emit oauthHandled if we actually got tokens (OAuth succeeded)
-          if (result?.tokens) {
-            connection.emit('oauthHandled');
-          } else {
-            // OAuth failed, emit oauthFailed to properly reject the promise
-            logger.warn(`[MCP][${serverName}] OAuth failed, emitting oauthFailed event`);
-            connection.emit('oauthFailed', new Error('OAuth authentication failed'));
-          }
-        });
-
-        try {
-          const connectTimeout = config.initTimeout ?? 30000;
-          const connectionTimeout = new Promise<void>((_, reject) =>
-            setTimeout(
-              () => reject(new Error(`Connection timeout after ${connectTimeout}ms`)),
-              connectTimeout,
-            ),
-          );
-
-          const connectionAttempt = this.initializeServer({
-            connection,
-            logPrefix: `[MCP][${serverName}]`,
-            flowManager,
-            handleOAuth: false,
-          });
-          await Promise.race([connectionAttempt, connectionTimeout]);
-
-          if (await connection.isConnected()) {
-            initializedServers.add(i);
-            this.connections.set(serverName, connection);
-
-            /** Unified `serverInstructions` configuration */
-            const configInstructions = config.serverInstructions;
-
-            if (configInstructions !== undefined) {
-              if (typeof configInstructions === 'string') {
-                this.serverInstructions.set(serverName, configInstructions);
-                logger.info(
-                  `[MCP][${serverName}] Custom instructions stored for context inclusion: ${configInstructions}`,
-                );
-              } else if (configInstructions === true) {
-                /** Server-provided instructions */
-                const serverInstructions = connection.client.getInstructions();
-
-                if (serverInstructions) {
-                  this.serverInstructions.set(serverName, serverInstructions);
-                  logger.info(
-                    `[MCP][${serverName}] Server instructions stored for context inclusion: ${serverInstructions}`,
-                  );
-                } else {
-                  logger.info(
-                    `[MCP][${serverName}] serverInstructions=true but no server instructions available`,
-                  );
-                }
-              } else {
-                logger.info(
-                  `[MCP][${serverName}] Instructions explicitly disabled (serverInstructions=false)`,
-                );
-              }
-            } else {
-              logger.info(
-                `[MCP][${serverName}] Instructions not included (serverInstructions not configured)`,
-              );
-            }
-
-            const serverCapabilities = connection.client.getServerCapabilities();
-            logger.info(`[MCP][${serverName}] Capabilities: ${JSON.stringify(serverCapabilities)}`);
-
-            if (serverCapabilities?.tools) {
-              const tools = await connection.client.listTools();
-              if (tools.tools.length) {
-                logger.info(
-                  `[MCP][${serverName}] Available tools: ${tools.tools
-                    .map((tool) => tool.name)
-                    .join(', ')}`,
-                );
-              }
-            }
-          }
-        } catch (error) {
-          logger.error(`[MCP][${serverName}] Initialization failed`, error);
-          throw error;
+      entries.map(async ([serverName, config], i) => {
+        if (await this.initializeAppServer({ serverName, config, flowManager, tokenMethods })) {
+          initializedServers.add(i);
         }
       }),
     );
@@ -260,6 +106,195 @@ export class MCPManager {
     }
   }
 
+  /**
+   * Connects an app-level server and stores its instructions.
+   * @returns Whether the server is connected
+   */
+  private async initializeAppServer({
+    serverName,
+    config: _config,
+    flowManager,
+    tokenMethods,
+  }: {
+    serverName: string;
+    config: t.MCPOptions;
+    flowManager: FlowStateManager<MCPOAuthTokens | null>;
+    tokenMethods?: TokenMethods;
+  }): Promise<boolean> {
+    /** Process env for app-level connections */
+    const config = processMCPEnv(_config);
+
+    /** Existing tokens for system-level connections */
+    let tokens: MCPOAuthTokens | null = null;
+    if (tokenMethods?.findToken) {
+      try {
+        /** Refresh function for app-level connections */
+        const refreshTokensFunction = async (
+          refreshToken: string,
+          metadata: {
+            userId: string;
+            serverName: string;
+            identifier: string;
+            clientInfo?: OAuthClientInformation;
+          },
+        ) => {
+          /** URL from config if available */
+          const serverUrl = (config as t.SSEOptions | t.StreamableHTTPOptions).url;
+          return await MCPOAuthHandler.refreshOAuthTokens(
+            refreshToken,
+            {
+              serverName: metadata.serverName,
+              serverUrl,
+              clientInfo: metadata.clientInfo,
+            },
+            config.oauth,
+          );
+        };
+
+        /** Flow state to prevent concurrent token operations */
+        const tokenFlowId = `tokens:${CONSTANTS.SYSTEM_USER_ID}:${serverName}`;
+        tokens = await flowManager.createFlowWithHandler(
+          tokenFlowId,
+          'mcp_get_tokens',
+          async () => {
+            return await MCPTokenStorage.getTokens({
+              userId: CONSTANTS.SYSTEM_USER_ID,
+              serverName,
+              findToken: tokenMethods.findToken,
+              refreshTokens: refreshTokensFunction,
+              createToken: tokenMethods.createToken,
+              updateToken: tokenMethods.updateToken,
+            });
+          },
+        );
+      } catch {
+        logger.debug(`[MCP][${serverName}] No existing tokens found`);
+      }
+    }
+
+    if (tokens) {
+      logger.info(`[MCP][${serverName}] Loaded OAuth tokens`);
+    }
+
+    const connection = new MCPConnection(serverName, config, undefined, tokens);
+
+    /** Listen for OAuth requirements */
+    logger.info(`[MCP][${serverName}] Setting up OAuth event listener`);
+    connection.on('oauthRequired', async (data) => {
+      logger.debug(`[MCP][${serverName}] oauthRequired event received`);
+      const result = await this.handleOAuthRequired({
+        ...data,
+        flowManager,
+      });
+
+      if (result?.tokens && tokenMethods?.createToken) {
+        try {
+          connection.setOAuthTokens(result.tokens);
+          await MCPTokenStorage.storeTokens({
+            userId: CONSTANTS.SYSTEM_USER_ID,
+            serverName,
+            tokens: result.tokens,
+            createToken: tokenMethods.createToken,
+            updateToken: tokenMethods.updateToken,
+            findToken: tokenMethods.findToken,
+            clientInfo: result.clientInfo,
+          });
+          logger.info(`[MCP][${serverName}] OAuth tokens saved to storage`);
+        } catch (error) {
+          logger.error(`[MCP][${serverName}] Failed to save OAuth tokens to storage`, error);
+        }
+      }
+
+      // Only emit oauthHandled if we actually got tokens (OAuth succeeded)
+      if (result?.tokens) {
+        connection.emit('oauthHandled');
+      } else {
+        // OAuth failed, emit oauthFailed to properly reject the promise
+        logger.warn(`[MCP][${serverName}] OAuth failed, emitting oauthFailed event`);
+        connection.emit('oauthFailed', new Error('OAuth authentication failed'));
+      }
+    });
+
+    try {
+      const connectTimeout = config.initTimeout ?? 30000;
+      const connectionTimeout = new Promise<void>((_, reject) =>
+        setTimeout(
+          () => reject(new Error(`Connection timeout after ${connectTimeout}ms`)),
+          connectTimeout,
+        ),
+      );
+
+      const connectionAttempt = this.initializeServer({
+        connection,
+        logPrefix: `[MCP][${serverName}]`,
+        flowManager,
+        handleOAuth: false,
+      });
+      await Promise.race([connectionAttempt, connectionTimeout]);
+
+      if (await connection.isConnected()) {
+        this.connections.set(serverName, connection);
+        this.serverErrors.delete(serverName);
+
+        /** Unified `serverInstructions` configuration */
+        const configInstructions = config.serverInstructions;
+
+        if (configInstructions !== undefined) {
+          if (typeof configInstructions === 'string') {
+            this.serverInstructions.set(serverName, configInstructions);
+            logger.info(
+              `[MCP][${serverName}] Custom instructions stored for context inclusion: ${configInstructions}`,
+            );
+          } else if (configInstructions === true) {
+            /** Server-provided instructions */
+            const serverInstructions = connection.client.getInstructions();
+
+            if (serverInstructions) {
+              this.serverInstructions.set(serverName, serverInstructions);
+              logger.info(
+                `[MCP][${serverName}] Server instructions stored for context inclusion: ${serverInstructions}`,
+              );
+            } else {
+              logger.info(
+                `[MCP][${serverName}] serverInstructions=true but no server instructions available`,
+              );
+            }
+          } else {
+            logger.info(
+              `[MCP][${serverName}] Instructions explicitly disabled (serverInstructions=false)`,
+            );
+          }
+        } else {
+          logger.info(
+            `[MCP][${serverName}] Instructions not included (serverInstructions not configured)`,
+          );
+        }
+
+        const serverCapabilities = connection.client.getServerCapabilities();
+        logger.info(`[MCP][${serverName}] Capabilities: ${JSON.stringify(serverCapabilities)}`);
+
+        if (serverCapabilities?.tools) {
+          const tools = await connection.client.listTools();
+          this.serverToolCounts.set(serverName, tools.tools.length);
+          if (tools.tools.length) {
+            logger.info(
+              `[MCP][${serverName}] Available tools: ${tools.tools
+                .map((tool) => tool.name)
+                .join(', ')}`,
+            );
+          }
+        }
+        return true;
+      }
+      return false;
+    } catch (error) {
+      logger.error(`[MCP][${serverName}] Initialization failed`, error);
+      this.serverErrors.set(serverName, error instanceof Error ? error.message : String(error));
+      await connection.disconnect().catch(() => undefined);
+      throw error;
+    }
+  }
+
   /** Generic server initialization logic */
   private async initializeServer({
     connection,
@@ -697,14 +732,18 @@ export class MCPManager {
   }
 
   /**
-   * Maps available tools from all app-level connections into the provided object.
-   * The object is modified in place.
+   * Maps available tools from all app-level connections, or those of the given servers, into
+   * the provided object. The object is modified in place.
    */
   public async mapAvailableTools(
     availableTools: t.LCAvailableTools,
     flowManager: FlowStateManager<MCPOAuthTokens | null>,
+    serverNames?: string[],
   ): Promise<void> {
     for (const [serverName, connection] of this.connections.entries()) {
+      if (serverNames && !serverNames.includes(serverName)) {
+        continue;
+      }
       try {
         /** Attempt to ensure connection is active, with reconnection if needed */
         const isActive = await this.isConnectionActive({ serverName, connection, flowManager });
@@ -714,6 +753,7 @@ export class MCPManager {
         }
 
         const tools = await connection.fetchTools();
+        this.serverToolCounts.set(serverName, tools.length);
         for (const tool of tools) {
           const name = `${tool.name}${CONSTANTS.mcp_delimiter}${serverName}`;
           availableTools[name] = {
@@ -772,6 +812,7 @@ export class MCPManager {
         }
 
         const tools = await connection.fetchTools();
+        this.serverToolCounts.set(serverName, tools.length);
         const serverTools: t.LCManifestTool[] = [];
         for (const tool of tools) {
           const pluginKey = `${tool.name}${CONSTANTS.mcp_delimiter}${serverName}`;
@@ -824,6 +865,8 @@ export class MCPManager {
     oauthStart,
     oauthEnd,
     customUserVars,
+    sampling,
+    elicitation,
   }: {
     user?: TUser;
     serverName: string;
@@ -836,9 +879,15 @@ export class MCPManager {
     flowManager: FlowStateManager<MCPOAuthTokens | null>;
     oauthStart?: (authURL: string) => Promise<void>;
     oauthEnd?: () => Promise<void>;
+    /** Completes the sampling requests of the server during the call */
+    sampling?: t.MCPSamplingHandler;
+    /** Answers the elicitation requests of the server during the call */
+    elicitation?: t.MCPElicitationHandler;
   }): Promise<t.FormattedToolResponse> {
     /** User-specific connection */
     let connection: MCPConnection | undefined;
+    let removeSamplingHandler: (() => void) | undefined;
+    let removeElicitationHandler: (() => void) | undefined;
     const userId = user?.id;
     const logPrefix = userId ? `[MCP][User: ${userId}][${serverName}]` : `[MCP][${serverName}]`;
 
@@ -875,6 +924,13 @@ export class MCPManager {
         );
       }
 
+      if (sampling) {
+        removeSamplingHandler = connection.addSamplingHandler(sampling);
+      }
+      if (elicitation) {
+        removeElicitationHandler = connection.addElicitationHandler(elicitation);
+      }
+
       const result = await connection.client.request(
         {
           method: 'tools/call',
@@ -899,9 +955,195 @@ export class MCPManager {
       logger.error(`${logPrefix}[${toolName}] Tool call failed`, error);
       // Rethrowing allows the caller (createMCPTool) to handle the final user message
       throw error;
+    } finally {
+      removeSamplingHandler?.();
+      removeElicitationHandler?.();
     }
   }
 
+  /**
+   * Returns the connection to a server for a request of a user: the app-level connection of the
+   * server if any, else the user's connection, established if needed.
+   */
+  private async getRequestConnection({
+    user,
+    serverName,
+    flowManager,
+    tokenMethods,
+    customUserVars,
+    signal,
+  }: {
+    user: TUser;
+    serverName: string;
+    flowManager: FlowStateManager<MCPOAuthTokens | null>;
+    tokenMethods?: TokenMethods;
+    customUserVars?: Record<string, string>;
+    signal?: AbortSignal;
+  }): Promise<MCPConnection> {
+    const appConnection = this.connections.get(serverName);
+    if (appConnection) {
+      const isActive = await this.isConnectionActive({
+        serverName,
+        connection: appConnection,
+        flowManager,
+      });
+      if (!isActive) {
+        throw new McpError(
+          ErrorCode.InternalError,
+          `[MCP][${serverName}] Connection is not active.`,
+        );
+      }
+      return appConnection;
+    }
+
+    if (user.id) {
+      this.updateUserLastActivity(user.id);
+    }
+    return await this.getUserConnection({
+      user,
+      serverName,
+      flowManager,
+      tokenMethods,
+      customUserVars,
+      signal,
+    });
+  }
+
+  /**
+   * Lists the prompts of the app-level connections and of the active connections of a user.
+   * Servers that are not connected are skipped rather than connected, e.g. to start OAuth flows.
+   */
+  public async listPrompts({
+    userId,
+    flowManager,
+  }: {
+    userId?: string;
+    flowManager: FlowStateManager<MCPOAuthTokens | null>;
+  }): Promise<t.MCPServerPrompt[]> {
+    const connections = new Map(this.connections);
+    for (const [serverName, connection] of (userId && this.userConnections.get(userId)) || []) {
+      if (!connections.has(serverName)) {
+        connections.set(serverName, connection);
+      }
+    }
+
+    const prompts: t.MCPServerPrompt[] = [];
+    for (const [serverName, connection] of connections.entries()) {
+      try {
+        const isActive = this.connections.has(serverName)
+          ? await this.isConnectionActive({ serverName, connection, flowManager })
+          : await connection.isConnected();
+        if (!isActive) {
+          logger.warn(`[MCP][${serverName}] Connection not available. Skipping prompts.`);
+          continue;
+        }
+        for (const prompt of await connection.fetchPrompts()) {
+          prompts.push({ ...prompt, serverName });
+        }
+      } catch (error) {
+        logger.warn(`[MCP][${serverName}] Error fetching prompts`, error);
+      }
+    }
+    return prompts;
+  }
+
+  /** Renders a prompt of a server with its arguments, as text messages */
+  public async getPrompt({
+    user,
+    serverName,
+    promptName,
+    promptArguments,
+    flowManager,
+    tokenMethods,
+    customUserVars,
+    options,
+  }: {
+    user: TUser;
+    serverName: string;
+    promptName: string;
+    promptArguments?: Record<string, string>;
+    flowManager: FlowStateManager<MCPOAuthTokens | null>;
+    tokenMethods?: TokenMethods;
+    customUserVars?: Record<string, string>;
+    options?: RequestOptions;
+  }): Promise<{ description?: string; messages: t.MCPPromptMessage[] }> {
+    const connection = await this.getRequestConnection({
+      user,
+      serverName,
+      flowManager,
+      tokenMethods,
+      customUserVars,
+      signal: options?.signal,
+    });
+
+    const result = await connection.client.request(
+      {
+        method: 'prompts/get',
+        params: {
+          name: promptName,
+          arguments: promptArguments,
+        },
+      },
+      GetPromptResultSchema,
+      {
+        timeout: connection.timeout,
+        ...options,
+      },
+    );
+    return { description: result.description, messages: formatPromptMessages(result) };
+  }
+
+  /** Lists the resources of a server, connecting the user to it if needed */
+  public async listResources({
+    user,
+    serverName,
+    flowManager,
+    tokenMethods,
+    customUserVars,
+  }: {
+    user: TUser;
+    serverName: string;
+    flowManager: FlowStateManager<MCPOAuthTokens | null>;
+    tokenMethods?: TokenMethods;
+    customUserVars?: Record<string, string>;
+  }): Promise<t.MCPServerResource[]> {
+    const connection = await this.getRequestConnection({
+      user,
+      serverName,
+      flowManager,
+      tokenMethods,
+      customUserVars,
+    });
+    const resources = await connection.fetchResources();
+    return resources.map((resource) => ({ ...resource, serverName }));
+  }
+
+  /** Reads the contents of a resource of a server as text */
+  public async readResource({
+    user,
+    serverName,
+    uri,
+    flowManager,
+    tokenMethods,
+    customUserVars,
+  }: {
+    user: TUser;
+    serverName: string;
+    uri: string;
+    flowManager: FlowStateManager<MCPOAuthTokens | null>;
+    tokenMethods?: TokenMethods;
+    customUserVars?: Record<string, string>;
+  }): Promise<t.MCPResourceContent[]> {
+    const connection = await this.getRequestConnection({
+      user,
+      serverName,
+      flowManager,
+      tokenMethods,
+      customUserVars,
+    });
+    return await connection.readResource(uri);
+  }
+
   /** Disconnects a specific app-level server */
   public async disconnectServer(serverName: string): Promise<void> {
     const connection = this.connections.get(serverName);
@@ -912,6 +1154,101 @@ export class MCPManager {
     }
   }
 
+  /**
+   * Connects a server added or changed at runtime, replacing its previous connections.
+   * Failures are recorded in the status of the server rather than thrown.
+   */
+  public async addServer({
+    serverName,
+    config,
+    flowManager,
+    tokenMethods,
+  }: {
+    serverName: string;
+    config: t.MCPOptions;
+    flowManager: FlowStateManager<MCPOAuthTokens | null>;
+    tokenMethods?: TokenMethods;
+  }): Promise<t.MCPServerStatus> {
+    await this.removeServer(serverName);
+    this.mcpConfigs[serverName] = config;
+    try {
+      await this.initializeAppServer({ serverName, config, flowManager, tokenMethods });
+    } catch {
+      /** Servers requiring user connections, e.g. with OAuth, connect on demand */
+    }
+    return await this.getServerStatus(serverName);
+  }
+
+  /** Disconnects a server removed at runtime, with its user connections, and forgets it */
+  public async removeServer(serverName: string): Promise<void> {
+    await this.disconnectServer(serverName);
+    const userIds = Array.from(this.userConnections.entries())
+      .filter(([, userMap]) => userMap.has(serverName))
+      .map(([userId]) => userId);
+    await Promise.allSettled(
+      userIds.map((userId) => this.disconnectUserConnection(userId, serverName)),
+    );
+    delete this.mcpConfigs[serverName];
+    this.serverInstructions.delete(serverName);
+    this.serverErrors.delete(serverName);
+    this.serverToolCounts.delete(serverName);
+  }
+
+  /**
+   * Returns the health of an app-level server, with its tool count when connected. The count is
+   * the one of the last listing of its tools, to not query every server on each status request.
+   */
+  public async getServerStatus(serverName: string): Promise<t.MCPServerStatus> {
+    const connection = this.connections.get(serverName);
+    const lastError = this.serverErrors.get(serverName);
+    if (!connection || !(await connection.isConnected())) {
+      return { serverName, connectionState: lastError ? 'error' : 'disconnected', lastError };
+    }
+    const toolCount = this.serverToolCounts.get(serverName);
+    return { serverName, connectionState: 'connected', toolCount, lastError };
+  }
+
+  /** Connects to a server configuration without keeping the connection, to list its tools */
+  public async testServer({
+    serverName,
+    config: _config,
+  }: {
+    serverName: string;
+    config: t.MCPOptions;
+  }): Promise<t.MCPServerTestResult> {
+    const config = processMCPEnv(_config);
+    const connection = new MCPConnection(serverName, config);
+    /** OAuth flows are not started for tests */
+    connection.on('oauthRequired', () => {
+      connection.emit('oauthFailed', new Error('OAuth authentication required'));
+    });
+
+    let timeoutId: NodeJS.Timeout | undefined;
+    const connectTimeout = config.initTimeout ?? 30000;
+    try {
+      await Promise.race([
+        connection.connect(),
+        new Promise<void>((_, reject) => {
+          timeoutId = setTimeout(
+            () => reject(new Error(`Connection timeout after ${connectTimeout}ms`)),
+            connectTimeout,
+          );
+        }),
+      ]);
+      const tools = await connection.fetchTools();
+      return { success: true, tools: tools.map((tool) => tool.name) };
+    } catch (error) {
+      return {
+        success: false,
+        tools: [],
+        error: error instanceof Error ? error.message : String(error),
+      };
+    } finally {
+      clearTimeout(timeoutId);
+      await connection.disconnect().catch(() => undefined);
+    }
+  }
+
   /** Disconnects all app-level and user-level connections */
   public async disconnectAll(): Promise<void> {
     logger.info('[MCP] Disconnecting all app-level and user-level connections...');
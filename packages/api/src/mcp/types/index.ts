@@ -31,6 +31,27 @@ export interface MCPResource {
   description?: string;
   mimeType?: string;
 }
+
+export interface MCPServerResource extends MCPResource {
+  serverName: string;
+}
+
+export type MCPReadResourceResult = z.infer<typeof t.ReadResourceResultSchema>;
+
+/** The text contents of an MCP resource */
+export interface MCPResourceContent {
+  uri: string;
+  mimeType?: string;
+  text: string;
+}
+
+/** An MCP resource attached as context to a message, with its contents */
+export interface MCPContextResource {
+  serverName: string;
+  uri: string;
+  name?: string;
+  contents: MCPResourceContent[];
+}
 export interface LCTool {
   name: string;
   description?: string;
@@ -48,11 +69,59 @@ export type LCToolManifest = TPlugin[];
 export interface MCPPrompt {
   name: string;
   description?: string;
-  arguments?: Array<{ name: string }>;
+  arguments?: Array<{ name: string; description?: string; required?: boolean }>;
+}
+
+/** A prompt advertised by an MCP server */
+export interface MCPServerPrompt extends MCPPrompt {
+  serverName: string;
 }
 
+export type MCPPromptResult = z.infer<typeof t.GetPromptResultSchema>;
+
+/** A message of a rendered MCP prompt, as text */
+export interface MCPPromptMessage {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+export type MCPSamplingParams = z.infer<typeof t.CreateMessageRequestSchema>['params'];
+export type MCPSamplingResult = z.infer<typeof t.CreateMessageResultSchema>;
+
+/** Completes the `sampling/createMessage` requests of a server during a tool call */
+export type MCPSamplingHandler = (
+  params: MCPSamplingParams,
+  options: { signal: AbortSignal },
+) => Promise<MCPSamplingResult>;
+
+export type MCPElicitationParams = z.infer<typeof t.ElicitRequestSchema>['params'];
+export type MCPElicitationResult = z.infer<typeof t.ElicitResultSchema>;
+
+/** Answers the `elicitation/create` requests of a server during a tool call */
+export type MCPElicitationHandler = (
+  params: MCPElicitationParams,
+  options: { signal: AbortSignal },
+) => Promise<MCPElicitationResult>;
+
 export type ConnectionState = 'disconnected' | 'connecting' | 'connected' | 'error';
 
+/** Health of an app-level server */
+export type MCPServerStatus = {
+  serverName: string;
+  connectionState: ConnectionState;
+  /** Number of tools, when connected */
+  toolCount?: number;
+  /** Error of the last connection attempt, if it failed */
+  lastError?: string;
+};
+
+/** Result of a connection attempt with a server configuration */
+export type MCPServerTestResult = {
+  success: boolean;
+  tools: string[];
+  error?: string;
+};
+
 export type MCPTool = z.infer<typeof t.ToolSchema>;
 export type MCPToolListResponse = z.infer<typeof t.ListToolsResultSchema>;
 export type ToolContentPart = t.TextContent | t.ImageContent | t.EmbeddedResource | t.AudioContent;
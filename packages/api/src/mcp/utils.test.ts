@@ -1,4 +1,11 @@
-import { normalizeServerName } from './utils';
+import {
+  normalizeServerName,
+  formatPromptMessages,
+  formatResourceContents,
+  formatSamplingMessages,
+  formatResourcesForContext,
+  validateElicitationContent,
+} from './utils';
 
 describe('normalizeServerName', () => {
   it('should not modify server names that already match the pattern', () => {
@@ -26,3 +33,142 @@ describe('normalizeServerName', () => {
     expect(result).toMatch(/^[a-zA-Z0-9_.-]+$/);
   });
 });
+
+describe('formatPromptMessages', () => {
+  it('should keep the text of messages and embedded resources', () => {
+    const messages = formatPromptMessages({
+      messages: [
+        { role: 'user', content: { type: 'text', text: 'Review this code' } },
+        {
+          role: 'user',
+          content: {
+            type: 'resource',
+            resource: { uri: 'file:///main.ts', mimeType: 'text/plain', text: 'const a = 1;' },
+          },
+        },
+        { role: 'assistant', content: { type: 'image', data: 'aGVsbG8=', mimeType: 'image/png' } },
+        { role: 'assistant', content: { type: 'text', text: 'Sure, sharing my review.' } },
+      ],
+    });
+
+    expect(messages).toEqual([
+      { role: 'user', content: 'Review this code' },
+      { role: 'user', content: 'const a = 1;' },
+      { role: 'assistant', content: 'Sure, sharing my review.' },
+    ]);
+  });
+});
+
+describe('formatResourceContents', () => {
+  it('should keep text contents and note binary contents', () => {
+    const contents = formatResourceContents({
+      contents: [
+        { uri: 'docs://handbook/intro', mimeType: 'text/markdown', text: '# Intro' },
+        { uri: 'docs://handbook/logo', mimeType: 'image/png', blob: 'aGVsbG8=' },
+      ],
+    });
+
+    expect(contents).toEqual([
+      { uri: 'docs://handbook/intro', mimeType: 'text/markdown', text: '# Intro' },
+      {
+        uri: 'docs://handbook/logo',
+        mimeType: 'image/png',
+        text: '[Binary content (image/png) omitted]',
+      },
+    ]);
+  });
+});
+
+describe('formatResourcesForContext', () => {
+  it('should format the contents of each resource under its name and server', () => {
+    const context = formatResourcesForContext([
+      {
+        serverName: 'docs',
+        uri: 'docs://handbook/intro',
+        name: 'Introduction',
+        contents: [{ uri: 'docs://handbook/intro', text: 'Welcome aboard' }],
+      },
+      { serverName: 'docs', uri: 'docs://handbook/empty', contents: [] },
+    ]);
+
+    expect(context).toContain('# Attached MCP Resources');
+    expect(context).toContain('## Introduction (docs MCP Server)');
+    expect(context).toContain(
+      '<resource uri="docs://handbook/intro">\nWelcome aboard\n</resource>',
+    );
+    expect(context).not.toContain('docs://handbook/empty');
+  });
+
+  it('should return an empty string without contents', () => {
+    expect(formatResourcesForContext([])).toBe('');
+  });
+});
+
+describe('formatSamplingMessages', () => {
+  it('should keep text and note other content', () => {
+    const messages = formatSamplingMessages({
+      maxTokens: 100,
+      messages: [
+        { role: 'user', content: { type: 'text', text: 'Summarize the ticket' } },
+        { role: 'user', content: { type: 'image', data: 'aGVsbG8=', mimeType: 'image/png' } },
+      ],
+    });
+
+    expect(messages).toEqual([
+      { role: 'user', text: 'Summarize the ticket' },
+      { role: 'user', text: '[image (image/png) omitted]' },
+    ]);
+  });
+});
+
+describe('validateElicitationContent', () => {
+  const requestedSchema = {
+    type: 'object' as const,
+    properties: {
+      name: { type: 'string' as const, minLength: 2 },
+      size: { type: 'string' as const, enum: ['small', 'large'] },
+      count: { type: 'integer' as const, minimum: 1, maximum: 10 },
+      confirm: { type: 'boolean' as const },
+    },
+    required: ['name'],
+  };
+
+  it('should accept content matching the schema', () => {
+    expect(
+      validateElicitationContent(requestedSchema, {
+        name: 'Ada',
+        size: 'small',
+        count: 3,
+        confirm: true,
+      }),
+    ).toBeUndefined();
+  });
+
+  it('should reject missing required fields', () => {
+    expect(validateElicitationContent(requestedSchema, { count: 3 })).toBe('"name" is required');
+  });
+
+  it('should reject fields that were not requested', () => {
+    expect(validateElicitationContent(requestedSchema, { name: 'Ada', email: 'a@b.c' })).toBe(
+      '"email" was not requested',
+    );
+  });
+
+  it('should reject values that do not match their field', () => {
+    expect(validateElicitationContent(requestedSchema, { name: 'A' })).toBe(
+      '"name" has an invalid length',
+    );
+    expect(validateElicitationContent(requestedSchema, { name: 'Ada', size: 'medium' })).toBe(
+      '"size" must be one of the allowed values',
+    );
+    expect(validateElicitationContent(requestedSchema, { name: 'Ada', count: 2.5 })).toBe(
+      '"count" must be an integer',
+    );
+    expect(validateElicitationContent(requestedSchema, { name: 'Ada', count: 11 })).toBe(
+      '"count" is out of range',
+    );
+    expect(validateElicitationContent(requestedSchema, { name: 'Ada', confirm: 'yes' })).toBe(
+      '"confirm" must be a boolean',
+    );
+  });
+});
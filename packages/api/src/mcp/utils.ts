@@ -1,4 +1,5 @@
 import { Constants } from 'librechat-data-provider';
+import type * as t from './types';
 
 export const mcpToolPattern = new RegExp(`^.+${Constants.mcp_delimiter}.+$`);
 /**
@@ -31,3 +32,129 @@ export function normalizeServerName(serverName: string): string {
 
   return normalized;
 }
+
+/**
+ * Converts the messages of a rendered MCP prompt to text messages: text content is kept as is,
+ * the text of embedded resources is included, and other content (images, audio, binary
+ * resources) is dropped.
+ */
+export function formatPromptMessages(result: t.MCPPromptResult): t.MCPPromptMessage[] {
+  const messages: t.MCPPromptMessage[] = [];
+  for (const message of result.messages ?? []) {
+    const { content } = message;
+    let text: string | undefined;
+    if (content.type === 'text') {
+      text = content.text;
+    } else if (content.type === 'resource' && typeof content.resource.text === 'string') {
+      text = content.resource.text;
+    }
+    if (text) {
+      messages.push({ role: message.role, content: text });
+    }
+  }
+  return messages;
+}
+
+/**
+ * Converts the contents of a read MCP resource to text: text contents are kept as is, and binary
+ * contents are replaced by a note of their type.
+ */
+export function formatResourceContents(result: t.MCPReadResourceResult): t.MCPResourceContent[] {
+  return (result.contents ?? []).map((content) => ({
+    uri: content.uri,
+    mimeType: content.mimeType,
+    text:
+      typeof content.text === 'string'
+        ? content.text
+        : `[Binary content${content.mimeType ? ` (${content.mimeType})` : ''} omitted]`,
+  }));
+}
+
+/** Formats resources attached to a message for injection in the context */
+export function formatResourcesForContext(resources: t.MCPContextResource[]): string {
+  const sections = resources
+    .filter((resource) => resource.contents.length > 0)
+    .map((resource) => {
+      const contents = resource.contents
+        .map((content) => `<resource uri="${content.uri}">\n${content.text}\n</resource>`)
+        .join('\n');
+      return `## ${resource.name ?? resource.uri} (${resource.serverName} MCP Server)
+
+${contents}`;
+    });
+
+  if (sections.length === 0) {
+    return '';
+  }
+
+  return `# Attached MCP Resources
+
+The user attached the following resources as context for their message:
+
+${sections.join('\n\n')}`;
+}
+
+/**
+ * Converts the messages of a sampling request to text messages: images and audio are replaced
+ * by a note of their type, as they are not forwarded to the model.
+ */
+export function formatSamplingMessages(
+  params: t.MCPSamplingParams,
+): Array<{ role: 'user' | 'assistant'; text: string }> {
+  return params.messages.map(({ role, content }) => ({
+    role,
+    text:
+      content.type === 'text' ? content.text : `[${content.type} (${content.mimeType}) omitted]`,
+  }));
+}
+
+/**
+ * Validates the content of an accepted elicitation against the schema requested by the server.
+ * @returns The error of the first invalid field, or `undefined` when the content is valid
+ */
+export function validateElicitationContent(
+  requestedSchema: t.MCPElicitationParams['requestedSchema'],
+  content: Record<string, unknown>,
+): string | undefined {
+  for (const name of requestedSchema.required ?? []) {
+    if (content[name] == null || content[name] === '') {
+      return `"${name}" is required`;
+    }
+  }
+
+  for (const [name, value] of Object.entries(content)) {
+    const schema = requestedSchema.properties[name];
+    if (!schema) {
+      return `"${name}" was not requested`;
+    }
+    if (schema.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        return `"${name}" must be a boolean`;
+      }
+    } else if (schema.type === 'number' || schema.type === 'integer') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `"${name}" must be a number`;
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        return `"${name}" must be an integer`;
+      }
+      if (
+        (schema.minimum != null && value < schema.minimum) ||
+        (schema.maximum != null && value > schema.maximum)
+      ) {
+        return `"${name}" is out of range`;
+      }
+    } else if (typeof value !== 'string') {
+      return `"${name}" must be a string`;
+    } else if ('enum' in schema) {
+      if (!(schema.enum as string[]).includes(value)) {
+        return `"${name}" must be one of the allowed values`;
+      }
+    } else if (
+      (typeof schema.minLength === 'number' && value.length < schema.minLength) ||
+      (typeof schema.maxLength === 'number' && value.length > schema.maxLength)
+    ) {
+      return `"${name}" has an invalid length`;
+    }
+  }
+}
@@ -0,0 +1,36 @@
+import { toCSV, toCSVField } from './csv';
+
+describe('toCSVField', () => {
+  it('leaves plain values unquoted', () => {
+    expect(toCSVField('gpt-4o')).toBe('gpt-4o');
+    expect(toCSVField(12.5)).toBe('12.5');
+    expect(toCSVField(-3)).toBe('-3');
+    expect(toCSVField(undefined)).toBe('');
+    expect(toCSVField(new Date('2025-01-02T00:00:00.000Z'))).toBe('2025-01-02T00:00:00.000Z');
+  });
+
+  it('quotes fields with separators, quotes or line breaks', () => {
+    expect(toCSVField('Doe, Jane')).toBe('"Doe, Jane"');
+    expect(toCSVField('the "best" model')).toBe('"the ""best"" model"');
+    expect(toCSVField('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('neutralizes text that spreadsheets would read as a formula', () => {
+    expect(toCSVField('=HYPERLINK("x")')).toBe(`"'=HYPERLINK(""x"")"`);
+    expect(toCSVField('@SUM(A1)')).toBe("'@SUM(A1)");
+  });
+});
+
+describe('toCSV', () => {
+  it('formats the rows with a header line', () => {
+    const rows = [
+      { model: 'gpt-4o', cost: 1.5 },
+      { model: 'claude, latest', cost: 0.25 },
+    ];
+    const csv = toCSV(rows, [
+      { header: 'Model', key: 'model' },
+      { header: 'Cost (USD)', key: 'cost' },
+    ]);
+    expect(csv).toBe('Model,Cost (USD)\r\ngpt-4o,1.5\r\n"claude, latest",0.25\r\n');
+  });
+});
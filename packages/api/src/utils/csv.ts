@@ -0,0 +1,44 @@
+/** A column of a CSV export: the header and the key of the value in each row */
+export type CSVColumn<T> = {
+  header: string;
+  key: keyof T;
+};
+
+/** Characters with which spreadsheets start a formula, see CSV injection */
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Formats a value as a CSV field: quoted when it contains a separator, a quote or a line break,
+ * and prefixed with a quote when it could be read as a formula by spreadsheets.
+ *
+ * @param value - The value of the field.
+ * @returns The CSV field.
+ */
+export function toCSVField(value: unknown): string {
+  if (value == null) {
+    return '';
+  }
+  let field = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(field[0])) {
+    field = `'${field}`;
+  }
+  if (/[",\r\n]/.test(field)) {
+    return `"${field.replace(/"/g, '""')}"`;
+  }
+  return field;
+}
+
+/**
+ * Formats rows as CSV, with a header line, following RFC 4180.
+ *
+ * @param rows - The rows to export.
+ * @param columns - The columns, in order.
+ * @returns The CSV text.
+ */
+export function toCSV<T>(rows: T[], columns: CSVColumn<T>[]): string {
+  const lines = [columns.map((column) => toCSVField(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => toCSVField(row[column.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
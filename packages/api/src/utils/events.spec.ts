@@ -0,0 +1,101 @@
+import { Constants } from 'librechat-data-provider';
+import type { Response as ServerResponse } from 'express';
+import { sendEvent, handleError, createChannelResponse } from './events';
+
+const createMockResponse = () => {
+  const chunks: string[] = [];
+  const res = {
+    writableEnded: false,
+    headersSent: true,
+    write: jest.fn((chunk: string) => {
+      chunks.push(chunk);
+      return true;
+    }),
+    end: jest.fn(function (this: { writableEnded: boolean }) {
+      this.writableEnded = true;
+    }),
+    on: jest.fn(),
+  };
+  return { res: res as unknown as ServerResponse, chunks, mock: res };
+};
+
+const parseFrame = (chunk: string) => {
+  const [eventLine, dataLine] = chunk.trim().split('\n');
+  return {
+    event: eventLine.replace('event: ', ''),
+    data: JSON.parse(dataLine.replace('data: ', '')),
+  };
+};
+
+describe('createChannelResponse', () => {
+  it('wraps message events with the channel index', () => {
+    const { res, chunks } = createMockResponse();
+    const channel = createChannelResponse(res, 2);
+
+    sendEvent(channel, { event: 'on_message_delta', data: { id: 'step_1' } });
+
+    expect(chunks).toHaveLength(1);
+    const frame = parseFrame(chunks[0]);
+    expect(frame.event).toBe(Constants.FANOUT_EVENT);
+    expect(frame.data).toEqual({
+      channel: 2,
+      event: 'message',
+      data: { event: 'on_message_delta', data: { id: 'step_1' } },
+    });
+  });
+
+  it('splits multiple frames written in one chunk', () => {
+    const { res, chunks } = createMockResponse();
+    const channel = createChannelResponse(res, 0);
+
+    channel.write('event: attachment\ndata: {"file_id":"a"}\n\nevent: message\ndata: {"b":1}\n\n');
+
+    expect(chunks.map((chunk) => parseFrame(chunk).data)).toEqual([
+      { channel: 0, event: 'attachment', data: { file_id: 'a' } },
+      { channel: 0, event: 'message', data: { b: 1 } },
+    ]);
+  });
+
+  it('invokes the event callback with every event of the channel', () => {
+    const { res } = createMockResponse();
+    const onEvent = jest.fn();
+    const channel = createChannelResponse(res, 1, onEvent);
+
+    sendEvent(channel, { event: 'on_message_delta', data: { id: 'step_1' } });
+
+    expect(onEvent).toHaveBeenCalledWith({
+      channel: 1,
+      event: 'message',
+      data: { event: 'on_message_delta', data: { id: 'step_1' } },
+    });
+  });
+
+  it('does not end the parent response', () => {
+    const { res, chunks, mock } = createMockResponse();
+    const channel = createChannelResponse(res, 1);
+
+    handleError(channel, 'Something went wrong');
+    channel.write('event: message\ndata: {"late":true}\n\n');
+
+    expect(mock.end).not.toHaveBeenCalled();
+    expect(channel.writableEnded).toBe(true);
+    expect(res.writableEnded).toBe(false);
+    expect(chunks).toHaveLength(1);
+    expect(parseFrame(chunks[0]).data).toEqual({
+      channel: 1,
+      event: 'error',
+      data: 'Something went wrong',
+    });
+  });
+
+  it('delegates other properties to the parent response', () => {
+    const { res, mock } = createMockResponse();
+    const channel = createChannelResponse(res, 0);
+    const listener = jest.fn();
+
+    channel.on('close', listener);
+
+    expect(mock.on).toHaveBeenCalledWith('close', listener);
+    expect(channel.headersSent).toBe(true);
+  });
+});
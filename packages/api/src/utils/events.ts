@@ -1,4 +1,6 @@
+import { Constants } from 'librechat-data-provider';
 import type { Response as ServerResponse } from 'express';
+import type { TFanOutEvent } from 'librechat-data-provider';
 import type { ServerSentEvent } from '~/types';
 
 /**
@@ -24,3 +26,60 @@ export function handleError(res: ServerResponse, message: string): void {
   res.write(`event: error\ndata: ${JSON.stringify(message)}\n\n`);
   res.end();
 }
+
+/** Matches a single Server Sent Event frame written by `sendEvent` or `handleError` */
+const SSE_FRAME_PATTERN = /event: ([^\n]+)\ndata: ([^\n]*)\n\n/g;
+
+/**
+ * Creates a response that re-emits every Server Sent Event written to it on the parent
+ * response, wrapped as `{ channel, event, data }` under the fan-out event name.
+ * Ending the channel does not end the parent response, so several clients can stream
+ * over a single connection; all other properties are read from the parent response.
+ * @param res - The parent server response.
+ * @param channel - The index of the channel, i.e. of the fan-out target.
+ * @param onEvent - Optional callback invoked with every event sent over the channel.
+ */
+export function createChannelResponse(
+  res: ServerResponse,
+  channel: number,
+  onEvent?: (event: TFanOutEvent) => void,
+): ServerResponse {
+  let ended = false;
+
+  const write = (chunk: string | Buffer): boolean => {
+    if (ended || res.writableEnded) {
+      return false;
+    }
+    const frames = typeof chunk === 'string' ? chunk : chunk.toString();
+    for (const [, event, data] of frames.matchAll(SSE_FRAME_PATTERN)) {
+      let parsed: unknown = data;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        // Forward non-JSON data as-is
+      }
+      const payload: TFanOutEvent = { channel, event, data: parsed };
+      onEvent?.(payload);
+      res.write(`event: ${Constants.FANOUT_EVENT}\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+    return true;
+  };
+
+  const end = () => {
+    ended = true;
+  };
+
+  return new Proxy(res, {
+    get(target, prop) {
+      if (prop === 'write') {
+        return write;
+      } else if (prop === 'end') {
+        return end;
+      } else if (prop === 'writableEnded') {
+        return ended || target.writableEnded;
+      }
+      const value = Reflect.get(target, prop);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
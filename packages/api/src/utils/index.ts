@@ -1,6 +1,7 @@
 export * from './axios';
 export * from './azure';
 export * from './common';
+export * from './csv';
 export * from './env';
 export * from './events';
 export * from './files';
@@ -9,6 +10,8 @@ export * from './key';
 export * from './llm';
 export * from './math';
 export * from './openid';
+export * from './preferences';
+export * from './search';
 export * from './tempChatRetention';
 export { default as Tokenizer } from './tokenizer';
 export * from './yaml';
@@ -0,0 +1,54 @@
+import { computePreferenceRatings, INITIAL_RATING } from './preferences';
+import type { PreferenceVoteRecord } from './preferences';
+
+const gpt = { endpoint: 'openAI', model: 'gpt-4o' };
+const claude = { endpoint: 'anthropic', model: 'claude-sonnet-4' };
+const gemini = { endpoint: 'google', model: 'gemini-2.5-pro' };
+
+describe('computePreferenceRatings', () => {
+  it('should return no stats without votes', () => {
+    expect(computePreferenceRatings([])).toEqual([]);
+  });
+
+  it('should move ratings symmetrically and count wins and losses', () => {
+    const [winner, loser] = computePreferenceRatings([{ left: gpt, right: claude, vote: 'left' }]);
+
+    expect(winner).toMatchObject({ model: 'gpt-4o', wins: 1, losses: 0, winRate: 1 });
+    expect(loser).toMatchObject({ model: 'claude-sonnet-4', wins: 0, losses: 1, winRate: 0 });
+    expect(winner.rating).toBe(INITIAL_RATING + 16);
+    expect(loser.rating).toBe(INITIAL_RATING - 16);
+  });
+
+  it('should count ties and "both bad" votes as half a win', () => {
+    const stats = computePreferenceRatings([
+      { left: gpt, right: claude, vote: 'tie' },
+      { left: claude, right: gpt, vote: 'both_bad' },
+    ]);
+
+    for (const modelStats of stats) {
+      expect(modelStats).toMatchObject({
+        rating: INITIAL_RATING,
+        comparisons: 2,
+        ties: 1,
+        bothBad: 1,
+        winRate: 0.5,
+      });
+    }
+  });
+
+  it('should rank models by rating, applying votes in chronological order', () => {
+    const votes: PreferenceVoteRecord[] = [
+      { left: gemini, right: claude, vote: 'right', createdAt: '2025-01-03' },
+      { left: gpt, right: gemini, vote: 'left', createdAt: '2025-01-02' },
+      { left: claude, right: gpt, vote: 'left', createdAt: '2025-01-01' },
+    ];
+
+    const stats = computePreferenceRatings(votes);
+    expect(stats.map((s) => s.model)).toEqual(['claude-sonnet-4', 'gpt-4o', 'gemini-2.5-pro']);
+    expect(stats.reduce((sum, s) => sum + s.rating, 0)).toBeCloseTo(INITIAL_RATING * 3, -1);
+  });
+
+  it('should skip votes between responses of the same model', () => {
+    expect(computePreferenceRatings([{ left: gpt, right: gpt, vote: 'left' }])).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+import type { TPreferenceVote, TModelPreferenceStats } from 'librechat-data-provider';
+
+/** Rating every model starts from */
+export const INITIAL_RATING = 1000;
+/** Maximum rating change of a single vote */
+export const RATING_K_FACTOR = 32;
+
+export type PreferenceModel = {
+  endpoint?: string;
+  model: string;
+};
+
+export type PreferenceVoteRecord = {
+  left: PreferenceModel;
+  right: PreferenceModel;
+  vote: TPreferenceVote;
+  createdAt?: Date | string;
+};
+
+/** Score of the left response for each vote; "both bad" rates both responses as equal */
+const leftScores: Record<TPreferenceVote, number> = {
+  left: 1,
+  right: 0,
+  tie: 0.5,
+  both_bad: 0.5,
+};
+
+const getModelKey = ({ endpoint, model }: PreferenceModel) => `${endpoint ?? ''}:${model}`;
+
+/**
+ * Computes win rates and Elo-style ratings per model from blind A/B votes.
+ * Votes are applied in chronological order; votes between responses of the same model are skipped.
+ *
+ * @param votes - The votes, with the models of both compared responses.
+ * @returns The stats of every model that was compared, highest rating first.
+ */
+export function computePreferenceRatings(votes: PreferenceVoteRecord[]): TModelPreferenceStats[] {
+  const stats = new Map<string, TModelPreferenceStats>();
+  const getStats = (model: PreferenceModel) => {
+    const key = getModelKey(model);
+    let modelStats = stats.get(key);
+    if (!modelStats) {
+      modelStats = {
+        endpoint: model.endpoint,
+        model: model.model,
+        rating: INITIAL_RATING,
+        comparisons: 0,
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        bothBad: 0,
+        winRate: 0,
+      };
+      stats.set(key, modelStats);
+    }
+    return modelStats;
+  };
+
+  const sorted = [...votes].sort(
+    (a, b) => new Date(a.createdAt ?? 0).getTime() - new Date(b.createdAt ?? 0).getTime(),
+  );
+
+  for (const { left, right, vote } of sorted) {
+    if (!left.model || !right.model || getModelKey(left) === getModelKey(right)) {
+      continue;
+    }
+
+    const leftStats = getStats(left);
+    const rightStats = getStats(right);
+    const leftScore = leftScores[vote];
+    const expected = 1 / (1 + 10 ** ((rightStats.rating - leftStats.rating) / 400));
+    const delta = RATING_K_FACTOR * (leftScore - expected);
+    leftStats.rating += delta;
+    rightStats.rating -= delta;
+
+    leftStats.comparisons++;
+    rightStats.comparisons++;
+    if (vote === 'left') {
+      leftStats.wins++;
+      rightStats.losses++;
+    } else if (vote === 'right') {
+      rightStats.wins++;
+      leftStats.losses++;
+    } else if (vote === 'tie') {
+      leftStats.ties++;
+      rightStats.ties++;
+    } else {
+      leftStats.bothBad++;
+      rightStats.bothBad++;
+    }
+  }
+
+  return [...stats.values()]
+    .map((modelStats) => ({
+      ...modelStats,
+      rating: Math.round(modelStats.rating),
+      winRate:
+        Math.round(
+          ((modelStats.wins + (modelStats.ties + modelStats.bothBad) / 2) /
+            modelStats.comparisons) *
+            1000,
+        ) / 1000,
+    }))
+    .sort((a, b) => b.rating - a.rating);
+}
@@ -0,0 +1,81 @@
+import { ContentTypes } from 'librechat-data-provider';
+import type { TMessageContentParts } from 'librechat-data-provider';
+import { createSearchSnippet, getSearchHitText } from './search';
+
+const highlighted = ({ text, matches }: { text: string; matches: Array<[number, number]> }) =>
+  matches.map(([start, end]) => text.slice(start, end));
+
+describe('createSearchSnippet', () => {
+  it('returns short texts whole, with the matches of each term', () => {
+    const snippet = createSearchSnippet({
+      messageId: 'msg-1',
+      text: 'We discussed the   database migration\nplan.',
+      query: 'Migration database',
+    });
+
+    expect(snippet).toEqual({
+      messageId: 'msg-1',
+      text: 'We discussed the database migration plan.',
+      matches: [
+        [17, 25],
+        [26, 35],
+      ],
+    });
+  });
+
+  it('crops long texts around the first match, at word boundaries', () => {
+    const before = 'lorem ipsum dolor sit amet '.repeat(20);
+    const after = ' consectetur adipiscing elit'.repeat(20);
+    const snippet = createSearchSnippet({
+      messageId: 'msg-1',
+      text: `${before}the migration${after}`,
+      query: 'migration',
+      length: 80,
+    });
+
+    expect(snippet?.text.startsWith('…')).toBe(true);
+    expect(snippet?.text.endsWith('…')).toBe(true);
+    expect(snippet?.text).toMatch(/^…(lorem|ipsum|dolor|sit|amet) /);
+    expect(highlighted(snippet!)).toEqual(['migration']);
+  });
+
+  it('starts at the beginning when nothing matches', () => {
+    const snippet = createSearchSnippet({
+      messageId: 'msg-1',
+      text: 'A conversation about the weather',
+      query: 'migrations',
+    });
+
+    expect(snippet).toEqual({
+      messageId: 'msg-1',
+      text: 'A conversation about the weather',
+      matches: [],
+    });
+  });
+
+  it('matches the query as text, not as a pattern', () => {
+    const snippet = createSearchSnippet({
+      messageId: 'msg-1',
+      text: 'Use a.b or (c) here',
+      query: 'a.b (c)',
+    });
+
+    expect(highlighted(snippet!)).toEqual(['a.b', '(c)']);
+  });
+
+  it('returns nothing for messages without text', () => {
+    expect(createSearchSnippet({ messageId: 'msg-1', text: '  ', query: 'x' })).toBeUndefined();
+  });
+});
+
+describe('getSearchHitText', () => {
+  it('uses the text of the message, or the text of its content', () => {
+    expect(getSearchHitText({ text: 'Hello' })).toBe('Hello');
+    const content = [
+      { type: ContentTypes.THINK, think: 'Reasoning' },
+      { type: ContentTypes.TEXT, text: 'Hello from content' },
+    ] as TMessageContentParts[];
+    expect(getSearchHitText({ text: '', content })).toBe('Hello from content');
+    expect(getSearchHitText({})).toBe('');
+  });
+});
@@ -0,0 +1,86 @@
+import { parseTextParts } from 'librechat-data-provider';
+import type { TMessageContentParts, TSearchSnippet } from 'librechat-data-provider';
+
+/** Default length of a snippet, in characters, excluding its ellipses */
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns the searchable text of a message search hit: its text, or the text of its content
+ * parts for messages with content.
+ *
+ * @param hit - The message, as returned by the search backend.
+ * @returns The text of the message.
+ */
+export function getSearchHitText(hit: {
+  text?: string | null;
+  content?: TMessageContentParts[] | null;
+}): string {
+  if (hit.text) {
+    return hit.text;
+  }
+  return Array.isArray(hit.content) ? parseTextParts(hit.content, true) : '';
+}
+
+/**
+ * Creates a snippet of a message around the first match of the terms of a search query,
+ * with the offsets of the matches so they can be highlighted.
+ *
+ * @param params
+ * @param params.messageId - The ID of the message.
+ * @param params.text - The text of the message.
+ * @param params.query - The search query.
+ * @param params.length - The maximum length of the snippet.
+ * @returns The snippet, or `undefined` when the message has no text.
+ */
+export function createSearchSnippet({
+  messageId,
+  text: rawText,
+  query,
+  length = SNIPPET_LENGTH,
+}: {
+  messageId: string;
+  text: string;
+  query: string;
+  length?: number;
+}): TSearchSnippet | undefined {
+  const text = rawText.replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return undefined;
+  }
+
+  const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))]
+    /* Longer terms first, so they are highlighted instead of the terms they contain */
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  const pattern = terms.length > 0 ? new RegExp(terms.join('|'), 'gi') : undefined;
+  const firstMatch = pattern ? text.search(pattern) : -1;
+
+  let start = 0;
+  if (firstMatch > length / 3) {
+    /* Show some context before the match, starting at a word */
+    start = firstMatch - Math.floor(length / 3);
+    const wordStart = text.indexOf(' ', start);
+    start = wordStart !== -1 && wordStart < firstMatch ? wordStart + 1 : start;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const wordEnd = text.lastIndexOf(' ', end);
+    end = wordEnd > start ? wordEnd : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const excerpt = text.slice(start, end);
+  const matches: Array<[number, number]> = [];
+  for (const match of pattern ? excerpt.matchAll(pattern) : []) {
+    const index = (match.index ?? 0) + prefix.length;
+    matches.push([index, index + match[0].length]);
+  }
+
+  return {
+    messageId,
+    text: `${prefix}${excerpt}${end < text.length ? '…' : ''}`,
+    matches,
+  };
+}
@@ -25,6 +25,11 @@ export const user = () => '/api/user';
 
 export const balance = () => '/api/balance';
 
+export const budgetStatus = () => '/api/balance/budgets';
+
+export const balanceTransactions = (params: Record<string, unknown>) =>
+  `/api/balance/transactions${buildQuery(params)}`;
+
 export const userPlugins = () => '/api/user/plugins';
 
 export const deleteUser = () => '/api/user/delete';
@@ -88,6 +93,8 @@ export const deleteAllConversation = () => `${conversationsRoot}/all`;
 
 export const importConversation = () => `${conversationsRoot}/import`;
 
+export const importJob = (jobId: string) => `${conversationsRoot}/import/jobs/${jobId}`;
+
 export const forkConversation = () => `${conversationsRoot}/fork`;
 
 export const duplicateConversation = () => `${conversationsRoot}/duplicate`;
@@ -281,6 +288,50 @@ export const banner = () => '/api/banner';
 export const feedback = (conversationId: string, messageId: string) =>
   `/api/messages/${conversationId}/${messageId}/feedback`;
 
+// Multi-LLM Responses
+export const promoteLLMResponse = (conversationId: string, messageId: string) =>
+  `/api/messages/${conversationId}/${messageId}/promote`;
+
+export const preferenceVote = (conversationId: string, messageId: string) =>
+  `/api/messages/${conversationId}/${messageId}/preference`;
+
+export const preferenceStats = () => '/api/admin/evaluations';
+
+export const usageReport = (params: Record<string, unknown>) =>
+  `/api/admin/usage${buildQuery(params)}`;
+
+export const adminBudgets = (budgetId = '') =>
+  `/api/admin/budgets${budgetId ? `/${budgetId}` : ''}`;
+
+export const adminBalance = (userId: string) => `/api/admin/balances/${userId}`;
+
+export const adminCreditAdjustments = (userId: string) =>
+  `/api/admin/balances/${userId}/adjustments`;
+
+export const adminCreditTransfers = () => '/api/admin/balances/transfers';
+
+export const adminMCPServers = (serverName = '') =>
+  `/api/admin/mcp/servers${serverName ? `/${encodeURIComponent(serverName)}` : ''}`;
+
+export const adminMCPServerTest = () => '/api/admin/mcp/test';
+
+/* MCP */
+export const mcpPrompts = () => '/api/mcp/prompts';
+
+export const mcpPrompt = (serverName: string, promptName: string) =>
+  `/api/mcp/${encodeURIComponent(serverName)}/prompts/${encodeURIComponent(promptName)}`;
+
+export const mcpSampling = (flowId: string) => `/api/mcp/sampling/${encodeURIComponent(flowId)}`;
+
+export const mcpElicitation = (flowId: string) =>
+  `/api/mcp/elicitation/${encodeURIComponent(flowId)}`;
+
+export const mcpResources = (serverName: string) =>
+  `/api/mcp/${encodeURIComponent(serverName)}/resources`;
+
+export const mcpResource = (serverName: string, uri: string) =>
+  `${mcpResources(serverName)}/read${buildQuery({ uri })}`;
+
 // Two-Factor Endpoints
 export const enableTwoFactor = () => '/api/auth/2fa/enable';
 export const verifyTwoFactor = () => '/api/auth/2fa/verify';
@@ -265,6 +265,31 @@ export const agentsEndpointSchema = baseEndpointSchema
 
 export type TAgentsEndpoint = z.infer<typeof agentsEndpointSchema>;
 
+/** Token prices, in USD per 1M tokens; cache prices default to the prompt price */
+export const tokenPricingSchema = z
+  .object({
+    prompt: z.number().nonnegative(),
+    completion: z.number().nonnegative(),
+    cacheWrite: z.number().nonnegative().optional(),
+    cacheRead: z.number().nonnegative().optional(),
+  })
+  .strict();
+
+export type TTokenPricing = z.infer<typeof tokenPricingSchema>;
+
+/**
+ * Pricing of a custom endpoint: models match by exact name, else by the longest name the model
+ * name includes, else use the default of the endpoint.
+ */
+export const endpointPricingSchema = z
+  .object({
+    default: tokenPricingSchema.optional(),
+    models: z.record(tokenPricingSchema).optional(),
+  })
+  .strict();
+
+export type TEndpointPricing = z.infer<typeof endpointPricingSchema>;
+
 export const endpointSchema = baseEndpointSchema.merge(
   z.object({
     name: z.string().refine((value) => !eModelEndpointSchema.safeParse(value).success, {
@@ -297,6 +322,7 @@ export const endpointSchema = baseEndpointSchema.merge(
     customOrder: z.number().optional(),
     directEndpoint: z.boolean().optional(),
     titleMessageRole: z.string().optional(),
+    pricing: endpointPricingSchema.optional(),
   }),
 );
 
@@ -532,6 +558,7 @@ export const intefaceSchema = z
 
 export type TInterfaceConfig = z.infer<typeof intefaceSchema>;
 export type TBalanceConfig = z.infer<typeof balanceSchema>;
+export type TBudgetsConfig = z.infer<typeof budgetsSchema>;
 
 export const turnstileOptionsSchema = z
   .object({
@@ -556,6 +583,7 @@ export type TStartupConfig = {
   interface?: TInterfaceConfig;
   turnstile?: TTurnstileConfig;
   balance?: TBalanceConfig;
+  budgetsEnabled?: boolean;
   discordLoginEnabled: boolean;
   facebookLoginEnabled: boolean;
   githubLoginEnabled: boolean;
@@ -587,6 +615,8 @@ export type TStartupConfig = {
   modelSpecs?: TSpecsConfig;
   sharedLinksEnabled: boolean;
   publicSharedLinksEnabled: boolean;
+  /** Whether the history can be searched by meaning */
+  semanticSearchEnabled?: boolean;
   analyticsGtmId?: string;
   instanceProjectId: string;
   bundlerURL?: string;
@@ -681,6 +711,14 @@ export const balanceSchema = z.object({
   refillAmount: z.number().optional().default(10000),
 });
 
+export const budgetsSchema = z.object({
+  enabled: z.boolean().optional().default(false),
+  /** Percentages of the monthly budgets at which users are warned, unless set by the budget */
+  warningThresholds: z.array(z.number().min(1).max(100)).optional().default([80]),
+  /** Whether the warnings are also sent by email, when email is configured */
+  emailWarnings: z.boolean().optional().default(true),
+});
+
 export const memorySchema = z.object({
   disabled: z.boolean().optional(),
   validKeys: z.array(z.string()).optional(),
@@ -730,6 +768,7 @@ export const configSchema = z.object({
     })
     .default({ socialLogins: defaultSocialLogins }),
   balance: balanceSchema.optional(),
+  budgets: budgetsSchema.optional(),
   speech: z
     .object({
       tts: ttsSchema.optional(),
@@ -1155,6 +1194,10 @@ export enum CacheKeys {
    * Key for individual MCP Tool Manifests.
    */
   MCP_TOOLS = 'mcp_tools',
+  /**
+   * Key for the MCP servers managed by admins, merged with the config.
+   */
+  MCP_SERVERS = 'mcpServers',
   /**
    * Key for pending chat requests (concurrency check)
    */
@@ -1185,6 +1228,10 @@ export enum ViolationTypes {
    * Token Limit Violation.
    */
   TOKEN_BALANCE = 'token_balance',
+  /**
+   * Monthly Spending Budget Violation (hard limit reached).
+   */
+  BUDGET_LIMIT = 'budget_limit',
   /**
    * An issued ban.
    */
@@ -1418,6 +1465,12 @@ export enum Constants {
   mcp_prefix = 'mcp_',
   /** Placeholder Agent ID for Ephemeral Agents */
   EPHEMERAL_AGENT_ID = 'ephemeral',
+  /** Max number of endpoint/model pairs in a single multi-LLM fan-out request */
+  MAX_FANOUT_TARGETS = 6,
+  /** Server Sent Event name carrying the per-model channels of a fan-out request */
+  FANOUT_EVENT = 'fanout',
+  /** Server Sent Event name of a request of an MCP server for a completion, to approve */
+  MCP_SAMPLING_EVENT = 'mcp_sampling',
 }
 
 export enum LocalStorageKeys {
@@ -1486,6 +1539,58 @@ export enum ForkOptions {
   DEFAULT = 'default',
 }
 
+/** Status of a conversation import job */
+export enum ImportJobStatus {
+  pending = 'pending',
+  running = 'running',
+  completed = 'completed',
+  failed = 'failed',
+}
+
+/** Who a spending budget applies to */
+export enum BudgetScope {
+  /** A single user */
+  user = 'user',
+  /** Each user with the role, individually */
+  role = 'role',
+  /** The members of the group, together, e.g. a department */
+  group = 'group',
+}
+
+/** Dimension by which the usage analytics aggregate the transactions */
+export enum UsageGroupBy {
+  user = 'user',
+  model = 'model',
+  /** From the conversation of the transactions */
+  endpoint = 'endpoint',
+  /** From the conversation of the transactions */
+  agent = 'agent',
+  day = 'day',
+  /** ISO week, e.g. `2025-W07` */
+  week = 'week',
+  month = 'month',
+}
+
+/** How an admin adjusts the credits of a user, recorded as the context of the transaction */
+export enum CreditAdjustmentType {
+  /** Adds credits */
+  grant = 'grant',
+  /** Sets the credits to an amount */
+  set = 'set',
+  /** Removes credits, down to zero */
+  revoke = 'revoke',
+  /** Moves credits from a user to another user or to the members of a group budget */
+  transfer = 'transfer',
+}
+
+/** How the conversation history is searched */
+export enum SearchMode {
+  /** Matches the words of the query */
+  keyword = 'keyword',
+  /** Matches the meaning of the query, with the embeddings of the RAG API */
+  semantic = 'semantic',
+}
+
 /**
  * Enum for Cohere related constants
  */
@@ -13,6 +13,8 @@ export default function createPayload(submission: t.TSubmission) {
     editedContent,
     ephemeralAgent,
     endpointOption,
+    fanOutTargets,
+    mcpResources,
   } = submission;
   const { conversationId } = s.tConvoUpdateSchema.parse(conversation);
   const { endpoint: _e, endpointType } = endpointOption as {
@@ -21,11 +23,14 @@ export default function createPayload(submission: t.TSubmission) {
   };
 
   const endpoint = _e as s.EModelEndpoint;
+  const isFanOut = !s.isAssistantsEndpoint(endpoint) && (fanOutTargets?.length ?? 0) > 1;
   let server = `${EndpointURLs[s.EModelEndpoint.agents]}/${endpoint}`;
   if (s.isAssistantsEndpoint(endpoint)) {
     server =
       EndpointURLs[(endpointType ?? endpoint) as 'assistants' | 'azureAssistants'] +
       (isEdited ? '/modify' : '');
+  } else if (isFanOut) {
+    server = `${EndpointURLs[s.EModelEndpoint.agents]}/fanout`;
   }
 
   const payload: t.TPayload = {
@@ -40,5 +45,13 @@ export default function createPayload(submission: t.TSubmission) {
     ephemeralAgent: s.isAssistantsEndpoint(endpoint) ? undefined : ephemeralAgent,
   };
 
+  if (!s.isAssistantsEndpoint(endpoint) && mcpResources?.length) {
+    payload.mcpResources = mcpResources;
+  }
+
+  if (isFanOut) {
+    payload.targets = fanOutTargets;
+  }
+
   return { server, payload };
 }
@@ -90,6 +90,16 @@ export function getUserBalance(): Promise<t.TBalanceResponse> {
   return request.get(endpoints.balance());
 }
 
+export function getBudgetStatus(): Promise<t.TBudgetStatusResponse> {
+  return request.get(endpoints.budgetStatus());
+}
+
+export function listTransactions(
+  params: t.TTransactionsListParams,
+): Promise<t.TTransactionsListResponse> {
+  return request.get(endpoints.balanceTransactions(params));
+}
+
 export const updateTokenCount = (text: string) => {
   return request.post(endpoints.tokenizer(), { arg: text });
 };
@@ -484,6 +494,10 @@ export const importConversationsFile = (data: FormData): Promise<t.TImportRespon
   return request.postMultiPart(endpoints.importConversation(), data);
 };
 
+export const getImportJob = (jobId: string): Promise<t.TImportJob> => {
+  return request.get(endpoints.importJob(jobId));
+};
+
 export const uploadAvatar = (data: FormData): Promise<f.AvatarUploadResponse> => {
   return request.postMultiPart(endpoints.avatar(), data);
 };
@@ -780,6 +794,126 @@ export function updateFeedback(
   return request.put(endpoints.feedback(conversationId, messageId), payload);
 }
 
+export function promoteLLMResponse({
+  conversationId,
+  messageId,
+}: t.TPromoteLLMResponseRequest): Promise<t.TPromoteLLMResponseResponse> {
+  return request.post(endpoints.promoteLLMResponse(conversationId, messageId));
+}
+
+export function voteLLMResponses({
+  conversationId,
+  messageId,
+  ...preference
+}: t.TPreferenceVoteRequest): Promise<t.TPreferenceVoteResponse> {
+  return request.put(endpoints.preferenceVote(conversationId, messageId), preference);
+}
+
+export function getPreferenceStats(): Promise<t.TPreferenceStatsResponse> {
+  return request.get(endpoints.preferenceStats());
+}
+
+export function getUsageReport(params: t.TUsageReportParams): Promise<t.TUsageReport> {
+  return request.get(endpoints.usageReport(params));
+}
+
+/** Returns the usage report as CSV */
+export function exportUsageReport(params: t.TUsageReportParams): Promise<string> {
+  return request.get(endpoints.usageReport({ ...params, format: 'csv' }), {
+    responseType: 'text',
+  });
+}
+
+export function getBudgets(): Promise<t.TBudget[]> {
+  return request.get(endpoints.adminBudgets());
+}
+
+export function createBudget(payload: t.TBudgetPayload): Promise<t.TBudget> {
+  return request.post(endpoints.adminBudgets(), payload);
+}
+
+export function updateBudget(
+  budgetId: string,
+  payload: Partial<t.TBudgetPayload>,
+): Promise<t.TBudget> {
+  return request.patch(endpoints.adminBudgets(budgetId), payload);
+}
+
+export function deleteBudget(budgetId: string): Promise<void> {
+  return request.delete(endpoints.adminBudgets(budgetId));
+}
+
+export function getMCPServers(): Promise<t.TMCPServer[]> {
+  return request.get(endpoints.adminMCPServers());
+}
+
+export function createMCPServer(payload: t.TMCPServerPayload): Promise<t.TMCPServer> {
+  return request.post(endpoints.adminMCPServers(), payload);
+}
+
+export function updateMCPServer(
+  serverName: string,
+  payload: Partial<Omit<t.TMCPServerPayload, 'name'>>,
+): Promise<t.TMCPServer> {
+  return request.patch(endpoints.adminMCPServers(serverName), payload);
+}
+
+export function deleteMCPServer(serverName: string): Promise<void> {
+  return request.delete(endpoints.adminMCPServers(serverName));
+}
+
+export function testMCPServer(payload: t.TMCPServerPayload): Promise<t.TMCPServerTestResult> {
+  return request.post(endpoints.adminMCPServerTest(), payload);
+}
+
+export function getMCPPrompts(): Promise<t.TMCPPrompt[]> {
+  return request.get(endpoints.mcpPrompts());
+}
+
+export function getMCPPrompt(
+  serverName: string,
+  promptName: string,
+  args: Record<string, string>,
+): Promise<t.TMCPRenderedPrompt> {
+  return request.post(endpoints.mcpPrompt(serverName, promptName), { arguments: args });
+}
+
+export function getMCPResources(serverName: string): Promise<t.TMCPResource[]> {
+  return request.get(endpoints.mcpResources(serverName));
+}
+
+export function getMCPResource(serverName: string, uri: string): Promise<t.TMCPResourceContents> {
+  return request.get(endpoints.mcpResource(serverName, uri));
+}
+
+export function respondToMCPSampling(flowId: string, approved: boolean): Promise<void> {
+  return request.post(endpoints.mcpSampling(flowId), { approved });
+}
+
+export function respondToMCPElicitation(
+  flowId: string,
+  response: ag.TMCPElicitationResponse,
+): Promise<void> {
+  return request.post(endpoints.mcpElicitation(flowId), response);
+}
+
+export function getUserCredits(userId: string): Promise<t.TCreditBalance> {
+  return request.get(endpoints.adminBalance(userId));
+}
+
+export function adjustUserCredits(
+  userId: string,
+  payload: t.TCreditAdjustmentPayload,
+): Promise<t.TCreditAdjustmentResponse> {
+  return request.post(endpoints.adminCreditAdjustments(userId), payload);
+}
+
+export function transferCredits(
+  payload: t.TCreditTransferPayload,
+): Promise<t.TCreditAdjustmentResponse> {
+  return request.post(endpoints.adminCreditTransfers(), payload);
+}
+
 // 2FA
 export function enableTwoFactor(): Promise<t.TEnable2FAResponse> {
   return request.get(endpoints.enableTwoFactor());
@@ -139,3 +139,35 @@ export function getTagByKey(key: TFeedbackTagKey | undefined): TFeedbackTag | un
   }
   return FEEDBACK_TAGS.find((tag) => tag.key === key);
 }
+
+/** Outcomes of a blind comparison between two responses of a multi-LLM turn */
+export const PREFERENCE_VOTES = ['left', 'right', 'tie', 'both_bad'] as const;
+
+export type TPreferenceVote = (typeof PREFERENCE_VOTES)[number];
+
+export const preferenceVoteSchema = z.enum(PREFERENCE_VOTES);
+
+/** A vote between two `llmResponses` of a message, referenced by their `messageId` */
+export const preferenceSchema = z.object({
+  left: z.string().min(1),
+  right: z.string().min(1),
+  vote: preferenceVoteSchema,
+});
+
+export type TPreference = z.infer<typeof preferenceSchema> & {
+  createdAt?: string;
+};
+
+export type TModelPreferenceStats = {
+  endpoint?: string;
+  model: string;
+  /** Elo-style rating, starting at 1000 */
+  rating: number;
+  comparisons: number;
+  wins: number;
+  losses: number;
+  ties: number;
+  bothBad: number;
+  /** Share of comparisons won, ties and "both bad" votes counting as half a win */
+  winRate: number;
+};
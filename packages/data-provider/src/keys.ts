@@ -4,6 +4,7 @@ export enum QueryKeys {
   sharedLinks = 'sharedLinks',
   allConversations = 'allConversations',
   archivedConversations = 'archivedConversations',
+  importJob = 'importJob',
   searchConversations = 'searchConversations',
   conversation = 'conversation',
   searchEnabled = 'searchEnabled',
@@ -11,6 +12,10 @@ export enum QueryKeys {
   name = 'name', // user key name
   models = 'models',
   balance = 'balance',
+  budgetStatus = 'budgetStatus',
+  transactions = 'transactions',
+  usageReport = 'usageReport',
+  mcpServers = 'mcpServers',
   endpoints = 'endpoints',
   presets = 'presets',
   searchResults = 'searchResults',
@@ -25,6 +30,8 @@ export enum QueryKeys {
   files = 'files',
   fileConfig = 'fileConfig',
   tools = 'tools',
+  mcpPrompts = 'mcpPrompts',
+  mcpResources = 'mcpResources',
   toolAuth = 'toolAuth',
   toolCalls = 'toolCalls',
   agentTools = 'agentTools',
@@ -38,6 +38,21 @@ const BaseOptionsSchema = z.object({
       token_exchange_method: z.nativeEnum(TokenExchangeMethodEnum).optional(),
     })
     .optional(),
+  /**
+   * Completions requested by the server (`sampling/createMessage`), approved by the user:
+   * - Default: uses the endpoint and model of the conversation calling the server's tool
+   * - `endpoint`/`model`: use a dedicated endpoint and model instead
+   * - `disabled`: rejects the requests of the server
+   */
+  sampling: z
+    .object({
+      disabled: z.boolean().optional(),
+      endpoint: z.string().optional(),
+      model: z.string().optional(),
+      /** Maximum number of tokens of a completion, below the one requested by the server */
+      maxTokens: z.number().int().positive().optional(),
+    })
+    .optional(),
   customUserVars: z
     .record(
       z.string(),
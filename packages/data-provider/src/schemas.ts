@@ -1,7 +1,7 @@
 import { z } from 'zod';
 import { Tools } from './types/assistants';
 import type { TMessageContentParts, FunctionTool, FunctionToolCall } from './types/assistants';
-import { TFeedback, feedbackSchema } from './feedback';
+import { TFeedback, TPreference, TMinimalFeedback, feedbackSchema } from './feedback';
 import type { SearchResultData } from './types/web';
 import type { TFile } from './types/files';
 
@@ -551,6 +551,44 @@ export type TAttachment =
       expiresAt: number;
     } & TAttachmentMetadata);
 
+/** Speed and cost of a single response of a multi-LLM turn */
+export type TLLMResponseMetrics = {
+  /** Milliseconds from the request to the first streamed token */
+  timeToFirstToken?: number;
+  /** Milliseconds from the request to the complete response */
+  latency?: number;
+  promptTokens?: number;
+  completionTokens?: number;
+  /** Token credits spent, using the transaction multipliers (1,000,000 credits = 1 USD) */
+  tokenValue?: number;
+};
+
+/** Response of a single endpoint/model pair within a multi-LLM (fan-out) turn */
+export type TLLMResponse = {
+  /** Stable ID of the response; the first response shares the ID of its message */
+  messageId?: string;
+  endpoint?: string;
+  model?: string | null;
+  sender?: string;
+  iconURL?: string | null;
+  text?: string;
+  content?: TMessageContentParts[];
+  tokenCount?: number;
+  finish_reason?: string;
+  unfinished?: boolean;
+  error?: boolean;
+  feedback?: TMinimalFeedback;
+  metrics?: TLLMResponseMetrics;
+  /** Earlier attempts of the response, oldest first, kept when it is regenerated */
+  versions?: TLLMResponseVersion[];
+};
+
+/** Earlier attempt of a regenerated response of a multi-LLM turn */
+export type TLLMResponseVersion = Omit<TLLMResponse, 'messageId' | 'versions'>;
+
+/** Response of a multi-LLM turn that a synthesized message was merged from */
+export type TSynthesisSource = Pick<TLLMResponse, 'messageId' | 'endpoint' | 'model' | 'sender'>;
+
 export type TMessage = z.input<typeof tMessageSchema> & {
   children?: TMessage[];
   plugin?: TResPlugin | null;
@@ -563,6 +601,11 @@ export type TMessage = z.input<typeof tMessageSchema> & {
   clientTimestamp?: string;
   feedback?: TFeedback;
   multiLLMSiblings?: TMessage[];
+  llmResponses?: TLLMResponse[];
+  /** Blind A/B votes between the `llmResponses` of the message */
+  preferences?: TPreference[];
+  /** The `llmResponses` of the parent message that this message was synthesized from */
+  synthesizedFrom?: TSynthesisSource[];
 };
 
 export const coerceNumber = z.union([z.number(), z.string()]).transform((val) => {
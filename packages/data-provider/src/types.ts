@@ -11,7 +11,9 @@ import type {
   TAttachment,
 } from './schemas';
 import type { SettingDefinition } from './generate';
-import type { TMinimalFeedback } from './feedback';
+import type { MCPOptions } from './mcp';
+import type { BudgetScope, CreditAdjustmentType, ImportJobStatus, UsageGroupBy } from './config';
+import type { TPreference, TMinimalFeedback, TModelPreferenceStats } from './feedback';
 import type { Agent } from './types/assistants';
 
 export type TOpenAIMessage = OpenAI.Chat.ChatCompletionMessageParam;
@@ -115,8 +117,39 @@ export type TPayload = Partial<TMessage> &
       text: string;
       type: 'text' | 'think';
     } | null;
+    targets?: TFanOutTarget[];
+    mcpResources?: TMCPResourceRef[];
   };
 
+/** Endpoint/model pair receiving the user message in a multi-LLM fan-out request */
+export type TFanOutTarget = Pick<TConversation, 'endpoint' | 'endpointType' | 'model'> &
+  Partial<Pick<TConversation, 'agent_id' | 'spec' | 'iconURL' | 'modelLabel'>>;
+
+/** Event streamed on a fan-out channel, wrapping the target's own Server Sent Event */
+export type TFanOutEvent = {
+  channel: number;
+  event: string;
+  data: unknown;
+};
+
+/** Request to merge the `llmResponses` of a multi-LLM message into one answer with a judge model */
+export type TSynthesizeRequest = TFanOutTarget & {
+  conversationId: string;
+  /** ID of the multi-LLM message */
+  messageId: string;
+};
+
+/** Request to regenerate a single response of a multi-LLM message, keeping the previous attempt */
+export type TRegenerateLLMResponseRequest = {
+  conversationId: string;
+  /** ID of the multi-LLM message */
+  messageId: string;
+  /** ID of the response to regenerate */
+  responseId: string;
+  /** Endpoint/model to regenerate with; defaults to those of the response */
+  target?: TFanOutTarget;
+};
+
 export type TSubmission = {
   plugin?: TResPlugin;
   plugins?: TResPlugin[];
@@ -136,6 +169,10 @@ export type TSubmission = {
     text: string;
     type: 'text' | 'think';
   } | null;
+  /** When set, the message is sent to every target in a single fan-out request */
+  fanOutTargets?: TFanOutTarget[];
+  /** MCP resources attached as context to the message */
+  mcpResources?: TMCPResourceRef[];
 };
 
 export type EventSubmission = Omit<TSubmission, 'initialResponse'> & { initialResponse: TMessage };
@@ -311,6 +348,16 @@ export type TForkConvoResponse = {
   messages: TMessage[];
 };
 
+export type TPromoteLLMResponseRequest = {
+  conversationId: string;
+  messageId: string;
+};
+
+export type TPromoteLLMResponseResponse = {
+  message: TMessage;
+  conversation: TConversation;
+};
+
 export type TSearchResults = {
   conversations: TConversation[];
   messages: TMessage[];
@@ -473,6 +520,26 @@ export type TImportResponse = {
    * The message associated with the response.
    */
   message: string;
+  /** ID of the import job, polled for its progress */
+  jobId?: string;
+};
+
+/** Progress of a conversation import, processed in the background */
+export type TImportJob = {
+  jobId: string;
+  status: ImportJobStatus;
+  filename?: string;
+  /** Number of conversations (or top-level items of the file) processed so far */
+  processed: number;
+  /** Number of conversations imported so far */
+  imported: number;
+  /** Number of conversations that could not be imported */
+  failed: number;
+  /** Share of the file read so far, from 0 to 100 */
+  progress: number;
+  error?: string;
+  createdAt?: string;
+  updatedAt?: string;
 };
 
 /** Prompts */
@@ -617,6 +684,22 @@ export type TUpdateFeedbackRequest = {
   feedback?: TMinimalFeedback;
 };
 
+export type TPreferenceVoteRequest = TPreference & {
+  conversationId: string;
+  messageId: string;
+};
+
+export type TPreferenceVoteResponse = {
+  messageId: string;
+  conversationId: string;
+  preferences: TPreference[];
+};
+
+export type TPreferenceStatsResponse = {
+  totalVotes: number;
+  models: TModelPreferenceStats[];
+};
+
 export type TUpdateFeedbackResponse = {
   messageId: string;
   conversationId: string;
@@ -632,3 +715,234 @@ export type TBalanceResponse = {
   lastRefill?: Date;
   refillAmount?: number;
 };
+
+/** Monthly spending budget, in USD, managed by admins */
+export type TBudget = {
+  budgetId: string;
+  name: string;
+  scope: BudgetScope;
+  /** ID of the user, for user budgets */
+  user?: string;
+  /** Name of the role, for role budgets */
+  role?: string;
+  /** IDs of the members, for group budgets */
+  members?: string[];
+  /** Spending allowed per calendar month (UTC), in USD */
+  limit: number;
+  /** Percentages of the limit at which users are warned, instead of the configured ones */
+  warningThresholds?: number[];
+  /** Whether requests are denied once the limit is reached, rather than only warned about */
+  hardLimit: boolean;
+  enabled: boolean;
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type TBudgetPayload = Omit<TBudget, 'budgetId' | 'createdAt' | 'updatedAt'>;
+
+/** Spending of the current month against a budget applying to the user */
+export type TBudgetStatus = {
+  budgetId: string;
+  name: string;
+  scope: BudgetScope;
+  limit: number;
+  /** Spending of the current month, in USD; of all members for group budgets */
+  spent: number;
+  /** Share of the limit spent, in percent */
+  percentage: number;
+  /** Highest warning threshold reached, if any */
+  warningThreshold?: number;
+  hardLimit: boolean;
+  exceeded: boolean;
+  /** Start of the next month, when the spending resets */
+  resetsAt: string;
+};
+
+export type TBudgetStatusResponse = {
+  budgets: TBudgetStatus[];
+};
+
+export type TTransactionsListParams = {
+  /** ID of the last transaction of the previous page */
+  cursor?: string | null;
+  pageSize?: number;
+};
+
+/** A transaction of the user; token amounts and values are negative for spending */
+export type TTransactionItem = {
+  transactionId: string;
+  tokenType: 'prompt' | 'completion' | 'credits' | 'adjustment';
+  /** e.g. `message`, `title`, `autoRefill`, or the `CreditAdjustmentType` of adjustments */
+  context?: string;
+  /** Why an admin adjusted the credits */
+  reason?: string;
+  /** The other user of a credit transfer */
+  counterparty?: string;
+  /** The group budget among the members of which the credits of a transfer were split */
+  counterpartyBudget?: string;
+  model?: string;
+  conversationId?: string;
+  conversationTitle?: string;
+  rawAmount?: number;
+  /** Token credits, 1,000,000 being 1 USD */
+  tokenValue?: number;
+  rate?: number;
+  /** Uncached prompt tokens of structured transactions */
+  inputTokens?: number;
+  /** Prompt tokens written to the cache */
+  writeTokens?: number;
+  /** Prompt tokens read from the cache */
+  readTokens?: number;
+  createdAt: string;
+};
+
+export type TTransactionsListResponse = {
+  transactions: TTransactionItem[];
+  nextCursor: string | null;
+};
+
+export type TCreditAdjustmentPayload = {
+  type: CreditAdjustmentType.grant | CreditAdjustmentType.set | CreditAdjustmentType.revoke;
+  /** Token credits, 1,000,000 being 1 USD */
+  amount: number;
+  reason: string;
+};
+
+export type TCreditTransferPayload = {
+  /** The user to take the credits from */
+  from: string;
+  /** The user to give the credits to */
+  to?: string;
+  /** The group budget among the members of which the credits are split evenly, instead of `to` */
+  budgetId?: string;
+  /** Token credits, 1,000,000 being 1 USD */
+  amount: number;
+  reason: string;
+};
+
+export type TCreditBalance = {
+  user: string;
+  tokenCredits: number;
+};
+
+export type TCreditAdjustmentResponse = {
+  /** The balances after the adjustment, of all the users it changed */
+  balances: TCreditBalance[];
+};
+
+/** A prompt advertised by a connected MCP server */
+export type TMCPPrompt = {
+  serverName: string;
+  name: string;
+  description?: string;
+  arguments?: Array<{ name: string; description?: string; required?: boolean }>;
+};
+
+export type TMCPPromptMessage = {
+  role: 'user' | 'assistant';
+  content: string;
+};
+
+/** An MCP prompt rendered with its arguments */
+export type TMCPRenderedPrompt = {
+  serverName: string;
+  name: string;
+  description?: string;
+  messages: TMCPPromptMessage[];
+};
+
+export type TMCPResource = {
+  serverName: string;
+  uri: string;
+  name: string;
+  description?: string;
+  mimeType?: string;
+};
+
+/** An MCP resource attached as context to the next message, read when the message is sent */
+export type TMCPResourceRef = Pick<TMCPResource, 'serverName' | 'uri' | 'name'>;
+
+export type TMCPResourceContents = {
+  serverName: string;
+  uri: string;
+  contents: Array<{ uri: string; mimeType?: string; text: string }>;
+};
+
+/** MCP server of the YAML config or managed by admins, with the health of its connection */
+export type TMCPServer = {
+  name: string;
+  config: MCPOptions;
+  enabled: boolean;
+  /** Whether the server is defined in the YAML config, or managed by admins in the database */
+  source: 'yaml' | 'database';
+  /** Whether the server managed by admins replaces a server of the YAML config */
+  overridesYaml?: boolean;
+  status: {
+    connectionState: 'disconnected' | 'connecting' | 'connected' | 'error';
+    toolCount?: number;
+    lastError?: string;
+  };
+  updatedAt?: string;
+};
+
+export type TMCPServerPayload = {
+  name: string;
+  config: MCPOptions;
+  enabled?: boolean;
+};
+
+export type TMCPServerTestResult = {
+  success: boolean;
+  /** Names of the tools of the server */
+  tools: string[];
+  error?: string;
+};
+
+/** Request of an MCP server for a completion, awaiting the approval of the user */
+export type TMCPSamplingRequest = {
+  flowId: string;
+  serverName: string;
+  endpoint: string;
+  model: string;
+  systemPrompt?: string;
+  messages: Array<{ role: 'user' | 'assistant'; text: string }>;
+  maxTokens: number;
+};
+
+export type TUsageReportParams = {
+  groupBy: UsageGroupBy;
+  /** ISO date of the start of the range, inclusive */
+  startDate?: string;
+  /** ISO date of the end of the range, exclusive */
+  endDate?: string;
+  /** Restricts the report to a user */
+  user?: string;
+};
+
+/** Usage of a group of transactions, the costs being in USD */
+export type TUsageRow = {
+  /** The user ID, model, endpoint, agent ID or period; empty when unknown */
+  key: string;
+  /** Name of the user or agent, when grouping by them */
+  label?: string;
+  /** Email of the user, when grouping by user */
+  email?: string;
+  promptTokens: number;
+  completionTokens: number;
+  /** Prompt tokens written to the cache, included in `promptTokens` */
+  cacheWriteTokens: number;
+  /** Prompt tokens read from the cache, included in `promptTokens` */
+  cacheReadTokens: number;
+  promptCost: number;
+  completionCost: number;
+  cost: number;
+  transactions: number;
+};
+
+export type TUsageReport = {
+  groupBy: UsageGroupBy;
+  startDate: string;
+  endDate: string;
+  rows: TUsageRow[];
+  totals: Omit<TUsageRow, 'key' | 'label' | 'email'>;
+};
@@ -66,6 +66,8 @@ export namespace Agents {
     auth?: string;
     /** Expiration time */
     expires_at?: number;
+    /** Question of the MCP server awaiting the answer of the user */
+    elicitation?: TMCPElicitation;
   };
 
   export type ToolEndEvent = {
@@ -201,6 +203,7 @@ export namespace Agents {
     tool_calls?: ToolCallChunk[];
     auth?: string;
     expires_at?: number;
+    elicitation?: TMCPElicitation;
   };
   export type AgentToolCall = FunctionToolCall | ToolCall;
   export interface ExtendedMessageContent {
@@ -349,6 +352,43 @@ export type MCPMetadata = Omit<ActionMetadata, 'auth'> & {
 
 export type MCPAuth = ActionAuth;
 
+/** A field of the form requested by an MCP server through elicitation */
+export type TMCPElicitationField =
+  | { type: 'boolean'; title?: string; description?: string; default?: boolean }
+  | {
+      type: 'string';
+      title?: string;
+      description?: string;
+      minLength?: number;
+      maxLength?: number;
+      format?: 'email' | 'uri' | 'date' | 'date-time';
+    }
+  | { type: 'string'; title?: string; description?: string; enum: string[]; enumNames?: string[] }
+  | {
+      type: 'number' | 'integer';
+      title?: string;
+      description?: string;
+      minimum?: number;
+      maximum?: number;
+    };
+
+/** Structured question asked by an MCP server to the user during a tool call */
+export type TMCPElicitation = {
+  flowId: string;
+  serverName: string;
+  message: string;
+  requestedSchema: {
+    type: 'object';
+    properties: Record<string, TMCPElicitationField>;
+    required?: string[];
+  };
+};
+
+export type TMCPElicitationResponse = {
+  action: 'accept' | 'reject' | 'cancel';
+  content?: Record<string, string | number | boolean>;
+};
+
 export type AgentToolType = {
   tool_id: string;
   metadata: ToolMetadata;
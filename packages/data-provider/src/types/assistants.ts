@@ -1,7 +1,7 @@
 import type { OpenAPIV3 } from 'openapi-types';
 import type { AssistantsEndpoint, AgentProvider } from 'src/schemas';
 import type { ContentTypes } from './runs';
-import type { Agents } from './agents';
+import type { Agents, TMCPElicitation } from './agents';
 import type { TFile } from './files';
 import { ArtifactModes } from 'src/artifacts';
 
@@ -435,6 +435,7 @@ export type PartMetadata = {
   action?: boolean;
   auth?: string;
   expires_at?: number;
+  elicitation?: TMCPElicitation;
 };
 
 export type ContentPart = (
@@ -195,6 +195,16 @@ export type DuplicateConvoOptions = MutationOptions<
 
 export type ForkConvoOptions = MutationOptions<types.TForkConvoResponse, types.TForkConvoRequest>;
 
+export type PromoteLLMResponseOptions = MutationOptions<
+  types.TPromoteLLMResponseResponse,
+  types.TPromoteLLMResponseRequest
+>;
+
+export type PreferenceVoteOptions = MutationOptions<
+  types.TPreferenceVoteResponse,
+  types.TPreferenceVoteRequest
+>;
+
 export type CreateSharedLinkOptions = MutationOptions<
   types.TSharedLink,
   Partial<types.TSharedLink>
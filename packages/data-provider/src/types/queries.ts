@@ -2,6 +2,7 @@ import type { InfiniteData } from '@tanstack/react-query';
 import type * as a from '../types/agents';
 import type * as s from '../schemas';
 import type * as t from '../types';
+import type { SearchMode } from '../config';
 
 export type Conversation = {
   id: string;
@@ -11,19 +12,45 @@ export type Conversation = {
   conversations: s.TConversation[];
 };
 
-export type ConversationListParams = {
+/** Filters of the conversation list, combined with its text `search` */
+export type ConversationSearchFilters = {
+  endpoint?: string;
+  model?: string;
+  agent_id?: string;
+  /** Only conversations created on or after this date (ISO 8601) */
+  startDate?: string;
+  /** Only conversations created on or before this date (ISO 8601) */
+  endDate?: string;
+  hasFiles?: boolean;
+  hasArtifacts?: boolean;
+  /** Temporary chats are only listed when true */
+  isTemporary?: boolean;
+};
+
+export type ConversationListParams = ConversationSearchFilters & {
   cursor?: string;
   isArchived?: boolean;
   sortBy?: 'title' | 'createdAt' | 'updatedAt';
   sortDirection?: 'asc' | 'desc';
   tags?: string[];
   search?: string;
+  searchMode?: SearchMode;
+};
+
+/** Excerpt of the message of a conversation matching the text `search` */
+export type TSearchSnippet = {
+  messageId: string;
+  text: string;
+  /** Start and end offsets of the matched terms in `text` */
+  matches: Array<[number, number]>;
 };
 
 export type MinimalConversation = Pick<
   s.TConversation,
   'conversationId' | 'endpoint' | 'title' | 'createdAt' | 'updatedAt' | 'user'
->;
+> & {
+  snippet?: TSearchSnippet;
+};
 
 export type ConversationListResponse = {
   conversations: MinimalConversation[];
@@ -45,6 +72,7 @@ export type MessagesListParams = {
   conversationId?: string;
   messageId?: string;
   search?: string;
+  searchMode?: SearchMode;
 };
 
 export type MessagesListResponse = {
@@ -1,6 +1,7 @@
 export * from './crypto';
 export * from './schema';
 export { createModels } from './models';
+export { getSearchBackend } from './models/plugins/mongoSearch';
 export { createMethods } from './methods';
 export type * from './types';
 export type * from './methods';
@@ -462,6 +462,7 @@ describe('Share Methods', () => {
         'search term',
       );
 
+      expect(Conversation.meiliSearch).toHaveBeenCalledWith('search term', { user: userId });
       expect(result.links).toHaveLength(1);
       expect(result.links[0].title).toBe('Matching Share');
     });
@@ -1012,6 +1013,60 @@ describe('Share Methods', () => {
       expect(result?.messages[1].conversationId).toBe(result?.conversationId);
     });
 
+    test('should anonymize multi-LLM responses and the messages synthesized from them', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      const conversationId = `conv_${nanoid()}`;
+      const shareId = `share_${nanoid()}`;
+      const responseId = `msg_${nanoid()}`;
+      const siblingId = `msg_${nanoid()}`;
+
+      const messages = await Message.create([
+        {
+          messageId: responseId,
+          conversationId,
+          user: userId,
+          text: 'Answer A',
+          isCreatedByUser: false,
+          parentMessageId: Constants.NO_PARENT,
+          llmResponses: [
+            { messageId: responseId, model: 'gpt-4o', text: 'Answer A' },
+            { messageId: siblingId, model: 'claude-sonnet-4', text: 'Answer B' },
+          ],
+          preferences: [{ left: responseId, right: siblingId, vote: 'left' }],
+        },
+        {
+          messageId: `msg_${nanoid()}`,
+          conversationId,
+          user: userId,
+          text: 'Merged answer',
+          isCreatedByUser: false,
+          parentMessageId: responseId,
+          synthesizedFrom: [
+            { messageId: responseId, model: 'gpt-4o' },
+            { messageId: siblingId, model: 'claude-sonnet-4' },
+          ],
+        },
+      ]);
+
+      await SharedLink.create({
+        shareId,
+        conversationId,
+        user: userId,
+        messages: messages.map((m) => m._id),
+        isPublic: true,
+      });
+
+      const result = await shareMethods.getSharedMessages(shareId);
+      const [fanOut, synthesis] = result?.messages ?? [];
+      const responseIds = fanOut.llmResponses?.map((response) => response.messageId);
+
+      expect(responseIds?.[0]).toBe(fanOut.messageId);
+      expect(responseIds).not.toContain(siblingId);
+      expect(fanOut.llmResponses?.[1].text).toBe('Answer B');
+      expect(fanOut.preferences).toBeUndefined();
+      expect(synthesis.synthesizedFrom?.map((source) => source.messageId)).toEqual(responseIds);
+    });
+
     test('should handle NO_PARENT constant correctly', async () => {
       const { Constants } = await import('librechat-data-provider');
       const userId = new mongoose.Types.ObjectId().toString();
@@ -67,6 +67,20 @@ function anonymizeMessages(messages: t.IMessage[], newConvoId: string): t.IMessa
       },
     );
 
+    // Multi-LLM responses are shared read-only: their IDs are anonymized, their blind votes dropped
+    const anonymizedResponses = message.llmResponses?.map((response, index) => {
+      const responseId = index === 0 ? newMessageId : anonymizeMessageId(response.messageId ?? '');
+      if (response.messageId && index > 0) {
+        idMap.set(response.messageId, responseId);
+      }
+      return { ...response, messageId: responseId };
+    });
+
+    const anonymizedSources = message.synthesizedFrom?.map((source) => ({
+      ...source,
+      messageId: idMap.get(source.messageId ?? '') ?? anonymizeMessageId(source.messageId ?? ''),
+    }));
+
     return {
       ...message,
       messageId: newMessageId,
@@ -78,6 +92,9 @@ function anonymizeMessages(messages: t.IMessage[], newConvoId: string): t.IMessa
         ? anonymizeAssistantId(message.model)
         : message.model,
       attachments: anonymizedAttachments,
+      llmResponses: anonymizedResponses,
+      synthesizedFrom: anonymizedSources,
+      preferences: undefined,
     } as t.IMessage;
   });
 }
@@ -150,7 +167,7 @@ export function createShareMethods(mongoose: typeof import('mongoose')) {
 
       if (search && search.trim()) {
         try {
-          const searchResults = await Conversation.meiliSearch(search);
+          const searchResults = await Conversation.meiliSearch(search, { user });
 
           if (!searchResults?.hits?.length) {
             return {
@@ -0,0 +1,6 @@
+import budgetSchema from '~/schema/budget';
+import type { IBudget } from '~/types/budget';
+
+export function createBudgetModel(mongoose: typeof import('mongoose')) {
+  return mongoose.models.Budget || mongoose.model<IBudget>('Budget', budgetSchema);
+}
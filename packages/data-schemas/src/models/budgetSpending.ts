@@ -0,0 +1,9 @@
+import budgetSpendingSchema from '~/schema/budgetSpending';
+import type { IBudgetSpending } from '~/types/budgetSpending';
+
+export function createBudgetSpendingModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.BudgetSpending ||
+    mongoose.model<IBudgetSpending>('BudgetSpending', budgetSpendingSchema)
+  );
+}
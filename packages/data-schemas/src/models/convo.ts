@@ -1,12 +1,18 @@
 import type * as t from '~/types';
 import mongoMeili from '~/models/plugins/mongoMeili';
+import mongoSearch, { getSearchBackend } from '~/models/plugins/mongoSearch';
 import convoSchema from '~/schema/convo';
 
 /**
  * Creates or returns the Conversation model using the provided mongoose instance and schema
  */
 export function createConversationModel(mongoose: typeof import('mongoose')) {
-  if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
+  if (getSearchBackend() === 'mongodb') {
+    convoSchema.plugin(mongoSearch, {
+      primaryKey: 'conversationId',
+      weights: { title: 10, tags: 5 },
+    });
+  } else if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
     convoSchema.plugin(mongoMeili, {
       mongoose,
       host: process.env.MEILI_HOST,
@@ -0,0 +1,6 @@
+import importJobSchema from '~/schema/importJob';
+import type { IImportJob } from '~/types/importJob';
+
+export function createImportJobModel(mongoose: typeof import('mongoose')) {
+  return mongoose.models.ImportJob || mongoose.model<IImportJob>('ImportJob', importJobSchema);
+}
@@ -21,6 +21,10 @@ import { createConversationTagModel } from './conversationTag';
 import { createSharedLinkModel } from './sharedLink';
 import { createToolCallModel } from './toolCall';
 import { createMemoryModel } from './memory';
+import { createImportJobModel } from './importJob';
+import { createBudgetModel } from './budget';
+import { createBudgetSpendingModel } from './budgetSpending';
+import { createMCPServerModel } from './mcpServer';
 
 /**
  * Creates all database models for all collections
@@ -50,5 +54,9 @@ export function createModels(mongoose: typeof import('mongoose')) {
     SharedLink: createSharedLinkModel(mongoose),
     ToolCall: createToolCallModel(mongoose),
     MemoryEntry: createMemoryModel(mongoose),
+    ImportJob: createImportJobModel(mongoose),
+    Budget: createBudgetModel(mongoose),
+    BudgetSpending: createBudgetSpendingModel(mongoose),
+    MCPServer: createMCPServerModel(mongoose),
   };
 }
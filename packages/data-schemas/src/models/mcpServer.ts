@@ -0,0 +1,6 @@
+import mcpServerSchema from '~/schema/mcpServer';
+import type { IMCPServer } from '~/types/mcpServer';
+
+export function createMCPServerModel(mongoose: typeof import('mongoose')) {
+  return mongoose.models.MCPServer || mongoose.model<IMCPServer>('MCPServer', mcpServerSchema);
+}
@@ -1,12 +1,18 @@
 import type * as t from '~/types';
 import mongoMeili from '~/models/plugins/mongoMeili';
+import mongoSearch, { getSearchBackend } from '~/models/plugins/mongoSearch';
 import messageSchema from '~/schema/message';
 
 /**
  * Creates or returns the Message model using the provided mongoose instance and schema
  */
 export function createMessageModel(mongoose: typeof import('mongoose')) {
-  if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
+  if (getSearchBackend() === 'mongodb') {
+    messageSchema.plugin(mongoSearch, {
+      primaryKey: 'messageId',
+      weights: { text: 10, 'content.text': 10, sender: 1 },
+    });
+  } else if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
     messageSchema.plugin(mongoMeili, {
       mongoose,
       host: process.env.MEILI_HOST,
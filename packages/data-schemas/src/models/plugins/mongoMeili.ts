@@ -73,6 +73,7 @@ export interface SchemaWithMeiliMethods extends Model<DocumentWithMeiliIndex> {
     delayMs: number,
   ): Promise<void>;
   setMeiliIndexSettings(settings: Record<string, unknown>): Promise<unknown>;
+  ensureMeiliUserFilter(): Promise<void>;
   meiliSearch(
     q: string,
     params?: Record<string, unknown>,
@@ -381,15 +382,37 @@ const createMeiliMongooseModel = ({
     }
 
     /**
-     * Searches the MeiliSearch index and optionally populates results
+     * Makes the `user` attribute of the index filterable, to scope the searches by user. The
+     * documents indexed before, without their user, are flagged to be synced again.
+     */
+    static async ensureMeiliUserFilter(this: SchemaWithMeiliMethods): Promise<void> {
+      const filterableAttributes = (await index.getFilterableAttributes()) ?? [];
+      if (filterableAttributes.includes('user')) {
+        return;
+      }
+      const task = await index.updateFilterableAttributes([...filterableAttributes, 'user']);
+      await index.waitForTask(task.taskUid);
+      await this.updateMany({ _meiliIndex: true }, { $set: { _meiliIndex: false } });
+      logger.info(`[ensureMeiliUserFilter] Documents of ${index.uid} flagged to be synced again`);
+    }
+
+    /**
+     * Searches the MeiliSearch index and optionally populates results. The `user` param scopes
+     * the search to the documents of the user.
      */
     static async meiliSearch(
       this: SchemaWithMeiliMethods,
       q: string,
-      params: Record<string, unknown>,
-      populate: boolean,
+      params: Record<string, unknown> = {},
+      populate = false,
     ): Promise<SearchResponse<MeiliIndexable, Record<string, unknown>>> {
-      const data = await index.search(q, params);
+      const { user, ...searchParams } = params;
+      if (user != null) {
+        const userFilter = `user = ${JSON.stringify(String(user))}`;
+        const { filter } = searchParams;
+        searchParams.filter = filter ? [userFilter, ...[filter].flat()] : userFilter;
+      }
+      const data = await index.search(q, searchParams);
 
       if (populate) {
         const query: Record<string, unknown> = {};
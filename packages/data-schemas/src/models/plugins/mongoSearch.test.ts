@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import mongoSearch, { getSearchBackend } from './mongoSearch';
+import type { SchemaWithMongoSearchMethods } from './mongoSearch';
+
+describe('mongoSearch', () => {
+  let mongoServer: MongoMemoryServer;
+  let Message: SchemaWithMongoSearchMethods;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const messageSchema = new mongoose.Schema(
+      {
+        messageId: { type: String, required: true },
+        conversationId: { type: String, required: true },
+        user: { type: String, required: true },
+        sender: String,
+        text: String,
+        content: [mongoose.Schema.Types.Mixed],
+        language: String,
+      },
+      { timestamps: true },
+    );
+    messageSchema.plugin(mongoSearch, {
+      primaryKey: 'messageId',
+      weights: { text: 10, 'content.text': 10, sender: 1 },
+    });
+    Message = mongoose.model(
+      'SearchMessage',
+      messageSchema,
+    ) as unknown as SchemaWithMongoSearchMethods;
+    await Message.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Message.deleteMany({});
+    await Message.create([
+      {
+        messageId: 'm1',
+        conversationId: 'c1',
+        user: 'user1',
+        sender: 'User',
+        text: 'How do I bake sourdough bread?',
+      },
+      {
+        messageId: 'm2',
+        conversationId: 'c1',
+        user: 'user1',
+        sender: 'Assistant',
+        content: [{ type: 'text', text: 'Sourdough needs a starter and a long proof.' }],
+      },
+      {
+        messageId: 'm3',
+        conversationId: 'c2',
+        user: 'user2',
+        sender: 'User',
+        text: 'Sourdough is my favorite bread',
+        language: 'klingon',
+      },
+    ]);
+  });
+
+  it('searches the text and content of the documents of a user', async () => {
+    const result = await Message.meiliSearch('sourdough', { user: 'user1' });
+
+    expect(result.hits.map((hit) => hit.messageId).sort()).toEqual(['m1', 'm2']);
+    expect(result.hits[0]).not.toHaveProperty('_id');
+    expect(result.hits[0]).not.toHaveProperty('_searchScore');
+    expect(result.hits[0]).not.toHaveProperty('user');
+  });
+
+  it('searches the documents of all users without params', async () => {
+    const result = await Message.meiliSearch('sourdough');
+
+    expect(result.hits.map((hit) => hit.messageId).sort()).toEqual(['m1', 'm2', 'm3']);
+  });
+
+  it('ranks the best matches first', async () => {
+    const result = await Message.meiliSearch('sourdough bread', { user: 'user1' });
+
+    expect(result.hits[0].messageId).toBe('m1');
+  });
+
+  it('matches partial words when no whole word matches', async () => {
+    const result = await Message.meiliSearch('sourd', { user: 'user1' });
+
+    expect(result.hits).toHaveLength(2);
+  });
+
+  it('treats the query as text, not as a pattern', async () => {
+    const result = await Message.meiliSearch('.*', { user: 'user1' });
+
+    expect(result.hits).toHaveLength(0);
+  });
+
+  it('returns the whole documents when populating', async () => {
+    const result = await Message.meiliSearch('favorite', { user: 'user2' }, true);
+
+    expect(result.hits).toHaveLength(1);
+    expect(result.hits[0]).toMatchObject({ messageId: 'm3', user: 'user2', conversationId: 'c2' });
+  });
+
+  it('limits the number of hits', async () => {
+    const result = await Message.meiliSearch('sourdough', { limit: 1 });
+
+    expect(result.hits).toHaveLength(1);
+    expect(result).toMatchObject({ query: 'sourdough', limit: 1, offset: 0 });
+  });
+});
+
+describe('getSearchBackend', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+    delete process.env.SEARCH_BACKEND;
+    delete process.env.MEILI_HOST;
+    delete process.env.MEILI_MASTER_KEY;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('uses Meilisearch when it is configured', () => {
+    process.env.MEILI_HOST = 'http://localhost:7700';
+    process.env.MEILI_MASTER_KEY = 'key';
+    expect(getSearchBackend()).toBe('meilisearch');
+  });
+
+  it('uses MongoDB when selected, even with Meilisearch configured', () => {
+    process.env.MEILI_HOST = 'http://localhost:7700';
+    process.env.MEILI_MASTER_KEY = 'key';
+    process.env.SEARCH_BACKEND = 'mongodb';
+    expect(getSearchBackend()).toBe('mongodb');
+  });
+
+  it('has no backend otherwise', () => {
+    expect(getSearchBackend()).toBeUndefined();
+  });
+});
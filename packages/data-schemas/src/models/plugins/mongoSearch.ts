@@ -0,0 +1,164 @@
+import type { FilterQuery, Schema, Model } from 'mongoose';
+import type { IConversation, IMessage } from '~/types';
+import logger from '~/config/winston';
+
+export type SearchBackend = 'meilisearch' | 'mongodb';
+
+interface MongoSearchOptions {
+  /** The field identifying the documents in the search hits */
+  primaryKey: string;
+  /** The fields to search, with their relative weight in the ranking of the hits */
+  weights: Record<string, number>;
+}
+
+interface MongoSearchParams {
+  /** Only searches the documents of this user */
+  user?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export interface MongoSearchResponse<T = Record<string, unknown>> {
+  hits: T[];
+  query: string;
+  limit: number;
+  offset: number;
+  estimatedTotalHits: number;
+  processingTimeMs: number;
+}
+
+export interface SchemaWithMongoSearchMethods
+  extends Model<IConversation & Partial<IMessage> & Record<string, unknown>> {
+  meiliSearch(
+    q: string,
+    params?: MongoSearchParams,
+    populate?: boolean,
+  ): Promise<MongoSearchResponse>;
+}
+
+/** Same default as Meilisearch, so both backends return the same number of hits */
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Returns the search backend the conversations and messages are indexed with:
+ * MongoDB when `SEARCH_BACKEND=mongodb`, otherwise Meilisearch when it is configured.
+ */
+export function getSearchBackend(): SearchBackend | undefined {
+  if (process.env.SEARCH_BACKEND?.toLowerCase() === 'mongodb') {
+    return 'mongodb';
+  }
+  if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
+    return 'meilisearch';
+  }
+  return undefined;
+}
+
+const escapeRegExp = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Factory function to create a MongoSearchModel class, providing the `meiliSearch` static of the
+ * `mongoMeili` plugin on top of a MongoDB text index.
+ *
+ * @param config - Configuration object.
+ * @param config.primaryKey - The field identifying the documents in the search hits.
+ * @param config.fields - The searched fields.
+ * @returns A class definition that will be loaded into the Mongoose schema.
+ */
+const createMongoSearchModel = ({
+  primaryKey,
+  fields,
+}: {
+  primaryKey: string;
+  fields: string[];
+}) => {
+  /** Meilisearch hits only hold the indexed fields, unless populated */
+  const hitProjection = Object.fromEntries(
+    [primaryKey, ...fields.map((field) => field.split('.')[0])].map((field) => [field, 1]),
+  );
+
+  class MongoSearchModel {
+    /**
+     * Searches the text index of the collection and optionally returns the whole documents
+     */
+    static async meiliSearch(
+      this: SchemaWithMongoSearchMethods,
+      q: string,
+      params: MongoSearchParams = {},
+      populate = false,
+    ): Promise<MongoSearchResponse> {
+      const startTime = Date.now();
+      const { user, limit = DEFAULT_LIMIT, offset = 0 } = params;
+      const scope: FilterQuery<unknown> = user != null ? { user } : {};
+      const projection = populate ? {} : { _id: 0, ...hitProjection };
+
+      let hits: Record<string, unknown>[] = [];
+      const query = q.trim();
+      if (query) {
+        hits = await this.find(
+          { ...scope, $text: { $search: query } },
+          { ...projection, _searchScore: { $meta: 'textScore' } },
+        )
+          .sort({ _searchScore: { $meta: 'textScore' } })
+          .skip(offset)
+          .limit(limit)
+          .lean();
+
+        if (hits.length === 0 && offset === 0) {
+          const pattern = new RegExp(escapeRegExp(query), 'i');
+          hits = await this.find(
+            { ...scope, $or: fields.map((field) => ({ [field]: pattern })) },
+            projection,
+          )
+            .sort({ updatedAt: -1 })
+            .limit(limit)
+            .lean();
+        }
+      }
+
+      for (const hit of hits) {
+        delete hit._searchScore;
+      }
+
+      logger.debug(`[mongoSearch] ${hits.length} hits for "${query}" on ${primaryKey}`);
+      return {
+        hits,
+        query: q,
+        limit,
+        offset,
+        estimatedTotalHits: offset + hits.length,
+        processingTimeMs: Date.now() - startTime,
+      };
+    }
+  }
+
+  return MongoSearchModel;
+};
+
+/**
+ * Mongoose plugin searching the collection with a MongoDB text index, for deployments without
+ * Meilisearch. It provides the `meiliSearch` static of the `mongoMeili` plugin, so callers work
+ * with either backend; the index is maintained by MongoDB, so no sync is needed.
+ *
+ * Words are matched whole by the text index; when nothing matches, e.g. while the last word is
+ * still being typed, the fields are matched as a case-insensitive substring instead.
+ *
+ * @param schema - The Mongoose schema to search.
+ * @param options - The options of the plugin.
+ * @param options.primaryKey - The field identifying the documents in the search hits.
+ * @param options.weights - The fields to search, with their relative weight.
+ */
+export default function mongoSearch(schema: Schema, options: MongoSearchOptions): void {
+  const { primaryKey, weights } = options;
+  const fields = Object.keys(weights);
+
+  schema.index(Object.fromEntries(fields.map((field) => [field, 'text'])), {
+    name: `${primaryKey}_text_search`,
+    weights,
+    /* Content is in any language: neither stem words nor drop stop words */
+    default_language: 'none',
+    /* Documents may have a `language` field unrelated to the text index */
+    language_override: '_searchLanguage',
+  });
+
+  schema.loadClass(createMongoSearchModel({ primaryKey, fields }));
+}
@@ -0,0 +1,62 @@
+import { Schema } from 'mongoose';
+import { BudgetScope } from 'librechat-data-provider';
+import type { IBudget } from '~/types/budget';
+
+// Monthly spending budget in USD, for a user, each user with a role, or the members of a group
+// together; `warningsSent` holds the highest warning threshold each user was notified of during
+// `warningsPeriod`, the month (UTC) as `YYYY-MM`, so warnings are sent once per threshold
+const budgetSchema = new Schema<IBudget>(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: Object.values(BudgetScope),
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    role: {
+      type: String,
+      index: true,
+    },
+    members: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+      index: true,
+    },
+    limit: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    warningThresholds: {
+      type: [Number],
+      default: undefined,
+    },
+    hardLimit: {
+      type: Boolean,
+      default: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    warningsPeriod: {
+      type: String,
+    },
+    warningsSent: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  { timestamps: true },
+);
+
+export default budgetSchema;
@@ -0,0 +1,36 @@
+import { Schema } from 'mongoose';
+import type { IBudgetSpending } from '~/types/budgetSpending';
+
+// Spending of a user during a budget period, the month (UTC) as `YYYY-MM`, in USD; maintained as
+// prompt and completion transactions are recorded, so budgets are checked without aggregating them.
+// The transactions of the period created before `since` are added once, when `seeded`
+const budgetSpendingSchema = new Schema<IBudgetSpending>(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    period: {
+      type: String,
+      required: true,
+    },
+    spent: {
+      type: Number,
+      default: 0,
+    },
+    since: {
+      type: Date,
+      required: true,
+    },
+    seeded: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true },
+);
+
+budgetSpendingSchema.index({ user: 1, period: 1 }, { unique: true });
+
+export default budgetSpendingSchema;
@@ -0,0 +1,62 @@
+import { Schema } from 'mongoose';
+import { ImportJobStatus } from 'librechat-data-provider';
+import type { IImportJob } from '~/types/importJob';
+
+// Conversation import processed in the background; `processed` is the number of top-level
+// items of the file already handled, from which the job resumes after a restart
+const importJobSchema = new Schema<IImportJob>(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(ImportJobStatus),
+      default: ImportJobStatus.pending,
+      index: true,
+    },
+    filename: {
+      type: String,
+    },
+    filepath: {
+      type: String,
+      required: true,
+    },
+    fileStrategy: {
+      type: String,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    imported: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    progress: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+    heartbeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set each time the job is claimed; only the run that claimed it last updates it
+    runId: {
+      type: String,
+    },
+  },
+  { timestamps: true },
+);
+
+export default importJobSchema;
@@ -22,3 +22,7 @@ export { default as toolCallSchema } from './toolCall';
 export { default as transactionSchema } from './transaction';
 export { default as userSchema } from './user';
 export { default as memorySchema } from './memory';
+export { default as importJobSchema } from './importJob';
+export { default as budgetSchema } from './budget';
+export { default as budgetSpendingSchema } from './budgetSpending';
+export { default as mcpServerSchema } from './mcpServer';
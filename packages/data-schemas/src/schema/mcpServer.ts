@@ -0,0 +1,29 @@
+import { Schema } from 'mongoose';
+import type { IMCPServer } from '~/types/mcpServer';
+
+// MCP server managed at runtime by admins, merged with the `mcpServers` of the YAML config:
+// a server named as one of the config replaces it, and disabling it removes it
+const mcpServerSchema = new Schema<IMCPServer>(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    config: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true, minimize: false },
+);
+
+export default mcpServerSchema;
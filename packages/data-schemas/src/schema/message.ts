@@ -1,6 +1,88 @@
 import mongoose, { Schema } from 'mongoose';
+import { PREFERENCE_VOTES } from 'librechat-data-provider';
 import type { IMessage } from '~/types/message';
 
+const feedbackSchema = {
+  type: {
+    rating: {
+      type: String,
+      enum: ['thumbsUp', 'thumbsDown'],
+      required: true,
+    },
+    tag: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+    text: {
+      type: String,
+      required: false,
+    },
+  },
+  default: undefined,
+  required: false,
+};
+
+// Generated fields of a response of a multi-LLM (fan-out) turn
+const llmResponseFields = {
+  endpoint: { type: String },
+  model: { type: String },
+  sender: { type: String },
+  iconURL: { type: String },
+  text: { type: String },
+  content: { type: [{ type: mongoose.Schema.Types.Mixed }], default: undefined },
+  tokenCount: { type: Number },
+  finish_reason: { type: String },
+  unfinished: { type: Boolean },
+  error: { type: Boolean },
+  feedback: feedbackSchema,
+  metrics: {
+    type: {
+      timeToFirstToken: { type: Number },
+      latency: { type: Number },
+      promptTokens: { type: Number },
+      completionTokens: { type: Number },
+      tokenValue: { type: Number },
+    },
+    default: undefined,
+  },
+};
+
+// Earlier attempt of a regenerated response, kept so users can page back through attempts
+const llmResponseVersionSchema = new Schema(llmResponseFields, { _id: false });
+
+// Response of a single endpoint/model pair within a multi-LLM (fan-out) turn;
+// the first response mirrors the message itself and shares its `messageId`
+const llmResponseSchema = new Schema(
+  {
+    messageId: { type: String, index: true },
+    ...llmResponseFields,
+    versions: { type: [llmResponseVersionSchema], default: undefined },
+  },
+  { _id: false },
+);
+
+// Blind A/B vote between two `llmResponses` of the message, referenced by their `messageId`
+const preferenceSchema = new Schema(
+  {
+    left: { type: String, required: true },
+    right: { type: String, required: true },
+    vote: { type: String, enum: [...PREFERENCE_VOTES], required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+// Response of the parent message's `llmResponses` that a synthesized message was merged from
+const synthesisSourceSchema = new Schema(
+  {
+    messageId: { type: String },
+    endpoint: { type: String },
+    model: { type: String },
+    sender: { type: String },
+  },
+  { _id: false },
+);
+
 const messageSchema: Schema<IMessage> = new Schema(
   {
     messageId: {
@@ -21,6 +103,7 @@ const messageSchema: Schema<IMessage> = new Schema(
       index: true,
       required: true,
       default: null,
+      meiliIndex: true,
     },
     model: {
       type: String,
@@ -46,6 +129,9 @@ const messageSchema: Schema<IMessage> = new Schema(
       type: String,
       index: true,
     },
+    llmResponses: { type: [llmResponseSchema], default: undefined },
+    preferences: { type: [preferenceSchema], default: undefined },
+    synthesizedFrom: { type: [synthesisSourceSchema], default: undefined },
     tokenCount: {
       type: Number,
     },
@@ -79,26 +165,15 @@ const messageSchema: Schema<IMessage> = new Schema(
     finish_reason: {
       type: String,
     },
-    feedback: {
-      type: {
-        rating: {
-          type: String,
-          enum: ['thumbsUp', 'thumbsDown'],
-          required: true,
-        },
-        tag: {
-          type: mongoose.Schema.Types.Mixed,
-          required: false,
-        },
-        text: {
-          type: String,
-          required: false,
-        },
-      },
-      default: undefined,
+    feedback: feedbackSchema,
+    _meiliIndex: {
+      type: Boolean,
       required: false,
+      select: false,
+      default: false,
     },
-    _meiliIndex: {
+    /** Whether the text of the message is embedded for semantic search */
+    _semanticIndex: {
       type: Boolean,
       required: false,
       select: false,
@@ -169,5 +244,7 @@ const messageSchema: Schema<IMessage> = new Schema(
 messageSchema.index({ expiredAt: 1 }, { expireAfterSeconds: 0 });
 messageSchema.index({ createdAt: 1 });
 messageSchema.index({ messageId: 1, user: 1 }, { unique: true });
+/** Only the messages with preference votes, which evaluations read */
+messageSchema.index({ 'preferences.vote': 1 }, { sparse: true });
 
 export default messageSchema;
@@ -4,7 +4,7 @@ import mongoose, { Schema, Document, Types } from 'mongoose';
 export interface ITransaction extends Document {
   user: Types.ObjectId;
   conversationId?: string;
-  tokenType: 'prompt' | 'completion' | 'credits';
+  tokenType: 'prompt' | 'completion' | 'credits' | 'adjustment';
   model?: string;
   context?: string;
   valueKey?: string;
@@ -14,6 +14,14 @@ export interface ITransaction extends Document {
   inputTokens?: number;
   writeTokens?: number;
   readTokens?: number;
+  /** Why an admin adjusted the credits */
+  reason?: string;
+  /** The admin who adjusted the credits */
+  actor?: Types.ObjectId;
+  /** The other user of a credit transfer */
+  counterparty?: Types.ObjectId;
+  /** The group budget among the members of which the credits of a transfer were split */
+  counterpartyBudget?: Types.ObjectId;
   createdAt?: Date;
   updatedAt?: Date;
 }
@@ -33,7 +41,7 @@ const transactionSchema: Schema<ITransaction> = new Schema(
     },
     tokenType: {
       type: String,
-      enum: ['prompt', 'completion', 'credits'],
+      enum: ['prompt', 'completion', 'credits', 'adjustment'],
       required: true,
     },
     model: {
@@ -51,6 +59,10 @@ const transactionSchema: Schema<ITransaction> = new Schema(
     inputTokens: { type: Number },
     writeTokens: { type: Number },
     readTokens: { type: Number },
+    reason: { type: String },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    counterparty: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    counterpartyBudget: { type: mongoose.Schema.Types.ObjectId, ref: 'Budget' },
   },
   {
     timestamps: true,
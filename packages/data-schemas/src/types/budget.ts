@@ -0,0 +1,18 @@
+import type { Document, Types } from 'mongoose';
+import type { BudgetScope } from 'librechat-data-provider';
+
+export interface IBudget extends Document {
+  name: string;
+  scope: BudgetScope;
+  user?: Types.ObjectId;
+  role?: string;
+  members: Types.ObjectId[];
+  limit: number;
+  warningThresholds?: number[];
+  hardLimit: boolean;
+  enabled: boolean;
+  warningsPeriod?: string;
+  warningsSent: Map<string, number>;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
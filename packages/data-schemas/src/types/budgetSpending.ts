@@ -0,0 +1,11 @@
+import type { Document, Types } from 'mongoose';
+
+export interface IBudgetSpending extends Document {
+  user: Types.ObjectId;
+  period: string;
+  spent: number;
+  since: Date;
+  seeded: boolean;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
@@ -0,0 +1,19 @@
+import type { Document, Types } from 'mongoose';
+import type { ImportJobStatus } from 'librechat-data-provider';
+
+export interface IImportJob extends Document {
+  user: Types.ObjectId;
+  status: ImportJobStatus;
+  filename?: string;
+  filepath: string;
+  fileStrategy?: string;
+  processed: number;
+  imported: number;
+  failed: number;
+  progress: number;
+  error?: string;
+  heartbeatAt: Date;
+  runId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
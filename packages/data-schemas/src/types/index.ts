@@ -15,5 +15,9 @@ export * from './assistant';
 export * from './file';
 export * from './share';
 export * from './pluginAuth';
+export * from './importJob';
+export * from './budget';
+export * from './budgetSpending';
+export * from './mcpServer';
 /* Memories */
 export * from './memory';
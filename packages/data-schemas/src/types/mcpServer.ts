@@ -0,0 +1,11 @@
+import type { Document, Types } from 'mongoose';
+import type { MCPOptions } from 'librechat-data-provider';
+
+export interface IMCPServer extends Document {
+  name: string;
+  config: MCPOptions;
+  enabled: boolean;
+  updatedBy?: Types.ObjectId;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
@@ -1,5 +1,46 @@
 import type { Document } from 'mongoose';
-import type { TFeedbackRating, TFeedbackTag } from 'librechat-data-provider';
+import type { TFeedbackRating, TFeedbackTag, TPreferenceVote } from 'librechat-data-provider';
+
+export interface IMessageFeedback {
+  rating: TFeedbackRating;
+  tag: TFeedbackTag | undefined;
+  text?: string;
+}
+
+export interface ILLMResponse {
+  messageId?: string;
+  endpoint?: string;
+  model?: string;
+  sender?: string;
+  iconURL?: string;
+  text?: string;
+  content?: unknown[];
+  tokenCount?: number;
+  finish_reason?: string;
+  unfinished?: boolean;
+  error?: boolean;
+  feedback?: IMessageFeedback;
+  metrics?: {
+    timeToFirstToken?: number;
+    latency?: number;
+    promptTokens?: number;
+    completionTokens?: number;
+    tokenValue?: number;
+  };
+  versions?: Omit<ILLMResponse, 'messageId' | 'versions'>[];
+}
+
+export interface IMessagePreference {
+  left: string;
+  right: string;
+  vote: TPreferenceVote;
+  createdAt?: Date;
+}
+
+export type IMessageSynthesisSource = Pick<
+  ILLMResponse,
+  'messageId' | 'endpoint' | 'model' | 'sender'
+>;
 
 // @ts-ignore
 export interface IMessage extends Document {
@@ -14,6 +55,9 @@ export interface IMessage extends Document {
   parentMessageId?: string;
   sharedUserMessageId?: string;
   multiLLMSiblings?: IMessage[];
+  llmResponses?: ILLMResponse[];
+  preferences?: IMessagePreference[];
+  synthesizedFrom?: IMessageSynthesisSource[];
   tokenCount?: number;
   summaryTokenCount?: number;
   sender?: string;
@@ -23,12 +67,9 @@ export interface IMessage extends Document {
   unfinished?: boolean;
   error?: boolean;
   finish_reason?: string;
-  feedback?: {
-    rating: TFeedbackRating;
-    tag: TFeedbackTag | undefined;
-    text?: string;
-  };
+  feedback?: IMessageFeedback;
   _meiliIndex?: boolean;
+  _semanticIndex?: boolean;
   files?: unknown[];
   plugin?: {
     latest?: string;